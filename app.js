@@ -0,0 +1,201 @@
+/**
+ * Scholar.AI application factory
+ * Builds the Express app without opening connections, so the server and the
+ * tests can each create their own instance.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const helmet = require("helmet");
+const cors = require("cors");
+const rateLimit = require("express-rate-limit");
+const mongoSanitize = require("express-mongo-sanitize");
+const CONFIG = require("./config");
+const logger = require("./services/logger");
+const { isEmbeddingModelLoaded } = require("./services/aiService");
+const { getVectorStore } = require("./services/vectorService");
+const { createAIClient } = require("./services/llmService");
+const { createResilientClient } = require("./services/resilientAIClient");
+const apiRoutes = require("./routes/api");
+
+const ALLOWED_ORIGINS = [
+  "http://localhost:8080",
+  "http://127.0.0.1:8080",
+  "http://localhost:3000",
+  "http://127.0.0.1:3000",
+  CONFIG.FRONTEND_URL,
+];
+
+function securityMiddleware() {
+  return helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: [
+          "'self'",
+          "'unsafe-inline'",
+          "fonts.googleapis.com",
+          "cdn.jsdelivr.net",
+          "cdnjs.cloudflare.com",
+        ],
+        scriptSrc: [
+          "'self'",
+          "'unsafe-inline'",
+          "'unsafe-eval'",
+          "cdnjs.cloudflare.com",
+          "cdn.jsdelivr.net",
+          "cdn.socket.io",
+          "*.googletagmanager.com",
+          "*.google-analytics.com",
+        ],
+        imgSrc: ["'self'", "data:", "https:", "http:", "blob:", "filesystem:"],
+        fontSrc: [
+          "'self'",
+          "fonts.gstatic.com",
+          "cdnjs.cloudflare.com",
+          "cdn.jsdelivr.net",
+        ],
+        connectSrc: [
+          "'self'",
+          "ws:",
+          "wss:",
+          "http:",
+          "https:",
+          "*.analytics.google.com",
+          "*.googleapis.com",
+        ],
+        frameSrc: ["'self'", "https:", "data:"],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'", "https:", "http:"],
+        workerSrc: ["'self'", "blob:"],
+        manifestSrc: ["'self'"],
+        formAction: ["'self'", "http:", "https:"],
+        baseUri: ["'self'"],
+        childSrc: ["'self'"],
+        frameAncestors: ["'none'"],
+      },
+    },
+    crossOriginEmbedderPolicy: false,
+  });
+}
+
+function corsMiddleware() {
+  return cors({
+    origin: function (origin, callback) {
+      if (!origin || CONFIG.NODE_ENV === "development") {
+        return callback(null, true);
+      }
+      callback(null, ALLOWED_ORIGINS.includes(origin));
+    },
+    credentials: true,
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "Last-Event-ID"],
+    exposedHeaders: [
+      "Retry-After",
+      "X-AI-Quota-Daily-Limit",
+      "X-AI-Quota-Daily-Remaining",
+      "X-AI-Quota-Daily-Reset",
+      "X-AI-Quota-Monthly-Limit",
+      "X-AI-Quota-Monthly-Remaining",
+      "X-AI-Quota-Monthly-Reset",
+    ],
+  });
+}
+
+function applyRateLimits(app) {
+  const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: "Too many auth attempts, please try again later",
+  });
+
+  const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100,
+    message: "Too many requests from this IP",
+  });
+
+  app.use("/api/v1/auth/login", authLimiter);
+  app.use("/api/v1/auth/register", authLimiter);
+  app.use("/api/v1/", apiLimiter);
+}
+
+/**
+ * Create the Express application
+ * @param {Object} [deps] - Injected dependencies, exposed on app.locals
+ * @param {Queue|null} [deps.queue] - BullMQ queue for PDF processing
+ * @param {Object} [deps.ai] - Chat completion client; defaults to the
+ *   configured provider wrapped by createResilientClient
+ * @param {Server|null} [deps.io] - Socket.IO server for realtime events
+ * @param {Redis|null} [deps.redis] - Redis client used for caching
+ * @param {boolean} [deps.rateLimit] - Apply request rate limits
+ * @returns {express.Application}
+ */
+function createApp({
+  queue = null,
+  ai = createResilientClient(createAIClient()),
+  io = null,
+  redis = null,
+  rateLimit: enableRateLimit = CONFIG.NODE_ENV !== "test",
+} = {}) {
+  const app = express();
+
+  Object.assign(app.locals, { queue, ai, io, redis });
+
+  app.use(securityMiddleware());
+  app.use(corsMiddleware());
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+  app.use(mongoSanitize());
+  app.use(express.static("."));
+  app.use("/uploads", express.static("uploads"));
+
+  if (enableRateLimit) {
+    applyRateLimits(app);
+  }
+
+  app.get("/api/v1/health", async (req, res) => {
+    try {
+      await mongoose.connection.db.admin().ping();
+      if (app.locals.redis) await app.locals.redis.ping();
+
+      res.json({
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        services: {
+          mongodb: "connected",
+          redis: app.locals.redis ? "connected" : "disabled",
+          queue: app.locals.queue ? "enabled" : "disabled",
+          embeddings: isEmbeddingModelLoaded() ? "loaded" : "loading",
+          vectorStore: getVectorStore().describe(),
+        },
+      });
+    } catch (error) {
+      res.status(503).json({
+        status: "unhealthy",
+        error: error.message,
+      });
+    }
+  });
+
+  app.use("/api", apiRoutes);
+
+  // eslint-disable-next-line no-unused-vars
+  app.use((err, req, res, next) => {
+    logger.error("Unhandled error:", err);
+
+    const message =
+      CONFIG.NODE_ENV === "production" ? "An error occurred" : err.message;
+
+    res.status(err.status || 500).json({
+      error: {
+        message,
+        ...(CONFIG.NODE_ENV !== "production" && { stack: err.stack }),
+      },
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
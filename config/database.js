@@ -39,19 +39,6 @@ const connectDB = async () => {
       logger.info(`✅ MongoDB connected: ${dbConnection.connection.host}`);
     }
 
-    // Graceful shutdown handling
-    process.on("SIGINT", async () => {
-      logger.info("SIGINT received, closing MongoDB connection");
-      await mongoose.connection.close();
-      process.exit(0);
-    });
-
-    process.on("SIGTERM", async () => {
-      logger.info("SIGTERM received, closing MongoDB connection");
-      await mongoose.connection.close();
-      process.exit(0);
-    });
-
     return dbConnection;
   } catch (error) {
     logger.error("❌ MongoDB connection error:", error);
@@ -1,18 +1,88 @@
 require("dotenv").config();
 
+// Comma-separated environment value as a list
+const list = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Numeric environment value where 0 is meaningful
+const number = (value, fallback) =>
+  value === undefined || value === "" ? fallback : parseInt(value);
+
 const CONFIG = {
   PORT: process.env.PORT || 3000,
   MONGODB_URI: process.env.MONGODB_URI,
   REDIS_HOST: process.env.REDIS_HOST || "localhost",
   REDIS_PORT: process.env.REDIS_PORT || 6379,
+  REDIS_PASSWORD: process.env.REDIS_PASSWORD,
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET,
   JWT_EXPIRE: "1h",
   JWT_REFRESH_EXPIRE: "7d",
   OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY,
+  AI_PROVIDER: process.env.AI_PROVIDER || "openrouter",
+  AI_BASE_URL: process.env.AI_BASE_URL,
+  AI_API_KEY: process.env.AI_API_KEY,
+  AI_MODELS: {
+    default: process.env.AI_MODEL || "mistralai/mistral-7b-instruct:free",
+    chat: process.env.AI_MODEL_CHAT,
+    flashcards: process.env.AI_MODEL_FLASHCARDS,
+    quiz: process.env.AI_MODEL_QUIZ,
+    persona: process.env.AI_MODEL_PERSONA,
+    summary: process.env.AI_MODEL_SUMMARY,
+    studyPlan: process.env.AI_MODEL_STUDY_PLAN,
+  },
+  AI_ALLOWED_MODELS: list(process.env.AI_ALLOWED_MODELS),
+  // Models tried in order when the task's model fails
+  AI_FALLBACK_MODELS: {
+    default: list(process.env.AI_FALLBACK_MODELS),
+    chat: list(process.env.AI_FALLBACK_MODELS_CHAT),
+    flashcards: list(process.env.AI_FALLBACK_MODELS_FLASHCARDS),
+    quiz: list(process.env.AI_FALLBACK_MODELS_QUIZ),
+    persona: list(process.env.AI_FALLBACK_MODELS_PERSONA),
+    summary: list(process.env.AI_FALLBACK_MODELS_SUMMARY),
+    studyPlan: list(process.env.AI_FALLBACK_MODELS_STUDY_PLAN),
+  },
+  // Prompt size limits: a default and per-model "model=tokens" overrides
+  AI_CONTEXT_TOKENS: parseInt(process.env.AI_CONTEXT_TOKENS) || 8192,
+  AI_CONTEXT_WINDOWS: Object.fromEntries(
+    list(process.env.AI_CONTEXT_WINDOWS)
+      .map((entry) => entry.split("="))
+      .filter(([model, tokens]) => model && parseInt(tokens) > 0)
+      .map(([model, tokens]) => [model.trim(), parseInt(tokens)]),
+  ),
+  AI_TIMEOUT_MS: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
+  AI_RETRIES: process.env.AI_RETRIES ? parseInt(process.env.AI_RETRIES) : 1,
+  AI_RETRY_BACKOFF_MS: parseInt(process.env.AI_RETRY_BACKOFF_MS) || 500,
+  AI_BREAKER_THRESHOLD: parseInt(process.env.AI_BREAKER_THRESHOLD) || 3,
+  AI_BREAKER_COOLDOWN_MS: parseInt(process.env.AI_BREAKER_COOLDOWN_MS) || 60000,
+  // AI tokens per UTC day and month for each plan; 0 means unlimited
+  AI_QUOTAS: {
+    free: {
+      daily: number(process.env.AI_QUOTA_FREE_DAILY, 50000),
+      monthly: number(process.env.AI_QUOTA_FREE_MONTHLY, 500000),
+    },
+    pro: {
+      daily: number(process.env.AI_QUOTA_PRO_DAILY, 500000),
+      monthly: number(process.env.AI_QUOTA_PRO_MONTHLY, 5000000),
+    },
+    enterprise: {
+      daily: number(process.env.AI_QUOTA_ENTERPRISE_DAILY, 0),
+      monthly: number(process.env.AI_QUOTA_ENTERPRISE_MONTHLY, 0),
+    },
+  },
   FRONTEND_URL: process.env.FRONTEND_URL,
   UPLOAD_DIR: "./uploads",
   VECTOR_DIMENSIONS: 384,
+  // memory works on any MongoDB; atlas and cosmos need their vector indexes
+  VECTOR_STORE: process.env.VECTOR_STORE || "memory",
+  VECTOR_SEARCH_ALGORITHM: process.env.VECTOR_SEARCH_ALGORITHM || "exact",
+  VECTOR_CACHE_MAX_CHUNKS:
+    parseInt(process.env.VECTOR_CACHE_MAX_CHUNKS) || 100000,
+  RERANK_ENABLED: process.env.RERANK_ENABLED === "true",
+  RERANK_MODEL: process.env.RERANK_MODEL || "Xenova/ms-marco-MiniLM-L-6-v2",
   MAX_FILE_SIZE: 50 * 1024 * 1024,
   NODE_ENV: process.env.NODE_ENV || "development",
 };
@@ -22,9 +92,10 @@ if (CONFIG.NODE_ENV === "production") {
     "MONGODB_URI",
     "JWT_SECRET",
     "JWT_REFRESH_SECRET",
-    "OPENROUTER_API_KEY",
     "FRONTEND_URL",
   ];
+  if (CONFIG.AI_PROVIDER === "openrouter") required.push("OPENROUTER_API_KEY");
+  if (CONFIG.AI_PROVIDER === "openai") required.push("AI_BASE_URL");
   const missing = required.filter((key) => !process.env[key]);
   if (missing.length > 0) {
     console.error(
@@ -1,10 +1,27 @@
-const { KnowledgeNode, Conversation, ActivityLog } = require("../models");
+const {
+  KnowledgeNode,
+  Conversation,
+  ActivityLog,
+  QuizAttempt,
+} = require("../models");
+const { z } = require("zod");
+const { getMasteryTable } = require("../services/masteryService");
 const logger = require("../services/logger");
 
+const MasteryQuerySchema = z.object({
+  nodeId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+});
+
 exports.getDashboardStats = async (req, res) => {
   try {
     const [totalFiles, totalConversations, recentActivity] = await Promise.all([
-      KnowledgeNode.countDocuments({ userId: req.user._id }),
+      KnowledgeNode.countDocuments({
+        userId: req.user._id,
+        type: { $ne: "Note" },
+      }),
       Conversation.countDocuments({ userId: req.user._id }),
       ActivityLog.find({ userId: req.user._id })
         .sort({ timestamp: -1 })
@@ -26,6 +43,22 @@ exports.getDashboardStats = async (req, res) => {
       timestamp: { $gte: last30Days },
     });
 
+    const [quizStats] = await QuizAttempt.aggregate([
+      {
+        $match: {
+          userId: req.user._id,
+          completedAt: { $gte: last30Days },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          averageScore: { $avg: "$percentage" },
+          attempts: { $sum: 1 },
+        },
+      },
+    ]);
+
     res.json({
       success: true,
       data: {
@@ -40,6 +73,8 @@ exports.getDashboardStats = async (req, res) => {
           totalConversations,
           recentActivities,
           studySessions,
+          quizAttempts: quizStats?.attempts || 0,
+          averageQuizScore: Math.round(quizStats?.averageScore || 0),
         },
         recentActivity,
       },
@@ -96,3 +131,29 @@ exports.getPerformance = async (req, res) => {
       .json({ error: { message: "Failed to fetch performance data" } });
   }
 };
+
+exports.getMastery = async (req, res) => {
+  try {
+    const { nodeId } = MasteryQuerySchema.parse(req.query);
+    const topics = await getMasteryTable(req.user._id, { nodeId });
+
+    res.json({
+      success: true,
+      data: {
+        topics,
+        strengths: req.user.dna?.strengths || [],
+        weaknesses: req.user.dna?.weaknesses || [],
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to fetch topic mastery", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to fetch topic mastery" } });
+  }
+};
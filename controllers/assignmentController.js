@@ -0,0 +1,480 @@
+const fs = require("fs").promises;
+const path = require("path");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const {
+  Assignment,
+  Submission,
+  Task,
+  User,
+  Notification,
+} = require("../models");
+const {
+  sendNotification,
+  sendNotificationToMany,
+} = require("../services/notificationService");
+const { emitToUser } = require("../services/socketService");
+const { awardXP } = require("../services/gamificationService");
+const { fanOutTasks, buildGradebook } = require("../services/classworkService");
+const logger = require("../services/logger");
+
+const AssignmentSchema = z.object({
+  title: z.string().min(1).max(200),
+  description: z.string().max(5000).optional(),
+  dueDate: z.string().datetime().optional(),
+  points: z.number().int().min(1).max(1000).default(100),
+});
+
+const UpdateAssignmentSchema = AssignmentSchema.partial();
+
+const SubmissionSchema = z.object({
+  text: z.string().max(20000).optional(),
+});
+
+const GradeSchema = z.object({
+  score: z.number().min(0),
+  feedback: z.string().max(5000).optional(),
+});
+
+function studentIds(classObj) {
+  return classObj.members
+    .filter((m) => m.role === "student")
+    .map((m) => m.userId);
+}
+
+async function findAssignment(req) {
+  if (!mongoose.isValidObjectId(req.params.assignmentId)) return null;
+  return Assignment.findOne({
+    _id: req.params.assignmentId,
+    classId: req.classObj._id,
+  });
+}
+
+function removeUpload(file) {
+  if (!file) return Promise.resolve();
+  return fs.unlink(file.path).catch(() => {});
+}
+
+exports.getAssignments = async (req, res) => {
+  try {
+    const assignments = await Assignment.find({ classId: req.classObj._id })
+      .sort({ dueDate: 1, createdAt: -1 })
+      .lean();
+    const ids = assignments.map((a) => a._id);
+
+    if (req.classRole === "teacher") {
+      const counts = await Submission.aggregate([
+        { $match: { assignmentId: { $in: ids } } },
+        { $group: { _id: "$assignmentId", count: { $sum: 1 } } },
+      ]);
+      const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+      assignments.forEach((a) => {
+        a.submissionCount = countById.get(a._id.toString()) || 0;
+      });
+    } else {
+      const submissions = await Submission.find({
+        assignmentId: { $in: ids },
+        studentId: req.user._id,
+      })
+        .select("assignmentId status late submittedAt grade")
+        .lean();
+      const byAssignment = new Map(
+        submissions.map((s) => [s.assignmentId.toString(), s]),
+      );
+
+      assignments.forEach((a) => {
+        a.mySubmission = byAssignment.get(a._id.toString()) || null;
+      });
+    }
+
+    res.json({ success: true, data: { assignments } });
+  } catch (error) {
+    logger.error("Failed to fetch assignments", error);
+    res.status(500).json({ error: { message: "Failed to fetch assignments" } });
+  }
+};
+
+exports.createAssignment = async (req, res) => {
+  try {
+    const validated = AssignmentSchema.parse(req.body);
+    const classObj = req.classObj;
+
+    const assignment = await Assignment.create({
+      ...validated,
+      classId: classObj._id,
+      createdBy: req.user._id,
+    });
+
+    const students = studentIds(classObj);
+    await fanOutTasks([assignment], students);
+
+    try {
+      await sendNotificationToMany(
+        students,
+        {
+          type: "info",
+          title: `New assignment in ${classObj.name}`,
+          message: assignment.dueDate
+            ? `${assignment.title} (due ${assignment.dueDate.toDateString()})`
+            : assignment.title,
+          link: `/classes/${classObj._id}`,
+        },
+        { Notification },
+      );
+    } catch (error) {
+      logger.error("Failed to notify students", error);
+    }
+
+    res.status(201).json({ success: true, data: assignment });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to create assignment", error);
+    res.status(500).json({ error: { message: "Failed to create assignment" } });
+  }
+};
+
+exports.updateAssignment = async (req, res) => {
+  try {
+    const updates = UpdateAssignmentSchema.parse(req.body);
+
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ error: { message: "Assignment not found" } });
+    }
+
+    Object.assign(assignment, updates, { updatedAt: new Date() });
+    await assignment.save();
+
+    // Keep the fanned-out tasks in step with the assignment
+    await Task.updateMany(
+      { assignmentId: assignment._id },
+      {
+        title: assignment.title,
+        description: assignment.description,
+        dueDate: assignment.dueDate,
+      },
+    );
+
+    res.json({ success: true, data: assignment });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to update assignment", error);
+    res.status(500).json({ error: { message: "Failed to update assignment" } });
+  }
+};
+
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ error: { message: "Assignment not found" } });
+    }
+
+    const submissions = await Submission.find({ assignmentId: assignment._id })
+      .select("file.filePath")
+      .lean();
+
+    await Promise.all([
+      Assignment.deleteOne({ _id: assignment._id }),
+      Submission.deleteMany({ assignmentId: assignment._id }),
+      Task.deleteMany({ assignmentId: assignment._id }),
+    ]);
+
+    await Promise.all(
+      submissions
+        .filter((s) => s.file?.filePath)
+        .map((s) => fs.unlink(s.file.filePath).catch(() => {})),
+    );
+
+    res.json({ success: true, data: { message: "Assignment deleted" } });
+  } catch (error) {
+    logger.error("Failed to delete assignment", error);
+    res.status(500).json({ error: { message: "Failed to delete assignment" } });
+  }
+};
+
+exports.submitAssignment = async (req, res) => {
+  try {
+    const { text } = SubmissionSchema.parse(req.body);
+
+    if (!text?.trim() && !req.file) {
+      return res.status(400).json({
+        error: { message: "Submit some text or a PDF file" },
+      });
+    }
+
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      await removeUpload(req.file);
+      return res
+        .status(404)
+        .json({ error: { message: "Assignment not found" } });
+    }
+
+    const existing = await Submission.findOne({
+      assignmentId: assignment._id,
+      studentId: req.user._id,
+    });
+
+    if (existing?.status === "graded") {
+      await removeUpload(req.file);
+      return res.status(409).json({
+        error: { message: "This assignment has already been graded" },
+      });
+    }
+
+    const now = new Date();
+    const submission =
+      existing ||
+      new Submission({
+        assignmentId: assignment._id,
+        classId: req.classObj._id,
+        studentId: req.user._id,
+      });
+
+    submission.text = text?.trim() || undefined;
+    if (req.file) {
+      if (submission.file?.filePath) {
+        await fs.unlink(submission.file.filePath).catch(() => {});
+      }
+      submission.file = {
+        originalName: req.file.originalname,
+        filePath: req.file.path,
+        size: req.file.size,
+      };
+    }
+    submission.submittedAt = now;
+    submission.late = Boolean(assignment.dueDate && now > assignment.dueDate);
+    await submission.save();
+
+    await Task.updateOne(
+      { assignmentId: assignment._id, userId: req.user._id, completed: false },
+      { completed: true, completedAt: now },
+    );
+
+    if (!existing) {
+      await awardXP(req.user._id, 10, "Submitted an assignment");
+    }
+
+    res.status(existing ? 200 : 201).json({ success: true, data: submission });
+  } catch (error) {
+    await removeUpload(req.file);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to submit assignment", error);
+    res.status(500).json({ error: { message: "Failed to submit assignment" } });
+  }
+};
+
+exports.getSubmissions = async (req, res) => {
+  try {
+    const assignment = await findAssignment(req);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ error: { message: "Assignment not found" } });
+    }
+
+    // Students only ever see their own submission
+    const query = { assignmentId: assignment._id };
+    if (req.classRole !== "teacher") query.studentId = req.user._id;
+
+    const submissions = await Submission.find(query)
+      .sort({ submittedAt: 1 })
+      .select("-file.filePath")
+      .populate("studentId", "username profile.avatar")
+      .lean();
+
+    res.json({ success: true, data: { submissions } });
+  } catch (error) {
+    logger.error("Failed to fetch submissions", error);
+    res.status(500).json({ error: { message: "Failed to fetch submissions" } });
+  }
+};
+
+exports.downloadSubmissionFile = async (req, res) => {
+  try {
+    const { assignmentId, submissionId } = req.params;
+    if (
+      !mongoose.isValidObjectId(assignmentId) ||
+      !mongoose.isValidObjectId(submissionId)
+    ) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+
+    const submission = await Submission.findOne({
+      _id: submissionId,
+      assignmentId,
+      classId: req.classObj._id,
+    }).lean();
+
+    const allowed =
+      submission &&
+      (req.classRole === "teacher" ||
+        submission.studentId.equals(req.user._id));
+
+    if (!allowed || !submission.file?.filePath) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+
+    res.download(
+      path.resolve(submission.file.filePath),
+      submission.file.originalName,
+    );
+  } catch (error) {
+    logger.error("Failed to download submission", error);
+    res.status(500).json({ error: { message: "Failed to download file" } });
+  }
+};
+
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const { score, feedback } = GradeSchema.parse(req.body);
+
+    const assignment = await findAssignment(req);
+    if (!assignment || !mongoose.isValidObjectId(req.params.submissionId)) {
+      return res
+        .status(404)
+        .json({ error: { message: "Submission not found" } });
+    }
+
+    if (score > assignment.points) {
+      return res.status(400).json({
+        error: {
+          message: `Score cannot exceed ${assignment.points} points`,
+        },
+      });
+    }
+
+    const submission = await Submission.findOneAndUpdate(
+      { _id: req.params.submissionId, assignmentId: assignment._id },
+      {
+        status: "graded",
+        grade: {
+          score,
+          feedback,
+          gradedBy: req.user._id,
+          gradedAt: new Date(),
+        },
+      },
+      { new: true },
+    ).select("-file.filePath");
+
+    if (!submission) {
+      return res
+        .status(404)
+        .json({ error: { message: "Submission not found" } });
+    }
+
+    await sendNotification(
+      submission.studentId,
+      {
+        type: "success",
+        title: "Assignment graded",
+        message: `${assignment.title}: ${score}/${assignment.points}`,
+        link: `/classes/${req.classObj._id}`,
+      },
+      { Notification },
+    ).catch((error) => logger.error("Failed to notify student", error));
+    emitToUser(req.app.locals.io, submission.studentId, "assignmentGraded", {
+      classId: req.classObj._id,
+      assignmentId: assignment._id,
+      score,
+    });
+
+    res.json({ success: true, data: submission });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to grade submission", error);
+    res.status(500).json({ error: { message: "Failed to grade submission" } });
+  }
+};
+
+async function gradebookFor(classObj, ids) {
+  const [assignments, students, submissions] = await Promise.all([
+    Assignment.find({ classId: classObj._id })
+      .sort({ dueDate: 1, createdAt: 1 })
+      .select("title points dueDate")
+      .lean(),
+    User.find({ _id: { $in: ids } })
+      .select("username")
+      .lean(),
+    Submission.find({ classId: classObj._id, studentId: { $in: ids } })
+      .select("assignmentId studentId status late grade")
+      .lean(),
+  ]);
+
+  return {
+    assignments,
+    students: buildGradebook(assignments, students, submissions),
+  };
+}
+
+exports.getGradebook = async (req, res) => {
+  try {
+    const ids =
+      req.classRole === "teacher" ? studentIds(req.classObj) : [req.user._id];
+
+    res.json({ success: true, data: await gradebookFor(req.classObj, ids) });
+  } catch (error) {
+    logger.error("Failed to fetch gradebook", error);
+    res.status(500).json({ error: { message: "Failed to fetch gradebook" } });
+  }
+};
+
+exports.getStudentGradebook = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    if (!mongoose.isValidObjectId(studentId)) {
+      return res.status(404).json({ error: { message: "Student not found" } });
+    }
+
+    const isSelf = req.user._id.equals(studentId);
+
+    if (req.classRole !== "teacher" && !isSelf) {
+      return res.status(403).json({
+        error: { message: "You can only view your own grades" },
+      });
+    }
+
+    const isStudent = studentIds(req.classObj).some((id) =>
+      id.equals(studentId),
+    );
+    if (!isStudent) {
+      return res.status(404).json({ error: { message: "Student not found" } });
+    }
+
+    const gradebook = await gradebookFor(req.classObj, [studentId]);
+
+    res.json({
+      success: true,
+      data: {
+        assignments: gradebook.assignments,
+        student: gradebook.students[0] || null,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to fetch student grades", error);
+    res.status(500).json({ error: { message: "Failed to fetch grades" } });
+  }
+};
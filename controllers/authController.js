@@ -3,6 +3,10 @@ const jwt = require("jsonwebtoken");
 const { z } = require("zod");
 const { User, Notification, ActivityLog } = require("../models");
 const logger = require("../services/logger");
+const {
+  recordActivity,
+  evaluateBadges,
+} = require("../services/gamificationService");
 const CONFIG = require("../config");
 
 const RegisterSchema = z.object({
@@ -24,6 +28,11 @@ const ForgotPasswordSchema = z.object({
   email: z.string().email(),
 });
 
+const ChangePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(8).max(100),
+});
+
 async function hashPassword(password) {
   const salt = await bcrypt.genSalt(10);
   const hash = await bcrypt.hash(password, salt);
@@ -34,10 +43,12 @@ async function verifyPassword(password, hash) {
   return await bcrypt.compare(password, hash);
 }
 
-function generateAccessToken(userId) {
-  return jwt.sign({ userId: userId, type: "access" }, CONFIG.JWT_SECRET, {
-    expiresIn: CONFIG.JWT_EXPIRE || "1h",
-  });
+function generateAccessToken(user) {
+  return jwt.sign(
+    { userId: user._id, type: "access", ver: user.tokenVersion || 0 },
+    CONFIG.JWT_SECRET,
+    { expiresIn: CONFIG.JWT_EXPIRE || "1h" },
+  );
 }
 
 function generateRefreshToken(userId) {
@@ -98,7 +109,6 @@ exports.register = async (req, res) => {
       },
       settings: {
         theme: "dark",
-        aiModel: "mistralai/mistral-7b-instruct:free",
         notifications: true,
       },
       subscription: {
@@ -107,7 +117,7 @@ exports.register = async (req, res) => {
       lastLogin: new Date(),
     });
 
-    const accessToken = generateAccessToken(user._id);
+    const accessToken = generateAccessToken(user);
     const refreshToken = generateRefreshToken(user._id);
     const refreshTokenExpiry = Date.now() + 7 * 24 * 60 * 60 * 1000; // 7 days
 
@@ -156,11 +166,9 @@ exports.register = async (req, res) => {
   } catch (error) {
     logger.error("Registration error:", error);
     if (error instanceof z.ZodError) {
-      return res
-        .status(400)
-        .json({
-          error: { message: "Validation failed", details: error.errors },
-        });
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
     }
     res.status(500).json({
       error: {
@@ -202,23 +210,12 @@ exports.login = async (req, res) => {
     user.refreshToken = newRefreshToken;
     user.refreshTokenExpiry = refreshTokenExpiry;
     user.lastLogin = new Date();
-
-    const today = new Date().setHours(0, 0, 0, 0);
-    const lastActive = user.dna.lastActiveDate
-      ? new Date(user.dna.lastActiveDate).setHours(0, 0, 0, 0)
-      : 0;
-    const daysDiff = Math.floor((today - lastActive) / (1000 * 60 * 60 * 24));
-
-    if (daysDiff === 1) {
-      user.dna.streakDays += 1;
-    } else if (daysDiff > 1) {
-      user.dna.streakDays = 1;
-    }
-
-    user.dna.lastActiveDate = new Date();
     await user.save();
 
-    const accessToken = generateAccessToken(user._id);
+    user.dna.streakDays = await recordActivity(user._id);
+    await evaluateBadges(user._id, ["login"]);
+
+    const accessToken = generateAccessToken(user);
 
     logger.info("Login successful");
 
@@ -250,11 +247,9 @@ exports.login = async (req, res) => {
   } catch (error) {
     logger.error("Login error:", error);
     if (error instanceof z.ZodError) {
-      return res
-        .status(400)
-        .json({
-          error: { message: "Validation failed", details: error.errors },
-        });
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
     }
     res.status(500).json({
       error: { message: "Login failed" },
@@ -317,6 +312,54 @@ exports.forgotPassword = async (req, res) => {
   }
 };
 
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = ChangePasswordSchema.parse(
+      req.body,
+    );
+
+    const isValid = await verifyPassword(
+      currentPassword,
+      req.user.passwordHash,
+    );
+    if (!isValid) {
+      return res.status(401).json({
+        error: { message: "Current password incorrect" },
+      });
+    }
+
+    // Revoke every token issued before the change, then issue fresh ones
+    // so this session carries on
+    const newRefreshToken = generateRefreshToken(req.user._id);
+    req.user.passwordHash = await hashPassword(newPassword);
+    req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
+    req.user.refreshToken = newRefreshToken;
+    req.user.refreshTokenExpiry = Date.now() + 7 * 24 * 60 * 60 * 1000;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      data: {
+        message: "Password updated successfully",
+        tokens: {
+          accessToken: generateAccessToken(req.user),
+          refreshToken: newRefreshToken,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Password change error:", error);
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    res.status(500).json({
+      error: { message: "Failed to change password" },
+    });
+  }
+};
+
 exports.refreshToken = async (req, res) => {
   const { refreshToken } = req.body;
 
@@ -356,7 +399,7 @@ exports.refreshToken = async (req, res) => {
     }
 
     // Generate new tokens
-    const newAccessToken = generateAccessToken(user._id);
+    const newAccessToken = generateAccessToken(user);
     const newRefreshToken = generateRefreshToken(user._id);
     const newRefreshTokenExpiry = Date.now() + 7 * 24 * 60 * 60 * 1000;
 
@@ -384,10 +427,11 @@ exports.refreshToken = async (req, res) => {
 
 exports.logout = async (req, res) => {
   try {
-    // Clear the refresh token from the database
+    // Clear the refresh token and revoke issued access tokens
     if (req.user) {
       req.user.refreshToken = null;
       req.user.refreshTokenExpiry = null;
+      req.user.tokenVersion = (req.user.tokenVersion || 0) + 1;
       await req.user.save();
     }
 
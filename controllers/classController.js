@@ -1,36 +1,123 @@
-const { Class } = require("../models");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const {
+  Class,
+  ClassPost,
+  Comment,
+  Assignment,
+  Submission,
+  Task,
+  KnowledgeNode,
+  Notification,
+} = require("../models");
 const { awardXP } = require("../services/gamificationService");
+const { syncAssignmentTasks } = require("../services/classworkService");
+const { sendNotification } = require("../services/notificationService");
 const logger = require("../services/logger");
 
+const ClassSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(500).optional(),
+  color: z.enum(["green", "blue", "purple", "orange"]).default("green"),
+});
+
+const UpdateClassSchema = ClassSchema.extend({
+  streamPermission: z.enum(["all", "teachers"]),
+}).partial();
+
+const JoinSchema = z.object({
+  inviteCode: z
+    .string()
+    .trim()
+    .min(1)
+    .max(20)
+    .transform((code) => code.toUpperCase()),
+});
+
+const InviteCodeSchema = z.object({
+  // Omit or null for a code that never expires
+  expiresInDays: z.number().int().min(1).max(365).nullish(),
+});
+
+const RoleSchema = z.object({
+  role: z.enum(["teacher", "student"]),
+});
+
+const TransferSchema = z.object({
+  userId: z.string().regex(/^[0-9a-fA-F]{24}$/),
+});
+
+// No 0/O or 1/I, so codes survive being read aloud or copied by hand
+const INVITE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_ATTEMPTS = 5;
+
 function generateInviteCode() {
-  return Math.random().toString(36).substr(2, 8).toUpperCase();
+  let code = "";
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Run a write with a fresh invite code, retrying on the rare collision with
+ * the unique index
+ * @param {Function} write - Receives the candidate code
+ * @returns {Promise<*>} Result of the successful write
+ */
+async function withUniqueInviteCode(write) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await write(generateInviteCode());
+    } catch (error) {
+      const collision = error.code === 11000 && error.keyPattern?.inviteCode;
+      if (!collision || attempt >= INVITE_CODE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+function findMember(classObj, userId) {
+  return classObj.members.find((m) => m.userId.equals(userId));
+}
+
+function isOwner(classObj, userId) {
+  return classObj.userId.equals(userId);
 }
 
 exports.createClass = async (req, res) => {
   try {
-    const { name, description, color } = req.body;
-
-    const classObj = await Class.create({
-      userId: req.user._id,
-      name,
-      description,
-      color,
-      inviteCode: generateInviteCode(),
-      members: [
-        {
-          userId: req.user._id,
-          role: "teacher",
-        },
-      ],
-    });
+    const { name, description, color } = ClassSchema.parse(req.body);
 
-    await awardXP(req.user._id, 25, "Created a class");
+    const classObj = await withUniqueInviteCode((inviteCode) =>
+      Class.create({
+        userId: req.user._id,
+        name,
+        description,
+        color,
+        inviteCode,
+        members: [
+          {
+            userId: req.user._id,
+            role: "teacher",
+          },
+        ],
+      }),
+    );
+
+    await awardXP(req.user._id, 25, "Created a class", "classCreated");
 
     res.status(201).json({
       success: true,
       data: classObj,
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Create class error:", error);
     res.status(500).json({ error: { message: "Failed to create class" } });
   }
@@ -38,9 +125,7 @@ exports.createClass = async (req, res) => {
 
 exports.getClasses = async (req, res) => {
   try {
-    const classes = await Class.find({
-      $or: [{ userId: req.user._id }, { "members.userId": req.user._id }],
-    })
+    const classes = await Class.find({ "members.userId": req.user._id })
       .sort({ createdAt: -1 })
       .populate("members.userId", "username profile.avatar")
       .lean();
@@ -54,18 +139,11 @@ exports.getClasses = async (req, res) => {
 
 exports.getClassById = async (req, res) => {
   try {
-    const classObj = await Class.findOne({
-      _id: req.params.id,
-      $or: [{ userId: req.user._id }, { "members.userId": req.user._id }],
-    })
+    const classObj = await Class.findById(req.classObj._id)
       .populate("members.userId", "username profile.avatar")
       .lean();
 
-    if (!classObj) {
-      return res.status(404).json({ error: { message: "Class not found" } });
-    }
-
-    res.json({ success: true, data: classObj });
+    res.json({ success: true, data: { ...classObj, myRole: req.classRole } });
   } catch (error) {
     logger.error("Failed to fetch class", error);
     res.status(500).json({ error: { message: "Failed to fetch class" } });
@@ -74,20 +152,20 @@ exports.getClassById = async (req, res) => {
 
 exports.updateClass = async (req, res) => {
   try {
-    const { name, description, color } = req.body;
+    const updates = UpdateClassSchema.parse(req.body);
 
-    const classObj = await Class.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user._id },
-      { name, description, color },
-      { new: true, runValidators: true },
-    );
-
-    if (!classObj) {
-      return res.status(404).json({ error: { message: "Class not found" } });
-    }
+    const classObj = await Class.findByIdAndUpdate(req.classObj._id, updates, {
+      new: true,
+      runValidators: true,
+    });
 
     res.json({ success: true, data: classObj });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Failed to update class", error);
     res.status(500).json({ error: { message: "Failed to update class" } });
   }
@@ -95,15 +173,29 @@ exports.updateClass = async (req, res) => {
 
 exports.deleteClass = async (req, res) => {
   try {
-    const result = await Class.deleteOne({
-      _id: req.params.id,
-      userId: req.user._id,
-    });
-
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ error: { message: "Class not found" } });
+    if (!isOwner(req.classObj, req.user._id)) {
+      return res.status(403).json({
+        error: { message: "Only the class owner can delete the class" },
+      });
     }
 
+    await Class.deleteOne({ _id: req.classObj._id });
+
+    await Promise.all([
+      ClassPost.deleteMany({ classId: req.params.id }),
+      Comment.deleteMany({ classId: req.params.id }),
+      Assignment.deleteMany({ classId: req.params.id }),
+      Submission.deleteMany({ classId: req.params.id }),
+      Task.deleteMany({
+        classId: req.params.id,
+        assignmentId: { $exists: true },
+      }),
+      KnowledgeNode.updateMany(
+        { classIds: req.classObj._id },
+        { $pull: { classIds: req.classObj._id } },
+      ),
+    ]);
+
     res.json({ success: true, data: { message: "Class deleted" } });
   } catch (error) {
     logger.error("Failed to delete class", error);
@@ -113,12 +205,9 @@ exports.deleteClass = async (req, res) => {
 
 exports.joinClass = async (req, res) => {
   try {
-    const { inviteCode } = req.body;
+    const { inviteCode } = JoinSchema.parse(req.body);
 
-    const classObj = await Class.findOne({
-      _id: req.params.id,
-      inviteCode,
-    });
+    const classObj = await Class.findOne({ inviteCode });
 
     if (!classObj) {
       return res
@@ -126,23 +215,263 @@ exports.joinClass = async (req, res) => {
         .json({ error: { message: "Invalid invite code" } });
     }
 
-    const alreadyMember = classObj.members.some((m) =>
-      m.userId.equals(req.user._id),
+    if (
+      classObj.inviteCodeExpiresAt &&
+      classObj.inviteCodeExpiresAt < new Date()
+    ) {
+      return res
+        .status(410)
+        .json({ error: { message: "This invite code has expired" } });
+    }
+
+    // Conditional push so a double-submitted join cannot add the user twice
+    const { modifiedCount } = await Class.updateOne(
+      { _id: classObj._id, "members.userId": { $ne: req.user._id } },
+      { $push: { members: { userId: req.user._id, role: "student" } } },
     );
-    if (alreadyMember) {
+
+    if (!modifiedCount) {
       return res.status(400).json({ error: { message: "Already a member" } });
     }
 
-    classObj.members.push({
-      userId: req.user._id,
-      role: "student",
-    });
+    // Late joiners get the class's existing assignments too
+    await syncAssignmentTasks(classObj._id, req.user._id, "student");
 
-    await classObj.save();
+    const joined = await Class.findById(classObj._id)
+      .populate("members.userId", "username profile.avatar")
+      .lean();
 
-    res.json({ success: true, data: classObj });
+    res.json({ success: true, data: joined });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Failed to join class", error);
     res.status(500).json({ error: { message: "Failed to join class" } });
   }
 };
+
+exports.regenerateInviteCode = async (req, res) => {
+  try {
+    const { expiresInDays } = InviteCodeSchema.parse(req.body);
+
+    const inviteCodeExpiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const classObj = await withUniqueInviteCode((inviteCode) =>
+      Class.findByIdAndUpdate(
+        req.classObj._id,
+        { inviteCode, inviteCodeExpiresAt },
+        { new: true },
+      ),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        inviteCode: classObj.inviteCode,
+        inviteCodeExpiresAt: classObj.inviteCodeExpiresAt,
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to regenerate invite code", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to regenerate invite code" } });
+  }
+};
+
+exports.removeMember = async (req, res) => {
+  try {
+    const classObj = req.classObj;
+    const { userId } = req.params;
+    const member = mongoose.isValidObjectId(userId)
+      ? findMember(classObj, userId)
+      : null;
+
+    if (!member) {
+      return res.status(404).json({ error: { message: "Member not found" } });
+    }
+    if (member.userId.equals(req.user._id)) {
+      return res.status(400).json({
+        error: { message: "Use the leave endpoint to leave a class" },
+      });
+    }
+    if (isOwner(classObj, userId)) {
+      return res
+        .status(403)
+        .json({ error: { message: "The class owner cannot be removed" } });
+    }
+    if (member.role === "teacher" && !isOwner(classObj, req.user._id)) {
+      return res.status(403).json({
+        error: { message: "Only the class owner can remove teachers" },
+      });
+    }
+
+    await Class.updateOne(
+      { _id: classObj._id },
+      { $pull: { members: { userId: member.userId } } },
+    );
+    await syncAssignmentTasks(classObj._id, member.userId, null);
+
+    await sendNotification(
+      member.userId,
+      {
+        type: "warning",
+        title: "Removed from class",
+        message: `You were removed from ${classObj.name}`,
+      },
+      { Notification },
+    ).catch((error) => logger.error("Failed to notify member", error));
+
+    res.json({ success: true, data: { message: "Member removed" } });
+  } catch (error) {
+    logger.error("Failed to remove member", error);
+    res.status(500).json({ error: { message: "Failed to remove member" } });
+  }
+};
+
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { role } = RoleSchema.parse(req.body);
+    const classObj = req.classObj;
+    const { userId } = req.params;
+    const member = mongoose.isValidObjectId(userId)
+      ? findMember(classObj, userId)
+      : null;
+
+    if (!member) {
+      return res.status(404).json({ error: { message: "Member not found" } });
+    }
+    if (isOwner(classObj, userId)) {
+      return res.status(403).json({
+        error: { message: "The class owner is always a teacher" },
+      });
+    }
+    // Any teacher may promote; only the owner may demote a co-teacher
+    if (member.role === "teacher" && !isOwner(classObj, req.user._id)) {
+      return res.status(403).json({
+        error: { message: "Only the class owner can change a teacher's role" },
+      });
+    }
+
+    if (member.role !== role) {
+      await Class.updateOne(
+        { _id: classObj._id, "members.userId": member.userId },
+        { $set: { "members.$.role": role } },
+      );
+      await syncAssignmentTasks(classObj._id, member.userId, role);
+
+      await sendNotification(
+        member.userId,
+        {
+          type: "info",
+          title: "Class role changed",
+          message: `You are now a ${role} in ${classObj.name}`,
+          link: `/classes/${classObj._id}`,
+        },
+        { Notification },
+      ).catch((error) => logger.error("Failed to notify member", error));
+    }
+
+    res.json({ success: true, data: { userId: member.userId, role } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to update member role", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to update member role" } });
+  }
+};
+
+exports.transferOwnership = async (req, res) => {
+  try {
+    const { userId } = TransferSchema.parse(req.body);
+    const classObj = req.classObj;
+
+    if (!isOwner(classObj, req.user._id)) {
+      return res.status(403).json({
+        error: { message: "Only the class owner can transfer ownership" },
+      });
+    }
+
+    const member = findMember(classObj, userId);
+    if (!member) {
+      return res.status(404).json({ error: { message: "Member not found" } });
+    }
+    if (member.userId.equals(req.user._id)) {
+      return res
+        .status(400)
+        .json({ error: { message: "You already own this class" } });
+    }
+
+    // The new owner becomes a teacher; the previous owner stays one
+    await Class.updateOne(
+      { _id: classObj._id, userId: req.user._id, "members.userId": userId },
+      { $set: { userId, "members.$.role": "teacher" } },
+    );
+    if (member.role !== "teacher") {
+      await syncAssignmentTasks(classObj._id, member.userId, "teacher");
+    }
+
+    await sendNotification(
+      member.userId,
+      {
+        type: "info",
+        title: "Class ownership transferred",
+        message: `You are now the owner of ${classObj.name}`,
+        link: `/classes/${classObj._id}`,
+      },
+      { Notification },
+    ).catch((error) => logger.error("Failed to notify new owner", error));
+
+    res.json({ success: true, data: { ownerId: member.userId } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to transfer ownership", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to transfer ownership" } });
+  }
+};
+
+exports.leaveClass = async (req, res) => {
+  try {
+    const classObj = req.classObj;
+
+    if (isOwner(classObj, req.user._id)) {
+      return res.status(400).json({
+        error: {
+          message: "Transfer ownership before leaving, or delete the class",
+        },
+      });
+    }
+
+    await Class.updateOne(
+      { _id: classObj._id },
+      { $pull: { members: { userId: req.user._id } } },
+    );
+    await syncAssignmentTasks(classObj._id, req.user._id, null);
+
+    res.json({ success: true, data: { message: "Left class" } });
+  } catch (error) {
+    logger.error("Failed to leave class", error);
+    res.status(500).json({ error: { message: "Failed to leave class" } });
+  }
+};
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const { KnowledgeNode, Notification } = require("../models");
+const { sendNotificationToMany } = require("../services/notificationService");
+const { PUBLIC_NODE_FIELDS } = require("../services/nodeAccess");
+const logger = require("../services/logger");
+
+const PublishSchema = z.object({
+  nodeId: z.string().regex(/^[0-9a-fA-F]{24}$/),
+});
+
+exports.getLibrary = async (req, res) => {
+  try {
+    const nodes = await KnowledgeNode.find({ classIds: req.classObj._id })
+      .sort({ createdAt: -1 })
+      .select(PUBLIC_NODE_FIELDS)
+      .populate("userId", "username")
+      .lean();
+
+    res.json({ success: true, data: { nodes } });
+  } catch (error) {
+    logger.error("Failed to fetch class library", error);
+    res.status(500).json({ error: { message: "Failed to fetch library" } });
+  }
+};
+
+exports.publishNode = async (req, res) => {
+  try {
+    const { nodeId } = PublishSchema.parse(req.body);
+    const classObj = req.classObj;
+
+    // Teachers can only publish documents they own; notes stay private
+    const node = await KnowledgeNode.findOneAndUpdate(
+      { _id: nodeId, userId: req.user._id, type: { $ne: "Note" } },
+      { $addToSet: { classIds: classObj._id } },
+      { new: true },
+    ).select(PUBLIC_NODE_FIELDS);
+
+    if (!node) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+
+    const recipients = classObj.members
+      .map((m) => m.userId)
+      .filter((userId) => !userId.equals(req.user._id));
+
+    try {
+      await sendNotificationToMany(
+        recipients,
+        {
+          type: "info",
+          title: `New material in ${classObj.name}`,
+          message: node.meta?.originalName || "A document was shared",
+          link: `/classes/${classObj._id}`,
+        },
+        { Notification },
+      );
+    } catch (error) {
+      logger.error("Failed to notify class members", error);
+    }
+
+    res.status(201).json({ success: true, data: node });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to publish to class library", error);
+    res.status(500).json({ error: { message: "Failed to publish file" } });
+  }
+};
+
+exports.unpublishNode = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.nodeId)) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+
+    // Any teacher may take material down, not only the one who shared it
+    const result = await KnowledgeNode.updateOne(
+      { _id: req.params.nodeId, classIds: req.classObj._id },
+      { $pull: { classIds: req.classObj._id } },
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+
+    res.json({ success: true, data: { message: "Removed from class" } });
+  } catch (error) {
+    logger.error("Failed to remove from class library", error);
+    res.status(500).json({ error: { message: "Failed to remove file" } });
+  }
+};
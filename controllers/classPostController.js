@@ -0,0 +1,378 @@
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const { ClassPost, Comment, Notification } = require("../models");
+const {
+  sendNotification,
+  sendNotificationToMany,
+} = require("../services/notificationService");
+const { emitToUser } = require("../services/socketService");
+const logger = require("../services/logger");
+
+const PostSchema = z.object({
+  content: z.string().trim().min(1).max(5000),
+});
+
+const PinSchema = z.object({
+  pinned: z.boolean(),
+});
+
+const CommentSchema = z.object({
+  content: z.string().trim().min(1).max(2000),
+  parentId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .nullish(),
+});
+
+const AUTHOR_FIELDS = "username profile.avatar";
+
+function preview(text, length = 100) {
+  return text.length > length ? `${text.slice(0, length)}...` : text;
+}
+
+function toPostResponse(post, userId) {
+  const { likes = [], ...rest } = post;
+  return {
+    ...rest,
+    likeCount: likes.length,
+    likedByMe: likes.some((id) => id.equals(userId)),
+  };
+}
+
+/**
+ * Nest a flat, chronologically sorted comment list into reply threads
+ * @param {Array} comments - Lean comments of one post
+ * @returns {Array} Top-level comments, each with a `replies` array
+ */
+function buildCommentTree(comments) {
+  const byId = new Map(
+    comments.map((c) => [c._id.toString(), { ...c, replies: [] }]),
+  );
+  const roots = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parentId && byId.get(comment.parentId.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  }
+
+  return roots;
+}
+
+async function findPost(req) {
+  if (!mongoose.isValidObjectId(req.params.postId)) return null;
+  return ClassPost.findOne({
+    _id: req.params.postId,
+    classId: req.classObj._id,
+  });
+}
+
+function canModerate(req, authorId) {
+  return req.classRole === "teacher" || authorId.equals(req.user._id);
+}
+
+exports.getPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const validLimit = Math.min(parseInt(limit) || 20, 50);
+    const validPage = Math.max(parseInt(page) || 1, 1);
+    const query = { classId: req.classObj._id };
+
+    const [posts, count] = await Promise.all([
+      ClassPost.find(query)
+        .sort({ pinned: -1, pinnedAt: -1, createdAt: -1 })
+        .limit(validLimit)
+        .skip((validPage - 1) * validLimit)
+        .populate("authorId", AUTHOR_FIELDS)
+        .lean(),
+      ClassPost.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        posts: posts.map((p) => toPostResponse(p, req.user._id)),
+        pagination: {
+          total: count,
+          page: validPage,
+          pages: Math.ceil(count / validLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to fetch posts", error);
+    res.status(500).json({ error: { message: "Failed to fetch posts" } });
+  }
+};
+
+exports.createPost = async (req, res) => {
+  try {
+    const { content } = PostSchema.parse(req.body);
+    const classObj = req.classObj;
+
+    if (
+      classObj.streamPermission === "teachers" &&
+      req.classRole !== "teacher"
+    ) {
+      return res.status(403).json({
+        error: { message: "Only teachers can post in this class" },
+      });
+    }
+
+    const post = await ClassPost.create({
+      classId: classObj._id,
+      authorId: req.user._id,
+      content,
+    });
+    await post.populate("authorId", AUTHOR_FIELDS);
+
+    const recipients = classObj.members
+      .map((m) => m.userId)
+      .filter((userId) => !userId.equals(req.user._id));
+
+    // The post is saved; a failed fan-out should not turn it into an error
+    try {
+      await sendNotificationToMany(
+        recipients,
+        {
+          type: "info",
+          title: `New post in ${classObj.name}`,
+          message: `${req.user.username}: ${preview(content)}`,
+          link: `/classes/${classObj._id}`,
+        },
+        { Notification },
+      );
+      recipients.forEach((userId) =>
+        emitToUser(req.app.locals.io, userId, "classPost", {
+          classId: classObj._id,
+          postId: post._id,
+        }),
+      );
+    } catch (error) {
+      logger.error("Failed to notify class members", error);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: toPostResponse(post.toObject(), req.user._id),
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to create post", error);
+    res.status(500).json({ error: { message: "Failed to create post" } });
+  }
+};
+
+exports.deletePost = async (req, res) => {
+  try {
+    const post = await findPost(req);
+
+    if (!post) {
+      return res.status(404).json({ error: { message: "Post not found" } });
+    }
+    if (!canModerate(req, post.authorId)) {
+      return res.status(403).json({
+        error: { message: "You can only delete your own posts" },
+      });
+    }
+
+    await Promise.all([
+      ClassPost.deleteOne({ _id: post._id }),
+      Comment.deleteMany({ postId: post._id }),
+    ]);
+
+    res.json({ success: true, data: { message: "Post deleted" } });
+  } catch (error) {
+    logger.error("Failed to delete post", error);
+    res.status(500).json({ error: { message: "Failed to delete post" } });
+  }
+};
+
+function setLike(liked) {
+  return async (req, res) => {
+    try {
+      const post = await findPost(req);
+
+      if (!post) {
+        return res.status(404).json({ error: { message: "Post not found" } });
+      }
+
+      const updated = await ClassPost.findByIdAndUpdate(
+        post._id,
+        liked
+          ? { $addToSet: { likes: req.user._id } }
+          : { $pull: { likes: req.user._id } },
+        { new: true },
+      ).lean();
+
+      res.json({
+        success: true,
+        data: {
+          likeCount: updated.likes.length,
+          likedByMe: liked,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to update like", error);
+      res.status(500).json({ error: { message: "Failed to update like" } });
+    }
+  };
+}
+
+exports.likePost = setLike(true);
+exports.unlikePost = setLike(false);
+
+exports.pinPost = async (req, res) => {
+  try {
+    const { pinned } = PinSchema.parse(req.body);
+
+    const post = await findPost(req);
+    if (!post) {
+      return res.status(404).json({ error: { message: "Post not found" } });
+    }
+
+    post.pinned = pinned;
+    post.pinnedAt = pinned ? new Date() : undefined;
+    await post.save();
+
+    res.json({
+      success: true,
+      data: { pinned: post.pinned, pinnedAt: post.pinnedAt },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to pin post", error);
+    res.status(500).json({ error: { message: "Failed to pin post" } });
+  }
+};
+
+exports.getComments = async (req, res) => {
+  try {
+    const post = await findPost(req);
+    if (!post) {
+      return res.status(404).json({ error: { message: "Post not found" } });
+    }
+
+    const comments = await Comment.find({ postId: post._id })
+      .sort({ createdAt: 1 })
+      .populate("authorId", AUTHOR_FIELDS)
+      .lean();
+
+    res.json({
+      success: true,
+      data: { comments: buildCommentTree(comments) },
+    });
+  } catch (error) {
+    logger.error("Failed to fetch comments", error);
+    res.status(500).json({ error: { message: "Failed to fetch comments" } });
+  }
+};
+
+exports.createComment = async (req, res) => {
+  try {
+    const { content, parentId } = CommentSchema.parse(req.body);
+
+    const post = await findPost(req);
+    if (!post) {
+      return res.status(404).json({ error: { message: "Post not found" } });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, postId: post._id });
+      if (!parent) {
+        return res
+          .status(404)
+          .json({ error: { message: "Parent comment not found" } });
+      }
+    }
+
+    const comment = await Comment.create({
+      postId: post._id,
+      classId: req.classObj._id,
+      authorId: req.user._id,
+      parentId: parent ? parent._id : null,
+      content,
+    });
+    await ClassPost.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    await comment.populate("authorId", AUTHOR_FIELDS);
+
+    // Tell the people being answered, but never the commenter themselves
+    const notify = [post.authorId, parent?.authorId].filter(
+      (userId, i, all) =>
+        userId &&
+        !userId.equals(req.user._id) &&
+        all.findIndex((other) => other && other.equals(userId)) === i,
+    );
+    for (const userId of notify) {
+      await sendNotification(
+        userId,
+        {
+          type: "info",
+          title: `New reply in ${req.classObj.name}`,
+          message: `${req.user.username}: ${preview(content)}`,
+          link: `/classes/${req.classObj._id}`,
+        },
+        { Notification },
+      ).catch((error) => logger.error("Failed to notify commenter", error));
+    }
+
+    res.status(201).json({ success: true, data: comment });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to create comment", error);
+    res.status(500).json({ error: { message: "Failed to create comment" } });
+  }
+};
+
+exports.deleteComment = async (req, res) => {
+  try {
+    const post = await findPost(req);
+    if (!post || !mongoose.isValidObjectId(req.params.commentId)) {
+      return res.status(404).json({ error: { message: "Comment not found" } });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      postId: post._id,
+      deleted: false,
+    });
+    if (!comment) {
+      return res.status(404).json({ error: { message: "Comment not found" } });
+    }
+    if (!canModerate(req, comment.authorId)) {
+      return res.status(403).json({
+        error: { message: "You can only delete your own comments" },
+      });
+    }
+
+    // Keep the node so replies stay attached to their thread
+    comment.deleted = true;
+    comment.content = "";
+    await comment.save();
+    await ClassPost.updateOne(
+      { _id: post._id },
+      { $inc: { commentCount: -1 } },
+    );
+
+    res.json({ success: true, data: { message: "Comment deleted" } });
+  } catch (error) {
+    logger.error("Failed to delete comment", error);
+    res.status(500).json({ error: { message: "Failed to delete comment" } });
+  }
+};
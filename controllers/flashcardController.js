@@ -0,0 +1,217 @@
+const { z } = require("zod");
+const { Deck, Card, ActivityLog } = require("../models");
+const { awardXP } = require("../services/gamificationService");
+const {
+  toQuality,
+  scheduleReview,
+  endOfDay,
+  isDue,
+} = require("../services/spacedRepetition");
+const {
+  flashcardEvidence,
+  recordEvidence,
+} = require("../services/masteryService");
+const logger = require("../services/logger");
+
+const ReviewSchema = z.object({
+  rating: z.union([
+    z.enum(["again", "hard", "good", "known", "easy"]),
+    z.number().int().min(0).max(5),
+  ]),
+});
+
+const objectId = z
+  .string()
+  .regex(/^[0-9a-fA-F]{24}$/)
+  .optional();
+
+const DueQuerySchema = z.object({
+  nodeId: objectId,
+  deckId: objectId,
+});
+
+const DeckQuerySchema = z.object({
+  nodeId: objectId,
+});
+
+exports.reviewCard = async (req, res) => {
+  try {
+    const { rating } = ReviewSchema.parse(req.body);
+
+    const card = await Card.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!card) {
+      return res.status(404).json({ error: { message: "Card not found" } });
+    }
+
+    const quality = toQuality(rating);
+    const previous = card.review || {};
+    const due = isDue(previous);
+
+    // Early reviews still reschedule the card but earn nothing, so repeated
+    // reviews cannot farm XP, badges or mastery. The update only applies if
+    // no other review of this card landed first.
+    const reviewed = await Card.findOneAndUpdate(
+      { _id: card._id, "review.dueDate": previous.dueDate ?? null },
+      {
+        $set: { review: scheduleReview(previous, quality) },
+        $inc: { reviewCount: 1 },
+      },
+      { new: true },
+    );
+
+    if (!reviewed) {
+      return res.status(409).json({
+        error: { message: "This card was just reviewed" },
+      });
+    }
+
+    if (due) {
+      await ActivityLog.create({
+        userId: req.user._id,
+        type: "study",
+        description: "Reviewed a flashcard",
+        metadata: { cardId: card._id, deckId: card.deckId, quality },
+      });
+
+      await awardXP(req.user._id, 1, "Reviewed a flashcard", "flashcardReview");
+
+      if (card.topic) {
+        recordEvidence(
+          req.user._id,
+          [flashcardEvidence(card.topic, quality)],
+          card.nodeId,
+        ).catch((error) => logger.error("Failed to update mastery", error));
+      }
+    }
+
+    res.json({ success: true, data: reviewed });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to review card", error);
+    res.status(500).json({ error: { message: "Failed to review card" } });
+  }
+};
+
+exports.getDueCards = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const { nodeId, deckId } = DueQuerySchema.parse(req.query);
+    const validLimit = Math.min(parseInt(limit) || 50, 200);
+
+    const query = {
+      userId: req.user._id,
+      "review.dueDate": { $lte: endOfDay() },
+    };
+    if (nodeId) query.nodeId = nodeId;
+    if (deckId) query.deckId = deckId;
+
+    const [cards, dueCount] = await Promise.all([
+      Card.find(query).sort({ "review.dueDate": 1 }).limit(validLimit).lean(),
+      Card.countDocuments(query),
+    ]);
+
+    res.json({ success: true, data: { cards, dueCount } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to fetch due cards", error);
+    res.status(500).json({ error: { message: "Failed to fetch due cards" } });
+  }
+};
+
+exports.getDecks = async (req, res) => {
+  try {
+    const { nodeId } = DeckQuerySchema.parse(req.query);
+
+    const query = { userId: req.user._id };
+    if (nodeId) query.nodeId = nodeId;
+
+    const decks = await Deck.find(query)
+      .sort({ createdAt: -1 })
+      .populate("nodeId", "meta.originalName")
+      .lean();
+
+    const dueCounts = await Card.aggregate([
+      {
+        $match: {
+          deckId: { $in: decks.map((d) => d._id) },
+          "review.dueDate": { $lte: endOfDay() },
+        },
+      },
+      { $group: { _id: "$deckId", count: { $sum: 1 } } },
+    ]);
+
+    const dueByDeck = new Map(
+      dueCounts.map((d) => [d._id.toString(), d.count]),
+    );
+    decks.forEach((deck) => {
+      deck.dueCount = dueByDeck.get(deck._id.toString()) || 0;
+    });
+
+    res.json({ success: true, data: { decks } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to fetch decks", error);
+    res.status(500).json({ error: { message: "Failed to fetch decks" } });
+  }
+};
+
+exports.getDeckById = async (req, res) => {
+  try {
+    const deck = await Deck.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).lean();
+
+    if (!deck) {
+      return res.status(404).json({ error: { message: "Deck not found" } });
+    }
+
+    const cards = await Card.find({ deckId: deck._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ success: true, data: { ...deck, cards } });
+  } catch (error) {
+    logger.error("Failed to fetch deck", error);
+    res.status(500).json({ error: { message: "Failed to fetch deck" } });
+  }
+};
+
+exports.deleteDeck = async (req, res) => {
+  try {
+    const deck = await Deck.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!deck) {
+      return res.status(404).json({ error: { message: "Deck not found" } });
+    }
+
+    await Promise.all([
+      Card.deleteMany({ deckId: deck._id }),
+      deck.deleteOne(),
+    ]);
+
+    res.json({ success: true, data: { message: "Deck deleted" } });
+  } catch (error) {
+    logger.error("Failed to delete deck", error);
+    res.status(500).json({ error: { message: "Failed to delete deck" } });
+  }
+};
@@ -1,13 +1,76 @@
 const mongoose = require("mongoose");
-const { KnowledgeNode, VectorChunk, Conversation } = require("../models");
+const {
+  VectorChunk,
+  Conversation,
+  ChatMessage,
+  Deck,
+  Card,
+  Quiz,
+  ActivityLog,
+} = require("../models");
 const { awardXP } = require("../services/gamificationService");
+const { findAccessibleNode } = require("../services/nodeAccess");
+const {
+  resolveScope,
+  withLinkedNotes,
+  searchChunks,
+  buildContext,
+} = require("../services/retrievalService");
 const logger = require("../services/logger");
 const { z } = require("zod");
+const { sanitizeInput, generateEmbedding } = require("../services/aiService");
+const { AIUnavailableError } = require("../services/resilientAIClient");
+const {
+  StructuredOutputError,
+  FlashcardOutput,
+  QuizQuestionOutput,
+  generateList,
+} = require("../services/structuredOutput");
+const {
+  MAX_BRANCHES,
+  fitPrompt,
+  findBranch,
+  createConversation,
+  loadRecentMessages,
+  appendMessages,
+  forkBranch,
+  getMessagePage,
+  summarizeConversation,
+  deleteConversations,
+} = require("../services/conversationMemory");
+const {
+  openStream,
+  findStream,
+  parseLastEventId,
+} = require("../services/chatStreams");
+const { meter } = require("../services/usageService");
+const {
+  CITATION_INSTRUCTIONS,
+  CitationTracker,
+  stripCitations,
+} = require("../services/citations");
+const {
+  MODE_NAMES,
+  defaultModeFor,
+  tutoringPrompt,
+  listModes,
+} = require("../services/tutoringModes");
+const {
+  topicCandidates,
+  resolveTopic,
+  chatEvidence,
+  chatTopics,
+  recordEvidence,
+} = require("../services/masteryService");
 const {
-  sanitizeInput,
-  generateEmbedding,
-  openai,
-} = require("../services/aiService");
+  modelChainFor,
+  contextWindowFor,
+  chatModelFor,
+  allowedModels,
+  isAllowedModel,
+} = require("../services/llmService");
+
+const CHAT_MAX_TOKENS = 1000;
 
 const FlashcardSchema = z.object({
   nodeId: z.string().regex(/^[0-9a-fA-F]{24}$/),
@@ -20,19 +83,334 @@ const QuizSchema = z.object({
   difficulty: z.enum(["easy", "medium", "hard"]).optional(),
 });
 
-const ChatSchema = z.object({
-  query: z.string().min(1).max(5000),
-  nodeId: z
+const ChatSchema = z
+  .object({
+    query: z.string().min(1).max(5000),
+    nodeId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    nodeIds: z
+      .array(z.string().regex(/^[0-9a-fA-F]{24}$/))
+      .min(1)
+      .max(50)
+      .optional(),
+    tag: z.string().trim().min(1).max(50).optional(),
+    // Limit retrieval to sections whose title contains this text
+    section: z.string().trim().min(1).max(200).optional(),
+    classId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    conversationId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    // Branch of the conversation to continue; defaults to the active one
+    branchId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/)
+      .optional(),
+    model: z
+      .string()
+      .refine(isAllowedModel, { message: "This model is not available" })
+      .optional(),
+    // Defaults to the conversation's mode, then the user's learning style
+    tutoringMode: z.enum(MODE_NAMES).optional(),
+  })
+  .refine(
+    (data) =>
+      [data.nodeId, data.nodeIds, data.tag, data.classId].filter(Boolean)
+        .length <= 1,
+    { message: "Use only one of nodeId, nodeIds, tag or classId" },
+  );
+
+const MessagePageSchema = z.object({
+  before: z.coerce.number().int().min(0).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  branchId: z
     .string()
     .regex(/^[0-9a-fA-F]{24}$/)
     .optional(),
-  conversationId: z
+});
+
+const EditMessageSchema = z.object({
+  content: z.string().min(1).max(5000),
+  section: z.string().trim().min(1).max(200).optional(),
+  model: z
     .string()
-    .regex(/^[0-9a-fA-F]{24}$/)
+    .refine(isAllowedModel, { message: "This model is not available" })
     .optional(),
-  model: z.string().optional(),
+  tutoringMode: z.enum(MODE_NAMES).optional(),
 });
 
+const RegenerateSchema = EditMessageSchema.omit({ content: true });
+
+const UpdateConversationSchema = z
+  .object({
+    title: z.string().trim().min(1).max(100).optional(),
+    tutoringMode: z.enum(MODE_NAMES).optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "Nothing to update",
+  });
+
+function setEventStreamHeaders(res) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+}
+
+/**
+ * Start a resumable SSE answer. The first event tells the client which
+ * stream to resume or cancel.
+ * @returns {ChatStream}
+ */
+function startEventStream(req, res) {
+  setEventStreamHeaders(res);
+  const stream = openStream(req.user._id);
+  res.locals.chatStream = stream;
+  stream.attach(res);
+  stream.send({ streamId: stream.id });
+  return stream;
+}
+
+// Documents a saved conversation was scoped to, resolved again
+function scopeOf(conversation) {
+  const { nodeIds, tag, classId } = conversation.scope || {};
+  if (classId) return { classId };
+  if (tag) return { tag };
+  if (nodeIds?.length) return { nodeIds: nodeIds.map(String) };
+  return conversation.nodeId ? { nodeId: String(conversation.nodeId) } : {};
+}
+
+/**
+ * Retrieve context, assemble the prompt and stream the answer as SSE
+ * content events, plus a citation event the first time each excerpt is
+ * cited. The caller saves the result and sends `done`.
+ * Generation stops when `stream` is cancelled; what was written so far is
+ * returned marked incomplete.
+ * @param {Object} options - { nodes, query, section, model, summary, history }
+ * @returns {Promise<Object|null>} Assistant message fields, or null when an
+ *   error event was sent instead
+ */
+async function streamAnswer(
+  req,
+  stream,
+  { nodes, query, section, model, tutoringMode, summary, history = [] },
+) {
+  // A persona only makes sense when talking to a single document
+  const node = nodes.length === 1 ? nodes[0] : null;
+
+  let queryEmbedding;
+  try {
+    queryEmbedding = await generateEmbedding(sanitizeInput(query));
+  } catch (embError) {
+    logger.error("❌ Embedding generation failed:", embError);
+    stream.send({ error: "Failed to process query" });
+    return null;
+  }
+
+  let context = "";
+  let citations = [];
+
+  if (nodes.length && queryEmbedding) {
+    try {
+      const sources = await withLinkedNotes(req.user._id, nodes);
+      const relevantChunks = await searchChunks(queryEmbedding, sources, {
+        query: sanitizeInput(query),
+        section,
+      });
+      ({ context, citations } = buildContext(relevantChunks, sources));
+    } catch (vectorError) {
+      logger.error("❌ Vector search failed:", vectorError);
+    }
+  }
+
+  const system = [];
+
+  if (node?.persona?.personalityPrompt) {
+    system.push({
+      role: "system",
+      content: `You are ${node.persona.generatedName}. ${node.persona.personalityPrompt}\n\nSpeak in a ${node.persona.tone} tone. Base your answers ONLY on the provided context. If the context doesn't contain the answer, say so.`,
+    });
+  } else {
+    system.push({
+      role: "system",
+      content: `You are a helpful AI tutor. Answer questions clearly and concisely. If you don't know something, say so.`,
+    });
+  }
+
+  system.push({ role: "system", content: tutoringPrompt(tutoringMode) });
+
+  if (context) {
+    system.push({
+      role: "system",
+      content: `Context from ${nodes.length > 1 ? "the documents" : "the document"} (each excerpt is labelled with its number and source). ${CITATION_INSTRUCTIONS}\n\n${context}`,
+    });
+  }
+
+  // Fit the prompt to the smallest window among the models we may use
+  const models = modelChainFor("chat", chatModelFor(model, req.user));
+  const budget = Math.min(...models.map(contextWindowFor)) - CHAT_MAX_TOKENS;
+  // Earlier answers cite excerpts that are numbered differently now
+  const { messages, omitted } = fitPrompt(
+    {
+      system,
+      summary,
+      history: history.map((m) =>
+        m.role === "assistant"
+          ? { ...m, content: stripCitations(m.content) }
+          : m,
+      ),
+      query,
+    },
+    budget,
+  );
+  if (omitted > 0) {
+    logger.info(`✂️ Left ${omitted} older message(s) out of the prompt`);
+  }
+
+  logger.info("🤖 Calling AI model...");
+
+  let completion = null;
+  try {
+    const ai = meter(req.app.locals.ai, {
+      userId: req.user._id,
+      feature: "chat",
+    });
+    completion = await ai.chat.completions.create(
+      {
+        models,
+        messages,
+        temperature: 0.7,
+        max_tokens: CHAT_MAX_TOKENS,
+        stream: true,
+      },
+      { signal: stream.signal },
+    );
+  } catch (apiError) {
+    if (!stream.cancelled) {
+      logger.error("❌ AI API error:", apiError);
+      stream.send({
+        error: "AI service unavailable. Please try again later.",
+        details: apiError.message,
+      });
+      return null;
+    }
+  }
+
+  let fullResponse = "";
+  let broken = false;
+  const tracker = new CitationTracker(citations);
+  // Citations go first so the client can link the markers in the text
+  const send = ({ text, cited }) => {
+    for (const number of cited) {
+      stream.send({ citation: citations[number - 1] });
+    }
+    if (text) {
+      fullResponse += text;
+      stream.send({ content: text });
+    }
+  };
+
+  try {
+    for await (const chunk of completion || []) {
+      if (stream.cancelled) break;
+      const content = chunk.choices[0]?.delta?.content || "";
+      if (content) send(tracker.push(content));
+    }
+  } catch (streamError) {
+    broken = !stream.cancelled;
+    if (broken) logger.error("❌ Stream error:", streamError);
+  }
+  send(tracker.flush());
+  if (stream.cancelled) {
+    logger.info(`⏹️ Answer stopped after ${fullResponse.length} characters`);
+  }
+
+  return {
+    role: "assistant",
+    content: fullResponse,
+    citations: citations.map((c) => ({
+      ...c,
+      cited: tracker.cited.includes(c.number),
+    })),
+    // Model that answered and the ones that failed before it
+    model: completion?.model,
+    modelFailures: (completion?.attempts || []).map((a) => ({
+      model: a.model,
+      error: a.error,
+    })),
+    incomplete: broken || stream.cancelled,
+  };
+}
+
+function sendDone(stream, conversation, branch, reply) {
+  stream.send({
+    done: true,
+    conversationId: conversation._id,
+    branchId: branch._id,
+    citations: reply.citations,
+    model: reply.model,
+    modelFailures: reply.modelFailures,
+    incomplete: reply.incomplete,
+    tutoringMode: conversation.tutoringMode,
+  });
+}
+
+// Background work after an answer was saved
+function afterAnswer(req, conversation, branch, nodes, query, reply) {
+  summarizeConversation(
+    meter(req.app.locals.ai, { userId: req.user._id, feature: "summary" }),
+    conversation._id,
+    branch._id,
+    modelChainFor("summary"),
+  ).catch((error) => logger.error("❌ Conversation summary failed:", error));
+
+  // Logged before the award so the question badge counts this one
+  ActivityLog.create({
+    userId: req.user._id,
+    type: "chat",
+    description: "Chat with AI",
+    metadata: {
+      nodeId: nodes.length === 1 ? nodes[0]._id : undefined,
+      nodeIds: nodes.map((n) => n._id),
+      query: query.substring(0, 100),
+    },
+  })
+    .then(() => awardXP(req.user._id, 2, "Asked a question", "question"))
+    .catch(console.error);
+
+  const single = nodes.length === 1 ? nodes[0] : null;
+  recordEvidence(
+    req.user._id,
+    chatTopics(reply.citations || [], single?.tags).map(chatEvidence),
+    single?._id,
+  ).catch((error) => logger.error("❌ Mastery update failed:", error));
+}
+
+function handleChatError(res, error) {
+  if (error instanceof z.ZodError && !res.headersSent) {
+    return res.status(400).json({
+      error: { message: "Validation failed", details: error.errors },
+    });
+  }
+  logger.error("❌ Chat stream error:", error);
+  if (!res.headersSent) {
+    res.status(500).json({
+      error: {
+        message: "Chat failed",
+        details: error.message,
+      },
+    });
+  } else {
+    const stream = res.locals.chatStream;
+    stream.send({ error: "An error occurred", details: error.message });
+    stream.finish();
+  }
+}
+
 exports.streamChat = async (req, res) => {
   try {
     if (!req.body.query) {
@@ -40,227 +418,328 @@ exports.streamChat = async (req, res) => {
     }
 
     const validated = ChatSchema.parse(req.body);
-    const { query, nodeId, conversationId, model } = validated;
+    const {
+      query,
+      nodeId,
+      nodeIds,
+      tag,
+      classId,
+      section,
+      conversationId,
+      branchId,
+      model,
+    } = validated;
+    let { tutoringMode } = validated;
 
     logger.info("💬 Chat request:", {
       query: query.substring(0, 50),
       nodeId,
+      nodeIds,
+      tag,
+      classId,
       conversationId,
     });
 
-    let node = null;
-    if (nodeId) {
-      node = await KnowledgeNode.findOne({
-        _id: nodeId,
+    let conversation = null;
+    let branch = null;
+    if (conversationId) {
+      conversation = await Conversation.findOne({
+        _id: conversationId,
         userId: req.user._id,
-        status: "INDEXED",
       });
-
-      if (!node) {
+      if (!conversation) {
         return res
           .status(404)
-          .json({ error: { message: "Document not found or not ready" } });
+          .json({ error: { message: "Conversation not found" } });
+      }
+      branch = findBranch(conversation, branchId);
+      if (!branch) {
+        return res.status(404).json({ error: { message: "Branch not found" } });
       }
     }
 
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache");
-    res.setHeader("Connection", "keep-alive");
+    // Follow-ups that name no scope keep the conversation's documents
+    const requested = { nodeId, nodeIds, tag, classId };
+    const hasScope = Object.values(requested).some(Boolean);
+    const nodes = await resolveScope(
+      req.user._id,
+      hasScope || !conversation ? requested : scopeOf(conversation),
+    );
 
-    let queryEmbedding;
-    try {
-      queryEmbedding = await generateEmbedding(sanitizeInput(query));
-    } catch (embError) {
-      logger.error("❌ Embedding generation failed:", embError);
-      res.write(
-        `data: ${JSON.stringify({ error: "Failed to process query" })}\n\n`,
-      );
-      res.end();
-      return;
+    if (!nodes) {
+      return res
+        .status(404)
+        .json({ error: { message: "Document not found or not ready" } });
     }
 
-    let context = "";
-    let citations = [];
+    tutoringMode ||= conversation?.tutoringMode || defaultModeFor(req.user);
+
+    const stream = startEventStream(req, res);
 
-    if (nodeId && queryEmbedding) {
+    let history = { messages: [] };
+    if (conversation) {
       try {
-        const relevantChunks = await VectorChunk.aggregate([
-          {
-            $vectorSearch: {
-              index: "vector_index",
-              path: "embedding",
-              queryVector: queryEmbedding,
-              numCandidates: 100,
-              limit: 5,
-              filter: { nodeId: new mongoose.Types.ObjectId(nodeId) },
-            },
-          },
-          {
-            $project: {
-              content: 1,
-              location: 1,
-              score: { $meta: "vectorSearchScore" },
-            },
-          },
-        ]);
-
-        context = relevantChunks.map((c) => c.content).join("\n\n");
-        citations = relevantChunks.map((c) => ({
-          chunkId: c._id,
-          pageNumber: c.location.pageNumber,
-          content: c.content.substring(0, 200),
-        }));
-      } catch (vectorError) {
-        logger.error("❌ Vector search failed:", vectorError);
+        history = await loadRecentMessages(conversation, branch);
+      } catch (convError) {
+        logger.error("❌ Failed to load conversation:", convError);
       }
     }
 
-    const messages = [];
-
-    if (node?.persona?.personalityPrompt) {
-      messages.push({
-        role: "system",
-        content: `You are ${node.persona.generatedName}. ${node.persona.personalityPrompt}\n\nSpeak in a ${node.persona.tone} tone. Base your answers ONLY on the provided context. If the context doesn't contain the answer, say so.`,
-      });
-    } else {
-      messages.push({
-        role: "system",
-        content: `You are a helpful AI tutor. Answer questions clearly and concisely. If you don't know something, say so.`,
-      });
-    }
-
-    if (context) {
-      messages.push({
-        role: "system",
-        content: `Context from the document:\n\n${context}`,
-      });
-    }
+    const reply = await streamAnswer(req, stream, {
+      nodes,
+      query,
+      section,
+      model,
+      tutoringMode,
+      summary: history.summary,
+      history: history.messages,
+    });
+    if (!reply) return stream.finish();
 
-    if (conversationId) {
-      try {
-        const conversation = await Conversation.findOne({
-          _id: conversationId,
+    try {
+      if (!conversation) {
+        conversation = await createConversation({
           userId: req.user._id,
+          nodeId: nodes.length === 1 ? nodes[0]._id : null,
+          scope: {
+            nodeIds: nodes.map((n) => n._id),
+            tag: tag || null,
+            classId: classId || null,
+          },
+          title: query.substring(0, 50),
+          tutoringMode,
         });
-
-        if (conversation) {
-          const recentMessages = conversation.messages.slice(-10);
-          messages.push(
-            ...recentMessages.map((m) => ({
-              role: m.role,
-              content: m.content,
-            })),
+        branch = findBranch(conversation);
+      } else {
+        // Continuing an older branch makes it the one shown by default
+        const updates = {};
+        if (String(branch._id) !== String(conversation.activeBranchId)) {
+          updates.activeBranchId = branch._id;
+        }
+        if (tutoringMode !== conversation.tutoringMode) {
+          updates.tutoringMode = conversation.tutoringMode = tutoringMode;
+        }
+        if (Object.keys(updates).length) {
+          await Conversation.updateOne(
+            { _id: conversation._id },
+            { $set: updates },
           );
         }
-      } catch (convError) {
-        logger.error("❌ Failed to load conversation:", convError);
       }
+      await appendMessages(conversation, branch._id, [
+        { role: "user", content: query },
+        reply,
+      ]);
+
+      sendDone(stream, conversation, branch, reply);
+    } catch (saveError) {
+      logger.error("❌ Failed to save conversation:", saveError);
+      stream.send({ done: true });
     }
 
-    messages.push({ role: "user", content: query });
+    stream.finish();
 
-    logger.info("🤖 Calling OpenRouter API...");
+    afterAnswer(req, conversation, branch, nodes, query, reply);
+  } catch (error) {
+    handleChatError(res, error);
+  }
+};
 
-    let stream;
-    try {
-      stream = await openai.chat.completions.create({
-        model:
-          model ||
-          req.user.settings.aiModel ||
-          "mistralai/mistral-7b-instruct:free",
-        messages,
-        temperature: 0.7,
-        max_tokens: 1000,
-        stream: true,
-      });
-    } catch (apiError) {
-      logger.error("❌ OpenRouter API error:", apiError);
-      res.write(`data: ${JSON.stringify({
-        error: "AI service unavailable. Please try again later.",
-        details: apiError.message,
-      })}
+/**
+ * Shared by edit and regenerate: answer `query` with the history before
+ * `historyDepth`, then fork a branch keeping `keepDepth` messages and save
+ * `prefix` plus the answer on it
+ */
+async function answerOnNewBranch(
+  req,
+  res,
+  { conversation, message, query, historyDepth, keepDepth, prefix, options },
+) {
+  if (conversation.branches.length >= MAX_BRANCHES) {
+    return res.status(400).json({
+      error: { message: "This conversation has too many branches" },
+    });
+  }
 
-`);
-      res.end();
-      return;
-    }
+  const nodes = await resolveScope(req.user._id, scopeOf(conversation));
+  if (!nodes) {
+    return res
+      .status(404)
+      .json({ error: { message: "Document not found or not ready" } });
+  }
 
-    let fullResponse = "";
+  // Fork from the branch being viewed when it contains the message
+  const source =
+    message.branchIds.find(
+      (id) => String(id) === String(conversation.activeBranchId),
+    ) || message.branchIds[0];
+  const sourceBranch = findBranch(conversation, source);
+  const tutoringMode =
+    options.tutoringMode ||
+    conversation.tutoringMode ||
+    defaultModeFor(req.user);
 
-    try {
-      for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || "";
-        if (content) {
-          fullResponse += content;
-          res.write(`data: ${JSON.stringify({ content })}\n\n`);
-        }
-      }
-    } catch (streamError) {
-      logger.error("❌ Stream error:", streamError);
+  const stream = startEventStream(req, res);
+
+  const history = await loadRecentMessages(
+    conversation,
+    sourceBranch,
+    historyDepth,
+  );
+  const reply = await streamAnswer(req, stream, {
+    nodes,
+    query,
+    section: options.section,
+    model: options.model,
+    tutoringMode,
+    summary: history.summary,
+    history: history.messages,
+  });
+  if (!reply) return stream.finish();
+
+  try {
+    const branch = await forkBranch(conversation, sourceBranch._id, keepDepth);
+    await appendMessages(conversation, branch._id, [...prefix, reply]);
+    if (tutoringMode !== conversation.tutoringMode) {
+      conversation.tutoringMode = tutoringMode;
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { tutoringMode } },
+      );
     }
+    sendDone(stream, conversation, branch, reply);
+    stream.finish();
+    afterAnswer(req, conversation, branch, nodes, query, reply);
+  } catch (saveError) {
+    logger.error("❌ Failed to save branch:", saveError);
+    stream.send({ done: true });
+    stream.finish();
+  }
+}
 
-    try {
-      let conversation;
-      if (conversationId) {
-        conversation = await Conversation.findOneAndUpdate(
-          { _id: conversationId, userId: req.user._id },
-          {
-            $push: {
-              messages: [
-                { role: "user", content: query },
-                { role: "assistant", content: fullResponse, citations },
-              ],
-            },
-            updatedAt: Date.now(),
-          },
-          { new: true },
-        );
-      } else {
-        conversation = await Conversation.create({
-          userId: req.user._id,
-          nodeId: nodeId || null,
-          title: query.substring(0, 50),
-          messages: [
-            { role: "user", content: query },
-            { role: "assistant", content: fullResponse, citations },
-          ],
-        });
-      }
+// Conversation and message named in the URL, or a 404 response
+async function findMessage(req, res) {
+  const conversation = await Conversation.findOne({
+    _id: req.params.id,
+    userId: req.user._id,
+  });
+  if (!conversation) {
+    res.status(404).json({ error: { message: "Conversation not found" } });
+    return {};
+  }
 
-      res.write(`data: ${JSON.stringify({
-        done: true,
-        conversationId: conversation._id,
-        citations,
-      })}
+  const message = await ChatMessage.findOne({
+    _id: req.params.messageId,
+    conversationId: conversation._id,
+  }).lean();
+  if (!message) {
+    res.status(404).json({ error: { message: "Message not found" } });
+    return {};
+  }
+  return { conversation, message };
+}
 
-`);
-    } catch (saveError) {
-      logger.error("❌ Failed to save conversation:", saveError);
-      res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
-    }
+exports.editMessage = async (req, res) => {
+  try {
+    const { content, ...options } = EditMessageSchema.parse(req.body);
 
-    res.end();
+    const { conversation, message } = await findMessage(req, res);
+    if (!message) return;
+    if (message.role !== "user") {
+      return res
+        .status(400)
+        .json({ error: { message: "Only questions can be edited" } });
+    }
 
-    awardXP(req.user._id, 2, "Asked a question").catch(console.error);
+    // The edited question replaces the original on a new branch
+    await answerOnNewBranch(req, res, {
+      conversation,
+      message,
+      query: content,
+      historyDepth: message.depth,
+      keepDepth: message.depth,
+      prefix: [{ role: "user", content }],
+      options,
+    });
   } catch (error) {
-    logger.error("❌ Chat stream error:", error);
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: {
-          message: "Chat failed",
-          details: error.message,
-        },
-      });
-    } else {
-      res.write(`data: ${JSON.stringify({
-        error: "An error occurred",
-        details: error.message,
-      })}
+    handleChatError(res, error);
+  }
+};
 
-`);
-      res.end();
+exports.regenerateMessage = async (req, res) => {
+  try {
+    const options = RegenerateSchema.parse(req.body);
+
+    const { conversation, message } = await findMessage(req, res);
+    if (!message) return;
+    const question =
+      message.role === "assistant" &&
+      (await ChatMessage.findById(message.parentId).lean());
+    if (question?.role !== "user") {
+      return res
+        .status(400)
+        .json({ error: { message: "Only answers can be regenerated" } });
     }
+
+    // The new answer sits beside the old one, after the same question
+    await answerOnNewBranch(req, res, {
+      conversation,
+      message,
+      query: question.content,
+      historyDepth: question.depth,
+      keepDepth: message.depth,
+      prefix: [],
+      options,
+    });
+  } catch (error) {
+    handleChatError(res, error);
+  }
+};
+
+// Replay a chat answer after `Last-Event-ID` and follow it to the end
+exports.resumeStream = async (req, res) => {
+  const stream = findStream(req.params.streamId, req.user._id);
+  if (!stream) {
+    return res
+      .status(404)
+      .json({ error: { message: "Stream not found or expired" } });
+  }
+
+  setEventStreamHeaders(res);
+  stream.attach(res, parseLastEventId(req.get("Last-Event-ID"), stream.id));
+};
+
+// Stop generating; the partial answer is saved marked incomplete
+exports.cancelStream = async (req, res) => {
+  const stream = findStream(req.params.streamId, req.user._id);
+  if (!stream) {
+    return res
+      .status(404)
+      .json({ error: { message: "Stream not found or expired" } });
   }
+
+  const cancelled = !stream.finished;
+  stream.cancel();
+  res.json({ success: true, data: { cancelled } });
+};
+
+exports.getTutoringModes = async (req, res) => {
+  res.json({
+    success: true,
+    data: { modes: listModes(), default: defaultModeFor(req.user) },
+  });
+};
+
+exports.getModels = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      models: allowedModels(),
+      default: chatModelFor(null, req.user),
+      // Per-model failure counts and open circuits, when the client tracks them
+      status: req.app.locals.ai.status?.() || {},
+    },
+  });
 };
 
 exports.getConversations = async (req, res) => {
@@ -275,15 +754,11 @@ exports.getConversations = async (req, res) => {
       .sort({ updatedAt: -1 })
       .limit(validLimit)
       .skip((parseInt(page) - 1) * validLimit)
-      .select("title nodeId createdAt updatedAt messages")
+      .select(
+        "title nodeId tutoringMode createdAt updatedAt messageCount lastMessage",
+      )
       .lean();
 
-    conversations.forEach((conv) => {
-      conv.messageCount = conv.messages?.length || 0;
-      conv.lastMessage = conv.messages?.[conv.messages.length - 1];
-      delete conv.messages;
-    });
-
     const count = await Conversation.countDocuments(query);
 
     res.json({
@@ -307,10 +782,14 @@ exports.getConversations = async (req, res) => {
 
 exports.getConversationById = async (req, res) => {
   try {
+    const { before, limit, branchId } = MessagePageSchema.parse(req.query);
+
     const conversation = await Conversation.findOne({
       _id: req.params.id,
       userId: req.user._id,
-    }).populate("nodeId", "meta.originalName persona");
+    })
+      .populate("nodeId", "meta.originalName persona")
+      .lean();
 
     if (!conversation) {
       return res
@@ -318,8 +797,33 @@ exports.getConversationById = async (req, res) => {
         .json({ error: { message: "Conversation not found" } });
     }
 
-    res.json({ success: true, data: conversation });
+    const branch = findBranch(conversation, branchId);
+    if (!branch) {
+      return res.status(404).json({ error: { message: "Branch not found" } });
+    }
+
+    // Latest page of the branch; pass ?before=<depth> for older messages
+    const { messages, hasMore } = await getMessagePage(
+      conversation._id,
+      branch._id,
+      { before, limit },
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...conversation,
+        branchId: branch._id,
+        messages,
+        hasMoreMessages: hasMore,
+      },
+    });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Failed to fetch conversation", error);
     res
       .status(500)
@@ -327,9 +831,39 @@ exports.getConversationById = async (req, res) => {
   }
 };
 
+exports.updateConversation = async (req, res) => {
+  try {
+    const updates = UpdateConversationSchema.parse(req.body);
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { new: true },
+    ).select("title nodeId tutoringMode createdAt updatedAt");
+
+    if (!conversation) {
+      return res
+        .status(404)
+        .json({ error: { message: "Conversation not found" } });
+    }
+
+    res.json({ success: true, data: { conversation } });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to update conversation", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to update conversation" } });
+  }
+};
+
 exports.deleteConversation = async (req, res) => {
   try {
-    const result = await Conversation.deleteOne({
+    const result = await deleteConversations({
       _id: req.params.id,
       userId: req.user._id,
     });
@@ -349,14 +883,46 @@ exports.deleteConversation = async (req, res) => {
   }
 };
 
+const questionKey = (item) => item.question.toLowerCase();
+
+// Prompt line keeping top-up requests from repeating accepted questions
+function avoidRepeats(existing) {
+  if (existing.length === 0) return "";
+  return `\n Do not repeat these questions:\n${existing.map((item) => ` - ${item.question}`).join("\n")}\n`;
+}
+
+// Prompt line steering item topics toward the document's own topics
+function topicHint(candidates) {
+  if (candidates.length === 0) return "";
+  return `\n When one of these topics fits, use it as the topic: ${candidates.join("; ")}\n`;
+}
+
+/**
+ * 503 when no model answered, 502 when the answers were unusable
+ * @returns {boolean} Whether a response was sent
+ */
+function handleGenerationError(res, error) {
+  if (error instanceof AIUnavailableError) {
+    res.status(503).json({
+      error: { message: "AI service unavailable. Please try again later." },
+    });
+    return true;
+  }
+  if (error instanceof StructuredOutputError) {
+    res.status(502).json({
+      error: { message: "The AI returned unusable output. Please try again." },
+    });
+    return true;
+  }
+  return false;
+}
+
 exports.generateFlashcards = async (req, res) => {
   try {
     const validated = FlashcardSchema.parse(req.body);
     const { nodeId, count } = validated;
 
-    const node = await KnowledgeNode.findOne({
-      _id: nodeId,
-      userId: req.user._id,
+    const node = await findAccessibleNode(nodeId, req.user._id, {
       status: "INDEXED",
     });
 
@@ -370,31 +936,61 @@ exports.generateFlashcards = async (req, res) => {
     ]);
 
     const context = chunks.map((c) => c.content).join("\n\n");
+    const topics = topicCandidates(
+      node,
+      chunks.map((c) => c.metadata?.sectionPath),
+    );
 
-    const prompt = `Based on this text, generate ${count} flashcards for studying. Each flashcard should have a question and answer.
+    function prompt(missing, existing) {
+      return `Based on this text, generate ${missing} flashcards for studying. Each flashcard should have a question and answer.
  
  Text:
  ${context}
- 
- Return a JSON array of objects with "question" and "answer" fields. Make questions challenging but answerable from the text. Return ONLY valid JSON array, no markdown.`;
+ ${avoidRepeats(existing)}${topicHint(topics)}
+ Return a JSON array of objects with "question", "answer" and "topic" (short name of the concept the card tests) fields. Make questions challenging but answerable from the text. Return ONLY valid JSON array, no markdown.`;
+    }
 
-    const response = await openai.chat.completions.create({
-      model: "mistralai/mistral-7b-instruct:free",
-      messages: [{ role: "user", content: prompt }],
+    const ai = meter(req.app.locals.ai, {
+      userId: req.user._id,
+      feature: "flashcards",
+    });
+    const { items: generated, model } = await generateList(ai, {
+      models: modelChainFor("flashcards"),
+      itemSchema: FlashcardOutput,
+      count,
+      prompt,
+      key: questionKey,
       temperature: 0.8,
       max_tokens: 1500,
     });
 
-    const flashcardsText = response.choices[0].message.content;
-    const flashcards = JSON.parse(
-      flashcardsText.replace(/```json|```/g, "").trim(),
+    const deck = await Deck.create({
+      userId: req.user._id,
+      nodeId,
+      title: node.meta?.originalName,
+      cardCount: generated.length,
+    });
+
+    const flashcards = await Card.insertMany(
+      generated.map((c) => ({
+        deckId: deck._id,
+        userId: req.user._id,
+        nodeId,
+        question: c.question,
+        answer: c.answer,
+        topic: resolveTopic(c.topic, topics, node.tags?.[0]),
+      })),
     );
 
     await awardXP(req.user._id, 10, "Generated flashcards");
 
-    res.json({ success: true, data: { flashcards } });
+    res.json({
+      success: true,
+      data: { deck, flashcards, model },
+    });
   } catch (error) {
     logger.error("Flashcard generation error:", error);
+    if (handleGenerationError(res, error)) return;
     res
       .status(500)
       .json({ error: { message: "Failed to generate flashcards" } });
@@ -406,9 +1002,7 @@ exports.generateQuiz = async (req, res) => {
     const validated = QuizSchema.parse(req.body);
     const { nodeId, count, difficulty } = validated;
 
-    const node = await KnowledgeNode.findOne({
-      _id: nodeId,
-      userId: req.user._id,
+    const node = await findAccessibleNode(nodeId, req.user._id, {
       status: "INDEXED",
     });
 
@@ -422,35 +1016,66 @@ exports.generateQuiz = async (req, res) => {
     ]);
 
     const context = chunks.map((c) => c.content).join("\n\n");
+    const topics = topicCandidates(
+      node,
+      chunks.map((c) => c.metadata?.sectionPath),
+    );
 
-    const prompt = `Generate ${count} multiple-choice quiz questions based on this text. Difficulty: ${difficulty || "medium"}
+    function prompt(missing, existing) {
+      return `Generate ${missing} multiple-choice quiz questions based on this text. Difficulty: ${difficulty || "medium"}
  
  Text:
  ${context}
- 
+ ${avoidRepeats(existing)}${topicHint(topics)}
  Return a JSON array where each object has:
  - question: string
  - options: array of 4 strings (A, B, C, D)
  - correctAnswer: string (A, B, C, or D)
  - explanation: string
+ - topic: string (short name of the concept being tested)
  
  Return ONLY valid JSON array.`;
+    }
 
-    const response = await openai.chat.completions.create({
-      model: "mistralai/mistral-7b-instruct:free",
-      messages: [{ role: "user", content: prompt }],
+    const ai = meter(req.app.locals.ai, {
+      userId: req.user._id,
+      feature: "quiz",
+    });
+    const { items: generated, model } = await generateList(ai, {
+      models: modelChainFor("quiz"),
+      itemSchema: QuizQuestionOutput,
+      count,
+      prompt,
+      key: questionKey,
       temperature: 0.8,
       max_tokens: 2000,
     });
 
-    const quizText = response.choices[0].message.content;
-    const questions = JSON.parse(quizText.replace(/```json|```/g, "").trim());
+    const quiz = await Quiz.create({
+      userId: req.user._id,
+      nodeId,
+      difficulty: difficulty || "medium",
+      questions: generated.map((q) => ({
+        ...q,
+        topic: resolveTopic(q.topic, topics, node.tags?.[0]),
+      })),
+    });
 
-    await awardXP(req.user._id, 15, "Generated quiz");
+    // Answers stay on the server until the attempt is graded
+    const questions = quiz.questions.map((q) => ({
+      _id: q._id,
+      question: q.question,
+      options: q.options,
+      topic: q.topic,
+    }));
 
-    res.json({ success: true, data: { questions } });
+    res.json({
+      success: true,
+      data: { quizId: quiz._id, questions, model },
+    });
   } catch (error) {
     logger.error("Quiz generation error:", error);
+    if (handleGenerationError(res, error)) return;
     res.status(500).json({ error: { message: "Failed to generate quiz" } });
   }
 };
@@ -1,21 +1,42 @@
-const { Note } = require("../models");
+const { z } = require("zod");
+const { Note, KnowledgeNode } = require("../models");
+const {
+  scheduleNoteIndexing,
+  removeNoteIndex,
+} = require("../services/noteIndexing");
 const logger = require("../services/logger");
 
+const NoteSchema = z.object({
+  title: z.string().min(1).max(200),
+  content: z.string().max(50000).optional(),
+  tags: z.array(z.string()).max(10).optional(),
+  classId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+  nodeId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+});
+
 exports.createNote = async (req, res) => {
   try {
-    const { title, content, tags, classId, nodeId } = req.body;
+    const validated = NoteSchema.parse(req.body);
 
     const note = await Note.create({
       userId: req.user._id,
-      title,
-      content,
-      tags,
-      classId,
-      nodeId,
+      ...validated,
     });
+    scheduleNoteIndexing(note._id);
 
     res.status(201).json({ success: true, data: note });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Create note error:", error);
     res.status(500).json({ error: { message: "Failed to create note" } });
   }
@@ -37,6 +58,23 @@ exports.getNotes = async (req, res) => {
 
     const notes = await Note.find(query).sort({ updatedAt: -1 }).lean();
 
+    // The indexed node is what chat takes in nodeIds to search a note
+    const indexes = await KnowledgeNode.find({
+      userId: req.user._id,
+      "note.noteId": { $in: notes.map((n) => n._id) },
+    })
+      .select("status note.noteId")
+      .lean();
+    const byNote = new Map(
+      indexes.map((i) => [
+        i.note.noteId.toString(),
+        { nodeId: i._id, status: i.status },
+      ]),
+    );
+    notes.forEach((note) => {
+      note.index = byNote.get(note._id.toString()) || null;
+    });
+
     res.json({ success: true, data: { notes } });
   } catch (error) {
     logger.error("Failed to fetch notes", error);
@@ -46,7 +84,10 @@ exports.getNotes = async (req, res) => {
 
 exports.updateNote = async (req, res) => {
   try {
-    const updates = { ...req.body, updatedAt: Date.now() };
+    const updates = {
+      ...NoteSchema.partial().parse(req.body),
+      updatedAt: Date.now(),
+    };
 
     const note = await Note.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
@@ -57,9 +98,15 @@ exports.updateNote = async (req, res) => {
     if (!note) {
       return res.status(404).json({ error: { message: "Note not found" } });
     }
+    scheduleNoteIndexing(note._id);
 
     res.json({ success: true, data: note });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Failed to update note", error);
     res.status(500).json({ error: { message: "Failed to update note" } });
   }
@@ -75,6 +122,9 @@ exports.deleteNote = async (req, res) => {
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: { message: "Note not found" } });
     }
+    removeNoteIndex(req.params.id).catch((error) =>
+      logger.error("Failed to remove note index", error),
+    );
 
     res.json({ success: true, data: { message: "Note deleted" } });
   } catch (error) {
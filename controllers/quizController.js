@@ -0,0 +1,199 @@
+const { z } = require("zod");
+const { Quiz, QuizAttempt, ActivityLog } = require("../models");
+const { awardXP } = require("../services/gamificationService");
+const { gradeAttempt, xpForScore } = require("../services/quizService");
+const { quizEvidence, recordEvidence } = require("../services/masteryService");
+const logger = require("../services/logger");
+
+const SubmitSchema = z.object({
+  answers: z
+    .array(
+      z.object({
+        questionId: z.string().regex(/^[0-9a-fA-F]{24}$/),
+        answer: z.string().min(1).max(10),
+      }),
+    )
+    .max(50),
+});
+
+exports.getQuizById = async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+      .select("-questions.correctAnswer -questions.explanation")
+      .lean();
+
+    if (!quiz) {
+      return res.status(404).json({ error: { message: "Quiz not found" } });
+    }
+
+    res.json({ success: true, data: quiz });
+  } catch (error) {
+    logger.error("Failed to fetch quiz", error);
+    res.status(500).json({ error: { message: "Failed to fetch quiz" } });
+  }
+};
+
+exports.submitQuiz = async (req, res) => {
+  try {
+    const { answers } = SubmitSchema.parse(req.body);
+
+    // Grading reveals the answers, so each quiz is graded once. Claiming it
+    // atomically also stops concurrent submissions.
+    const quiz = await Quiz.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, submittedAt: null },
+      { $set: { submittedAt: new Date() } },
+      { new: true },
+    ).lean();
+
+    if (!quiz) {
+      const submitted = await Quiz.exists({
+        _id: req.params.id,
+        userId: req.user._id,
+      });
+      if (!submitted) {
+        return res.status(404).json({ error: { message: "Quiz not found" } });
+      }
+      const previous = await QuizAttempt.findOne({ quizId: req.params.id })
+        .select("_id")
+        .lean();
+      return res.status(409).json({
+        error: {
+          message: "This quiz has already been submitted",
+          attemptId: previous?._id,
+        },
+      });
+    }
+
+    const result = gradeAttempt(quiz.questions, answers);
+    const xpGained = xpForScore(result.percentage);
+
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        userId: req.user._id,
+        quizId: quiz._id,
+        nodeId: quiz.nodeId,
+        ...result,
+        xpGained,
+      });
+    } catch (error) {
+      // Nothing was graded, so let the student submit again
+      await Quiz.updateOne({ _id: quiz._id }, { $unset: { submittedAt: 1 } });
+      throw error;
+    }
+
+    await ActivityLog.create({
+      userId: req.user._id,
+      type: "quiz",
+      description: `Scored ${result.correctCount}/${result.totalQuestions} on a quiz`,
+      metadata: {
+        quizId: quiz._id,
+        attemptId: attempt._id,
+        nodeId: quiz.nodeId,
+        percentage: result.percentage,
+        topicBreakdown: result.topicBreakdown,
+      },
+      xpGained,
+    });
+
+    if (xpGained > 0) {
+      await awardXP(req.user._id, xpGained, "Completed a quiz", "quiz");
+    }
+
+    recordEvidence(
+      req.user._id,
+      result.answers.map((a) => quizEvidence(a.topic, a.correct)),
+      quiz.nodeId,
+    ).catch((error) => logger.error("Failed to update mastery", error));
+
+    const questions = new Map(quiz.questions.map((q) => [q._id.toString(), q]));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        attempt,
+        results: result.answers.map((a) => {
+          const q = questions.get(a.questionId.toString());
+          return {
+            ...a,
+            correctAnswer: q.correctAnswer,
+            explanation: q.explanation,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to submit quiz", error);
+    res.status(500).json({ error: { message: "Failed to submit quiz" } });
+  }
+};
+
+exports.getAttempts = async (req, res) => {
+  try {
+    const { nodeId, quizId, page = 1, limit = 20 } = req.query;
+    const validLimit = Math.min(parseInt(limit) || 20, 100);
+    const validPage = Math.max(parseInt(page) || 1, 1);
+
+    const query = { userId: req.user._id };
+    if (nodeId) query.nodeId = nodeId;
+    if (quizId) query.quizId = quizId;
+
+    const [attempts, count] = await Promise.all([
+      QuizAttempt.find(query)
+        .sort({ completedAt: -1 })
+        .limit(validLimit)
+        .skip((validPage - 1) * validLimit)
+        .select("-answers")
+        .populate("nodeId", "meta.originalName")
+        .lean(),
+      QuizAttempt.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        attempts,
+        pagination: {
+          total: count,
+          page: validPage,
+          pages: Math.ceil(count / validLimit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to fetch quiz attempts", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to fetch quiz attempts" } });
+  }
+};
+
+exports.getAttemptById = async (req, res) => {
+  try {
+    const attempt = await QuizAttempt.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+      .populate("quizId")
+      .lean();
+
+    if (!attempt) {
+      return res.status(404).json({ error: { message: "Attempt not found" } });
+    }
+
+    res.json({ success: true, data: attempt });
+  } catch (error) {
+    logger.error("Failed to fetch quiz attempt", error);
+    res
+      .status(500)
+      .json({ error: { message: "Failed to fetch quiz attempt" } });
+  }
+};
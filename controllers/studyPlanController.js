@@ -0,0 +1,375 @@
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const { StudyPlan, VectorChunk } = require("../models");
+const { awardXP } = require("../services/gamificationService");
+const { findAccessibleNode } = require("../services/nodeAccess");
+const { modelChainFor } = require("../services/llmService");
+const { AIUnavailableError } = require("../services/resilientAIClient");
+const {
+  StructuredOutputError,
+  generateList,
+} = require("../services/structuredOutput");
+const {
+  MS_PER_DAY,
+  startOfDay,
+  computeProgress,
+  assignDates,
+  mergeCompletion,
+  planDayOutput,
+} = require("../services/studyPlanService");
+const { meter } = require("../services/usageService");
+const logger = require("../services/logger");
+
+const MAX_PLAN_DAYS = 60;
+
+const PlanTaskSchema = z.object({
+  // Sent back by clients editing a plan, so the task keeps its completion
+  _id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+  type: z.enum(["Read", "Review", "Quiz", "Practice"]),
+  description: z.string().min(1).max(500),
+  estimatedMinutes: z.number().int().min(5).max(480).default(30),
+});
+
+const PlanDaySchema = z.object({
+  day: z.number().int().min(1),
+  date: z.coerce.date().optional(),
+  tasks: z.array(PlanTaskSchema).max(10),
+});
+
+const CreatePlanSchema = z.object({
+  title: z.string().min(1).max(200),
+  subject: z.string().max(100).optional(),
+  nodeId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+  examDate: z.coerce.date().optional(),
+  difficulty: z.enum(["Beginner", "Intermediate", "Advanced"]).optional(),
+  schedule: z.array(PlanDaySchema).max(MAX_PLAN_DAYS).default([]),
+});
+
+const UpdatePlanSchema = CreatePlanSchema.omit({ nodeId: true }).partial();
+
+const GeneratePlanSchema = z.object({
+  nodeId: z.string().regex(/^[0-9a-fA-F]{24}$/),
+  examDate: z.coerce.date(),
+  title: z.string().min(1).max(200).optional(),
+  difficulty: z
+    .enum(["Beginner", "Intermediate", "Advanced"])
+    .default("Intermediate"),
+  minutesPerDay: z.number().int().min(15).max(480).default(60),
+});
+
+const PlanQuerySchema = z.object({
+  nodeId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .optional(),
+});
+
+const CompleteTaskSchema = z.object({
+  completed: z.boolean().default(true),
+});
+
+function handleError(res, error, message) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({
+      error: { message: "Validation failed", details: error.errors },
+    });
+  }
+  logger.error(message, error);
+  if (error instanceof AIUnavailableError) {
+    return res.status(503).json({
+      error: { message: "AI service unavailable. Please try again later." },
+    });
+  }
+  if (error instanceof StructuredOutputError) {
+    return res.status(502).json({
+      error: { message: "The AI returned unusable output. Please try again." },
+    });
+  }
+  res.status(500).json({ error: { message } });
+}
+
+exports.createStudyPlan = async (req, res) => {
+  try {
+    const validated = CreatePlanSchema.parse(req.body);
+
+    if (validated.nodeId) {
+      const node = await findAccessibleNode(validated.nodeId, req.user._id);
+      if (!node) {
+        return res
+          .status(404)
+          .json({ error: { message: "Document not found" } });
+      }
+    }
+
+    const schedule = assignDates(validated.schedule, new Date());
+
+    const plan = await StudyPlan.create({
+      ...validated,
+      userId: req.user._id,
+      schedule,
+      progress: computeProgress(schedule),
+    });
+
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    handleError(res, error, "Failed to create study plan");
+  }
+};
+
+exports.getStudyPlans = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { nodeId } = PlanQuerySchema.parse(req.query);
+    const validLimit = Math.min(parseInt(limit) || 20, 100);
+    const validPage = Math.max(parseInt(page) || 1, 1);
+
+    const query = { userId: req.user._id };
+    if (nodeId) query.nodeId = nodeId;
+
+    const [plans, count] = await Promise.all([
+      StudyPlan.find(query)
+        .sort({ createdAt: -1 })
+        .limit(validLimit)
+        .skip((validPage - 1) * validLimit)
+        .select("-schedule")
+        .populate("nodeId", "meta.originalName")
+        .lean(),
+      StudyPlan.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+        pagination: {
+          total: count,
+          page: validPage,
+          pages: Math.ceil(count / validLimit),
+        },
+      },
+    });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch study plans");
+  }
+};
+
+exports.getStudyPlanById = async (req, res) => {
+  try {
+    const plan = await StudyPlan.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    })
+      .populate("nodeId", "meta.originalName")
+      .lean();
+
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ error: { message: "Study plan not found" } });
+    }
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleError(res, error, "Failed to fetch study plan");
+  }
+};
+
+exports.updateStudyPlan = async (req, res) => {
+  try {
+    const validated = UpdatePlanSchema.parse(req.body);
+
+    const plan = await StudyPlan.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ error: { message: "Study plan not found" } });
+    }
+
+    const { schedule, ...fields } = validated;
+    plan.set(fields);
+
+    if (schedule) {
+      // Editing a plan in progress must not undo the tasks already done
+      plan.schedule = assignDates(
+        mergeCompletion(plan.schedule, schedule),
+        plan.createdAt,
+      );
+      plan.progress = computeProgress(plan.schedule);
+    }
+
+    await plan.save();
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleError(res, error, "Failed to update study plan");
+  }
+};
+
+exports.deleteStudyPlan = async (req, res) => {
+  try {
+    const result = await StudyPlan.deleteOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (result.deletedCount === 0) {
+      return res
+        .status(404)
+        .json({ error: { message: "Study plan not found" } });
+    }
+
+    res.json({ success: true, data: { message: "Study plan deleted" } });
+  } catch (error) {
+    handleError(res, error, "Failed to delete study plan");
+  }
+};
+
+exports.completeTask = async (req, res) => {
+  try {
+    const { completed } = CompleteTaskSchema.parse(req.body);
+
+    const plan = await StudyPlan.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    });
+
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ error: { message: "Study plan not found" } });
+    }
+
+    const task = plan.schedule
+      .map((day) => day.tasks.id(req.params.taskId))
+      .find(Boolean);
+
+    if (!task) {
+      return res.status(404).json({ error: { message: "Task not found" } });
+    }
+
+    const newlyCompleted = completed && !task.completed;
+    task.completed = completed;
+    task.completedAt = completed ? task.completedAt || new Date() : null;
+    plan.progress = computeProgress(plan.schedule);
+
+    await plan.save();
+
+    if (newlyCompleted) {
+      await awardXP(req.user._id, 5, "Completed a study plan task");
+    }
+
+    res.json({ success: true, data: { task, progress: plan.progress } });
+  } catch (error) {
+    handleError(res, error, "Failed to update task");
+  }
+};
+
+exports.generateStudyPlan = async (req, res) => {
+  try {
+    const validated = GeneratePlanSchema.parse(req.body);
+    const { nodeId, examDate, difficulty, minutesPerDay } = validated;
+
+    const today = startOfDay(new Date());
+    const days = Math.ceil((startOfDay(examDate) - today) / MS_PER_DAY);
+
+    if (days < 1) {
+      return res
+        .status(400)
+        .json({ error: { message: "Exam date must be in the future" } });
+    }
+
+    const node = await findAccessibleNode(nodeId, req.user._id, {
+      status: "INDEXED",
+    });
+
+    if (!node) {
+      return res.status(404).json({ error: { message: "Document not found" } });
+    }
+
+    const totalDays = Math.min(days, MAX_PLAN_DAYS);
+
+    // Spread the sampled chunks evenly over the document so the outline
+    // covers every part of it, not just the first few pages.
+    const chunkCount = await VectorChunk.countDocuments({ nodeId });
+    const step = Math.max(Math.floor(chunkCount / 20), 1);
+    const chunks = await VectorChunk.aggregate([
+      {
+        $match: {
+          nodeId: new mongoose.Types.ObjectId(nodeId),
+          "location.chunkIndex": { $mod: [step, 0] },
+        },
+      },
+      { $sort: { "location.chunkIndex": 1 } },
+      { $limit: 20 },
+      { $project: { content: 1, location: 1 } },
+    ]);
+
+    const outline = chunks
+      .map((c) => `[p.${c.location?.pageNumber ?? "?"}] ${c.content}`)
+      .join("\n\n");
+
+    const prompt = (missing, planned) => {
+      const done = planned.map((d) => d.day);
+      return `Create a ${totalDays}-day study plan for a student preparing for an exam on the document "${node.meta?.originalName || "Untitled"}".
+ Difficulty: ${difficulty}. The student can study about ${minutesPerDay} minutes per day.
+ The final day should be dedicated to review and a practice quiz.
+
+ Document excerpts:
+ ${outline}
+${done.length > 0 ? `\n Days ${done.join(", ")} are already planned; plan only the other ${missing} day(s).\n` : ""}
+ Return a JSON array with one object per day, each with:
+ - day: number (1-${totalDays})
+ - tasks: array of objects with "type" (one of "Read", "Review", "Quiz", "Practice"), "description" (string) and "estimatedMinutes" (number)
+
+ Return ONLY valid JSON array.`;
+    };
+
+    const ai = meter(req.app.locals.ai, {
+      userId: req.user._id,
+      feature: "studyPlan",
+    });
+    const { items: planDays } = await generateList(ai, {
+      models: modelChainFor("studyPlan"),
+      itemSchema: planDayOutput(totalDays),
+      count: totalDays,
+      prompt,
+      key: (d) => d.day,
+      temperature: 0.5,
+      max_tokens: 3000,
+    });
+
+    const schedule = assignDates(
+      planDays.sort((a, b) => a.day - b.day),
+      today,
+    );
+
+    const plan = await StudyPlan.create({
+      userId: req.user._id,
+      nodeId,
+      title:
+        validated.title ||
+        `Exam prep: ${node.meta?.originalName || "Untitled"}`,
+      subject: node.tags?.[0],
+      examDate,
+      difficulty,
+      schedule,
+      progress: computeProgress(schedule),
+    });
+
+    await awardXP(req.user._id, 10, "Generated a study plan");
+
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    handleError(res, error, "Failed to generate study plan");
+  }
+};
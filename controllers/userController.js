@@ -4,6 +4,16 @@ const {
   Task,
   ActivityLog,
 } = require("../models"); // Added missing models
+const {
+  getProfile,
+  isValidTimeZone,
+} = require("../services/gamificationService");
+const { isAllowedModel } = require("../services/llmService");
+const {
+  getQuota,
+  getMonthlyUsage,
+  quotaWindows,
+} = require("../services/usageService");
 const logger = require("../services/logger");
 
 exports.updateProfile = async (req, res) => {
@@ -20,8 +30,22 @@ exports.updateProfile = async (req, res) => {
 
 exports.updateSettings = async (req, res) => {
   try {
-    const { theme, aiModel, notifications } = req.body;
-    req.user.settings = { ...req.user.settings, theme, aiModel, notifications };
+    const { theme, aiModel, notifications, timezone } = req.body;
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: { message: "Unknown timezone" } });
+    }
+    if (aiModel && !isAllowedModel(aiModel)) {
+      return res
+        .status(400)
+        .json({ error: { message: "This model is not available" } });
+    }
+
+    // Only overwrite the settings that were sent
+    const updates = { theme, aiModel, notifications, timezone };
+    for (const [key, value] of Object.entries(updates)) {
+      if (value !== undefined) req.user.settings[key] = value;
+    }
     await req.user.save();
     res.json({ success: true, data: { settings: req.user.settings } });
   } catch (error) {
@@ -34,7 +58,10 @@ exports.getStats = async (req, res) => {
   try {
     const [totalFiles, totalConversations, totalTasks, completedTasks] =
       await Promise.all([
-        KnowledgeNode.countDocuments({ userId: req.user._id }),
+        KnowledgeNode.countDocuments({
+          userId: req.user._id,
+          type: { $ne: "Note" },
+        }),
         Conversation.countDocuments({ userId: req.user._id }),
         Task.countDocuments({ userId: req.user._id }),
         Task.countDocuments({ userId: req.user._id, completed: true }),
@@ -75,3 +102,27 @@ exports.getStats = async (req, res) => {
     res.status(500).json({ error: { message: "Failed to fetch stats" } });
   }
 };
+
+exports.getGamification = (req, res) => {
+  res.json({ success: true, data: getProfile(req.user) });
+};
+
+exports.getUsage = async (req, res) => {
+  try {
+    const month = req.query.month || quotaWindows().month;
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res
+        .status(400)
+        .json({ error: { message: "month must look like YYYY-MM" } });
+    }
+
+    const [quota, usage] = await Promise.all([
+      getQuota(req.user),
+      getMonthlyUsage(req.user._id, month),
+    ]);
+    res.json({ success: true, data: { month, quota, ...usage } });
+  } catch (error) {
+    logger.error("Get usage error:", error);
+    res.status(500).json({ error: { message: "Failed to fetch usage" } });
+  }
+};
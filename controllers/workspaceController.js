@@ -1,7 +1,18 @@
-const { KnowledgeNode, VectorChunk, Conversation } = require("../models");
+const mongoose = require("mongoose");
+const { KnowledgeNode, VectorChunk, Deck, Card } = require("../models");
+const {
+  PUBLIC_NODE_FIELDS,
+  findAccessibleNode,
+} = require("../services/nodeAccess");
+const { deleteConversations } = require("../services/conversationMemory");
+const { CHUNKING_STRATEGIES } = require("../services/chunker");
 const logger = require("../services/logger");
 const fs = require("fs").promises;
-const { pdfQueue } = require("../services/queueService");
+const { z } = require("zod");
+
+const ChunkingSchema = z.object({
+  chunkingStrategy: z.enum(CHUNKING_STRATEGIES).optional(),
+});
 
 exports.uploadFile = async (req, res) => {
   try {
@@ -9,6 +20,8 @@ exports.uploadFile = async (req, res) => {
       return res.status(400).json({ error: { message: "No file uploaded" } });
     }
 
+    const { chunkingStrategy } = ChunkingSchema.parse(req.body);
+
     const node = await KnowledgeNode.create({
       userId: req.user._id,
       type: "PDF",
@@ -19,10 +32,12 @@ exports.uploadFile = async (req, res) => {
         size: req.file.size,
       },
       status: "QUEUED",
+      chunking: { strategy: chunkingStrategy },
     });
 
-    if (pdfQueue) {
-      await pdfQueue.add("process-pdf", {
+    const { queue } = req.app.locals;
+    if (queue) {
+      await queue.add("process-pdf", {
         nodeId: node._id.toString(),
         filePath: req.file.path,
       });
@@ -39,6 +54,11 @@ exports.uploadFile = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
     logger.error("Upload error:", error);
     res.status(500).json({ error: { message: "Upload failed" } });
   }
@@ -51,7 +71,8 @@ exports.getFiles = async (req, res) => {
     const validLimit = Math.min(parseInt(limit) || 20, 100);
     const validPage = Math.max(parseInt(page) || 1, 1);
 
-    const query = { userId: req.user._id };
+    // Indexed notes are managed through the notes API
+    const query = { userId: req.user._id, type: { $ne: "Note" } };
     if (status) query.status = status;
     if (search) {
       query.$or = [
@@ -88,20 +109,25 @@ exports.getFiles = async (req, res) => {
 
 exports.getFileById = async (req, res) => {
   try {
-    const node = await KnowledgeNode.findOne({
-      _id: req.params.id,
-      userId: req.user._id,
-    }).lean();
+    const node = mongoose.isValidObjectId(req.params.id)
+      ? await findAccessibleNode(req.params.id, req.user._id)
+      : null;
 
     if (!node) {
       return res.status(404).json({ error: { message: "File not found" } });
     }
 
+    // Class members only see what the library shows, not file paths or errors
+    const file = node.userId.equals(req.user._id)
+      ? node.toObject()
+      : await KnowledgeNode.findById(node._id)
+          .select(PUBLIC_NODE_FIELDS)
+          .lean();
     const chunkCount = await VectorChunk.countDocuments({ nodeId: node._id });
 
     res.json({
       success: true,
-      data: { ...node, chunkCount },
+      data: { ...file, chunkCount },
     });
   } catch (error) {
     logger.error("Failed to fetch file", error);
@@ -115,21 +141,21 @@ exports.getFileStatus = async (req, res) => {
       _id: req.params.id,
       userId: req.user._id,
     })
-      .select("status processingError meta.pageCount")
+      .select(
+        "status processingError meta.pageCount meta.progress meta.statusMessage",
+      )
       .lean();
 
     if (!node) {
       return res.status(404).json({ error: { message: "File not found" } });
     }
 
-    let progress = null;
-    if (
-      (node.status === "PROCESSING" || node.status === "QUEUED") &&
-      pdfQueue
-    ) {
-      const jobs = await pdfQueue.getJobs(["active", "waiting"]);
+    const { queue } = req.app.locals;
+    let progress = node.meta?.progress ?? null;
+    if ((node.status === "PROCESSING" || node.status === "QUEUED") && queue) {
+      const jobs = await queue.getJobs(["active", "waiting"]);
       const job = jobs.find((j) => j.data.nodeId === req.params.id);
-      if (job) progress = await job.progress();
+      if (job) progress = job.progress;
     }
 
     res.json({
@@ -137,6 +163,7 @@ exports.getFileStatus = async (req, res) => {
       data: {
         status: node.status,
         progress,
+        statusMessage: node.meta?.statusMessage,
         error: node.processingError,
         pageCount: node.meta?.pageCount,
       },
@@ -147,11 +174,70 @@ exports.getFileStatus = async (req, res) => {
   }
 };
 
+exports.reprocessFile = async (req, res) => {
+  try {
+    const { chunkingStrategy } = ChunkingSchema.parse(req.body);
+
+    const node = mongoose.isValidObjectId(req.params.id)
+      ? await KnowledgeNode.findOne({
+          _id: req.params.id,
+          userId: req.user._id,
+          type: { $ne: "Note" },
+        })
+      : null;
+
+    if (!node) {
+      return res.status(404).json({ error: { message: "File not found" } });
+    }
+    if (node.status === "QUEUED" || node.status === "PROCESSING") {
+      return res
+        .status(409)
+        .json({ error: { message: "File is already being processed" } });
+    }
+
+    const { queue } = req.app.locals;
+    if (!queue) {
+      return res
+        .status(503)
+        .json({ error: { message: "Processing queue unavailable" } });
+    }
+
+    if (chunkingStrategy) node.chunking.strategy = chunkingStrategy;
+    node.status = "QUEUED";
+    node.processingError = undefined;
+    await node.save();
+
+    await queue.add("process-pdf", {
+      nodeId: node._id.toString(),
+      filePath: node.meta.filePath,
+      reprocess: true,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        nodeId: node._id,
+        status: node.status,
+        chunkingStrategy: node.chunking.strategy,
+      },
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: { message: "Validation failed", details: error.errors },
+      });
+    }
+    logger.error("Failed to reprocess file", error);
+    res.status(500).json({ error: { message: "Failed to reprocess file" } });
+  }
+};
+
 exports.deleteFile = async (req, res) => {
   try {
     const node = await KnowledgeNode.findOne({
       _id: req.params.id,
       userId: req.user._id,
+      type: { $ne: "Note" },
     });
 
     if (!node) {
@@ -164,9 +250,13 @@ exports.deleteFile = async (req, res) => {
       logger.warn("File deletion warning:", err);
     }
 
+    // Class members keep the decks and chats they built on a published node
+    const owned = { nodeId: node._id, userId: req.user._id };
     await Promise.all([
       VectorChunk.deleteMany({ nodeId: node._id }),
-      Conversation.deleteMany({ nodeId: node._id }),
+      deleteConversations(owned),
+      Deck.deleteMany(owned),
+      Card.deleteMany(owned),
       node.deleteOne(),
     ]);
 
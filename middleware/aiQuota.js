@@ -0,0 +1,52 @@
+const { getQuota } = require("../services/usageService");
+const logger = require("../services/logger");
+
+function setQuotaHeaders(res, quota) {
+  for (const [name, window] of [
+    ["Daily", quota.daily],
+    ["Monthly", quota.monthly],
+  ]) {
+    if (window.limit === null) continue;
+    res.setHeader(`X-AI-Quota-${name}-Limit`, window.limit);
+    res.setHeader(`X-AI-Quota-${name}-Remaining`, window.remaining);
+    res.setHeader(
+      `X-AI-Quota-${name}-Reset`,
+      Math.ceil(window.resetsAt.getTime() / 1000),
+    );
+  }
+}
+
+/**
+ * Refuse AI requests once the user's plan quota is used up. Every
+ * response gets X-AI-Quota-{Daily,Monthly}-{Limit,Remaining,Reset}
+ * headers for the limited windows; refusals are 429s with Retry-After.
+ */
+const enforceAIQuota = async (req, res, next) => {
+  let quota;
+  try {
+    quota = await getQuota(req.user);
+  } catch (error) {
+    logger.error("AI quota check error:", error);
+    return res
+      .status(500)
+      .json({ error: { message: "Failed to check AI quota" } });
+  }
+
+  setQuotaHeaders(res, quota);
+  if (!quota.exceeded) return next();
+
+  const window = quota[quota.exceeded];
+  res.setHeader(
+    "Retry-After",
+    Math.max(Math.ceil((window.resetsAt - Date.now()) / 1000), 1),
+  );
+  res.status(429).json({
+    error: {
+      message: `You have used your ${quota.exceeded} AI quota of ${window.limit} tokens on the ${quota.plan} plan. It resets at ${window.resetsAt.toISOString()}.`,
+      code: "AI_QUOTA_EXCEEDED",
+      quota: { plan: quota.plan, window: quota.exceeded, ...window },
+    },
+  });
+};
+
+module.exports = { enforceAIQuota };
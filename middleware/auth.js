@@ -13,39 +13,31 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
+  let decoded;
   try {
-    // First, try to verify the token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, CONFIG.JWT_SECRET);
-    } catch {
-      // If verification fails, try to find user by the token stored in DB
-      const user = await User.findOne({ token: token });
-      if (!user || !user.token || user.tokenExpiry < Date.now()) {
-        return res.status(403).json({
-          error: { message: "Invalid or expired token" },
-        });
-      }
-      // Token is valid in DB, attach user to request
-      req.user = user;
-      return next();
-    }
+    decoded = jwt.verify(token, CONFIG.JWT_SECRET);
+  } catch {
+    return res.status(403).json({
+      error: { message: "Invalid or expired token" },
+    });
+  }
+
+  if (decoded.type !== "access") {
+    return res.status(403).json({
+      error: { message: "Invalid token type" },
+    });
+  }
 
-    // If JWT verification succeeded, find user by ID
+  try {
     const user = await User.findById(decoded.userId);
     if (!user) {
       return res.status(401).json({
         error: { message: "User not found" },
       });
     }
-
-    // Check if token is still valid in DB
-    if (
-      user.token !== token ||
-      (user.tokenExpiry && user.tokenExpiry < Date.now())
-    ) {
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
       return res.status(403).json({
-        error: { message: "Token has been revoked or expired" },
+        error: { message: "Token has been revoked" },
       });
     }
 
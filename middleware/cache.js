@@ -1,11 +1,10 @@
-const { redis } = require("../server");
-
 const cache = (duration) => {
   return (req, res, next) => {
-    if (redis === null) {
+    const { redis } = req.app.locals;
+    if (!redis) {
       return next();
     }
-    const key = "__express__" + req.originalUrl || req.url;
+    const key = "__express__" + (req.originalUrl || req.url);
     redis.get(key, (err, reply) => {
       if (err) {
         return next();
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { Class } = require("../models");
+const logger = require("../services/logger");
+
+/**
+ * Load the class in req.params.id for a member of it.
+ * Sets req.classObj and req.classRole ("teacher" | "student"); non-members
+ * get a 404 so class ids cannot be probed.
+ */
+const requireClassMember = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ error: { message: "Class not found" } });
+  }
+
+  try {
+    const classObj = await Class.findOne({
+      _id: req.params.id,
+      "members.userId": req.user._id,
+    });
+
+    if (!classObj) {
+      return res.status(404).json({ error: { message: "Class not found" } });
+    }
+
+    req.classObj = classObj;
+    req.classRole = classObj.members.find((m) =>
+      m.userId.equals(req.user._id),
+    ).role;
+    next();
+  } catch (error) {
+    logger.error("Class access error:", error);
+    res.status(500).json({ error: { message: "Failed to load class" } });
+  }
+};
+
+/**
+ * Allow only members holding one of the given roles; use after
+ * requireClassMember
+ * @param {...string} roles - Allowed member roles
+ */
+const requireClassRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.classRole)) {
+      return res.status(403).json({
+        error: { message: `Only ${roles.join(" or ")}s can do this` },
+      });
+    }
+    next();
+  };
+
+module.exports = { requireClassMember, requireClassRole };
@@ -0,0 +1,31 @@
+const multer = require("multer");
+const path = require("path");
+const fs = require("fs").promises;
+const CONFIG = require("../config");
+
+// Files land in a per-user folder under UPLOAD_DIR
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const dir = path.join(CONFIG.UPLOAD_DIR, req.user.id);
+    await fs.mkdir(dir, { recursive: true });
+    cb(null, dir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  },
+});
+
+const pdfUpload = multer({
+  storage,
+  limits: { fileSize: CONFIG.MAX_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === "application/pdf") {
+      cb(null, true);
+    } else {
+      cb(new Error("Only PDF files are allowed"));
+    }
+  },
+});
+
+module.exports = { pdfUpload };
@@ -6,6 +6,8 @@ const UserSchema = new mongoose.Schema({
   passwordHash: { type: String, required: true },
   refreshToken: { type: String, default: null },
   refreshTokenExpiry: { type: Date, default: null },
+  // Access tokens carry this as `ver`; bumping it on logout revokes them
+  tokenVersion: { type: Number, default: 0 },
 
   profile: {
     firstName: String,
@@ -31,6 +33,7 @@ const UserSchema = new mongoose.Schema({
     },
     badges: [
       {
+        key: String,
         name: String,
         icon: String,
         earnedAt: Date,
@@ -42,8 +45,10 @@ const UserSchema = new mongoose.Schema({
 
   settings: {
     theme: { type: String, default: "dark" },
-    aiModel: { type: String, default: "mistralai/mistral-7b-instruct:free" },
+    // Preferred chat model; unset means the server's configured chat model
+    aiModel: { type: String, default: null },
     notifications: { type: Boolean, default: true },
+    timezone: { type: String, default: "UTC" },
   },
 
   subscription: {
@@ -76,6 +81,8 @@ const KnowledgeNodeSchema = new mongoose.Schema({
     pageCount: Number,
     wordCount: Number,
     language: String,
+    progress: Number,
+    statusMessage: String,
   },
 
   persona: {
@@ -94,6 +101,14 @@ const KnowledgeNodeSchema = new mongoose.Schema({
   },
   processingError: String,
 
+  chunking: {
+    strategy: {
+      type: String,
+      enum: ["structured", "sentence", "fixed"],
+      default: "structured",
+    },
+  },
+
   tags: [String],
   relatedNodes: [
     { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" },
@@ -102,12 +117,33 @@ const KnowledgeNodeSchema = new mongoose.Schema({
   summary: String,
   keyPoints: [String],
 
+  // Which model produced the persona and summary, or why it failed
+  aiGeneration: {
+    persona: { model: String, error: String },
+    summary: { model: String, error: String },
+  },
+
+  // Classes the owner has published this node to; chunks stay shared
+  classIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+
+  // Type "Note" only: the indexed note and the document it annotates
+  note: {
+    noteId: { type: mongoose.Schema.Types.ObjectId, ref: "Note" },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" },
+  },
+
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
 KnowledgeNodeSchema.index({ userId: 1, status: 1 });
+KnowledgeNodeSchema.index({ classIds: 1 });
 KnowledgeNodeSchema.index({ userId: 1, createdAt: -1 });
+KnowledgeNodeSchema.index({ "note.noteId": 1 }, { sparse: true });
+KnowledgeNodeSchema.index(
+  { userId: 1, "note.documentId": 1 },
+  { sparse: true },
+);
 
 const VectorChunkSchema = new mongoose.Schema({
   nodeId: {
@@ -119,19 +155,26 @@ const VectorChunkSchema = new mongoose.Schema({
   content: { type: String, required: true },
   embedding: { type: [Number], required: true },
 
+  // Boxes are [x0, y0, x1, y1] as fractions of the page, origin top-left;
+  // bbox is the area on pageNumber, boxes one area per page of the range
   location: {
     pageNumber: Number,
+    pageEnd: Number,
     chunkIndex: Number,
     bbox: [Number],
+    boxes: [{ _id: false, pageNumber: Number, bbox: [Number] }],
   },
 
   metadata: {
     wordCount: Number,
     language: String,
+    // Enclosing headings, outermost first, e.g. ["Chapter 3", "3.2 Enzymes"]
+    sectionPath: [String],
   },
 });
 
 VectorChunkSchema.index({ nodeId: 1, "location.chunkIndex": 1 });
+VectorChunkSchema.index({ nodeId: 1, "metadata.sectionPath": 1 });
 
 const ConversationSchema = new mongoose.Schema({
   userId: {
@@ -145,22 +188,45 @@ const ConversationSchema = new mongoose.Schema({
     ref: "KnowledgeNode",
     index: true,
   },
+  // What the chat was asked to draw on: explicit documents, a tag or a class
+  scope: {
+    nodeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" }],
+    tag: String,
+    classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+  },
   title: String,
+  // Teaching strategy, see services/tutoringModes.js
+  tutoringMode: {
+    type: String,
+    enum: ["socratic", "explain-check", "worked-examples", "exam-drill"],
+  },
 
-  messages: [
+  // Messages live in ChatMessage; seq numbers run from 0 to messageCount - 1
+  // in the order they were written, across all branches
+  messageCount: { type: Number, default: 0 },
+  lastMessage: {
+    role: String,
+    content: String,
+    timestamp: Date,
+  },
+  // Messages form a tree; each branch is one path from the first message
+  // to its leaf. Editing or regenerating forks a new branch.
+  branches: [
     {
-      role: { type: String, enum: ["user", "assistant", "system"] },
-      content: String,
-      timestamp: { type: Date, default: Date.now },
-      citations: [
-        {
-          chunkId: mongoose.Schema.Types.ObjectId,
-          pageNumber: Number,
-          content: String,
-        },
-      ],
+      parentBranchId: mongoose.Schema.Types.ObjectId,
+      forkDepth: { type: Number, default: 0 }, // depth of its first own message
+      length: { type: Number, default: 0 },
+      leafId: mongoose.Schema.Types.ObjectId,
+      // Rolling summary of the path's messages with depth < throughDepth
+      summary: {
+        content: String,
+        throughDepth: { type: Number, default: 0 },
+        updatedAt: Date,
+      },
+      createdAt: { type: Date, default: Date.now },
     },
   ],
+  activeBranchId: mongoose.Schema.Types.ObjectId,
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -168,6 +234,58 @@ const ConversationSchema = new mongoose.Schema({
 
 ConversationSchema.index({ userId: 1, updatedAt: -1 });
 
+const ChatMessageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  seq: { type: Number, required: true },
+  // Position in the tree: previous message, distance from the first
+  // message and every branch whose path includes this message
+  parentId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  depth: { type: Number, required: true },
+  branchIds: [mongoose.Schema.Types.ObjectId],
+  role: { type: String, enum: ["user", "assistant", "system"] },
+  content: String,
+  timestamp: { type: Date, default: Date.now },
+  // Model that answered and the ones that failed before it
+  model: String,
+  modelFailures: [{ _id: false, model: String, error: String }],
+  // Answer cut short by a cancel, a lost client or a broken model stream
+  incomplete: { type: Boolean, default: false },
+  citations: [
+    {
+      number: Number, // [number] in the answer text
+      cited: Boolean, // whether the answer cites it
+      chunkId: mongoose.Schema.Types.ObjectId,
+      nodeId: mongoose.Schema.Types.ObjectId,
+      documentName: String,
+      noteId: mongoose.Schema.Types.ObjectId, // set when the excerpt is a note
+      pageNumber: Number,
+      pageEnd: Number,
+      boxes: [{ _id: false, pageNumber: Number, bbox: [Number] }],
+      section: String,
+      content: String,
+      score: Number,
+      scores: {
+        vector: Number,
+        keyword: Number,
+        fused: Number,
+        rerank: Number,
+      },
+    },
+  ],
+});
+
+ChatMessageSchema.index({ conversationId: 1, seq: 1 }, { unique: true });
+ChatMessageSchema.index({ conversationId: 1, branchIds: 1, depth: 1 });
+
 const StudyPlanSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -209,6 +327,134 @@ const StudyPlanSchema = new mongoose.Schema({
 
 StudyPlanSchema.index({ userId: 1, createdAt: -1 });
 
+const DeckSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  nodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "KnowledgeNode",
+    required: true,
+    index: true,
+  },
+  title: String,
+  cardCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+DeckSchema.index({ userId: 1, createdAt: -1 });
+
+const CardSchema = new mongoose.Schema({
+  deckId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Deck",
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  nodeId: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" },
+  question: { type: String, required: true },
+  answer: { type: String, required: true },
+  topic: String,
+
+  review: {
+    easeFactor: { type: Number, default: 2.5 },
+    interval: { type: Number, default: 0 },
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueDate: { type: Date, default: Date.now },
+    lastReviewedAt: Date,
+  },
+  reviewCount: { type: Number, default: 0 },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+CardSchema.index({ userId: 1, "review.dueDate": 1 });
+
+const QuizSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  nodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "KnowledgeNode",
+    required: true,
+  },
+  difficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
+    default: "medium",
+  },
+  questions: [
+    {
+      question: { type: String, required: true },
+      options: [String],
+      correctAnswer: { type: String, enum: ["A", "B", "C", "D"] },
+      explanation: String,
+      topic: String,
+    },
+  ],
+  // Set by the one graded submission; answers are revealed after it
+  submittedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+});
+
+QuizSchema.index({ userId: 1, createdAt: -1 });
+
+const QuizAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Quiz",
+    required: true,
+    index: true,
+  },
+  nodeId: { type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" },
+
+  answers: [
+    {
+      questionId: mongoose.Schema.Types.ObjectId,
+      selected: String,
+      correct: Boolean,
+      score: { type: Number, default: 0 },
+      topic: String,
+    },
+  ],
+  topicBreakdown: [
+    {
+      topic: String,
+      correct: Number,
+      total: Number,
+      percentage: Number,
+    },
+  ],
+
+  correctCount: { type: Number, default: 0 },
+  totalQuestions: Number,
+  percentage: { type: Number, default: 0 },
+  xpGained: { type: Number, default: 0 },
+  completedAt: { type: Date, default: Date.now },
+});
+
+QuizAttemptSchema.index({ userId: 1, completedAt: -1 });
+
 const ActivityLogSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -230,6 +476,52 @@ const ActivityLogSchema = new mongoose.Schema({
 ActivityLogSchema.index({ userId: 1, timestamp: -1 });
 ActivityLogSchema.index({ userId: 1, type: 1, timestamp: -1 });
 
+// How well a user knows a topic, from quizzes, flashcards and chat
+const TopicMasterySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  topic: { type: String, required: true },
+  key: { type: String, required: true }, // lowercased topic
+  mastery: { type: Number, default: 0.5 }, // 0 to 1
+  evidence: { type: Number, default: 0 }, // total weight of the evidence
+  stats: {
+    quizAnswered: { type: Number, default: 0 },
+    quizCorrect: { type: Number, default: 0 },
+    flashcardReviews: { type: Number, default: 0 },
+    chatQuestions: { type: Number, default: 0 },
+  },
+  nodeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "KnowledgeNode" }],
+  updatedAt: { type: Date, default: Date.now },
+});
+
+TopicMasterySchema.index({ userId: 1, key: 1 }, { unique: true });
+TopicMasterySchema.index({ userId: 1, mastery: 1 });
+
+// AI token usage per user, UTC day, feature and model
+const AIUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  day: { type: String, required: true }, // "YYYY-MM-DD"
+  feature: { type: String, required: true },
+  model: { type: String, required: true },
+  requests: { type: Number, default: 0 },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  // Requests whose provider reported no usage, so tokens were estimated
+  estimatedRequests: { type: Number, default: 0 },
+});
+
+AIUsageSchema.index(
+  { userId: 1, day: 1, feature: 1, model: 1 },
+  { unique: true },
+);
+
 const ClassSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -241,6 +533,7 @@ const ClassSchema = new mongoose.Schema({
   description: String,
   color: { type: String, default: "green" },
   inviteCode: { type: String, unique: true },
+  inviteCodeExpiresAt: { type: Date, default: null },
   members: [
     {
       userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -248,11 +541,69 @@ const ClassSchema = new mongoose.Schema({
       joinedAt: { type: Date, default: Date.now },
     },
   ],
+  // Who may start posts in the class stream; anyone can comment
+  streamPermission: {
+    type: String,
+    enum: ["all", "teachers"],
+    default: "all",
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
 ClassSchema.index({ userId: 1, createdAt: -1 });
 
+const ClassPostSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  content: { type: String, required: true },
+  pinned: { type: Boolean, default: false },
+  pinnedAt: Date,
+  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  commentCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+ClassPostSchema.index({ classId: 1, pinned: -1, createdAt: -1 });
+
+const CommentSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ClassPost",
+    required: true,
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+    index: true,
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Reply target; null for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Comment",
+    default: null,
+  },
+  content: { type: String, default: "" },
+  deleted: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+CommentSchema.index({ postId: 1, createdAt: 1 });
+
 const TaskSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -261,6 +612,8 @@ const TaskSchema = new mongoose.Schema({
     index: true,
   },
   classId: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+  // Set on tasks fanned out from a class assignment
+  assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment" },
   title: { type: String, required: true },
   description: String,
   dueDate: Date,
@@ -275,6 +628,75 @@ const TaskSchema = new mongoose.Schema({
 });
 
 TaskSchema.index({ userId: 1, completed: 1, dueDate: 1 });
+// One task per student and assignment; repeated fan-outs upsert on it
+TaskSchema.index(
+  { assignmentId: 1, userId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { assignmentId: { $exists: true } },
+  },
+);
+
+const AssignmentSchema = new mongoose.Schema({
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  title: { type: String, required: true },
+  description: String,
+  dueDate: Date,
+  points: { type: Number, default: 100 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+AssignmentSchema.index({ classId: 1, dueDate: 1 });
+
+const SubmissionSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Assignment",
+    required: true,
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+    index: true,
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  text: String,
+  file: {
+    originalName: String,
+    filePath: String,
+    size: Number,
+  },
+  status: {
+    type: String,
+    enum: ["submitted", "graded"],
+    default: "submitted",
+  },
+  late: { type: Boolean, default: false },
+  submittedAt: { type: Date, default: Date.now },
+  grade: {
+    score: Number,
+    feedback: String,
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    gradedAt: Date,
+  },
+});
+
+SubmissionSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true });
 
 const NoteSchema = new mongoose.Schema({
   userId: {
@@ -320,10 +742,21 @@ module.exports = {
   KnowledgeNode: mongoose.model("KnowledgeNode", KnowledgeNodeSchema),
   VectorChunk: mongoose.model("VectorChunk", VectorChunkSchema),
   Conversation: mongoose.model("Conversation", ConversationSchema),
+  ChatMessage: mongoose.model("ChatMessage", ChatMessageSchema),
   StudyPlan: mongoose.model("StudyPlan", StudyPlanSchema),
+  Deck: mongoose.model("Deck", DeckSchema),
+  Card: mongoose.model("Card", CardSchema),
+  Quiz: mongoose.model("Quiz", QuizSchema),
+  QuizAttempt: mongoose.model("QuizAttempt", QuizAttemptSchema),
   ActivityLog: mongoose.model("ActivityLog", ActivityLogSchema),
+  AIUsage: mongoose.model("AIUsage", AIUsageSchema),
+  TopicMastery: mongoose.model("TopicMastery", TopicMasterySchema),
   Class: mongoose.model("Class", ClassSchema),
+  ClassPost: mongoose.model("ClassPost", ClassPostSchema),
+  Comment: mongoose.model("Comment", CommentSchema),
   Task: mongoose.model("Task", TaskSchema),
+  Assignment: mongoose.model("Assignment", AssignmentSchema),
+  Submission: mongoose.model("Submission", SubmissionSchema),
   Note: mongoose.model("Note", NoteSchema),
   Notification: mongoose.model("Notification", NotificationSchema),
 };
@@ -10,6 +10,7 @@ const noteRoutes = require("./v1/notes");
 const notificationRoutes = require("./v1/notifications");
 const intelligenceRoutes = require("./v1/intelligence");
 const analyticsRoutes = require("./v1/analytics");
+const studyPlanRoutes = require("./v1/studyPlans");
 
 router.use("/v1/auth", authRoutes);
 router.use("/v1/user", userRoutes);
@@ -20,5 +21,6 @@ router.use("/v1/notes", noteRoutes);
 router.use("/v1/notifications", notificationRoutes);
 router.use("/v1/intelligence", intelligenceRoutes);
 router.use("/v1/analytics", analyticsRoutes);
+router.use("/v1/study-plans", studyPlanRoutes);
 
 module.exports = router;
@@ -3,10 +3,12 @@ const router = express.Router();
 const {
   getDashboardStats,
   getPerformance,
+  getMastery,
 } = require("../../../controllers/analyticsController");
 const { authenticateToken } = require("../../../middleware/auth");
 
 router.get("/dashboard", authenticateToken, getDashboardStats);
 router.get("/performance", authenticateToken, getPerformance);
+router.get("/mastery", authenticateToken, getMastery);
 
 module.exports = router;
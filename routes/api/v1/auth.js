@@ -7,6 +7,7 @@ const {
   forgotPassword,
   refreshToken,
   logout,
+  changePassword,
 } = require("../../../controllers/authController");
 const { authenticateToken } = require("../../../middleware/auth");
 
@@ -16,5 +17,6 @@ router.post("/refresh", refreshToken); // Add refresh token endpoint
 router.get("/me", authenticateToken, getMe);
 router.post("/logout", authenticateToken, logout); // Add logout endpoint
 router.post("/forgot-password", forgotPassword);
+router.post("/change-password", authenticateToken, changePassword);
 
 module.exports = router;
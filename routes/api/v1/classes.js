@@ -7,14 +7,109 @@ const {
   updateClass,
   deleteClass,
   joinClass,
+  regenerateInviteCode,
+  removeMember,
+  updateMemberRole,
+  transferOwnership,
+  leaveClass,
 } = require("../../../controllers/classController");
+const {
+  getPosts,
+  createPost,
+  deletePost,
+  likePost,
+  unlikePost,
+  pinPost,
+  getComments,
+  createComment,
+  deleteComment,
+} = require("../../../controllers/classPostController");
+const {
+  getAssignments,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getSubmissions,
+  downloadSubmissionFile,
+  gradeSubmission,
+  getGradebook,
+  getStudentGradebook,
+} = require("../../../controllers/assignmentController");
+const {
+  getLibrary,
+  publishNode,
+  unpublishNode,
+} = require("../../../controllers/classLibraryController");
 const { authenticateToken } = require("../../../middleware/auth");
+const {
+  requireClassMember,
+  requireClassRole,
+} = require("../../../middleware/classAccess");
+const { pdfUpload } = require("../../../middleware/upload");
+
+// Access to a class comes from its members[].role
+const member = [authenticateToken, requireClassMember];
+const teacher = [...member, requireClassRole("teacher")];
+const student = [...member, requireClassRole("student")];
 
 router.post("/", authenticateToken, createClass);
 router.get("/", authenticateToken, getClasses);
-router.get("/:id", authenticateToken, getClassById);
-router.patch("/:id", authenticateToken, updateClass);
-router.delete("/:id", authenticateToken, deleteClass);
-router.post("/:id/join", authenticateToken, joinClass);
+router.post("/join", authenticateToken, joinClass);
+router.get("/:id", member, getClassById);
+router.patch("/:id", teacher, updateClass);
+router.delete("/:id", member, deleteClass);
+
+// Membership
+router.post("/:id/invite-code", teacher, regenerateInviteCode);
+router.patch("/:id/members/:userId", teacher, updateMemberRole);
+router.delete("/:id/members/:userId", teacher, removeMember);
+router.post("/:id/transfer", member, transferOwnership);
+router.post("/:id/leave", member, leaveClass);
+
+// Class stream
+router.get("/:id/posts", member, getPosts);
+router.post("/:id/posts", member, createPost);
+router.delete("/:id/posts/:postId", member, deletePost);
+router.post("/:id/posts/:postId/like", member, likePost);
+router.delete("/:id/posts/:postId/like", member, unlikePost);
+router.patch("/:id/posts/:postId/pin", teacher, pinPost);
+router.get("/:id/posts/:postId/comments", member, getComments);
+router.post("/:id/posts/:postId/comments", member, createComment);
+router.delete("/:id/posts/:postId/comments/:commentId", member, deleteComment);
+
+// Classwork
+router.get("/:id/assignments", member, getAssignments);
+router.post("/:id/assignments", teacher, createAssignment);
+router.patch("/:id/assignments/:assignmentId", teacher, updateAssignment);
+router.delete("/:id/assignments/:assignmentId", teacher, deleteAssignment);
+router.get(
+  "/:id/assignments/:assignmentId/submissions",
+  member,
+  getSubmissions,
+);
+router.post(
+  "/:id/assignments/:assignmentId/submissions",
+  student,
+  pdfUpload.single("file"),
+  submitAssignment,
+);
+router.get(
+  "/:id/assignments/:assignmentId/submissions/:submissionId/file",
+  member,
+  downloadSubmissionFile,
+);
+router.patch(
+  "/:id/assignments/:assignmentId/submissions/:submissionId/grade",
+  teacher,
+  gradeSubmission,
+);
+router.get("/:id/gradebook", member, getGradebook);
+router.get("/:id/gradebook/:studentId", member, getStudentGradebook);
+
+// Shared library
+router.get("/:id/library", member, getLibrary);
+router.post("/:id/library", teacher, publishNode);
+router.delete("/:id/library/:nodeId", teacher, unpublishNode);
 
 module.exports = router;
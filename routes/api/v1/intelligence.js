@@ -2,19 +2,71 @@ const express = require("express");
 const router = express.Router();
 const {
   streamChat,
+  resumeStream,
+  cancelStream,
+  getModels,
+  getTutoringModes,
   getConversations,
   getConversationById,
+  updateConversation,
   deleteConversation,
+  editMessage,
+  regenerateMessage,
   generateFlashcards,
   generateQuiz,
 } = require("../../../controllers/intelligenceController");
+const {
+  reviewCard,
+  getDueCards,
+  getDecks,
+  getDeckById,
+  deleteDeck,
+} = require("../../../controllers/flashcardController");
+const {
+  getQuizById,
+  submitQuiz,
+  getAttempts,
+  getAttemptById,
+} = require("../../../controllers/quizController");
 const { authenticateToken } = require("../../../middleware/auth");
+const { enforceAIQuota } = require("../../../middleware/aiQuota");
 
-router.post("/chat/stream", authenticateToken, streamChat);
+router.post("/chat/stream", authenticateToken, enforceAIQuota, streamChat);
+router.get("/chat/streams/:streamId", authenticateToken, resumeStream);
+router.post("/chat/streams/:streamId/cancel", authenticateToken, cancelStream);
+router.get("/models", authenticateToken, getModels);
+router.get("/tutoring-modes", authenticateToken, getTutoringModes);
 router.get("/chat/conversations", authenticateToken, getConversations);
 router.get("/chat/conversations/:id", authenticateToken, getConversationById);
+router.patch("/chat/conversations/:id", authenticateToken, updateConversation);
 router.delete("/chat/conversations/:id", authenticateToken, deleteConversation);
-router.post("/flashcards", authenticateToken, generateFlashcards);
-router.post("/quiz", authenticateToken, generateQuiz);
+router.patch(
+  "/chat/conversations/:id/messages/:messageId",
+  authenticateToken,
+  enforceAIQuota,
+  editMessage,
+);
+router.post(
+  "/chat/conversations/:id/messages/:messageId/regenerate",
+  authenticateToken,
+  enforceAIQuota,
+  regenerateMessage,
+);
+router.post(
+  "/flashcards",
+  authenticateToken,
+  enforceAIQuota,
+  generateFlashcards,
+);
+router.get("/flashcards/due", authenticateToken, getDueCards);
+router.get("/flashcards/decks", authenticateToken, getDecks);
+router.get("/flashcards/decks/:id", authenticateToken, getDeckById);
+router.delete("/flashcards/decks/:id", authenticateToken, deleteDeck);
+router.post("/flashcards/:id/review", authenticateToken, reviewCard);
+router.post("/quiz", authenticateToken, enforceAIQuota, generateQuiz);
+router.get("/quiz/attempts", authenticateToken, getAttempts);
+router.get("/quiz/attempts/:id", authenticateToken, getAttemptById);
+router.get("/quiz/:id", authenticateToken, getQuizById);
+router.post("/quiz/:id/submit", authenticateToken, submitQuiz);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createStudyPlan,
+  getStudyPlans,
+  getStudyPlanById,
+  updateStudyPlan,
+  deleteStudyPlan,
+  completeTask,
+  generateStudyPlan,
+} = require("../../../controllers/studyPlanController");
+const { authenticateToken } = require("../../../middleware/auth");
+const { enforceAIQuota } = require("../../../middleware/aiQuota");
+
+router.post("/", authenticateToken, createStudyPlan);
+router.post("/generate", authenticateToken, enforceAIQuota, generateStudyPlan);
+router.get("/", authenticateToken, getStudyPlans);
+router.get("/:id", authenticateToken, getStudyPlanById);
+router.patch("/:id", authenticateToken, updateStudyPlan);
+router.delete("/:id", authenticateToken, deleteStudyPlan);
+router.patch("/:id/tasks/:taskId", authenticateToken, completeTask);
+
+module.exports = router;
@@ -4,11 +4,15 @@ const {
   updateProfile,
   updateSettings,
   getStats,
+  getGamification,
+  getUsage,
 } = require("../../../controllers/userController");
 const { authenticateToken } = require("../../../middleware/auth");
 
 router.patch("/profile", authenticateToken, updateProfile);
 router.patch("/settings", authenticateToken, updateSettings);
 router.get("/stats", authenticateToken, getStats);
+router.get("/gamification", authenticateToken, getGamification);
+router.get("/usage", authenticateToken, getUsage);
 
 module.exports = router;
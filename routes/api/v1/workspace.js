@@ -5,42 +5,17 @@ const {
   getFiles,
   getFileById,
   getFileStatus,
+  reprocessFile,
   deleteFile,
 } = require("../../../controllers/workspaceController");
 const { authenticateToken } = require("../../../middleware/auth");
-const multer = require("multer");
-const path = require("path");
-const fs = require("fs").promises;
-const CONFIG = require("../../../config");
+const { pdfUpload } = require("../../../middleware/upload");
 
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    const dir = path.join(CONFIG.UPLOAD_DIR, req.user.id);
-    await fs.mkdir(dir, { recursive: true });
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  },
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: CONFIG.MAX_FILE_SIZE },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype === "application/pdf") {
-      cb(null, true);
-    } else {
-      cb(new Error("Only PDF files are allowed"));
-    }
-  },
-});
-
-router.post("/upload", authenticateToken, upload.single("file"), uploadFile);
+router.post("/upload", authenticateToken, pdfUpload.single("file"), uploadFile);
 router.get("/files", authenticateToken, getFiles);
 router.get("/files/:id", authenticateToken, getFileById);
 router.get("/files/:id/status", authenticateToken, getFileStatus);
+router.post("/files/:id/reprocess", authenticateToken, reprocessFile);
 router.delete("/files/:id", authenticateToken, deleteFile);
 
 module.exports = router;
@@ -238,7 +238,7 @@ const ClassModule = {
             `;
       link.addEventListener("click", (e) => {
         e.preventDefault();
-        ClassModule.openClass(cls.id);
+        ClassModule.openClass(cls._id);
       });
       container.appendChild(link);
     });
@@ -284,8 +284,28 @@ const ClassModule = {
     }
   },
 
+  joinClass: async () => {
+    const inviteCode = prompt("Enter the class invite code:");
+    if (!inviteCode?.trim()) return;
+
+    try {
+      const response = await API.post("/classes/join", {
+        inviteCode: inviteCode.trim(),
+      });
+
+      AppState.classes.push(response.data);
+      ClassModule.renderClassList();
+      ClassModule.closeModal();
+
+      Utils.showToast(`Joined "${response.data.name}"!`, "success");
+      setTimeout(() => ClassModule.openClass(response.data._id), 500);
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to join class", "error");
+    }
+  },
+
   openClass: (classId) => {
-    const cls = AppState.classes.find((c) => c.id === classId);
+    const cls = AppState.classes.find((c) => c._id === classId);
     if (!cls) return;
 
     AppState.activeClassId = classId;
@@ -1033,6 +1053,7 @@ window.ScholarAI = {
 const EnhancedClassModule = {
   currentTab: "stream",
   posts: [],
+  libraryNodes: [],
 
   init: () => {
     // Initialize class view when opened
@@ -1042,7 +1063,7 @@ const EnhancedClassModule = {
   },
 
   setupClassView: (classId) => {
-    const classData = AppState.classes.find((c) => c.id === classId);
+    const classData = AppState.classes.find((c) => c._id === classId);
     if (!classData) return;
 
     // Setup tabs
@@ -1093,7 +1114,8 @@ const EnhancedClassModule = {
     if (!composer) return;
 
     const input = composer.querySelector("input");
-    if (!input) return;
+    if (!input || composer.dataset.bound) return;
+    composer.dataset.bound = "true";
 
     input.addEventListener("focus", () => {
       composer.style.border = "1px solid var(--primary)";
@@ -1115,21 +1137,20 @@ const EnhancedClassModule = {
     });
   },
 
-  createPost: (content) => {
-    const post = {
-      id: Utils.generateId(),
-      author: AppState.user.name,
-      avatar: AppState.user.avatar,
-      content: content,
-      timestamp: Date.now(),
-      likes: 0,
-      comments: [],
-    };
+  createPost: async (content) => {
+    try {
+      const response = await API.post(
+        `/classes/${AppState.activeClassId}/posts`,
+        { content },
+      );
 
-    EnhancedClassModule.posts.unshift(post);
-    EnhancedClassModule.renderPosts();
+      EnhancedClassModule.posts.unshift(response.data);
+      EnhancedClassModule.renderPosts();
 
-    Utils.showToast("Post created successfully!", "success");
+      Utils.showToast("Post created successfully!", "success");
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to create post", "error");
+    }
   },
 
   renderPosts: () => {
@@ -1137,8 +1158,9 @@ const EnhancedClassModule = {
     if (!streamContainer) return;
 
     const emptyState = streamContainer.querySelector(".empty-stream");
-    if (emptyState && EnhancedClassModule.posts.length > 0) {
-      emptyState.remove();
+    if (emptyState) {
+      emptyState.style.display =
+        EnhancedClassModule.posts.length > 0 ? "none" : "";
     }
 
     const composer = streamContainer.querySelector(".stream-composer");
@@ -1146,8 +1168,8 @@ const EnhancedClassModule = {
     // Clear existing posts
     streamContainer.querySelectorAll(".stream-post").forEach((p) => p.remove());
 
-    // Add posts after composer
-    EnhancedClassModule.posts.forEach((post) => {
+    // Insert in reverse so the newest (and pinned) posts end up on top
+    [...EnhancedClassModule.posts].reverse().forEach((post) => {
       const postEl = EnhancedClassModule.createPostElement(post);
       if (composer) {
         composer.insertAdjacentHTML("afterend", postEl);
@@ -1161,33 +1183,35 @@ const EnhancedClassModule = {
   },
 
   createPostElement: (post) => {
+    const author = post.authorId?.username || "Member";
+    const avatar =
+      post.authorId?.profile?.avatar ||
+      `https://ui-avatars.com/api/?name=${encodeURIComponent(author)}&background=00ed64&color=001e2b`;
+
     return `
-            <div class="stream-post animate__animated animate__fadeInUp" data-post-id="${post.id}">
+            <div class="stream-post animate__animated animate__fadeInUp" data-post-id="${post._id}">
                 <div class="post-header">
-                    <img src="${post.avatar}" class="post-avatar" alt="${post.author}">
+                    <img src="${avatar}" class="post-avatar" alt="${Utils.escapeHtml(author)}">
                     <div class="post-author-info">
-                        <div class="post-author-name">${post.author}</div>
-                        <div class="post-timestamp">${Utils.formatDate(post.timestamp)}</div>
+                        <div class="post-author-name">${Utils.escapeHtml(author)}</div>
+                        <div class="post-timestamp">${post.pinned ? '<i class="fas fa-thumbtack"></i> ' : ""}${Utils.formatDate(post.createdAt)}</div>
                     </div>
-                    <button class="post-menu" onclick="EnhancedClassModule.showPostMenu('${post.id}')">
+                    <button class="post-menu" onclick="EnhancedClassModule.showPostMenu('${post._id}')">
                         <i class="fas fa-ellipsis-v"></i>
                     </button>
                 </div>
-                <div class="post-content">${post.content}</div>
+                <div class="post-content">${Utils.escapeHtml(post.content)}</div>
                 <div class="post-actions">
-                    <button class="post-action" onclick="EnhancedClassModule.likePost('${post.id}')">
-                        <i class="far fa-heart"></i>
-                        <span>${post.likes || 0}</span>
+                    <button class="post-action" onclick="EnhancedClassModule.likePost('${post._id}')">
+                        <i class="${post.likedByMe ? "fas" : "far"} fa-heart"></i>
+                        <span>${post.likeCount || 0}</span>
                     </button>
-                    <button class="post-action" onclick="EnhancedClassModule.commentPost('${post.id}')">
+                    <button class="post-action" onclick="EnhancedClassModule.commentPost('${post._id}')">
                         <i class="far fa-comment"></i>
-                        <span>${post.comments?.length || 0}</span>
-                    </button>
-                    <button class="post-action">
-                        <i class="fas fa-share"></i>
-                        <span>Share</span>
+                        <span>${post.commentCount || 0}</span>
                     </button>
                 </div>
+                <div class="post-comments"></div>
             </div>
         `;
   },
@@ -1197,64 +1221,446 @@ const EnhancedClassModule = {
     // In production, use event delegation
   },
 
-  likePost: (postId) => {
-    const post = EnhancedClassModule.posts.find((p) => p.id === postId);
-    if (post) {
-      post.likes = (post.likes || 0) + 1;
+  likePost: async (postId) => {
+    const post = EnhancedClassModule.posts.find((p) => p._id === postId);
+    if (!post) return;
+
+    const path = `/classes/${AppState.activeClassId}/posts/${postId}/like`;
+
+    try {
+      const response = post.likedByMe
+        ? await API.delete(path)
+        : await API.post(path);
+
+      Object.assign(post, response.data);
       EnhancedClassModule.renderPosts();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to like post", "error");
     }
   },
 
-  commentPost: (postId) => {
-    Utils.showToast("Comment feature coming soon!", "info");
+  commentPost: async (postId) => {
+    const content = prompt("Write a comment:");
+    if (!content?.trim()) return;
+
+    try {
+      await API.post(
+        `/classes/${AppState.activeClassId}/posts/${postId}/comments`,
+        { content: content.trim() },
+      );
+
+      const post = EnhancedClassModule.posts.find((p) => p._id === postId);
+      if (post) post.commentCount = (post.commentCount || 0) + 1;
+
+      EnhancedClassModule.renderPosts();
+      EnhancedClassModule.loadComments(postId);
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to add comment", "error");
+    }
   },
 
-  showPostMenu: (postId) => {
-    Utils.showToast("Post options: Edit, Delete, Report", "info");
+  loadComments: async (postId) => {
+    try {
+      const response = await API.get(
+        `/classes/${AppState.activeClassId}/posts/${postId}/comments`,
+      );
+
+      const container = document.querySelector(
+        `.stream-post[data-post-id="${postId}"] .post-comments`,
+      );
+      if (!container) return;
+
+      const renderThread = (comments) =>
+        comments
+          .map(
+            (c) => `
+                <div class="post-comment">
+                    <strong>${Utils.escapeHtml(c.authorId?.username || "Member")}</strong>
+                    <span>${c.deleted ? "<em>deleted</em>" : Utils.escapeHtml(c.content)}</span>
+                    ${c.replies.length ? `<div class="post-comment-replies">${renderThread(c.replies)}</div>` : ""}
+                </div>
+            `,
+          )
+          .join("");
+
+      container.innerHTML = renderThread(response.data.comments);
+    } catch (error) {
+      console.error("Failed to load comments:", error);
+    }
   },
 
-  loadPosts: (classId) => {
-    // Load from storage or API
-    const savedPosts = Utils.loadFromStorage(`class_posts_${classId}`, []);
-    EnhancedClassModule.posts = savedPosts;
+  showPostMenu: async (postId) => {
+    const post = EnhancedClassModule.posts.find((p) => p._id === postId);
+    if (!post) return;
+
+    if (!EnhancedClassModule.isTeacher()) {
+      EnhancedClassModule.loadComments(postId);
+      return;
+    }
+
+    try {
+      await API.patch(
+        `/classes/${AppState.activeClassId}/posts/${postId}/pin`,
+        { pinned: !post.pinned },
+      );
+      Utils.showToast(post.pinned ? "Post unpinned" : "Post pinned", "success");
+      EnhancedClassModule.loadPosts(AppState.activeClassId);
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to pin post", "error");
+    }
+  },
+
+  loadPosts: async (classId) => {
+    try {
+      const response = await API.get(`/classes/${classId}/posts`);
+      EnhancedClassModule.posts = response.data.posts;
+    } catch (error) {
+      console.error("Failed to load posts:", error);
+      EnhancedClassModule.posts = [];
+    }
     EnhancedClassModule.renderPosts();
   },
 
   showTabContent: (tabName) => {
     const streamContent = document.querySelector(".class-stream");
+    const panel = EnhancedClassModule.getPanel();
+
+    if (streamContent) {
+      streamContent.style.display = tabName === "stream" ? "block" : "none";
+    }
+    if (panel) panel.style.display = tabName === "stream" ? "none" : "block";
 
     switch (tabName) {
-      case "stream":
-        if (streamContent) streamContent.style.display = "block";
-        break;
       case "classwork":
-        if (streamContent) streamContent.style.display = "none";
         EnhancedClassModule.showClasswork();
         break;
       case "people":
-        if (streamContent) streamContent.style.display = "none";
         EnhancedClassModule.showPeople();
         break;
       case "grades":
-        if (streamContent) streamContent.style.display = "none";
         EnhancedClassModule.showGrades();
         break;
     }
   },
 
-  showClasswork: () => {
-    // Implementation for classwork tab
-    Utils.showToast("Classwork tab - Coming soon!", "info");
+  // Shared container for the non-stream tabs, created next to the stream
+  getPanel: () => {
+    let panel = document.querySelector(".class-panel");
+    const stream = document.querySelector(".class-stream");
+    if (!panel && stream) {
+      panel = document.createElement("div");
+      panel.className = "class-panel";
+      stream.insertAdjacentElement("afterend", panel);
+    }
+    return panel;
   },
 
-  showPeople: () => {
-    // Implementation for people tab
-    Utils.showToast("People tab - Coming soon!", "info");
+  isTeacher: () => {
+    const cls = AppState.classes.find((c) => c._id === AppState.activeClassId);
+    return Boolean(
+      cls?.members?.some(
+        (m) =>
+          (m.userId?._id || m.userId) === AppState.user.id &&
+          m.role === "teacher",
+      ),
+    );
   },
 
-  showGrades: () => {
-    // Implementation for grades tab
-    Utils.showToast("Grades tab - Coming soon!", "info");
+  showClasswork: async () => {
+    const panel = EnhancedClassModule.getPanel();
+    if (!panel) return;
+
+    try {
+      const response = await API.get(
+        `/classes/${AppState.activeClassId}/assignments`,
+      );
+      const { assignments } = response.data;
+      const isTeacher = EnhancedClassModule.isTeacher();
+
+      const library = `<div class="class-library"></div>`;
+
+      if (assignments.length === 0) {
+        panel.innerHTML = `${library}<div class="empty-stream"><i class="fas fa-tasks"></i><h3>No assignments yet</h3></div>`;
+        EnhancedClassModule.loadLibrary();
+        return;
+      }
+
+      panel.innerHTML =
+        library +
+        assignments
+          .map((a) => {
+            const status = isTeacher
+              ? `${a.submissionCount} submitted`
+              : a.mySubmission?.status === "graded"
+                ? `${a.mySubmission.grade.score}/${a.points}`
+                : a.mySubmission
+                  ? "Submitted"
+                  : `<button class="btn-primary" onclick="EnhancedClassModule.submitAssignment('${a._id}')">Submit</button>`;
+
+            return `
+                <div class="stream-post">
+                    <div class="post-header">
+                        <div class="post-author-info">
+                            <div class="post-author-name">${Utils.escapeHtml(a.title)}</div>
+                            <div class="post-timestamp">${a.dueDate ? `Due ${new Date(a.dueDate).toLocaleDateString()}` : "No due date"} · ${a.points} points</div>
+                        </div>
+                        <div>${status}</div>
+                    </div>
+                    ${a.description ? `<div class="post-content">${Utils.escapeHtml(a.description)}</div>` : ""}
+                </div>
+            `;
+          })
+          .join("");
+      EnhancedClassModule.loadLibrary();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to load classwork", "error");
+    }
+  },
+
+  loadLibrary: async () => {
+    const container = document.querySelector(".class-library");
+    if (!container) return;
+
+    try {
+      const response = await API.get(
+        `/classes/${AppState.activeClassId}/library`,
+      );
+      const { nodes } = response.data;
+      const isTeacher = EnhancedClassModule.isTeacher();
+
+      const shareable = isTeacher
+        ? AppState.pdfs.filter(
+            (pdf) =>
+              pdf.status === "INDEXED" && !nodes.some((n) => n._id === pdf._id),
+          )
+        : [];
+
+      container.innerHTML = `
+            <h3>Library</h3>
+            ${nodes
+              .map(
+                (node) => `
+                <div class="stream-post">
+                    <div class="post-header">
+                        <div class="post-author-info">
+                            <div class="post-author-name"><i class="fas fa-file-pdf"></i> ${Utils.escapeHtml(node.meta?.originalName || "Document")}</div>
+                            <div class="post-timestamp">Shared by ${Utils.escapeHtml(node.userId?.username || "a teacher")}</div>
+                        </div>
+                        <div>
+                            <button class="btn-text" onclick="EnhancedClassModule.openLibraryNode('${node._id}', 'tutor')">Chat</button>
+                            <button class="btn-text" onclick="EnhancedClassModule.openLibraryNode('${node._id}', 'flashcards')">Flashcards</button>
+                            ${isTeacher ? `<button class="btn-text" onclick="EnhancedClassModule.unpublishNode('${node._id}')">Remove</button>` : ""}
+                        </div>
+                    </div>
+                </div>
+            `,
+              )
+              .join("")}
+            ${
+              shareable.length
+                ? `<select class="library-share" onchange="EnhancedClassModule.publishNode(this.value)">
+                    <option value="">Share a document with the class...</option>
+                    ${shareable.map((pdf) => `<option value="${pdf._id}">${Utils.escapeHtml(pdf.meta?.originalName || pdf.name || "Document")}</option>`).join("")}
+                </select>`
+                : ""
+            }
+        `;
+      EnhancedClassModule.libraryNodes = nodes;
+    } catch (error) {
+      console.error("Failed to load class library:", error);
+    }
+  },
+
+  openLibraryNode: (nodeId, view) => {
+    const node = EnhancedClassModule.libraryNodes.find((n) => n._id === nodeId);
+    if (!node) return;
+
+    PDFModule.currentPdf = node;
+    NavigationModule.navigateTo(view);
+    if (view === "flashcards") FlashcardModule.generateFromPdf(node._id);
+  },
+
+  publishNode: async (nodeId) => {
+    if (!nodeId) return;
+
+    try {
+      await API.post(`/classes/${AppState.activeClassId}/library`, { nodeId });
+      Utils.showToast("Shared with the class", "success");
+      EnhancedClassModule.loadLibrary();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to share document", "error");
+    }
+  },
+
+  unpublishNode: async (nodeId) => {
+    try {
+      await API.delete(`/classes/${AppState.activeClassId}/library/${nodeId}`);
+      Utils.showToast("Removed from the class", "success");
+      EnhancedClassModule.loadLibrary();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to remove document", "error");
+    }
+  },
+
+  submitAssignment: (assignmentId) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/pdf";
+
+    input.addEventListener("change", async () => {
+      const formData = new FormData();
+      const text = prompt("Add a note to your submission (optional):");
+      if (text) formData.append("text", text);
+      if (input.files[0]) formData.append("file", input.files[0]);
+
+      try {
+        await API.upload(
+          `/classes/${AppState.activeClassId}/assignments/${assignmentId}/submissions`,
+          formData,
+        );
+        Utils.showToast("Assignment submitted!", "success");
+        EnhancedClassModule.showClasswork();
+      } catch (error) {
+        Utils.showToast(error.message || "Failed to submit", "error");
+      }
+    });
+
+    input.click();
+  },
+
+  showPeople: async () => {
+    const panel = EnhancedClassModule.getPanel();
+    if (!panel) return;
+
+    try {
+      const response = await API.get(`/classes/${AppState.activeClassId}`);
+      const cls = response.data;
+      const canManage = cls.myRole === "teacher";
+
+      const row = (m) => {
+        const user = m.userId || {};
+        const isOwner = user._id === cls.userId;
+        const isSelf = user._id === AppState.user.id;
+        const actions = [];
+
+        if (canManage && !isOwner && !isSelf) {
+          const nextRole = m.role === "teacher" ? "student" : "teacher";
+          actions.push(
+            `<button class="btn-text" onclick="EnhancedClassModule.setMemberRole('${user._id}', '${nextRole}')">Make ${nextRole}</button>`,
+            `<button class="btn-text" onclick="EnhancedClassModule.removeMember('${user._id}')">Remove</button>`,
+          );
+        }
+        if (isSelf && !isOwner) {
+          actions.push(
+            `<button class="btn-text" onclick="EnhancedClassModule.leaveClass()">Leave class</button>`,
+          );
+        }
+
+        return `
+                <div class="stream-post">
+                    <div class="post-header">
+                        <img src="${user.profile?.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.username || "?")}&background=00ed64&color=001e2b`}" class="post-avatar" alt="">
+                        <div class="post-author-info">
+                            <div class="post-author-name">${Utils.escapeHtml(user.username || "Member")}</div>
+                            <div class="post-timestamp">${isOwner ? "Owner" : m.role}</div>
+                        </div>
+                        <div>${actions.join("")}</div>
+                    </div>
+                </div>
+            `;
+      };
+
+      panel.innerHTML = cls.members.map(row).join("");
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to load members", "error");
+    }
+  },
+
+  setMemberRole: async (userId, role) => {
+    try {
+      await API.patch(`/classes/${AppState.activeClassId}/members/${userId}`, {
+        role,
+      });
+      Utils.showToast(`Member is now a ${role}`, "success");
+      EnhancedClassModule.showPeople();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to change role", "error");
+    }
+  },
+
+  removeMember: async (userId) => {
+    if (!confirm("Remove this member from the class?")) return;
+
+    try {
+      await API.delete(`/classes/${AppState.activeClassId}/members/${userId}`);
+      Utils.showToast("Member removed", "success");
+      EnhancedClassModule.showPeople();
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to remove member", "error");
+    }
+  },
+
+  leaveClass: async () => {
+    if (!confirm("Leave this class?")) return;
+
+    try {
+      await API.post(`/classes/${AppState.activeClassId}/leave`);
+      AppState.classes = AppState.classes.filter(
+        (c) => c._id !== AppState.activeClassId,
+      );
+      ClassModule.renderClassList();
+      NavigationModule.navigateTo("dashboard");
+      Utils.showToast("You left the class", "success");
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to leave class", "error");
+    }
+  },
+
+  showGrades: async () => {
+    const panel = EnhancedClassModule.getPanel();
+    if (!panel) return;
+
+    try {
+      const response = await API.get(
+        `/classes/${AppState.activeClassId}/gradebook`,
+      );
+      const { assignments, students } = response.data;
+
+      const cell = (grade) =>
+        grade.score !== null
+          ? grade.score
+          : grade.status === "missing"
+            ? "Missing"
+            : grade.status === "submitted"
+              ? "Turned in"
+              : "—";
+
+      panel.innerHTML = `
+            <table class="gradebook">
+                <thead>
+                    <tr>
+                        <th>Student</th>
+                        ${assignments.map((a) => `<th>${Utils.escapeHtml(a.title)} (${a.points})</th>`).join("")}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${students
+                      .map(
+                        (s) => `
+                    <tr>
+                        <td>${Utils.escapeHtml(s.username)}</td>
+                        ${s.grades.map((g) => `<td>${cell(g)}</td>`).join("")}
+                        <td>${s.percentage !== null ? `${s.percentage}%` : "—"}</td>
+                    </tr>`,
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to load grades", "error");
+    }
   },
 
   openMaterialModal: () => {
@@ -1317,7 +1723,7 @@ const EnhancedClassModule = {
     });
   },
 
-  createMaterial: () => {
+  createMaterial: async () => {
     const title = document.getElementById("materialTitle").value;
     const desc = document.getElementById("materialDesc").value;
     const date = document.getElementById("materialDate").value;
@@ -1329,11 +1735,41 @@ const EnhancedClassModule = {
       return;
     }
 
+    if (type === "assignment") {
+      try {
+        await API.post(`/classes/${AppState.activeClassId}/assignments`, {
+          title,
+          ...(desc && { description: desc }),
+          ...(date && { dueDate: new Date(date).toISOString() }),
+        });
+      } catch (error) {
+        Utils.showToast(
+          error.message || "Failed to create assignment",
+          "error",
+        );
+        return;
+      }
+    }
+
     Utils.showToast(`${type} "${title}" created successfully!`, "success");
     document.querySelector(".material-modal").remove();
+
+    if (
+      type === "assignment" &&
+      EnhancedClassModule.currentTab === "classwork"
+    ) {
+      EnhancedClassModule.showClasswork();
+    }
   },
 
   openInviteModal: () => {
+    const cls = AppState.classes.find((c) => c._id === AppState.activeClassId);
+    if (!cls) return;
+
+    const expiry = cls.inviteCodeExpiresAt
+      ? `Expires ${new Date(cls.inviteCodeExpiresAt).toLocaleDateString()}`
+      : "Never expires";
+
     const modal = document.createElement("div");
     modal.className = "modal-overlay";
     modal.style.display = "flex";
@@ -1347,24 +1783,47 @@ const EnhancedClassModule = {
                 </div>
                 <div class="modal-body">
                     <div class="form-group">
-                        <label>Email Addresses</label>
-                        <input type="email" placeholder="Enter email addresses separated by commas">
-                    </div>
-                    <div class="form-group">
-                        <label>Or share this code:</label>
-                        <div style="background: rgba(0,237,100,0.1); padding: 1rem; border-radius: 8px; text-align: center; font-family: var(--font-code); font-size: 1.5rem; color: var(--primary); font-weight: 700;">
-                            ABC-DEF-123
+                        <label>Share this code:</label>
+                        <div class="invite-code" style="background: rgba(0,237,100,0.1); padding: 1rem; border-radius: 8px; text-align: center; font-family: var(--font-code); font-size: 1.5rem; color: var(--primary); font-weight: 700;">
+                            ${Utils.escapeHtml(cls.inviteCode)}
                         </div>
+                        <small class="invite-expiry">${expiry}</small>
                     </div>
                 </div>
                 <div class="modal-footer">
-                    <button class="btn-text" onclick="this.closest('.modal-overlay').remove()">Cancel</button>
-                    <button class="btn-primary">Send Invites</button>
+                    <button class="btn-text" onclick="this.closest('.modal-overlay').remove()">Close</button>
+                    ${EnhancedClassModule.isTeacher() ? `<button class="btn-primary" onclick="EnhancedClassModule.regenerateInviteCode()">New code</button>` : ""}
                 </div>
             </div>
         `;
     document.body.appendChild(modal);
   },
+
+  regenerateInviteCode: async () => {
+    const cls = AppState.classes.find((c) => c._id === AppState.activeClassId);
+    if (!cls) return;
+
+    const days = prompt(
+      "Expire the new code after how many days? (blank = never)",
+    );
+    if (days === null) return;
+
+    try {
+      const response = await API.post(`/classes/${cls._id}/invite-code`, {
+        expiresInDays: days.trim() ? parseInt(days) : null,
+      });
+      Object.assign(cls, response.data);
+
+      document
+        .querySelector(".modal-overlay .invite-code")
+        ?.closest(".modal-overlay")
+        .remove();
+      EnhancedClassModule.openInviteModal();
+      Utils.showToast("New invite code created", "success");
+    } catch (error) {
+      Utils.showToast(error.message || "Failed to create invite code", "error");
+    }
+  },
 };
 
 // Update ClassModule.openClass to trigger enhanced version
@@ -1491,6 +1950,19 @@ const Utils = {
     return d.toLocaleDateString();
   },
 
+  escapeHtml: (text = "") =>
+    String(text).replace(
+      /[&<>"']/g,
+      (ch) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        })[ch],
+    ),
+
   // Store data in localStorage
   saveToStorage: (key, data) => {
     try {
@@ -1844,6 +2316,8 @@ const AuthModule = {
     StatsModule.init();
     ProgressModule.init();
     ActivityModule.init();
+    GamificationModule.init();
+    AIModule.loadModels();
 
     const userName = document.getElementById("userName");
     const avatarImg = document.querySelector(".user-profile img");
@@ -1958,6 +2432,12 @@ const NavigationModule = {
       if (viewName === "stats" && !window.chartsInitialized) {
         StatsModule.initCharts();
       }
+      if (viewName === "tutor") {
+        AIModule.loadScopes();
+      }
+      if (viewName === "flashcards") {
+        FlashcardModule.refreshDueCount();
+      }
 
       NavigationModule.currentView = viewName;
     }
@@ -1974,6 +2454,13 @@ const NavigationModule = {
 const AIModule = {
   activeTool: null,
   isProcessing: false,
+  // Answer being streamed: { id, lastEventId, ended }
+  activeStream: null,
+  // Reconnects after a dropped answer stream; the server waits 15 seconds
+  resumeAttempts: 3,
+  // What new conversations draw on: { nodeIds }, { tag } or { classId };
+  // null means the open document
+  scope: null,
 
   init: () => {
     // Initialize chat sessions
@@ -1987,13 +2474,26 @@ const AIModule = {
     ]);
 
     AIModule.renderChatHistory();
+  },
 
-    // Bind model selector
-    document
-      .getElementById("aiModelSelector")
-      .addEventListener("change", (e) => {
-        AIModule.changeModel(e.target.value);
-      });
+  // Fill the model selector with the models the server allows
+  loadModels: async () => {
+    const selector = document.getElementById("aiModelSelector");
+    if (!selector) return;
+
+    try {
+      const { data } = await API.get("/intelligence/models");
+      selector.innerHTML = data.models
+        .map(
+          (model) =>
+            `<option value="${Utils.escapeHtml(model)}">${Utils.escapeHtml(model.split("/").pop())}</option>`,
+        )
+        .join("");
+      selector.value = data.default;
+      AppState.settings.aiModel = data.default;
+    } catch (error) {
+      console.error("Failed to load models:", error);
+    }
   },
 
   renderChatHistory: () => {
@@ -2014,10 +2514,125 @@ const AIModule = {
     });
   },
 
-  changeModel: (model) => {
-    AppState.settings.aiModel = model;
-    Utils.saveToStorage("scholar_settings", AppState.settings);
-    Utils.showToast(`Switched to ${model}`, "info");
+  // Fill the scope selector with the user's tags and classes
+  loadScopes: () => {
+    const selector = document.getElementById("chatScopeSelector");
+    if (!selector) return;
+
+    const indexed = (AppState.pdfs || []).filter(
+      (pdf) => pdf.status === "INDEXED",
+    );
+    const tags = [...new Set(indexed.flatMap((pdf) => pdf.tags || []))];
+    const option = (value, label) =>
+      `<option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(label)}</option>`;
+
+    selector.innerHTML = [
+      option("", "Open document"),
+      option("pick", "Choose documents..."),
+      tags.length
+        ? `<optgroup label="Tags">${tags.map((t) => option(`tag:${t}`, `#${t}`)).join("")}</optgroup>`
+        : "",
+      AppState.classes?.length
+        ? `<optgroup label="Classes">${AppState.classes.map((c) => option(`class:${c._id}`, c.name)).join("")}</optgroup>`
+        : "",
+    ].join("");
+
+    const { scope } = AIModule;
+    if (scope?.tag) selector.value = `tag:${scope.tag}`;
+    else if (scope?.classId) selector.value = `class:${scope.classId}`;
+    else if (scope?.nodeIds) {
+      selector.insertAdjacentHTML(
+        "afterbegin",
+        option("picked", `${scope.nodeIds.length} documents`),
+      );
+      selector.value = "picked";
+    }
+  },
+
+  // A new scope starts a new conversation, since each keeps its own
+  changeScope: (value) => {
+    if (value === "pick") return AIModule.pickDocuments();
+    if (value === "picked") return;
+
+    if (value.startsWith("tag:")) AIModule.scope = { tag: value.slice(4) };
+    else if (value.startsWith("class:")) {
+      AIModule.scope = { classId: value.slice(6) };
+    } else AIModule.scope = null;
+    AIModule.newChat();
+  },
+
+  pickDocuments: () => {
+    const indexed = (AppState.pdfs || []).filter(
+      (pdf) => pdf.status === "INDEXED",
+    );
+    const selected = new Set(AIModule.scope?.nodeIds || []);
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.style.display = "flex";
+    modal.innerHTML = `
+            <div class="modal-card animate__animated animate__zoomIn">
+                <div class="modal-header">
+                    <h3>Chat with documents</h3>
+                    <button class="btn-close" data-action="close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="modal-body">
+                    ${
+                      indexed
+                        .map(
+                          (pdf) => `
+                    <label class="form-group">
+                        <input type="checkbox" value="${pdf._id}" ${selected.has(pdf._id) ? "checked" : ""}>
+                        ${Utils.escapeHtml(pdf.meta?.originalName || "Document")}
+                    </label>`,
+                        )
+                        .join("") || "<p>No processed documents yet.</p>"
+                    }
+                </div>
+                <div class="modal-footer">
+                    <button class="btn-text" data-action="close">Cancel</button>
+                    <button class="btn-primary" data-action="apply">Chat</button>
+                </div>
+            </div>
+        `;
+
+    const close = () => {
+      modal.remove();
+      AIModule.loadScopes();
+    };
+    modal.querySelectorAll('[data-action="close"]').forEach((btn) => {
+      btn.addEventListener("click", close);
+    });
+    modal
+      .querySelector('[data-action="apply"]')
+      .addEventListener("click", () => {
+        const nodeIds = [...modal.querySelectorAll("input:checked")].map(
+          (input) => input.value,
+        );
+        AIModule.scope = nodeIds.length ? { nodeIds } : null;
+        AIModule.newChat();
+        close();
+      });
+    document.body.appendChild(modal);
+  },
+
+  // Follow-ups send no scope, so the server keeps the conversation's own
+  chatScope: () => {
+    if (AIModule.currentConversationId) return {};
+    return AIModule.scope || { nodeId: PDFModule.currentPdf?._id };
+  },
+
+  changeModel: async (model) => {
+    try {
+      await API.patch("/user/settings", { aiModel: model });
+      AppState.settings.aiModel = model;
+      Utils.saveToStorage("scholar_settings", AppState.settings);
+      Utils.showToast(`Switched to ${model}`, "info");
+    } catch (error) {
+      Utils.showToast(error.message || "Could not switch model", "error");
+    }
   },
 
   activateTool: (toolName) => {
@@ -2084,23 +2699,25 @@ const AIModule = {
     messagesContainer.appendChild(typingMsg);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
+    const stream = { id: null, lastEventId: null, ended: false };
+    AIModule.activeStream = stream;
+    AIModule.setStreaming(true);
+
     try {
       // Call streaming API
-      const response = await fetch(
-        `${API_CONFIG.baseURL}/intelligence/chat/stream`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${Utils.loadFromStorage("scholar_token")}`,
-          },
-          body: JSON.stringify({
-            query: text,
-            nodeId: PDFModule.currentPdf?._id,
-            conversationId: AIModule.currentConversationId,
-          }),
-        },
-      );
+      let response = await AIModule.streamRequest("/intelligence/chat/stream", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          query: text,
+          ...AIModule.chatScope(),
+          conversationId: AIModule.currentConversationId,
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error?.message || `HTTP ${response.status}`);
+      }
 
       document.getElementById("typingIndicator")?.remove();
 
@@ -2114,37 +2731,203 @@ const AIModule = {
 
       const bubble = aiMsg.querySelector(".message-bubble");
       let fullResponse = "";
+      const sources = new Map(); // citation number -> citation
+      bubble.addEventListener("click", (event) => {
+        const ref = event.target.closest(".citation-ref");
+        if (!ref) return;
+        event.preventDefault();
+        AIModule.showCitation(sources.get(Number(ref.dataset.number)));
+      });
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
+      const onEvent = (data) => {
+        if (data.streamId) stream.id = data.streamId;
+        if (data.content) {
+          fullResponse += data.content;
+          AIModule.renderAnswer(bubble, fullResponse, sources);
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+        if (data.citation) {
+          sources.set(data.citation.number, data.citation);
+          AIModule.renderAnswer(bubble, fullResponse, sources);
+        }
+        if (data.error) {
+          stream.ended = true;
+          Utils.showToast(data.error, "error");
+        }
+        if (data.done) {
+          stream.ended = true;
+          AIModule.currentConversationId = data.conversationId;
+          AIModule.renderSources(aiMsg, data.citations);
+          AIModule.renderModel(aiMsg, data.model, data.modelFailures);
+          if (data.incomplete) AIModule.renderStopped(aiMsg);
+        }
+      };
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+      // A dropped connection picks the answer up where it left off
+      for (let attempt = 0; ; attempt++) {
+        try {
+          await AIModule.readEvents(response, stream, onEvent);
+        } catch (error) {
+          if (!stream.id) throw error;
+        }
+        if (stream.ended || !stream.id || attempt >= AIModule.resumeAttempts) {
+          break;
+        }
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split("\n");
+        await new Promise((resolve) =>
+          setTimeout(resolve, 1000 * 2 ** attempt),
+        );
+        response = await AIModule.streamRequest(
+          `/intelligence/chat/streams/${stream.id}`,
+          { headers: { "Last-Event-ID": stream.lastEventId || "" } },
+        ).catch(() => null);
+        // 404: the server already dropped the stream
+        if (response?.status === 404) break;
+        if (!response?.ok) response = { body: null };
+      }
 
-        for (const line of lines) {
-          if (line.startsWith("data: ")) {
-            const data = JSON.parse(line.slice(6));
-            if (data.content) {
-              fullResponse += data.content;
-              bubble.textContent = fullResponse;
-              messagesContainer.scrollTop = messagesContainer.scrollHeight;
-            }
-            if (data.done) AIModule.currentConversationId = data.conversationId;
-          }
-        }
+      if (!stream.ended) {
+        Utils.showToast("Connection lost before the answer finished", "error");
       }
     } catch (error) {
       document.getElementById("typingIndicator")?.remove();
       Utils.showToast("Chat error: " + error.message, "error");
     } finally {
       AIModule.isProcessing = false;
+      AIModule.activeStream = null;
+      AIModule.setStreaming(false);
       messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
   },
+  streamRequest: (path, options = {}) =>
+    fetch(`${API_CONFIG.baseURL}${path}`, {
+      ...options,
+      headers: {
+        Authorization: `Bearer ${Utils.loadFromStorage("scholar_token")}`,
+        ...options.headers,
+      },
+    }),
+  // Pass each server-sent event's data to onEvent, remembering its id
+  readEvents: async (response, stream, onEvent) => {
+    if (!response.body) throw new Error("No response body");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Events end with a blank line and may be split across chunks
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split("\n\n");
+      buffer = frames.pop();
+
+      for (const frame of frames) {
+        let data = null;
+        for (const line of frame.split("\n")) {
+          if (line.startsWith("id: ")) stream.lastEventId = line.slice(4);
+          if (line.startsWith("data: ")) data = JSON.parse(line.slice(6));
+        }
+        if (data) onEvent(data);
+      }
+    }
+  },
+  // Stop the answer being generated; the server saves what it has so far
+  cancelStream: async () => {
+    const stream = AIModule.activeStream;
+    if (!stream?.id || stream.ended) return;
+
+    try {
+      await API.post(`/intelligence/chat/streams/${stream.id}/cancel`, {});
+    } catch (error) {
+      Utils.showToast("Failed to stop the answer: " + error.message, "error");
+    }
+  },
+  setStreaming: (streaming) => {
+    const sendBtn = document.getElementById("chatSendBtn");
+    const stopBtn = document.getElementById("chatStopBtn");
+    if (sendBtn) sendBtn.style.display = streaming ? "none" : "";
+    if (stopBtn) stopBtn.style.display = streaming ? "" : "none";
+  },
+  renderStopped: (messageEl) => {
+    const label = document.createElement("div");
+    label.className = "message-model";
+    label.textContent = "Answer stopped before it finished";
+    messageEl.querySelector(".message-content").appendChild(label);
+  },
+  // Answer text with [n] markers turned into footnote links
+  renderAnswer: (bubble, text, sources) => {
+    bubble.innerHTML = Utils.escapeHtml(text).replace(
+      /\[(\d+(?:\s*,\s*\d+)*)\]/g,
+      (marker, list) => {
+        const links = list
+          .split(",")
+          .map((n) => Number(n))
+          .filter((n) => sources.has(n))
+          .map((n) => {
+            const c = sources.get(n);
+            const title = `${c.documentName}${c.pageNumber ? `, p. ${c.pageNumber}` : ""}`;
+            return `<a href="#" class="citation-ref" data-number="${n}" title="${Utils.escapeHtml(title)}">${n}</a>`;
+          });
+        return links.length ? `<sup>[${links.join(", ")}]</sup>` : marker;
+      },
+    );
+  },
+  showCitation: (citation) => {
+    if (!citation) return;
+    const page = citation.pageNumber
+      ? citation.pageEnd > citation.pageNumber
+        ? `, pages ${citation.pageNumber}-${citation.pageEnd}`
+        : `, page ${citation.pageNumber}`
+      : "";
+    Utils.showToast(
+      `${citation.documentName}${page}: ${citation.content}`,
+      "info",
+    );
+  },
+  renderModel: (messageEl, model, failures = []) => {
+    if (!model) return;
+
+    const label = document.createElement("div");
+    label.className = "message-model";
+    label.textContent = failures.length
+      ? `Answered by ${model} (${failures.map((f) => f.model).join(", ")} unavailable)`
+      : `Answered by ${model}`;
+    messageEl.querySelector(".message-content").appendChild(label);
+  },
+  renderSources: (messageEl, citations) => {
+    if (!citations?.length) return;
+
+    // One entry per document, listing the pages the answer drew on
+    const byDocument = new Map();
+    citations.forEach((c) => {
+      const name = c.documentName || "Document";
+      if (!byDocument.has(name)) byDocument.set(name, new Set());
+      if (c.pageNumber) {
+        byDocument
+          .get(name)
+          .add(
+            c.pageEnd > c.pageNumber
+              ? `${c.pageNumber}-${c.pageEnd}`
+              : `${c.pageNumber}`,
+          );
+      }
+    });
+
+    const sources = document.createElement("div");
+    sources.className = "message-sources";
+    sources.innerHTML = [...byDocument]
+      .map(([name, pages]) => {
+        const pageList = [...pages]
+          .sort((a, b) => parseInt(a) - parseInt(b))
+          .join(", ");
+        return `<span><i class="fas fa-file-pdf"></i> ${Utils.escapeHtml(name)}${pageList ? ` (p. ${pageList})` : ""}</span>`;
+      })
+      .join(" ");
+    messageEl.querySelector(".message-content").appendChild(sources);
+  },
   generateResponse: (userText) => {
     const responses = {
       quiz: `I've generated a quiz based on "${userText}":
@@ -2212,6 +2995,7 @@ Would you like me to:
             </div>
         `;
     AIModule.activeTool = null;
+    AIModule.currentConversationId = null;
     document
       .querySelectorAll(".chip")
       .forEach((chip) => chip.classList.remove("active"));
@@ -2462,16 +3246,68 @@ const FlashcardModule = {
     FlashcardModule.isFlipped = !FlashcardModule.isFlipped;
   },
 
-  markCard: (rating) => {
+  markCard: async (rating) => {
+    const card = FlashcardModule.cards[FlashcardModule.currentIndex];
+
     if (rating === "known") {
       Utils.showToast("Great job! 🎉", "success");
     } else {
       Utils.showToast("Added to review pile", "info");
     }
 
+    if (card?._id) {
+      try {
+        await API.post(`/intelligence/flashcards/${card._id}/review`, {
+          rating,
+        });
+        GamificationModule.refresh();
+        FlashcardModule.refreshDueCount();
+      } catch (error) {
+        console.error("Failed to save review:", error);
+      }
+    }
+
     FlashcardModule.nextCard();
   },
 
+  loadDue: async (nodeId) => {
+    try {
+      const query = nodeId ? `?nodeId=${nodeId}` : "";
+      const response = await API.get(`/intelligence/flashcards/due${query}`);
+      FlashcardModule.showDueCount(response.data.dueCount);
+
+      if (response.data.cards.length === 0) {
+        Utils.showToast("No cards due today 🎉", "success");
+        return;
+      }
+
+      FlashcardModule.cards = response.data.cards;
+      FlashcardModule.currentIndex = 0;
+      FlashcardModule.renderCard();
+      FlashcardModule.updateProgress();
+
+      document.removeEventListener("keydown", FlashcardModule.handleKeyPress);
+      document.addEventListener("keydown", FlashcardModule.handleKeyPress);
+    } catch (error) {
+      Utils.showToast("Failed to load due cards: " + error.message, "error");
+    }
+  },
+
+  // Cards due across all decks, shown on the "Review due" button
+  refreshDueCount: async () => {
+    try {
+      const response = await API.get("/intelligence/flashcards/due?limit=1");
+      FlashcardModule.showDueCount(response.data.dueCount);
+    } catch (error) {
+      console.error("Failed to load due count:", error);
+    }
+  },
+
+  showDueCount: (count) => {
+    const badge = document.getElementById("flashcardDueCount");
+    if (badge) badge.textContent = count;
+  },
+
   nextCard: () => {
     if (FlashcardModule.currentIndex < FlashcardModule.cards.length - 1) {
       FlashcardModule.currentIndex++;
@@ -2517,7 +3353,7 @@ const StatsModule = {
       const response = await API.get("/analytics/dashboard");
       AppState.stats = {
         studyHours: response.data.stats.studySessions || 0,
-        quizScore: 0, // Calculate from quiz data
+        quizScore: response.data.stats.averageQuizScore || 0,
         retention: 0, // Calculate from activity
         sessions: response.data.stats.recentActivities || 0,
         documents: response.data.stats.totalFiles || 0,
@@ -3470,129 +4306,53 @@ const i18nModule = {
 // ADVANCED GAMIFICATION MODULE
 // ==========================================
 const GamificationModule = {
-  achievements: [],
-  badges: [],
-  points: 0,
-  level: 1,
-  streak: 0,
+  // Last profile fetched from /user/gamification; the server owns all progress
+  profile: null,
 
-  init: () => {
-    GamificationModule.loadProgress();
-    GamificationModule.checkDailyStreak();
-  },
-
-  loadProgress: () => {
-    const saved = Utils.loadFromStorage("scholar_gamification", {
-      achievements: [],
-      badges: [],
-      points: 0,
-      level: 1,
-      streak: 0,
-      lastActivity: Date.now(),
-    });
-
-    Object.assign(GamificationModule, saved);
-  },
+  init: async () => {
+    if (!AppState.user) return;
 
-  saveProgress: () => {
-    Utils.saveToStorage("scholar_gamification", {
-      achievements: GamificationModule.achievements,
-      badges: GamificationModule.badges,
-      points: GamificationModule.points,
-      level: GamificationModule.level,
-      streak: GamificationModule.streak,
-      lastActivity: Date.now(),
-    });
+    await GamificationModule.syncTimezone();
+    await GamificationModule.refresh();
   },
 
-  addPoints: (amount, reason) => {
-    GamificationModule.points += amount;
+  // Streaks are counted in calendar days of the browser's timezone
+  syncTimezone: async () => {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!timezone || AppState.user.settings?.timezone === timezone) return;
 
-    // Check for level up
-    const newLevel = Math.floor(GamificationModule.points / 1000) + 1;
-    if (newLevel > GamificationModule.level) {
-      GamificationModule.level = newLevel;
-      GamificationModule.showLevelUp(newLevel);
+    try {
+      await API.patch("/user/settings", { timezone });
+      AppState.user.settings = { ...AppState.user.settings, timezone };
+    } catch (error) {
+      console.error("Failed to sync timezone:", error);
     }
-
-    GamificationModule.saveProgress();
-
-    // Show points earned
-    Utils.showToast(`+${amount} points: ${reason}`, "success");
   },
 
-  unlockAchievement: (achievementId) => {
-    if (GamificationModule.achievements.includes(achievementId)) {
-      return;
-    }
-
-    GamificationModule.achievements.push(achievementId);
-    GamificationModule.saveProgress();
+  refresh: async () => {
+    try {
+      const response = await API.get("/user/gamification");
+      const previous = GamificationModule.profile;
+      const profile = response.data;
 
-    const achievement = GamificationModule.getAchievementInfo(achievementId);
-    GamificationModule.showAchievementUnlocked(achievement);
-  },
+      GamificationModule.profile = profile;
 
-  getAchievementInfo: (id) => {
-    const achievements = {
-      first_class: {
-        name: "Class Creator",
-        description: "Created your first class",
-        icon: "fa-graduation-cap",
-        points: 50,
-      },
-      first_pdf: {
-        name: "Document Master",
-        description: "Uploaded your first PDF",
-        icon: "fa-file-pdf",
-        points: 50,
-      },
-      quiz_master: {
-        name: "Quiz Master",
-        description: "Scored 100% on a quiz",
-        icon: "fa-trophy",
-        points: 100,
-      },
-      study_streak_7: {
-        name: "Week Warrior",
-        description: "7-day study streak",
-        icon: "fa-fire",
-        points: 200,
-      },
-      study_streak_30: {
-        name: "Month Master",
-        description: "30-day study streak",
-        icon: "fa-star",
-        points: 500,
-      },
-      flashcard_pro: {
-        name: "Flashcard Pro",
-        description: "Completed 100 flashcards",
-        icon: "fa-cards",
-        points: 150,
-      },
-      night_owl: {
-        name: "Night Owl",
-        description: "Studied after midnight",
-        icon: "fa-moon",
-        points: 75,
-      },
-      early_bird: {
-        name: "Early Bird",
-        description: "Studied before 6 AM",
-        icon: "fa-sun",
-        points: 75,
-      },
-    };
+      // Celebrate only what changed since the last fetch, not the first load
+      if (!previous) return;
 
-    return (
-      achievements[id] || {
-        name: id,
-        description: "Achievement",
-        icon: "fa-award",
-        points: 0,
+      if (profile.level > previous.level) {
+        GamificationModule.showLevelUp(profile.level);
       }
-    );
+
+      const alreadyEarned = new Set(
+        previous.badges.filter((b) => b.earned).map((b) => b.key),
+      );
+      profile.badges
+        .filter((b) => b.earned && !alreadyEarned.has(b.key))
+        .forEach((badge) => GamificationModule.showAchievementUnlocked(badge));
+    } catch (error) {
+      console.error("Failed to load gamification profile:", error);
+    }
   },
 
   showAchievementUnlocked: (achievement) => {
@@ -3606,15 +4366,11 @@ const GamificationModule = {
                 <h3>Achievement Unlocked!</h3>
                 <h4>${achievement.name}</h4>
                 <p>${achievement.description}</p>
-                <div class="achievement-points">+${achievement.points} points</div>
             </div>
         `;
 
     document.body.appendChild(overlay);
 
-    // Add points
-    GamificationModule.addPoints(achievement.points, achievement.name);
-
     // Remove after animation
     setTimeout(() => {
       overlay.classList.add("animate__fadeOut");
@@ -3643,62 +4399,6 @@ const GamificationModule = {
       setTimeout(() => overlay.remove(), 500);
     }, 3000);
   },
-
-  checkDailyStreak: () => {
-    const lastActivity = GamificationModule.lastActivity || Date.now();
-    const daysSince = Math.floor(
-      (Date.now() - lastActivity) / (24 * 60 * 60 * 1000),
-    );
-
-    if (daysSince === 1) {
-      // Consecutive day
-      GamificationModule.streak++;
-
-      // Check for streak achievements
-      if (GamificationModule.streak === 7) {
-        GamificationModule.unlockAchievement("study_streak_7");
-      } else if (GamificationModule.streak === 30) {
-        GamificationModule.unlockAchievement("study_streak_30");
-      }
-    } else if (daysSince > 1) {
-      // Streak broken
-      GamificationModule.streak = 1;
-    }
-
-    GamificationModule.saveProgress();
-  },
-
-  trackActivity: (activityType) => {
-    // Award points based on activity
-    const pointValues = {
-      login: 10,
-      create_class: 50,
-      upload_pdf: 50,
-      complete_quiz: 100,
-      complete_flashcard_session: 75,
-      study_session: 25,
-    };
-
-    const points = pointValues[activityType] || 10;
-    GamificationModule.addPoints(points, activityType.replace(/_/g, " "));
-
-    // Check for specific achievements
-    if (activityType === "create_class" && AppState.classes.length === 1) {
-      GamificationModule.unlockAchievement("first_class");
-    }
-
-    if (activityType === "upload_pdf" && AppState.pdfs.length === 1) {
-      GamificationModule.unlockAchievement("first_pdf");
-    }
-
-    // Check time-based achievements
-    const hour = new Date().getHours();
-    if (hour >= 0 && hour < 6) {
-      GamificationModule.unlockAchievement("night_owl");
-    } else if (hour >= 5 && hour < 7) {
-      GamificationModule.unlockAchievement("early_bird");
-    }
-  },
 };
 
 // ==========================================
@@ -4040,8 +4740,6 @@ const StudyTimerModule = {
         StudyTimerModule.complete();
       }
     }, 1000);
-
-    GamificationModule.trackActivity("study_session");
   },
 
   pause: () => {
@@ -4075,9 +4773,6 @@ const StudyTimerModule = {
     // Show notification
     Utils.showToast("Study session complete! Take a break 🎉", "success");
 
-    // Award points
-    GamificationModule.addPoints(25, "Completed study session");
-
     // Reset timer
     StudyTimerModule.remaining = StudyTimerModule.duration;
     StudyTimerModule.updateDisplay();
@@ -4279,7 +4974,6 @@ document.addEventListener("DOMContentLoaded", () => {
     ActivityUpdater.init();
     EnhancedAuth.init();
     i18nModule.init();
-    GamificationModule.init();
     VoiceCommandModule.init();
     StudyTimerModule.init();
     NoteModule.init();
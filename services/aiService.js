@@ -1,13 +1,14 @@
-const { pipeline } = require("@xenova/transformers");
-const OpenAI = require("openai");
 const CONFIG = require("../config");
 const logger = require("./logger");
 
 let embeddingPipeline = null;
+let reranker = null;
 
 async function initEmbeddings() {
   try {
     logger.info("🧠 Loading embedding model...");
+    // Loaded on demand so the app can be built without the ONNX runtime
+    const { pipeline } = require("@xenova/transformers");
     embeddingPipeline = await pipeline(
       "feature-extraction",
       "Xenova/all-MiniLM-L6-v2",
@@ -19,6 +20,10 @@ async function initEmbeddings() {
   }
 }
 
+function isEmbeddingModelLoaded() {
+  return embeddingPipeline !== null;
+}
+
 async function generateEmbedding(text) {
   if (!embeddingPipeline) {
     await initEmbeddings();
@@ -43,24 +48,53 @@ async function generateEmbeddingsBatch(texts) {
   return embeddings;
 }
 
+async function initReranker() {
+  if (reranker) return reranker;
+
+  logger.info("🧠 Loading rerank model...");
+  const {
+    AutoTokenizer,
+    AutoModelForSequenceClassification,
+  } = require("@xenova/transformers");
+  const [tokenizer, model] = await Promise.all([
+    AutoTokenizer.from_pretrained(CONFIG.RERANK_MODEL),
+    AutoModelForSequenceClassification.from_pretrained(CONFIG.RERANK_MODEL),
+  ]);
+  reranker = { tokenizer, model };
+  logger.info("✅ Rerank model loaded");
+  return reranker;
+}
+
+/**
+ * Score how well each passage answers the query with a cross-encoder
+ * @param {string} query
+ * @param {Array<string>} passages
+ * @returns {Promise<Array<number>>} Relevance between 0 and 1, per passage
+ */
+async function rerank(query, passages) {
+  if (passages.length === 0) return [];
+
+  const { tokenizer, model } = await initReranker();
+  const inputs = tokenizer(new Array(passages.length).fill(query), {
+    text_pair: passages,
+    padding: true,
+    truncation: true,
+  });
+  const { logits } = await model(inputs);
+
+  return Array.from(logits.data, (logit) => 1 / (1 + Math.exp(-logit)));
+}
+
 function sanitizeInput(input) {
   if (typeof input !== "string") return input;
   return input.trim().replace(/<script.*?>.*?<\/script>/gi, "");
 }
 
-const openai = new OpenAI({
-  baseURL: "https://openrouter.ai/api/v1",
-  apiKey: CONFIG.OPENROUTER_API_KEY,
-  defaultHeaders: {
-    "HTTP-Referer": "https://scholar.ai",
-    "X-Title": "Scholar.AI",
-  },
-});
-
 module.exports = {
   initEmbeddings,
+  isEmbeddingModelLoaded,
   generateEmbedding,
   generateEmbeddingsBatch,
+  rerank,
   sanitizeInput,
-  openai,
 };
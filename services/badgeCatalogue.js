@@ -0,0 +1,143 @@
+/**
+ * Badge Catalogue
+ * Declarative badge rules: a badge is earned once its metric reaches the
+ * threshold. Add a badge by adding an entry; add a metric only when no
+ * existing one measures what the badge needs.
+ */
+
+const { KnowledgeNode, ActivityLog, QuizAttempt, Class } = require("../models");
+
+// Each metric receives the lean user document and returns a number
+const METRICS = {
+  uploads: (user) =>
+    KnowledgeNode.countDocuments({
+      userId: user._id,
+      type: { $ne: "Note" },
+      status: "INDEXED",
+    }),
+  streakDays: (user) => user.dna.streakDays || 0,
+  level: (user) => user.dna.level || 1,
+  flashcardReviews: (user) =>
+    ActivityLog.countDocuments({
+      userId: user._id,
+      type: "study",
+      "metadata.cardId": { $exists: true },
+    }),
+  quizzes: (user) => QuizAttempt.countDocuments({ userId: user._id }),
+  perfectQuizzes: (user) =>
+    QuizAttempt.countDocuments({ userId: user._id, percentage: 100 }),
+  questions: (user) =>
+    ActivityLog.countDocuments({ userId: user._id, type: "chat" }),
+  classesCreated: (user) => Class.countDocuments({ userId: user._id }),
+};
+
+const BADGES = [
+  {
+    key: "first-upload",
+    name: "Document Master",
+    description: "Uploaded your first document",
+    icon: "fa-file-pdf",
+    metric: "uploads",
+    threshold: 1,
+  },
+  {
+    key: "librarian",
+    name: "Librarian",
+    description: "Built a library of 10 documents",
+    icon: "fa-book",
+    metric: "uploads",
+    threshold: 10,
+  },
+  {
+    key: "streak-7",
+    name: "Week Warrior",
+    description: "7-day study streak",
+    icon: "fa-fire",
+    metric: "streakDays",
+    threshold: 7,
+  },
+  {
+    key: "streak-30",
+    name: "Month Master",
+    description: "30-day study streak",
+    icon: "fa-star",
+    metric: "streakDays",
+    threshold: 30,
+  },
+  {
+    key: "flashcards-100",
+    name: "Flashcard Pro",
+    description: "Reviewed 100 flashcards",
+    icon: "fa-layer-group",
+    metric: "flashcardReviews",
+    threshold: 100,
+  },
+  {
+    key: "first-quiz",
+    name: "Quiz Taker",
+    description: "Completed your first quiz",
+    icon: "fa-question-circle",
+    metric: "quizzes",
+    threshold: 1,
+  },
+  {
+    key: "perfect-quiz",
+    name: "Quiz Master",
+    description: "Scored 100% on a quiz",
+    icon: "fa-trophy",
+    metric: "perfectQuizzes",
+    threshold: 1,
+  },
+  {
+    key: "curious-mind",
+    name: "Curious Mind",
+    description: "Asked 50 questions",
+    icon: "fa-comments",
+    metric: "questions",
+    threshold: 50,
+  },
+  {
+    key: "first-class",
+    name: "Class Creator",
+    description: "Created your first class",
+    icon: "fa-graduation-cap",
+    metric: "classesCreated",
+    threshold: 1,
+  },
+  {
+    key: "level-10",
+    name: "Seasoned Scholar",
+    description: "Reached level 10",
+    icon: "fa-level-up-alt",
+    metric: "level",
+    threshold: 10,
+  },
+];
+
+// Metrics each event can change, so an event only re-checks the badges it
+// can affect. Every XP award can raise the level and extend the streak.
+const EVENT_METRICS = {
+  xp: ["level", "streakDays"],
+  login: ["streakDays"],
+  upload: ["uploads"],
+  flashcardReview: ["flashcardReviews"],
+  quiz: ["quizzes", "perfectQuizzes"],
+  question: ["questions"],
+  classCreated: ["classesCreated"],
+};
+
+/**
+ * Unearned badges whose metric one of the events can change
+ * @param {Set<string>} earned - Keys of badges the user already has
+ * @param {Array<string>} [events] - EVENT_METRICS keys; all badges if omitted
+ * @returns {Array} Badges to check
+ */
+function badgesToCheck(earned, events) {
+  const metrics = events && new Set(events.flatMap((e) => EVENT_METRICS[e]));
+  return BADGES.filter(
+    (badge) =>
+      !earned.has(badge.key) && (!metrics || metrics.has(badge.metric)),
+  );
+}
+
+module.exports = { BADGES, METRICS, EVENT_METRICS, badgesToCheck };
@@ -0,0 +1,125 @@
+/**
+ * Chat Streams
+ * Keeps the server-sent events of each chat answer so a client that lost
+ * its connection can reconnect with Last-Event-ID and get the rest.
+ *
+ * Event ids are "<streamId>:<index>". When the last client goes away the
+ * answer keeps generating for a grace period in case it comes back, then
+ * the stream's signal is aborted so the model call stops. Buffers live in
+ * this process, so a resume has to reach the same instance.
+ */
+
+const crypto = require("crypto");
+
+const GRACE_MS = 15000;
+const RETAIN_MS = 5 * 60 * 1000; // finished streams can still be replayed
+
+const streams = new Map(); // streamId -> ChatStream
+
+class ChatStream {
+  /**
+   * @param {string} userId - Owner; only they may resume or cancel
+   * @param {Object} [options]
+   * @param {number} [options.graceMs] - Wait for a reconnect before cancelling
+   * @param {number} [options.retainMs] - Keep the buffer after finishing
+   */
+  constructor(userId, { graceMs = GRACE_MS, retainMs = RETAIN_MS } = {}) {
+    this.id = crypto.randomUUID();
+    this.userId = String(userId);
+    this.graceMs = graceMs;
+    this.retainMs = retainMs;
+    this.events = []; // SSE frames; the position is the event index
+    this.clients = new Set();
+    this.controller = new AbortController();
+    this.finished = false;
+    this.graceTimer = null;
+  }
+
+  /** Aborted when the answer should stop generating */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  get cancelled() {
+    return this.controller.signal.aborted;
+  }
+
+  send(data) {
+    if (this.finished) return;
+    const frame = `id: ${this.id}:${this.events.length}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.events.push(frame);
+    for (const res of this.clients) res.write(frame);
+  }
+
+  /**
+   * Send buffered events after `lastIndex`, then follow the live ones
+   * @param {Object} res - Response with SSE headers set
+   * @param {number} [lastIndex=-1] - Last event the client already has
+   */
+  attach(res, lastIndex = -1) {
+    for (const frame of this.events.slice(lastIndex + 1)) res.write(frame);
+    if (this.finished) {
+      res.end();
+      return;
+    }
+
+    clearTimeout(this.graceTimer);
+    this.clients.add(res);
+    res.on("close", () => {
+      this.clients.delete(res);
+      if (this.clients.size > 0 || this.finished) return;
+      this.graceTimer = setTimeout(() => this.cancel(), this.graceMs);
+      this.graceTimer.unref?.();
+    });
+  }
+
+  cancel() {
+    if (!this.finished) this.controller.abort();
+  }
+
+  /** End every client and drop the buffer after the retention period */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    clearTimeout(this.graceTimer);
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+
+    const timer = setTimeout(() => streams.delete(this.id), this.retainMs);
+    timer.unref?.();
+  }
+}
+
+/**
+ * @param {string} userId
+ * @param {Object} [options] - See ChatStream
+ * @returns {ChatStream} Registered stream
+ */
+function openStream(userId, options) {
+  const stream = new ChatStream(userId, options);
+  streams.set(stream.id, stream);
+  return stream;
+}
+
+/**
+ * @returns {ChatStream|null} The user's stream, if it is still kept
+ */
+function findStream(streamId, userId) {
+  const stream = streams.get(streamId);
+  return stream && stream.userId === String(userId) ? stream : null;
+}
+
+/**
+ * Index in a Last-Event-ID header; -1 (replay everything) when it is
+ * missing or belongs to another stream
+ * @param {string} [header]
+ * @param {string} streamId
+ * @returns {number}
+ */
+function parseLastEventId(header, streamId) {
+  const match = /^(.+):(\d+)$/.exec(String(header || "").trim());
+  if (!match || match[1] !== streamId) return -1;
+  return parseInt(match[2], 10);
+}
+
+module.exports = { ChatStream, openStream, findStream, parseLastEventId };
@@ -0,0 +1,171 @@
+/**
+ * Chunk Cache
+ * Per-document cache of data built from a document's VectorChunks. One
+ * instance is shared by the keyword index and the memory vector store:
+ * each registers a part (term statistics, vectors) that is built from the
+ * same chunk load and kept under one chunk budget. An entry is rebuilt
+ * when its document's chunks change, and the least recently used
+ * documents are evicted once the cache holds too many chunks.
+ */
+
+const mongoose = require("mongoose");
+const CONFIG = require("../config");
+const { VectorChunk } = require("../models");
+
+/**
+ * Chunk count and newest chunk id per document. The newest id changes
+ * whenever chunks are replaced, so together they tell when a cached
+ * entry is stale.
+ * @param {Array} nodeIds
+ * @returns {Promise<Array<{_id, count: number, latest}>>}
+ */
+async function chunkVersions(nodeIds) {
+  const objectIds = nodeIds.map((id) => new mongoose.Types.ObjectId(id));
+  return VectorChunk.aggregate([
+    { $match: { nodeId: { $in: objectIds } } },
+    {
+      $group: {
+        _id: "$nodeId",
+        count: { $sum: 1 },
+        latest: { $max: "$_id" },
+      },
+    },
+  ]);
+}
+
+function loadChunks(nodeId, select) {
+  return VectorChunk.find({ nodeId }).select(select).lean();
+}
+
+class ChunkCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxChunks=100000] - Cached chunks before the
+   *   least recently used documents are evicted
+   * @param {Function} [options.versions] - Defaults to chunkVersions
+   * @param {Function} [options.loadChunks] - (nodeId, select) => Promise of
+   *   lean chunks
+   */
+  constructor({
+    maxChunks = 100000,
+    versions = chunkVersions,
+    loadChunks: load = loadChunks,
+  } = {}) {
+    this.maxChunks = maxChunks;
+    this.versions = versions;
+    this.loadChunks = load;
+    this.parts = new Map(); // name -> { select, build }
+    this.entries = new Map(); // nodeId -> { count, latest, values }
+    this.pending = new Map(); // requested nodeIds -> versions promise
+    this.chunkCount = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Register data to cache for every document
+   * @param {string} name
+   * @param {Object} part
+   * @param {string} part.select - Chunk fields the part needs
+   * @param {Function} part.build - (chunks, nodeId) => value to cache
+   */
+  addPart(name, { select, build }) {
+    this.parts.set(name, { select, build });
+  }
+
+  /**
+   * Cached values of one part for the documents that have chunks,
+   * (re)building stale ones. Documents without chunks are left out.
+   * @param {Array} nodeIds
+   * @param {string} part - Name given to addPart
+   * @returns {Promise<Array>} Built values
+   */
+  async load(nodeIds, part) {
+    if (!this.parts.has(part)) {
+      throw new Error(`Unknown chunk cache part: ${part}`);
+    }
+    const values = [];
+
+    for (const { _id, count, latest } of await this.#versions(nodeIds)) {
+      const key = _id.toString();
+      let entry = this.entries.get(key);
+
+      if (!entry || entry.count !== count || !entry.latest.equals(latest)) {
+        entry = { count, latest, values: new Map() };
+        this.#build(entry, _id, [...this.parts.keys()]);
+      } else if (!entry.values.has(part)) {
+        this.#build(entry, _id, [part]);
+      }
+      // Re-insert so Map order doubles as least-recently-used order
+      this.#remove(key);
+      this.entries.set(key, entry);
+      this.chunkCount += count;
+      values.push(entry.values.get(part));
+    }
+
+    // Never evict the documents that were just asked for
+    while (
+      this.chunkCount > this.maxChunks &&
+      this.entries.size > values.length
+    ) {
+      const [oldest] = this.entries.keys();
+      this.#remove(oldest);
+    }
+    return Promise.all(values);
+  }
+
+  // Concurrent loads of the same documents, such as the vector and keyword
+  // halves of one hybrid query, share a single versions lookup
+  #versions(nodeIds) {
+    const key = nodeIds.map(String).join();
+    let pending = this.pending.get(key);
+    if (!pending) {
+      pending = this.versions(nodeIds).finally(() => this.pending.delete(key));
+      this.pending.set(key, pending);
+    }
+    return pending;
+  }
+
+  // Build the named parts from one chunk load. Promises are stored right
+  // away so concurrent loads wait for the same build.
+  #build(entry, nodeId, names) {
+    const parts = names.map((name) => [name, this.parts.get(name)]);
+    const select = new Set(
+      parts.flatMap(([, part]) => part.select.split(/\s+/)),
+    );
+    const chunks = this.loadChunks(nodeId, [...select].join(" "));
+
+    for (const [name, part] of parts) {
+      const value = chunks.then((loaded) => part.build(loaded, nodeId));
+      entry.values.set(name, value);
+      // Let the next load retry a failed build
+      value.catch(() => {
+        if (entry.values.get(name) === value) entry.values.delete(name);
+      });
+    }
+  }
+
+  #remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.chunkCount -= entry.count;
+  }
+}
+
+let sharedCache = null;
+
+/**
+ * The process-wide cache, sized by VECTOR_CACHE_MAX_CHUNKS
+ * @returns {ChunkCache}
+ */
+function getChunkCache() {
+  if (!sharedCache) {
+    sharedCache = new ChunkCache({ maxChunks: CONFIG.VECTOR_CACHE_MAX_CHUNKS });
+  }
+  return sharedCache;
+}
+
+module.exports = { ChunkCache, chunkVersions, getChunkCache };
@@ -0,0 +1,320 @@
+/**
+ * Chunker
+ * Splits extracted document text into chunks for embedding.
+ *
+ * Strategies:
+ *   structured - detects headings and paragraphs, packs whole sentences and
+ *                never crosses a section; chunks carry their section path
+ *   sentence   - packs whole sentences, ignoring headings
+ *   fixed      - fixed-size character windows with overlap
+ *
+ * Every chunk keeps its character range in the source text so it can be
+ * located on the page.
+ */
+
+const CHUNKING_STRATEGIES = ["structured", "sentence", "fixed"];
+const DEFAULT_STRATEGY = "structured";
+const CHUNK_SIZE = 500;
+const CHUNK_OVERLAP = 100;
+
+const KEYWORD_HEADING =
+  /^(chapter|part|unit|lecture|module|appendix|section)\s+([0-9]+|[ivxlcdm]+|[a-z])\b/i;
+const NUMBERED_HEADING = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\p{Lu}[^.!?]*)$/u;
+const SENTENCE_END = /[.!?]["')\]]*\s+(?=["'([]?[\p{Lu}\d])/gu;
+
+/**
+ * Classify a line as a heading
+ * @param {string} line - Trimmed line
+ * @returns {{title: string, level: number, kind: string}|null}
+ */
+function detectHeading(line) {
+  // Runs of spaces mean table columns rather than a title
+  if (
+    line.length < 2 ||
+    line.length > 100 ||
+    /[,;:]$/.test(line) ||
+    /\s{2,}/.test(line)
+  ) {
+    return null;
+  }
+
+  const keyword = line.match(KEYWORD_HEADING);
+  if (keyword) {
+    const level = keyword[1].toLowerCase() === "section" ? 2 : 1;
+    return { title: line, level, kind: "keyword" };
+  }
+
+  const numbered = line.match(NUMBERED_HEADING);
+  if (
+    numbered &&
+    !/\d$/.test(numbered[2]) &&
+    numbered[2].split(/\s+/).length <= 12
+  ) {
+    return {
+      title: line,
+      level: numbered[1].split(".").length,
+      kind: "numbered",
+    };
+  }
+
+  const letters = line.replace(/[^\p{L}]/gu, "");
+  if (
+    letters.length >= 4 &&
+    letters === letters.toUpperCase() &&
+    letters !== letters.toLowerCase() &&
+    line.split(/\s+/).length <= 8 &&
+    !/[.!?]$/.test(line)
+  ) {
+    return { title: line, level: 0, kind: "caps" };
+  }
+
+  return null;
+}
+
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+  for (const line of text.split("\n")) {
+    lines.push({ start, end: start + line.length, text: line.trim() });
+    start += line.length + 1;
+  }
+  return lines;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Paragraphs of the text, each tagged with the section it belongs to
+ * @param {string} text
+ * @param {boolean} detectHeadings
+ * @returns {Array<{start: number, end: number, sectionPath: Array<string>}>}
+ */
+function splitParagraphs(text, detectHeadings) {
+  const lines = splitLines(text);
+  const typicalLength = median(
+    lines.filter((l) => l.text.length > 0).map((l) => l.text.length),
+  );
+
+  const paragraphs = [];
+  const sections = []; // open headings, outermost first
+  let current = null;
+
+  const close = () => {
+    if (current) paragraphs.push(current);
+    current = null;
+  };
+
+  for (const line of lines) {
+    if (line.text.length === 0) {
+      close();
+      continue;
+    }
+
+    const heading = detectHeadings && detectHeading(line.text);
+    if (heading) {
+      close();
+      // Capitalised headings nest under the deepest numbered heading
+      const level =
+        heading.kind === "caps"
+          ? (sections.filter((s) => s.kind !== "caps").pop()?.level || 0) + 1
+          : heading.level;
+      while (sections.length && sections[sections.length - 1].level >= level) {
+        sections.pop();
+      }
+      sections.push({ ...heading, level });
+      continue;
+    }
+
+    if (!current) {
+      current = {
+        start: line.start,
+        end: line.end,
+        sectionPath: sections.map((s) => s.title),
+      };
+    } else {
+      current.end = line.end;
+    }
+
+    // A short line that finishes a sentence usually ends its paragraph
+    if (
+      /[.!?:]["')\]]*$/.test(line.text) &&
+      line.text.length < typicalLength * 0.7
+    ) {
+      close();
+    }
+  }
+  close();
+
+  return paragraphs;
+}
+
+/**
+ * Sentence ranges inside [start, end), split further at word boundaries
+ * when a single sentence is longer than maxLength
+ */
+function splitSentences(text, start, end, maxLength) {
+  const slice = text.slice(start, end);
+  const bounds = [0];
+  for (const match of slice.matchAll(SENTENCE_END)) {
+    bounds.push(match.index + match[0].length);
+  }
+  bounds.push(slice.length);
+
+  const sentences = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    let from = bounds[i];
+    const to = bounds[i + 1];
+
+    while (to - from > maxLength) {
+      const window = slice.slice(from, from + maxLength);
+      const cut =
+        window.lastIndexOf(" ") > 0 ? window.lastIndexOf(" ") : maxLength;
+      sentences.push(trimRange(slice, from, from + cut));
+      from += cut;
+    }
+    sentences.push(trimRange(slice, from, to));
+  }
+
+  return sentences
+    .filter((s) => s.end > s.start)
+    .map((s) => ({ start: start + s.start, end: start + s.end }));
+}
+
+function trimRange(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return { start, end };
+}
+
+function toChunk(text, sentences, sectionPath) {
+  const start = sentences[0].start;
+  const end = sentences[sentences.length - 1].end;
+  return {
+    content: text.slice(start, end).replace(/\s+/g, " "),
+    startPos: start,
+    endPos: end,
+    sectionPath,
+  };
+}
+
+/**
+ * Pack whole sentences into chunks of at most `size` characters. A chunk
+ * never spans two sections, and consecutive chunks of a section share up
+ * to `overlap` characters of trailing sentences.
+ */
+function packSentences(text, paragraphs, size, overlap) {
+  const chunks = [];
+  let sentences = [];
+  let length = 0;
+  let carriedCount = 0; // sentences repeated from the previous chunk
+  let sectionKey = null;
+  let sectionPath = [];
+
+  const flush = (carryOver) => {
+    if (sentences.length > carriedCount) {
+      chunks.push(toChunk(text, sentences, sectionPath));
+    }
+
+    const carried = [];
+    let carriedLength = 0;
+    for (let i = sentences.length - 1; carryOver && i > 0; i--) {
+      const sentenceLength = sentences[i].end - sentences[i].start;
+      if (carriedLength + sentenceLength > overlap) break;
+      carried.unshift(sentences[i]);
+      carriedLength += sentenceLength;
+    }
+    sentences = carried;
+    length = carriedLength;
+    carriedCount = carried.length;
+  };
+
+  for (const paragraph of paragraphs) {
+    const key = paragraph.sectionPath.join("\u0000");
+    if (key !== sectionKey) {
+      flush(false);
+      sectionKey = key;
+      sectionPath = paragraph.sectionPath;
+    } else if (length + (paragraph.end - paragraph.start) > size) {
+      // Start the paragraph in a fresh chunk rather than splitting it
+      flush(true);
+    }
+
+    for (const sentence of splitSentences(
+      text,
+      paragraph.start,
+      paragraph.end,
+      size,
+    )) {
+      const sentenceLength = sentence.end - sentence.start;
+      if (length > 0 && length + sentenceLength + 1 > size) flush(true);
+      if (length + sentenceLength + 1 > size) {
+        // The carried-over sentences leave no room; drop them
+        sentences = [];
+        length = 0;
+        carriedCount = 0;
+      }
+      sentences.push(sentence);
+      length += sentenceLength + (sentences.length > 1 ? 1 : 0);
+    }
+  }
+  flush(false);
+
+  return chunks;
+}
+
+function fixedChunks(text, size, overlap) {
+  const chunks = [];
+  for (let pos = 0; pos < text.length; pos += size - overlap) {
+    const content = text.substring(pos, pos + size);
+    if (content.trim().length > 0) {
+      chunks.push({
+        content,
+        startPos: pos,
+        endPos: pos + content.length,
+        sectionPath: [],
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Split document text into chunks
+ * @param {string} text - Extracted text
+ * @param {Object} [options]
+ * @param {string} [options.strategy="structured"] - One of CHUNKING_STRATEGIES
+ * @param {number} [options.size=500] - Maximum chunk length in characters
+ * @param {number} [options.overlap=100] - Characters shared by neighbours
+ * @returns {Array<{content, index, startPos, endPos, sectionPath}>}
+ */
+function chunkDocument(
+  text,
+  {
+    strategy = DEFAULT_STRATEGY,
+    size = CHUNK_SIZE,
+    overlap = CHUNK_OVERLAP,
+  } = {},
+) {
+  let chunks;
+  if (strategy === "fixed") {
+    chunks = fixedChunks(text, size, overlap);
+  } else if (CHUNKING_STRATEGIES.includes(strategy)) {
+    const paragraphs = splitParagraphs(text, strategy === "structured");
+    chunks = packSentences(text, paragraphs, size, overlap);
+  } else {
+    throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+
+  return chunks.map((chunk, index) => ({ ...chunk, index }));
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  DEFAULT_STRATEGY,
+  chunkDocument,
+  detectHeading,
+};
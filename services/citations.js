@@ -0,0 +1,83 @@
+/**
+ * Citations
+ * Context excerpts are numbered and the model cites them with [n] or
+ * [n, m] markers. Streamed answers are checked marker by marker: numbers
+ * that match no excerpt are removed, and each excerpt is reported the
+ * first time it is cited.
+ */
+
+// "[2]", "[1, 3]"; the leading space goes too when a marker is dropped
+const MARKER = /(\s*)\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// Unclosed marker at the end of the text seen so far
+const PARTIAL_MARKER = /\s*\[[\d,\s]*$/;
+const MAX_MARKER_LENGTH = 24;
+
+const CITATION_INSTRUCTIONS =
+  "Each excerpt starts with its number in square brackets. Cite the excerpts you use with those numbers right after the sentence they support, for example [2] or [1, 3]. Only cite numbers that appear in the context.";
+
+/**
+ * Answer text without citation markers, e.g. for earlier answers in a
+ * prompt whose excerpts are numbered differently
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCitations(text) {
+  return String(text || "").replace(MARKER, "");
+}
+
+class CitationTracker {
+  /**
+   * @param {Array} citations - From buildContext; excerpt n is citations[n - 1]
+   */
+  constructor(citations) {
+    this.count = citations.length;
+    this.cited = []; // numbers in order of first citation
+    this.pending = ""; // text held back while a marker may be incomplete
+  }
+
+  /**
+   * Feed the next piece of streamed answer
+   * @param {string} delta
+   * @returns {{text: string, cited: Array<number>}} Text safe to send and
+   *   the numbers cited for the first time in it
+   */
+  push(delta) {
+    const text = this.pending + delta;
+    const partial = PARTIAL_MARKER.exec(text);
+    const held =
+      partial && text.length - partial.index <= MAX_MARKER_LENGTH
+        ? partial.index
+        : text.length;
+
+    this.pending = text.slice(held);
+    return this.#check(text.slice(0, held));
+  }
+
+  /** Whatever was held back, once the answer has ended */
+  flush() {
+    const text = this.pending;
+    this.pending = "";
+    return this.#check(text);
+  }
+
+  #check(text) {
+    const cited = [];
+    const checked = text.replace(MARKER, (marker, space, list) => {
+      const numbers = [
+        ...new Set(list.split(",").map((n) => parseInt(n, 10))),
+      ].filter((n) => n >= 1 && n <= this.count);
+      if (numbers.length === 0) return "";
+
+      for (const n of numbers) {
+        if (!this.cited.includes(n)) {
+          this.cited.push(n);
+          cited.push(n);
+        }
+      }
+      return `${space}[${numbers.join(", ")}]`;
+    });
+    return { text: checked, cited };
+  }
+}
+
+module.exports = { CITATION_INSTRUCTIONS, CitationTracker, stripCitations };
@@ -0,0 +1,152 @@
+/**
+ * Classwork Service
+ * Assignment task fan-out and gradebook calculation
+ */
+
+const { Assignment, Task } = require("../models");
+
+/**
+ * Bulk writes giving each student one personal Task per assignment. Each
+ * write is an upsert keyed on student and assignment that only sets fields
+ * on insert, so repeating it creates nothing and keeps completion state.
+ * @param {Array} assignments - Assignment documents of one class
+ * @param {Array} studentIds - User IDs of the students to assign
+ * @returns {Array} Task.bulkWrite operations
+ */
+function fanOutOps(assignments, studentIds) {
+  return assignments.flatMap((assignment) =>
+    studentIds.map((userId) => ({
+      updateOne: {
+        filter: { userId, assignmentId: assignment._id },
+        update: {
+          $setOnInsert: {
+            classId: assignment.classId,
+            title: assignment.title,
+            description: assignment.description,
+            dueDate: assignment.dueDate,
+            priority: "high",
+          },
+        },
+        upsert: true,
+      },
+    })),
+  );
+}
+
+/**
+ * Bulk writes that bring a member's assignment tasks in line with their
+ * role: students get every assignment, anyone else (including a member who
+ * left) loses the open ones. Completed tasks stay as a record.
+ * @param {ObjectId} classId
+ * @param {ObjectId} userId
+ * @param {string|null} role - New role, or null once the member left
+ * @param {Array} assignments - The class's assignments
+ * @returns {Array} Task.bulkWrite operations
+ */
+function syncOps(classId, userId, role, assignments) {
+  if (role === "student") return fanOutOps(assignments, [userId]);
+  return [
+    {
+      deleteMany: {
+        filter: {
+          classId,
+          userId,
+          assignmentId: { $exists: true },
+          completed: false,
+        },
+      },
+    },
+  ];
+}
+
+/**
+ * Create one personal Task per student for each assignment, so class
+ * assignments show up in the regular task list. Students who already have
+ * the task keep it.
+ * @param {Array} assignments - Assignment documents of one class
+ * @param {Array} studentIds - User IDs of the students to assign
+ * @returns {Promise}
+ */
+async function fanOutTasks(assignments, studentIds) {
+  const ops = fanOutOps(assignments, studentIds);
+  if (ops.length === 0) return;
+  await Task.bulkWrite(ops, { ordered: false });
+}
+
+/**
+ * Keep a member's assignment tasks in step with their role after they join,
+ * leave or change role
+ * @param {ObjectId} classId
+ * @param {ObjectId} userId
+ * @param {string|null} role - New role, or null once the member left
+ * @returns {Promise}
+ */
+async function syncAssignmentTasks(classId, userId, role) {
+  const assignments =
+    role === "student" ? await Assignment.find({ classId }).lean() : [];
+  const ops = syncOps(classId, userId, role, assignments);
+  if (ops.length === 0) return;
+  await Task.bulkWrite(ops, { ordered: false });
+}
+
+/**
+ * Gradebook rows for a set of students.
+ * A grade counts towards the total once it is graded; a missing submission
+ * counts as zero once the due date has passed. Everything else is pending.
+ * @param {Array} assignments - Lean assignments ({ _id, title, points, dueDate })
+ * @param {Array} students - Lean users ({ _id, username })
+ * @param {Array} submissions - Lean submissions for those assignments
+ * @param {Date} [now]
+ * @returns {Array} One row per student with per-assignment grades and totals
+ */
+function buildGradebook(assignments, students, submissions, now = new Date()) {
+  const byKey = new Map(
+    submissions.map((s) => [`${s.assignmentId}:${s.studentId}`, s]),
+  );
+
+  return students.map((student) => {
+    let earned = 0;
+    let possible = 0;
+
+    const grades = assignments.map((assignment) => {
+      const submission = byKey.get(`${assignment._id}:${student._id}`);
+      const overdue = assignment.dueDate && assignment.dueDate < now;
+
+      if (submission?.status === "graded") {
+        earned += submission.grade.score;
+        possible += assignment.points;
+      } else if (!submission && overdue) {
+        possible += assignment.points;
+      }
+
+      return {
+        assignmentId: assignment._id,
+        submissionId: submission?._id || null,
+        status: submission
+          ? submission.status
+          : overdue
+            ? "missing"
+            : "pending",
+        late: submission?.late || false,
+        score: submission?.status === "graded" ? submission.grade.score : null,
+      };
+    });
+
+    return {
+      studentId: student._id,
+      username: student.username,
+      grades,
+      earned,
+      possible,
+      percentage: possible > 0 ? Math.round((earned / possible) * 100) : null,
+    };
+  });
+}
+
+module.exports = {
+  fanOutOps,
+  syncOps,
+  fanOutTasks,
+  syncAssignmentTasks,
+  buildGradebook,
+};
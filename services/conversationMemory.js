@@ -0,0 +1,470 @@
+/**
+ * Conversation Memory
+ * Stores chat messages one document per message (ChatMessage), keeps a
+ * rolling summary of older turns per branch and assembles chat prompts
+ * that fit the model's context window.
+ *
+ * Messages form a tree. A branch is the path from the first message to one
+ * leaf; every message lists the branches that include it, so a branch is
+ * read with one query. Editing or regenerating a message forks a branch
+ * that shares the path up to the fork.
+ *
+ * A prompt is: system messages, the branch summary of everything before
+ * summary.throughDepth, as many later messages as fit, then the question.
+ */
+
+const mongoose = require("mongoose");
+const { Conversation, ChatMessage } = require("../models");
+const logger = require("./logger");
+const { stripCitations } = require("./citations");
+
+const KEEP_RECENT = 10; // messages left out of the summary
+const SUMMARIZE_AFTER = 20; // unsummarised messages that trigger a summary
+const HISTORY_LIMIT = 50; // recent messages considered for a prompt
+const SUMMARY_BATCH = 40; // most messages folded in per summary update
+const SUMMARY_MESSAGE_CHARS = 2000;
+const PAGE_SIZE = 50;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const PREVIEW_LENGTH = 200;
+const MIGRATION_BATCH = 100;
+const MAX_BRANCHES = 50;
+
+/**
+ * Rough token count (about four characters per token). Deliberately errs
+ * high for code and non-Latin text rather than overflowing the window.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function messageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Assemble chat messages within a token budget. System messages, the
+ * summary and the question are always kept; older history is dropped first.
+ * @param {Object} parts
+ * @param {Array} parts.system - System messages
+ * @param {string} [parts.summary] - Summary of earlier turns
+ * @param {Array} parts.history - Recent messages, oldest first
+ * @param {string} parts.query - The new question
+ * @param {number} budget - Tokens available for the prompt
+ * @returns {{messages: Array, omitted: number}} omitted counts history
+ *   messages that did not fit
+ */
+function fitPrompt({ system, summary, history, query }, budget) {
+  const head = [...system];
+  if (summary) {
+    head.push({
+      role: "system",
+      content: `Summary of the earlier conversation:\n${summary}`,
+    });
+  }
+  const question = { role: "user", content: query };
+
+  let remaining =
+    budget - [...head, question].reduce((sum, m) => sum + messageTokens(m), 0);
+
+  const kept = [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = messageTokens(history[i]);
+    if (cost > remaining) break;
+    remaining -= cost;
+    kept.unshift({ role: history[i].role, content: history[i].content });
+  }
+
+  return {
+    messages: [...head, ...kept, question],
+    omitted: history.length - kept.length,
+  };
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * @param {Object} conversation
+ * @param {ObjectId|string} [branchId] - Defaults to the active branch
+ * @returns {Object|undefined} The branch
+ */
+function findBranch(conversation, branchId = conversation.activeBranchId) {
+  return conversation.branches?.find((b) => sameId(b._id, branchId));
+}
+
+/**
+ * Create a conversation with an empty main branch
+ * @param {Object} fields - Conversation fields (userId, scope, title, ...)
+ * @returns {Promise<Object>} Conversation document
+ */
+async function createConversation(fields) {
+  const branchId = new mongoose.Types.ObjectId();
+  return Conversation.create({
+    ...fields,
+    branches: [{ _id: branchId }],
+    activeBranchId: branchId,
+  });
+}
+
+/**
+ * Prompt history of a branch before a given depth: the branch summary,
+ * when it covers no more than that, and the messages after it
+ * @param {Object} conversation
+ * @param {Object} branch
+ * @param {number} [beforeDepth] - Defaults to the whole branch
+ * @returns {Promise<{summary: string|undefined, messages: Array}>}
+ */
+async function loadRecentMessages(
+  conversation,
+  branch,
+  beforeDepth = branch.length,
+) {
+  const summary =
+    branch.summary?.content && branch.summary.throughDepth <= beforeDepth
+      ? branch.summary
+      : null;
+
+  const messages = await ChatMessage.find({
+    conversationId: conversation._id,
+    branchIds: branch._id,
+    depth: { $gte: summary?.throughDepth || 0, $lt: beforeDepth },
+  })
+    .sort({ depth: -1 })
+    .limit(HISTORY_LIMIT)
+    .select("role content depth")
+    .lean();
+
+  return { summary: summary?.content, messages: messages.reverse() };
+}
+
+/**
+ * Append messages to the end of a branch. Sequence numbers, depths and
+ * parents are claimed in one atomic update, so concurrent appends chain.
+ * @param {Object} conversation - Conversation document or { _id }
+ * @param {ObjectId} branchId
+ * @param {Array} messages - { role, content, ... }
+ * @returns {Promise<Array>} Saved ChatMessage documents
+ */
+async function appendMessages(conversation, branchId, messages) {
+  const ids = messages.map(() => new mongoose.Types.ObjectId());
+  const last = messages[messages.length - 1];
+
+  // Returns the document as it was, i.e. the previous leaf and length
+  const before = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, "branches._id": branchId },
+    {
+      $inc: {
+        messageCount: messages.length,
+        "branches.$.length": messages.length,
+      },
+      $set: {
+        "branches.$.leafId": ids[ids.length - 1],
+        lastMessage: {
+          role: last.role,
+          content: String(last.content || "").slice(0, PREVIEW_LENGTH),
+          timestamp: new Date(),
+        },
+        updatedAt: Date.now(),
+      },
+    },
+  ).lean();
+  if (!before) throw new Error("Conversation not found");
+
+  const branch = findBranch(before, branchId);
+  return ChatMessage.insertMany(
+    messages.map((message, i) => ({
+      ...message,
+      _id: ids[i],
+      conversationId: before._id,
+      userId: before.userId,
+      seq: (before.messageCount || 0) + i,
+      parentId: i === 0 ? branch.leafId || null : ids[i - 1],
+      depth: (branch.length || 0) + i,
+      branchIds: [branchId],
+    })),
+  );
+}
+
+/**
+ * Fork a branch, keeping its first `keepDepth` messages, and make the new
+ * branch active
+ * @param {Object} conversation
+ * @param {ObjectId} sourceBranchId
+ * @param {number} keepDepth - Messages shared with the source branch
+ * @returns {Promise<Object>} The new branch
+ */
+async function forkBranch(conversation, sourceBranchId, keepDepth) {
+  const source = findBranch(conversation, sourceBranchId);
+  const shared = await ChatMessage.find({
+    conversationId: conversation._id,
+    branchIds: source._id,
+    depth: { $lt: keepDepth },
+  })
+    .sort({ depth: 1 })
+    .select("_id")
+    .lean();
+
+  const branch = {
+    _id: new mongoose.Types.ObjectId(),
+    parentBranchId: source._id,
+    forkDepth: shared.length,
+    length: shared.length,
+    leafId: shared[shared.length - 1]?._id || null,
+    createdAt: new Date(),
+  };
+  // The summary still applies if it stops before the fork
+  if (source.summary?.content && source.summary.throughDepth <= shared.length) {
+    branch.summary = source.summary;
+  }
+
+  await ChatMessage.updateMany(
+    { _id: { $in: shared.map((m) => m._id) } },
+    { $addToSet: { branchIds: branch._id } },
+  );
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $push: { branches: branch }, $set: { activeBranchId: branch._id } },
+  );
+  return branch;
+}
+
+/**
+ * One page of a branch's messages, oldest first
+ * @param {ObjectId} conversationId
+ * @param {ObjectId} branchId
+ * @param {Object} [options]
+ * @param {number} [options.before] - Only messages with a lower depth
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{messages: Array, hasMore: boolean}>}
+ */
+async function getMessagePage(
+  conversationId,
+  branchId,
+  { before, limit = PAGE_SIZE } = {},
+) {
+  const filter = { conversationId, branchIds: branchId };
+  if (before !== undefined) filter.depth = { $lt: before };
+
+  const messages = await ChatMessage.find(filter)
+    .sort({ depth: -1 })
+    .limit(limit + 1)
+    .select("-branchIds")
+    .lean();
+
+  return {
+    messages: messages.slice(0, limit).reverse(),
+    hasMore: messages.length > limit,
+  };
+}
+
+/**
+ * Fold older messages of a branch into its rolling summary once enough
+ * have piled up, keeping the last KEEP_RECENT verbatim
+ * @param {Object} ai - Chat completion client
+ * @param {ObjectId} conversationId
+ * @param {ObjectId} branchId
+ * @param {Array<string>} models - Models to try, best first
+ * @returns {Promise<boolean>} Whether the summary was updated
+ */
+async function summarizeConversation(ai, conversationId, branchId, models) {
+  const conversation = await Conversation.findById(conversationId)
+    .select("branches")
+    .lean();
+  const branch = conversation && findBranch(conversation, branchId);
+  if (!branch) return false;
+
+  const from = branch.summary?.throughDepth || 0;
+  const through = Math.min(branch.length - KEEP_RECENT, from + SUMMARY_BATCH);
+  if (branch.length - from < SUMMARIZE_AFTER || through <= from) {
+    return false;
+  }
+
+  const messages = await ChatMessage.find({
+    conversationId,
+    branchIds: branchId,
+    depth: { $gte: from, $lt: through },
+  })
+    .sort({ depth: 1 })
+    .select("role content")
+    .lean();
+
+  const transcript = messages
+    .map(
+      (m) =>
+        `${m.role === "user" ? "Student" : "Tutor"}: ${stripCitations(m.content).slice(0, SUMMARY_MESSAGE_CHARS)}`,
+    )
+    .join("\n\n");
+
+  const response = await ai.chat.completions.create({
+    models,
+    messages: [
+      {
+        role: "user",
+        content: `Update the summary of a tutoring conversation. Keep the topics covered, what the student understood or struggled with, and any facts, definitions or decisions later answers may rely on. Write at most 250 words.
+
+ Current summary:
+ ${branch.summary?.content || "(none)"}
+
+ New messages:
+ ${transcript}`,
+      },
+    ],
+    temperature: 0.3,
+    max_tokens: 500,
+  });
+
+  const content = response.choices[0]?.message?.content?.trim();
+  if (!content) return false;
+
+  // Another request may have summarised meanwhile; keep the newer one
+  const result = await Conversation.updateOne(
+    {
+      _id: conversationId,
+      branches: {
+        $elemMatch: {
+          _id: branchId,
+          "summary.throughDepth": from === 0 ? { $in: [0, null] } : from,
+        },
+      },
+    },
+    {
+      $set: {
+        "branches.$.summary": {
+          content,
+          throughDepth: through,
+          updatedAt: new Date(),
+        },
+      },
+    },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Delete conversations and all their messages
+ * @param {Object} filter - Conversation query
+ * @returns {Promise<{deletedCount: number}>}
+ */
+async function deleteConversations(filter) {
+  const ids = await Conversation.find(filter).distinct("_id");
+  if (ids.length === 0) return { deletedCount: 0 };
+
+  await ChatMessage.deleteMany({ conversationId: { $in: ids } });
+  return Conversation.deleteMany({ _id: { $in: ids } });
+}
+
+/**
+ * Bring conversations from before message paging and branching up to
+ * date: move embedded messages into ChatMessage, then turn each linear
+ * history into a main branch
+ * @returns {Promise<number>} Conversations migrated
+ */
+async function migrateConversations() {
+  const collection = Conversation.collection;
+  let migrated = 0;
+
+  for (;;) {
+    const batch = await collection
+      .find({ "branches.0": { $exists: false } })
+      .limit(MIGRATION_BATCH)
+      .toArray();
+    if (batch.length === 0) break;
+
+    for (const conversation of batch) {
+      await migrateConversation(collection, conversation);
+      migrated++;
+    }
+  }
+
+  if (migrated > 0) {
+    logger.info(`🗂️ Migrated ${migrated} conversation(s) to paged branches`);
+  }
+  return migrated;
+}
+
+async function migrateConversation(collection, conversation) {
+  if (conversation.messages?.length) {
+    try {
+      await ChatMessage.insertMany(
+        conversation.messages.map((message, seq) => ({
+          ...message,
+          conversationId: conversation._id,
+          userId: conversation.userId,
+          seq,
+          depth: seq,
+        })),
+        { ordered: false },
+      );
+    } catch (error) {
+      // Already copied by an interrupted earlier run
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const branchId = new mongoose.Types.ObjectId();
+  const messages = await ChatMessage.find({ conversationId: conversation._id })
+    .sort({ seq: 1 })
+    .select("_id role content timestamp")
+    .lean();
+
+  if (messages.length) {
+    await ChatMessage.bulkWrite(
+      messages.map((message, depth) => ({
+        updateOne: {
+          filter: { _id: message._id },
+          update: {
+            $set: {
+              depth,
+              parentId: depth > 0 ? messages[depth - 1]._id : null,
+              branchIds: [branchId],
+            },
+          },
+        },
+      })),
+    );
+  }
+
+  const last = messages[messages.length - 1];
+  await collection.updateOne(
+    { _id: conversation._id },
+    {
+      $unset: { messages: "" },
+      $set: {
+        messageCount: messages.length,
+        lastMessage: last && {
+          role: last.role,
+          content: String(last.content || "").slice(0, PREVIEW_LENGTH),
+          timestamp: last.timestamp,
+        },
+        branches: [
+          {
+            _id: branchId,
+            forkDepth: 0,
+            length: messages.length,
+            leafId: last?._id || null,
+            createdAt: conversation.createdAt || new Date(),
+          },
+        ],
+        activeBranchId: branchId,
+      },
+    },
+  );
+}
+
+module.exports = {
+  KEEP_RECENT,
+  SUMMARIZE_AFTER,
+  MAX_BRANCHES,
+  estimateTokens,
+  fitPrompt,
+  findBranch,
+  createConversation,
+  loadRecentMessages,
+  appendMessages,
+  forkBranch,
+  getMessagePage,
+  summarizeConversation,
+  deleteConversations,
+  migrateConversations,
+};
@@ -1,5 +1,271 @@
-const awardXP = (userId, amount, reason) => {
-  // Dummy function
-};
+/**
+ * Gamification Service
+ * XP awards, levels, ranks, daily streaks and badges
+ */
+
+const { EventEmitter } = require("events");
+const { User, ActivityLog, Notification } = require("../models");
+const { sendNotification } = require("./notificationService");
+const { BADGES, METRICS, badgesToCheck } = require("./badgeCatalogue");
+const logger = require("./logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Emits "levelUp" and "badgeEarned" so the server can push them over sockets
+const gamificationEvents = new EventEmitter();
+
+function calculateLevel(xp) {
+  return Math.floor(Math.sqrt(xp / 100)) + 1;
+}
+
+function calculateRank(level) {
+  if (level >= 50) return "Nobel";
+  if (level >= 30) return "Professor";
+  if (level >= 15) return "Researcher";
+  if (level >= 5) return "Scholar";
+  return "Novice";
+}
+
+/**
+ * Total XP needed to reach a level (inverse of calculateLevel)
+ * @param {number} level
+ * @returns {number}
+ */
+function xpForLevel(level) {
+  return 100 * Math.pow(Math.max(level - 1, 0), 2);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calendar day of a date in a time zone, as YYYY-MM-DD
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA zone; unknown zones fall back to UTC
+ * @returns {string}
+ */
+function localDay(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Streak length after activity at `now`, counted in the user's calendar days
+ * @param {Object} dna - { streakDays, lastActiveDate }
+ * @param {Date} now
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+function nextStreak(dna, now, timeZone) {
+  const streak = dna.streakDays || 0;
+  if (!dna.lastActiveDate) return 1;
+
+  const gap = Math.round(
+    (Date.parse(localDay(now, timeZone)) -
+      Date.parse(localDay(new Date(dna.lastActiveDate), timeZone))) /
+      DAY,
+  );
+
+  if (gap <= 0) return Math.max(streak, 1);
+  if (gap === 1) return streak + 1;
+  return 1;
+}
+
+/**
+ * Record that a user was active, extending or resetting their daily streak
+ * @param {string} userId - User ID
+ * @param {Date} [now]
+ * @returns {number|null} Current streak, or null if the user does not exist
+ */
+async function recordActivity(userId, now = new Date()) {
+  const user = await User.findById(userId)
+    .select("dna.streakDays dna.lastActiveDate settings.timezone")
+    .lean();
+  if (!user) return null;
+
+  const timeZone = user.settings?.timezone;
+  const lastActiveDate = user.dna?.lastActiveDate || null;
+  const streakDays = nextStreak(user.dna || {}, now, timeZone);
+
+  const sameDay =
+    lastActiveDate &&
+    localDay(new Date(lastActiveDate), timeZone) === localDay(now, timeZone);
+  if (sameDay && streakDays === user.dna.streakDays) return streakDays;
+
+  // Compare-and-set on lastActiveDate so concurrent requests count a day once
+  await User.updateOne(
+    { _id: userId, "dna.lastActiveDate": lastActiveDate },
+    { $set: { "dna.streakDays": streakDays, "dna.lastActiveDate": now } },
+  );
+
+  return streakDays;
+}
 
-module.exports = { awardXP };
+/**
+ * Award every catalogue badge whose rule the user now satisfies
+ * @param {string} userId - User ID
+ * @param {Array<string>} [events] - What just happened (EVENT_METRICS keys);
+ *   only badges these can affect are checked. Checks all if omitted.
+ * @returns {Array} Newly earned badges
+ */
+async function evaluateBadges(userId, events) {
+  const user = await User.findById(userId).select("dna").lean();
+  if (!user) return [];
+
+  const earned = new Set((user.dna.badges || []).map((b) => b.key));
+  const metricValues = {};
+  const awarded = [];
+
+  for (const badge of badgesToCheck(earned, events)) {
+    if (!(badge.metric in metricValues)) {
+      metricValues[badge.metric] = await METRICS[badge.metric](user);
+    }
+    if (metricValues[badge.metric] < badge.threshold) continue;
+
+    // The $ne guard keeps a badge from being pushed twice by parallel awards
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, "dna.badges.key": { $ne: badge.key } },
+      {
+        $push: {
+          "dna.badges": {
+            key: badge.key,
+            name: badge.name,
+            icon: badge.icon,
+            earnedAt: new Date(),
+          },
+        },
+      },
+    );
+    if (!modifiedCount) continue;
+
+    awarded.push(badge);
+
+    await sendNotification(
+      userId,
+      {
+        type: "success",
+        title: "Badge Earned!",
+        message: `You earned the "${badge.name}" badge: ${badge.description}`,
+        link: "/profile",
+      },
+      { Notification },
+    );
+    gamificationEvents.emit("badgeEarned", { userId, badge });
+  }
+
+  return awarded;
+}
+
+/**
+ * Award XP to a user, recompute their level and rank, extend their streak
+ * and check the badge catalogue
+ * @param {string} userId - User ID
+ * @param {number} amount - XP to add
+ * @param {string} reason - Activity description
+ * @param {string} [event] - EVENT_METRICS key for what earned the XP, so
+ *   its badges are checked along with level and streak badges
+ * @returns {Object|null} Award result, or null if the award failed
+ */
+async function awardXP(userId, amount, reason, event) {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { "dna.xp": amount } },
+      { new: true, projection: { dna: 1 } },
+    ).lean();
+    if (!user) return null;
+
+    const { xp } = user.dna;
+    const newLevel = calculateLevel(xp);
+    const rank = calculateRank(newLevel);
+
+    // Only the award that actually raises the stored level announces it
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, "dna.level": { $lt: newLevel } },
+      { $set: { "dna.level": newLevel, "dna.rank": rank } },
+    );
+    const leveledUp = modifiedCount > 0;
+
+    await ActivityLog.create({
+      userId,
+      type: "achievement",
+      description: reason,
+      xpGained: amount,
+    });
+
+    if (leveledUp) {
+      await sendNotification(
+        userId,
+        {
+          type: "success",
+          title: "Level Up!",
+          message: `Congratulations! You've reached level ${newLevel}!`,
+          link: "/profile",
+        },
+        { Notification },
+      );
+      gamificationEvents.emit("levelUp", { userId, level: newLevel, rank });
+    }
+
+    const streakDays = await recordActivity(userId);
+    const badges = await evaluateBadges(userId, event ? ["xp", event] : ["xp"]);
+
+    return { leveledUp, newLevel, rank, xp, streakDays, badges };
+  } catch (error) {
+    logger.error("Award XP error:", error);
+    return null;
+  }
+}
+
+/**
+ * Gamification profile for the client: progress, streak and badge catalogue
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+function getProfile(user) {
+  const { dna } = user;
+  const earned = new Map((dna.badges || []).map((b) => [b.key, b.earnedAt]));
+
+  return {
+    xp: dna.xp,
+    level: dna.level,
+    rank: dna.rank,
+    currentLevelXp: xpForLevel(dna.level),
+    nextLevelXp: xpForLevel(dna.level + 1),
+    streakDays: dna.streakDays,
+    lastActiveDate: dna.lastActiveDate,
+    timezone: user.settings?.timezone || "UTC",
+    badges: BADGES.map(({ key, name, description, icon }) => ({
+      key,
+      name,
+      description,
+      icon,
+      earned: earned.has(key),
+      earnedAt: earned.get(key) || null,
+    })),
+  };
+}
+
+module.exports = {
+  awardXP,
+  recordActivity,
+  evaluateBadges,
+  getProfile,
+  calculateLevel,
+  calculateRank,
+  xpForLevel,
+  localDay,
+  nextStreak,
+  isValidTimeZone,
+  gamificationEvents,
+};
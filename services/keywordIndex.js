@@ -0,0 +1,142 @@
+/**
+ * Keyword Index
+ * BM25 search over VectorChunk.content, so exact terms such as formula
+ * names, article numbers and acronyms are found even when embeddings
+ * miss them. Term statistics are cached per document and combined across
+ * the documents in scope at query time.
+ */
+
+const natural = require("natural");
+const { getChunkCache } = require("./chunkCache");
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+/**
+ * Lowercased, stemmed terms without stop words. Numbers and short
+ * acronyms are kept as they are.
+ * @param {string} text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return tokenizer
+    .tokenize(String(text).toLowerCase())
+    .filter((token) => !stopwords.has(token))
+    .map((token) =>
+      /\d/.test(token) || token.length <= 3
+        ? token
+        : natural.PorterStemmer.stem(token),
+    );
+}
+
+/**
+ * Term statistics for the chunks of one document
+ * @param {Array} chunks - { _id, content, metadata.sectionPath }
+ * @returns {Object} { ids, sections, lengths, postings, totalLength }
+ */
+function buildTermStats(chunks) {
+  const postings = new Map(); // term -> [[chunk position, term frequency]]
+  const lengths = [];
+  let totalLength = 0;
+
+  chunks.forEach((chunk, position) => {
+    const terms = tokenize(chunk.content);
+    const frequencies = new Map();
+    terms.forEach((t) => frequencies.set(t, (frequencies.get(t) || 0) + 1));
+
+    for (const [term, tf] of frequencies) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([position, tf]);
+    }
+    lengths.push(terms.length);
+    totalLength += terms.length;
+  });
+
+  return {
+    ids: chunks.map((c) => c._id),
+    sections: chunks.map((c) => c.metadata?.sectionPath || []),
+    lengths,
+    postings,
+    totalLength,
+  };
+}
+
+/**
+ * BM25 over several documents' term statistics as if they were one corpus
+ * @param {Array} statsList - Results of buildTermStats
+ * @param {string} query
+ * @param {number} limit
+ * @param {Array<string>} [sections] - Only score chunks in these sections
+ * @returns {Array<{_id, score: number}>} Best first
+ */
+function scoreBm25(statsList, query, limit, sections) {
+  const allowed = sections && new Set(sections);
+  const terms = [...new Set(tokenize(query))];
+  const chunkCount = statsList.reduce((n, s) => n + s.ids.length, 0);
+  if (terms.length === 0 || chunkCount === 0) return [];
+
+  const totalLength = statsList.reduce((n, s) => n + s.totalLength, 0);
+  const avgLength = totalLength / chunkCount || 1;
+  const scores = new Map(); // chunk id -> score
+
+  for (const term of terms) {
+    const df = statsList.reduce(
+      (n, s) => n + (s.postings.get(term)?.length || 0),
+      0,
+    );
+    if (df === 0) continue;
+    const idf = Math.log(1 + (chunkCount - df + 0.5) / (df + 0.5));
+
+    for (const stats of statsList) {
+      for (const [position, tf] of stats.postings.get(term) || []) {
+        if (allowed && !stats.sections[position].some((s) => allowed.has(s))) {
+          continue;
+        }
+        const norm =
+          tf +
+          BM25_K1 *
+            (1 - BM25_B + (BM25_B * stats.lengths[position]) / avgLength);
+        const id = stats.ids[position];
+        const key = id.toString();
+        const prev = scores.get(key);
+        scores.set(key, {
+          _id: id,
+          score: (prev?.score || 0) + (idf * tf * (BM25_K1 + 1)) / norm,
+        });
+      }
+    }
+  }
+
+  return [...scores.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+class KeywordIndex {
+  /**
+   * @param {Object} [options]
+   * @param {ChunkCache} [options.cache] - Defaults to the shared cache
+   */
+  constructor({ cache = getChunkCache() } = {}) {
+    this.cache = cache;
+    cache.addPart("terms", {
+      select: "content metadata.sectionPath",
+      build: buildTermStats,
+    });
+  }
+
+  /**
+   * @param {Array} nodeIds - Documents to search
+   * @param {string} query
+   * @param {number} limit
+   * @param {Array<string>} [sections] - Only search these sections
+   * @returns {Promise<Array<{_id, score: number}>>} Chunk ids, best first
+   */
+  async search(nodeIds, query, limit, sections) {
+    const statsList = await this.cache.load(nodeIds, "terms");
+    return scoreBm25(statsList, query, limit, sections);
+  }
+}
+
+module.exports = { KeywordIndex, tokenize, buildTermStats, scoreBm25 };
@@ -0,0 +1,73 @@
+/**
+ * Fake Provider
+ * Deterministic stand-in for the chat completion API, for tests and for
+ * running the app without any model. The same request always gets the
+ * same answer, streamed word by word when `stream` is set.
+ */
+
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+function defaultRespond({ model, messages }) {
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const question = (lastUser?.content || "").slice(0, 200);
+  return `[${model}] You asked: ${question}`;
+}
+
+function usageOf(messages, content) {
+  const promptTokens = messages.reduce(
+    (n, m) => n + estimateTokens(m.content),
+    0,
+  );
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: estimateTokens(content),
+    total_tokens: promptTokens + estimateTokens(content),
+  };
+}
+
+async function* streamWords(content, params) {
+  const { model } = params;
+  const words = content.split(/(?<=\s)/);
+  for (const word of words) {
+    yield { model, choices: [{ index: 0, delta: { content: word } }] };
+  }
+  yield { model, choices: [{ index: 0, delta: {}, finish_reason: "stop" }] };
+  // Like OpenAI, usage comes last, in a chunk without choices
+  if (params.stream_options?.include_usage) {
+    yield { model, choices: [], usage: usageOf(params.messages, content) };
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.respond] - (params) => string; decides the
+ *   answer for each request
+ * @returns {Object} Client with chat.completions.create and a `calls` log
+ */
+function createFakeProvider({ respond = defaultRespond } = {}) {
+  const calls = [];
+
+  const create = async (params) => {
+    calls.push(params);
+    const content = await respond(params);
+
+    if (params.stream) return streamWords(content, params);
+
+    return {
+      id: `fake-${calls.length}`,
+      model: params.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content },
+          finish_reason: "stop",
+        },
+      ],
+      usage: usageOf(params.messages, content),
+    };
+  };
+
+  return { calls, chat: { completions: { create } } };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,49 @@
+/**
+ * OpenAI-compatible Provider
+ * Chat completions over any endpoint that speaks the OpenAI API:
+ * OpenRouter, OpenAI itself, or a local llama.cpp server, Ollama or vLLM.
+ */
+
+const OpenAI = require("openai");
+
+const OPENROUTER_BASE_URL = "https://openrouter.ai/api/v1";
+
+/**
+ * @param {Object} options
+ * @param {string} options.baseURL - API root, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - Local servers usually need none
+ * @param {Object} [options.headers] - Extra headers sent with every request
+ * @returns {OpenAI}
+ */
+function createOpenAIProvider({ baseURL, apiKey, headers } = {}) {
+  if (!baseURL) {
+    throw new Error(
+      "AI_BASE_URL is required for an OpenAI-compatible provider",
+    );
+  }
+  // A missing key fails per request instead of at startup, so the app and
+  // its tests can still boot without AI credentials.
+  return new OpenAI({ baseURL, apiKey: apiKey || "", defaultHeaders: headers });
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - OpenRouter API key
+ * @returns {OpenAI}
+ */
+function createOpenRouterProvider({ apiKey } = {}) {
+  return createOpenAIProvider({
+    baseURL: OPENROUTER_BASE_URL,
+    apiKey,
+    headers: {
+      "HTTP-Referer": "https://scholar.ai",
+      "X-Title": "Scholar.AI",
+    },
+  });
+}
+
+module.exports = {
+  OPENROUTER_BASE_URL,
+  createOpenAIProvider,
+  createOpenRouterProvider,
+};
@@ -0,0 +1,141 @@
+/**
+ * LLM Service
+ * Provider registry for chat completions and the per-task model choice.
+ *
+ * Every provider returns a client with the OpenAI SDK shape
+ * (`chat.completions.create`), so callers do not care where a model runs.
+ * Providers: "openrouter" (default), "openai" for any OpenAI-compatible
+ * base URL, and "fake" for tests.
+ */
+
+const CONFIG = require("../config");
+const {
+  createOpenAIProvider,
+  createOpenRouterProvider,
+} = require("./llmProviders/openaiProvider");
+const { createFakeProvider } = require("./llmProviders/fakeProvider");
+
+const TASKS = ["chat", "flashcards", "quiz", "persona", "summary", "studyPlan"];
+
+const providers = new Map([
+  [
+    "openrouter",
+    (options) =>
+      createOpenRouterProvider({
+        apiKey: CONFIG.OPENROUTER_API_KEY,
+        ...options,
+      }),
+  ],
+  [
+    "openai",
+    (options) =>
+      createOpenAIProvider({
+        baseURL: CONFIG.AI_BASE_URL,
+        apiKey: CONFIG.AI_API_KEY,
+        ...options,
+      }),
+  ],
+  ["fake", (options) => createFakeProvider(options)],
+]);
+
+/**
+ * Add or replace a provider
+ * @param {string} name
+ * @param {Function} factory - (options) => client
+ */
+function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Create the chat completion client used by controllers and workers
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Registered provider name
+ * @returns {Object} Client with chat.completions.create
+ */
+function createAIClient({ provider = CONFIG.AI_PROVIDER, ...options } = {}) {
+  const factory = providers.get(provider);
+  if (!factory) {
+    throw new Error(
+      `Unknown AI_PROVIDER "${provider}"; use one of ${[...providers.keys()].join(", ")}`,
+    );
+  }
+  return factory(options);
+}
+
+/**
+ * Model configured for a task, falling back to the default model
+ * @param {string} task - One of TASKS
+ * @returns {string} Model id
+ */
+function modelFor(task) {
+  return CONFIG.AI_MODELS[task] || CONFIG.AI_MODELS.default;
+}
+
+/**
+ * Models to try for a task, best first: the chosen model, then the task's
+ * fallbacks (or the default fallbacks when the task has none)
+ * @param {string} task - One of TASKS
+ * @param {string} [model] - Chosen model; defaults to modelFor(task)
+ * @returns {Array<string>} Model ids
+ */
+function modelChainFor(task, model = modelFor(task)) {
+  const fallbacks = CONFIG.AI_FALLBACK_MODELS[task]?.length
+    ? CONFIG.AI_FALLBACK_MODELS[task]
+    : CONFIG.AI_FALLBACK_MODELS.default;
+  return [...new Set([model, ...fallbacks])];
+}
+
+/**
+ * Context window of a model in tokens
+ * @param {string} model - Model id
+ * @returns {number} Configured window, or AI_CONTEXT_TOKENS
+ */
+function contextWindowFor(model) {
+  return CONFIG.AI_CONTEXT_WINDOWS[model] || CONFIG.AI_CONTEXT_TOKENS;
+}
+
+/**
+ * Models users may pick: the configured allowlist plus every task model
+ * @returns {Array<string>} Model ids
+ */
+function allowedModels() {
+  return [
+    ...new Set([
+      CONFIG.AI_MODELS.default,
+      ...TASKS.map(modelFor),
+      ...CONFIG.AI_ALLOWED_MODELS,
+    ]),
+  ];
+}
+
+function isAllowedModel(model) {
+  return allowedModels().includes(model);
+}
+
+/**
+ * Model for a user's chat: an explicit choice, then their saved setting
+ * when it is still allowed, then the configured chat model
+ * @param {string} [requested] - Model asked for in the request; callers
+ *   should reject disallowed values before calling
+ * @param {Object} [user] - User document
+ * @returns {string} Model id
+ */
+function chatModelFor(requested, user) {
+  if (requested && isAllowedModel(requested)) return requested;
+  const saved = user?.settings?.aiModel;
+  if (saved && isAllowedModel(saved)) return saved;
+  return modelFor("chat");
+}
+
+module.exports = {
+  TASKS,
+  registerProvider,
+  createAIClient,
+  modelFor,
+  modelChainFor,
+  contextWindowFor,
+  allowedModels,
+  isAllowedModel,
+  chatModelFor,
+};
@@ -0,0 +1,278 @@
+/**
+ * Mastery Service
+ * Keeps a mastery score from 0 to 1 per user and topic, fed by quiz
+ * answers, flashcard ratings and chat questions, and writes the weakest
+ * and strongest topics into the user's dna.
+ *
+ * Topics come from the document's tags and section titles. Each piece of
+ * evidence moves the score toward its own score (1 = knew it, 0 = did
+ * not) by a step that grows with its weight, so recent results count most.
+ * Asking about a topic is weak evidence that it is not mastered yet.
+ */
+
+const { TopicMastery, User } = require("../models");
+
+const PRIOR = 0.5; // score of a topic without evidence
+const LEARNING_RATE = 0.3; // step toward the evidence, per unit of weight
+const MIN_EVIDENCE = 2; // weight needed before a topic counts as strong or weak
+const WEAK_BELOW = 0.5;
+const STRONG_FROM = 0.7;
+const DNA_TOPICS = 5;
+const MAX_CANDIDATES = 30;
+
+const EVIDENCE = {
+  quiz: { weight: 1 },
+  flashcard: { weight: 0.6 },
+  chat: { weight: 0.2, score: 0.35 },
+};
+
+const normalize = (topic) =>
+  String(topic || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+/**
+ * Topics a document's items can be filed under: its tags, then the most
+ * specific heading of each section
+ * @param {Object} node - KnowledgeNode
+ * @param {Array} [sectionPaths] - metadata.sectionPath of its chunks
+ * @returns {Array<string>}
+ */
+function topicCandidates(node, sectionPaths = []) {
+  const seen = new Set();
+  const topics = [];
+  for (const topic of [
+    ...(node.tags || []),
+    ...sectionPaths.map((path) => path?.[path.length - 1]),
+  ]) {
+    const key = normalize(topic);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    topics.push(String(topic).trim());
+  }
+  return topics.slice(0, MAX_CANDIDATES);
+}
+
+/**
+ * File a topic named by the model, or a section title, under one of the
+ * document's topics when they match
+ * @param {string} [raw] - Proposed topic
+ * @param {Array<string>} candidates - From topicCandidates
+ * @param {string} [fallback="General"] - When there is no proposal
+ * @returns {string}
+ */
+function resolveTopic(raw, candidates, fallback = "General") {
+  const key = normalize(raw);
+  if (!key) return fallback;
+
+  const exact = candidates.find((c) => normalize(c) === key);
+  if (exact) return exact;
+  const related = candidates.find((c) => {
+    const candidate = normalize(c);
+    return candidate.includes(key) || key.includes(candidate);
+  });
+  return related || String(raw).trim().slice(0, 100);
+}
+
+/**
+ * @param {string} topic
+ * @param {boolean} correct
+ * @returns {Object} Evidence from one quiz answer
+ */
+function quizEvidence(topic, correct) {
+  return { topic, kind: "quiz", score: correct ? 1 : 0, ...EVIDENCE.quiz };
+}
+
+/**
+ * @param {string} topic
+ * @param {number} quality - SM-2 quality, 0 (blackout) to 5 (perfect)
+ * @returns {Object} Evidence from one flashcard review
+ */
+function flashcardEvidence(topic, quality) {
+  return {
+    topic,
+    kind: "flashcard",
+    score: quality / 5,
+    ...EVIDENCE.flashcard,
+  };
+}
+
+/**
+ * @param {string} topic
+ * @returns {Object} Evidence from one chat question about the topic
+ */
+function chatEvidence(topic) {
+  return { topic, kind: "chat", ...EVIDENCE.chat };
+}
+
+/**
+ * Topics a chat answer drew on: the sections of the excerpts it cited, or
+ * of all retrieved excerpts when it cited none
+ * @param {Array} citations - Saved answer citations
+ * @param {Array<string>} [fallback] - Used when no excerpt has a section
+ * @returns {Array<string>} At most three topics
+ */
+function chatTopics(citations, fallback = []) {
+  const cited = citations.filter((c) => c.cited);
+  const sections = (cited.length ? cited : citations)
+    .map((c) => c.section?.split(" > ").pop())
+    .filter(Boolean);
+  const topics = sections.length ? sections : fallback;
+  const unique = new Map();
+  for (const topic of topics) {
+    if (!unique.has(normalize(topic))) unique.set(normalize(topic), topic);
+  }
+  return [...unique.values()].slice(0, 3);
+}
+
+/**
+ * Mastery after one piece of evidence
+ * @param {number|undefined} mastery - Current score; undefined for a new topic
+ * @param {Object} evidence - { score, weight }
+ * @returns {number}
+ */
+function applyEvidence(mastery = PRIOR, { score, weight }) {
+  const step = Math.min(LEARNING_RATE * weight, 1);
+  return mastery + step * (score - mastery);
+}
+
+/**
+ * @param {Array} rows - TopicMastery documents
+ * @returns {{strengths: Array<string>, weaknesses: Array<string>}} Topic
+ *   names, most extreme first
+ */
+function pickStrengthsAndWeaknesses(rows) {
+  const known = rows.filter((r) => r.evidence >= MIN_EVIDENCE);
+  return {
+    weaknesses: known
+      .filter((r) => r.mastery < WEAK_BELOW)
+      .sort((a, b) => a.mastery - b.mastery)
+      .slice(0, DNA_TOPICS)
+      .map((r) => r.topic),
+    strengths: known
+      .filter((r) => r.mastery >= STRONG_FROM)
+      .sort((a, b) => b.mastery - a.mastery)
+      .slice(0, DNA_TOPICS)
+      .map((r) => r.topic),
+  };
+}
+
+/**
+ * "weak", "developing" or "strong"; "new" until there is enough evidence
+ * @param {Object} row - { mastery, evidence }
+ * @returns {string}
+ */
+function levelOf({ mastery, evidence }) {
+  if (evidence < MIN_EVIDENCE) return "new";
+  if (mastery < WEAK_BELOW) return "weak";
+  return mastery >= STRONG_FROM ? "strong" : "developing";
+}
+
+// Atomic version of applyEvidence plus the counters, as an update
+// pipeline; $ifNull supplies the defaults when the topic is new
+function evidenceUpdate({ topic, kind, score, weight }, nodeId) {
+  const step = Math.min(LEARNING_RATE * weight, 1);
+  const increments = {
+    quizAnswered: kind === "quiz" ? 1 : 0,
+    quizCorrect: kind === "quiz" ? score : 0,
+    flashcardReviews: kind === "flashcard" ? 1 : 0,
+    chatQuestions: kind === "chat" ? 1 : 0,
+  };
+
+  const set = {
+    topic,
+    mastery: {
+      $let: {
+        vars: { m: { $ifNull: ["$mastery", PRIOR] } },
+        in: {
+          $add: ["$$m", { $multiply: [step, { $subtract: [score, "$$m"] }] }],
+        },
+      },
+    },
+    evidence: { $add: [{ $ifNull: ["$evidence", 0] }, weight] },
+    updatedAt: "$$NOW",
+  };
+  for (const [field, amount] of Object.entries(increments)) {
+    set[`stats.${field}`] = {
+      $add: [{ $ifNull: [`$stats.${field}`, 0] }, amount],
+    };
+  }
+  set.nodeIds = nodeId
+    ? { $setUnion: [{ $ifNull: ["$nodeIds", []] }, [nodeId]] }
+    : { $ifNull: ["$nodeIds", []] };
+  return [{ $set: set }];
+}
+
+/**
+ * Apply evidence in order, then refresh the user's strengths and
+ * weaknesses
+ * @param {ObjectId} userId
+ * @param {Array} evidence - From quizEvidence, flashcardEvidence, chatEvidence
+ * @param {ObjectId} [nodeId] - Document the evidence came from
+ */
+async function recordEvidence(userId, evidence, nodeId) {
+  const items = evidence.filter((e) => normalize(e.topic));
+  if (items.length === 0) return;
+
+  await TopicMastery.bulkWrite(
+    items.map((item) => ({
+      updateOne: {
+        filter: { userId, key: normalize(item.topic) },
+        update: evidenceUpdate(item, nodeId),
+        upsert: true,
+        // Schema defaults would be added as $setOnInsert, which a pipeline
+        // cannot take
+        setDefaultsOnInsert: false,
+      },
+    })),
+  );
+
+  const rows = await TopicMastery.find({
+    userId,
+    evidence: { $gte: MIN_EVIDENCE },
+  })
+    .select("topic mastery evidence")
+    .lean();
+  const { strengths, weaknesses } = pickStrengthsAndWeaknesses(rows);
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "dna.strengths": strengths, "dna.weaknesses": weaknesses } },
+  );
+}
+
+/**
+ * Every topic of a user, weakest first
+ * @param {ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.nodeId] - Only topics seen in this document
+ * @returns {Promise<Array>}
+ */
+async function getMasteryTable(userId, { nodeId } = {}) {
+  const filter = { userId };
+  if (nodeId) filter.nodeIds = nodeId;
+
+  const rows = await TopicMastery.find(filter)
+    .select("-userId -key -__v")
+    .sort({ mastery: 1 })
+    .lean();
+  return rows.map((row) => ({
+    ...row,
+    mastery: Math.round(row.mastery * 100),
+    level: levelOf(row),
+  }));
+}
+
+module.exports = {
+  topicCandidates,
+  resolveTopic,
+  quizEvidence,
+  flashcardEvidence,
+  chatEvidence,
+  chatTopics,
+  applyEvidence,
+  pickStrengthsAndWeaknesses,
+  levelOf,
+  recordEvidence,
+  getMasteryTable,
+};
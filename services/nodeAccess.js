@@ -0,0 +1,44 @@
+/**
+ * Node Access
+ * A user can read their own knowledge nodes plus any node published to a
+ * class they belong to. Only the owner can change or delete a node.
+ */
+
+const { KnowledgeNode, Class } = require("../models");
+
+// What members see of a node someone else published to their class
+const PUBLIC_NODE_FIELDS =
+  "userId type meta.originalName meta.pageCount meta.size status tags summary keyPoints persona createdAt";
+
+/**
+ * Query filter matching every node a user can read
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Mongo filter
+ */
+async function accessibleNodeFilter(userId) {
+  const classIds = await Class.find({ "members.userId": userId }).distinct(
+    "_id",
+  );
+  return { $or: [{ userId }, { classIds: { $in: classIds } }] };
+}
+
+/**
+ * Find a node the user can read
+ * @param {string} nodeId - Node ID
+ * @param {string} userId - User ID
+ * @param {Object} [conditions] - Extra filter, e.g. { status: "INDEXED" }
+ * @returns {Promise<Document|null>} The node, or null if not readable
+ */
+async function findAccessibleNode(nodeId, userId, conditions = {}) {
+  return await KnowledgeNode.findOne({
+    _id: nodeId,
+    ...conditions,
+    ...(await accessibleNodeFilter(userId)),
+  });
+}
+
+module.exports = {
+  PUBLIC_NODE_FIELDS,
+  accessibleNodeFilter,
+  findAccessibleNode,
+};
@@ -0,0 +1,211 @@
+/**
+ * Note Indexing
+ * Chunks and embeds notes so chat can search them like documents. Each
+ * note gets its own KnowledgeNode of type "Note", owned by its author; a
+ * note linked to a document is also searched whenever its author chats
+ * with that document (see retrievalService.withLinkedNotes).
+ *
+ * Indexing runs in the background after a note is saved. Runs for the same
+ * note are queued one after another so an older version never overwrites
+ * a newer one, and old chunks stay searchable until the new ones are in.
+ */
+
+const models = require("../models");
+const { generateEmbeddingsBatch } = require("./aiService");
+const { chunkDocument } = require("./chunker");
+const logger = require("./logger");
+
+const EMBEDDING_BATCH_SIZE = 10;
+
+/**
+ * Text that gets chunked: the title, so short notes still match on it,
+ * then the content
+ * @param {Object} note
+ * @returns {string}
+ */
+function noteText(note) {
+  return [note.title, note.content].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Build the note indexer. The app uses the one exported below; tests build
+ * their own over in-memory models.
+ * @param {Object} [deps]
+ * @param {Object} [deps.models] - Note, KnowledgeNode and VectorChunk
+ * @param {Function} [deps.embed] - Texts to embeddings, like
+ *   generateEmbeddingsBatch
+ * @returns {Object} scheduleNoteIndexing, removeNoteIndex, indexMissingNotes
+ */
+function createNoteIndexer({
+  models: { Note, KnowledgeNode, VectorChunk } = models,
+  embed = generateEmbeddingsBatch,
+} = {}) {
+  const running = new Map(); // noteId -> latest queued run
+
+  // Run a task after the earlier ones for the same note
+  function enqueue(noteId, task) {
+    const key = noteId.toString();
+    const run = (running.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(task);
+    running.set(key, run);
+
+    const forget = () => {
+      if (running.get(key) === run) running.delete(key);
+    };
+    run.then(forget, forget);
+    return run;
+  }
+
+  async function embedChunks(nodeId, text) {
+    const chunks = chunkDocument(text);
+    const docs = [];
+
+    for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const embeddings = await embed(batch.map((c) => c.content));
+      batch.forEach((chunk, idx) =>
+        docs.push({
+          nodeId,
+          content: chunk.content,
+          embedding: embeddings[idx],
+          location: { chunkIndex: chunk.index },
+          metadata: {
+            wordCount: chunk.content.split(/\s+/).length,
+            sectionPath: chunk.sectionPath,
+          },
+        }),
+      );
+    }
+    return docs;
+  }
+
+  async function removeIndex(noteId) {
+    const node = await KnowledgeNode.findOneAndDelete({
+      "note.noteId": noteId,
+    });
+    if (node) await VectorChunk.deleteMany({ nodeId: node._id });
+  }
+
+  async function indexNote(noteId) {
+    const note = await Note.findById(noteId).lean();
+    if (!note) return removeIndex(noteId);
+
+    // An indexed note stays INDEXED while it is re-embedded, so chat keeps
+    // finding it on the old chunks; only the status message shows the work
+    const existing = await KnowledgeNode.findOne({ "note.noteId": note._id })
+      .select("status")
+      .lean();
+    const reindexing = existing?.status === "INDEXED";
+
+    const text = noteText(note);
+    const node = await KnowledgeNode.findOneAndUpdate(
+      { "note.noteId": note._id },
+      {
+        $set: {
+          userId: note.userId,
+          type: "Note",
+          status: reindexing ? "INDEXED" : "PROCESSING",
+          "meta.originalName": note.title,
+          "meta.wordCount": text.split(/\s+/).length,
+          "meta.statusMessage": reindexing
+            ? "Re-indexing note..."
+            : "Indexing note...",
+          "note.documentId": note.nodeId || null,
+          tags: note.tags || [],
+          processingError: null,
+          updatedAt: Date.now(),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    );
+
+    try {
+      const chunks = await embedChunks(node._id, text);
+      // Swap only once the new chunks are ready, so search never comes up empty
+      const stale = await VectorChunk.find({ nodeId: node._id }).distinct(
+        "_id",
+      );
+      await VectorChunk.insertMany(chunks);
+      await VectorChunk.deleteMany({ _id: { $in: stale } });
+
+      await KnowledgeNode.findByIdAndUpdate(node._id, {
+        status: "INDEXED",
+        "meta.statusMessage": "Ready",
+      });
+      logger.info(`📝 Indexed note ${note._id} (${chunks.length} chunks)`);
+    } catch (error) {
+      // Old chunks are still in place, so a re-indexed note stays usable
+      await KnowledgeNode.findByIdAndUpdate(
+        node._id,
+        reindexing
+          ? {
+              processingError: error.message,
+              "meta.statusMessage":
+                "Re-indexing failed; searching the last version",
+            }
+          : { status: "FAILED", processingError: error.message },
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Index a note in the background after it was created or changed;
+   * failures are logged and leave the note's node FAILED (or on its old
+   * chunks when it was indexed before)
+   * @param {ObjectId} noteId
+   * @returns {Promise} Settles when this run is done, for callers that wait
+   */
+  function scheduleNoteIndexing(noteId) {
+    const run = enqueue(noteId, () => indexNote(noteId));
+    run.catch((error) =>
+      logger.error(`❌ Note indexing failed for ${noteId}:`, error),
+    );
+    return run;
+  }
+
+  /**
+   * Remove a deleted note's node and chunks
+   * @param {ObjectId} noteId
+   * @returns {Promise}
+   */
+  function removeNoteIndex(noteId) {
+    return enqueue(noteId, () => removeIndex(noteId));
+  }
+
+  /**
+   * Index notes written before notes were searchable. Safe to run at every
+   * startup: indexed notes are skipped.
+   * @returns {Promise<number>} Notes indexed
+   */
+  async function indexMissingNotes() {
+    const indexed = await KnowledgeNode.distinct("note.noteId", {
+      type: "Note",
+    });
+    const notes = await Note.find({ _id: { $nin: indexed } })
+      .select("_id")
+      .lean();
+
+    let count = 0;
+    for (const note of notes) {
+      try {
+        await scheduleNoteIndexing(note._id);
+        count++;
+      } catch {
+        // Logged by scheduleNoteIndexing; try the others
+      }
+    }
+
+    if (count > 0) logger.info(`📝 Indexed ${count} existing note(s)`);
+    return count;
+  }
+
+  return { scheduleNoteIndexing, removeNoteIndex, indexMissingNotes };
+}
+
+module.exports = {
+  noteText,
+  createNoteIndexer,
+  ...createNoteIndexer(),
+};
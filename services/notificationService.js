@@ -3,6 +3,8 @@
  * Handles sending notifications to users
  */
 
+const logger = require("./logger");
+
 // Since the models are defined in server.js, we'll export functions that will be called with the models
 // This creates a circular dependency issue, so we'll pass the models as parameters when needed
 
@@ -39,6 +41,37 @@ async function sendNotification(userId, notificationData, models) {
   }
 }
 
+/**
+ * Send the same notification to several users
+ * @param {Array<string>} userIds - User IDs to notify
+ * @param {Object} notificationData - Notification data (see sendNotification)
+ * @param {Object} models - Mongoose models object
+ * @returns {Array} Created notifications
+ */
+async function sendNotificationToMany(userIds, notificationData, models) {
+  try {
+    const Notification = models.Notification;
+
+    if (userIds.length === 0) return [];
+
+    const notifications = await Notification.insertMany(
+      userIds.map((userId) => ({
+        userId,
+        type: notificationData.type || "info",
+        title: notificationData.title,
+        message: notificationData.message,
+        link: notificationData.link
+      }))
+    );
+
+    logger.debug(`Notification sent to ${userIds.length} users`);
+    return notifications;
+  } catch (error) {
+    logger.error("Failed to send notifications:", error);
+    throw error;
+  }
+}
+
 /**
  * Get user notifications
  * @param {string} userId - User ID
@@ -135,6 +168,7 @@ async function deleteNotification(notificationId, userId, models) {
 
 module.exports = {
   sendNotification,
+  sendNotificationToMany,
   getUserNotifications,
   markAsRead,
   markAllAsRead,
@@ -0,0 +1,157 @@
+/**
+ * PDF Extraction
+ * Per-page text extraction that keeps page boundaries and the position of
+ * every text run, so chunks can be traced back to the exact page and area
+ * they came from.
+ *
+ * Boxes are [x0, y0, x1, y1] as fractions of the page size with the origin
+ * at the top-left corner, which is what a viewer needs to highlight a
+ * passage at any zoom level.
+ */
+
+const pdfParse = require("pdf-parse");
+
+const PAGE_SEPARATOR = "\n\n";
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * Text of one page plus the character range and box of each text run.
+ * Runs on the same baseline are joined; a new baseline starts a new line.
+ * @param {Object} textContent - pdf.js getTextContent() result
+ * @param {Array<number>} view - Page view box [x0, y0, x1, y1] in points
+ * @returns {{text: string, runs: Array}} Runs hold { start, end, bbox }
+ */
+function layoutPage(textContent, view) {
+  const [vx0, vy0, vx1, vy1] = view;
+  const width = vx1 - vx0 || 1;
+  const height = vy1 - vy0 || 1;
+
+  let text = "";
+  let lastY;
+  const runs = [];
+
+  for (const item of textContent.items) {
+    const [, , skewX, scaleY, x, y] = item.transform;
+    if (lastY !== undefined && lastY !== y) text += "\n";
+    lastY = y;
+
+    if (!item.str) continue;
+    const fontHeight = item.height || Math.hypot(skewX, scaleY);
+    const start = text.length;
+    text += item.str;
+
+    runs.push({
+      start,
+      end: text.length,
+      bbox: [
+        round((x - vx0) / width),
+        round((vy1 - y - fontHeight) / height),
+        round((x + item.width - vx0) / width),
+        round((vy1 - y) / height),
+      ],
+    });
+  }
+
+  return { text, runs };
+}
+
+/**
+ * Extract every page of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {Promise<{numpages: number, text: string, pages: Array}>} Pages
+ *   hold { pageNumber, offset, text, runs }; offset is where the page starts
+ *   in `text`
+ */
+async function extractPages(buffer) {
+  const layouts = new Map();
+
+  const pdfData = await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      const layout = layoutPage(textContent, pageData.view);
+      layouts.set(pageData.pageIndex + 1, layout);
+      return layout.text;
+    },
+  });
+
+  // pdf-parse swallows per-page failures; those pages stay empty
+  const pages = Array.from({ length: pdfData.numpages }, (_, i) => ({
+    pageNumber: i + 1,
+    ...(layouts.get(i + 1) || { text: "", runs: [] }),
+  }));
+
+  return { numpages: pdfData.numpages, ...joinPages(pages) };
+}
+
+/**
+ * Join page texts into one document text, recording each page's offset
+ * @param {Array} pages - { pageNumber, text, runs }
+ * @returns {{text: string, pages: Array}}
+ */
+function joinPages(pages) {
+  let offset = 0;
+  const placed = pages.map((page) => {
+    const withOffset = { ...page, offset };
+    offset += page.text.length + PAGE_SEPARATOR.length;
+    return withOffset;
+  });
+
+  return { text: pages.map((p) => p.text).join(PAGE_SEPARATOR), pages: placed };
+}
+
+function unionBox(boxes) {
+  return [
+    Math.min(...boxes.map((b) => b[0])),
+    Math.min(...boxes.map((b) => b[1])),
+    Math.max(...boxes.map((b) => b[2])),
+    Math.max(...boxes.map((b) => b[3])),
+  ];
+}
+
+/**
+ * Where a span of the joined text sits in the PDF
+ * @param {Array} pages - Pages from extractPages / joinPages
+ * @param {number} start - Span start in the joined text
+ * @param {number} end - Span end (exclusive)
+ * @returns {{pageNumber: number, pageEnd: number, bbox: Array, boxes: Array}}
+ *   bbox is the area on the first page; boxes has one area per page
+ */
+function locateSpan(pages, start, end) {
+  const touched = pages.filter(
+    (p) =>
+      p.text.length > 0 && start < p.offset + p.text.length && end > p.offset,
+  );
+
+  if (touched.length === 0) {
+    const page = [...pages].reverse().find((p) => p.offset <= start);
+    const pageNumber = page ? page.pageNumber : 1;
+    return { pageNumber, pageEnd: pageNumber, bbox: [], boxes: [] };
+  }
+
+  const boxes = touched
+    .map((page) => {
+      const from = start - page.offset;
+      const to = end - page.offset;
+      const hit = page.runs.filter((r) => r.start < to && r.end > from);
+      return hit.length
+        ? {
+            pageNumber: page.pageNumber,
+            bbox: unionBox(hit.map((r) => r.bbox)),
+          }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    pageNumber: touched[0].pageNumber,
+    pageEnd: touched[touched.length - 1].pageNumber,
+    bbox: boxes[0]?.bbox || [],
+    boxes,
+  };
+}
+
+module.exports = { extractPages, layoutPage, joinPages, locateSpan };
@@ -1,48 +1,45 @@
 // Queue service for handling background jobs
 const { Queue, Worker } = require("bullmq");
 const CONFIG = require("../config");
+const logger = require("./logger");
 
-let pdfQueue = null;
+const PDF_QUEUE = "pdf-processing";
+
+function redisConnection() {
+  return {
+    host: CONFIG.REDIS_HOST,
+    port: CONFIG.REDIS_PORT,
+    password: CONFIG.REDIS_PASSWORD || undefined,
+  };
+}
 
 function initializeQueue() {
-  if (!pdfQueue) {
-    pdfQueue = new Queue("pdf-processing", {
-      connection: {
-        host: CONFIG.REDIS_HOST,
-        port: CONFIG.REDIS_PORT,
-      },
-    });
-
-    // Initialize worker for processing PDFs
-    const worker = new Worker(
-      "pdf-processing",
-      async (job) => {
-        // Process the PDF job
-        console.log(`Processing PDF job: ${job.id}`);
-        // Add actual PDF processing logic here
-        return { status: "completed", jobId: job.id };
-      },
-      {
-        connection: {
-          host: CONFIG.REDIS_HOST,
-          port: CONFIG.REDIS_PORT,
-        },
-      },
-    );
-
-    worker.on("completed", (job) => {
-      console.log(`Job ${job.id} completed`);
-    });
-
-    worker.on("failed", (job, err) => {
-      console.error(`Job ${job.id} failed:`, err);
-    });
-  }
-
-  return pdfQueue;
+  return new Queue(PDF_QUEUE, { connection: redisConnection() });
+}
+
+/**
+ * Start the PDF worker
+ * @param {Function} processor - Job processor (see workers/pdfWorker.js)
+ * @returns {Worker}
+ */
+function startPdfWorker(processor) {
+  const worker = new Worker(PDF_QUEUE, processor, {
+    connection: redisConnection(),
+    concurrency: 2,
+  });
+
+  worker.on("completed", (job) => {
+    logger.info(`✅ Job ${job.id} completed`);
+  });
+
+  worker.on("failed", (job, err) => {
+    logger.error(`❌ Job ${job?.id} failed:`, err);
+  });
+
+  return worker;
 }
 
 module.exports = {
-  pdfQueue,
   initializeQueue,
+  startPdfWorker,
 };
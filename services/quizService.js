@@ -0,0 +1,73 @@
+/**
+ * Quiz Service
+ * Grades quiz attempts and derives XP from the result
+ */
+
+const MAX_QUIZ_XP = 30;
+
+/**
+ * Grade submitted answers against the stored questions
+ * @param {Array} questions - Quiz questions including correctAnswer and topic
+ * @param {Array<{questionId: string, answer: string}>} answers - Submitted answers
+ * @returns {Object} Per-question results, per-topic breakdown and totals
+ */
+function gradeAttempt(questions, answers) {
+  const submitted = new Map(
+    answers.map((a) => [
+      a.questionId.toString(),
+      String(a.answer).trim().charAt(0).toUpperCase(),
+    ]),
+  );
+
+  const topics = new Map();
+  const results = questions.map((q) => {
+    const selected = submitted.get(q._id.toString()) || null;
+    const correct = selected !== null && selected === q.correctAnswer;
+    const topic = q.topic || "General";
+
+    const entry = topics.get(topic) || { topic, correct: 0, total: 0 };
+    entry.total += 1;
+    if (correct) entry.correct += 1;
+    topics.set(topic, entry);
+
+    return {
+      questionId: q._id,
+      selected,
+      correct,
+      score: correct ? 1 : 0,
+      topic,
+    };
+  });
+
+  const correctCount = results.filter((r) => r.correct).length;
+  const totalQuestions = questions.length;
+
+  return {
+    answers: results,
+    topicBreakdown: [...topics.values()].map((t) => ({
+      ...t,
+      percentage: Math.round((t.correct / t.total) * 100),
+    })),
+    correctCount,
+    totalQuestions,
+    percentage:
+      totalQuestions > 0
+        ? Math.round((correctCount / totalQuestions) * 100)
+        : 0,
+  };
+}
+
+/**
+ * XP scales linearly with the score, up to MAX_QUIZ_XP for a perfect attempt
+ * @param {number} percentage - Score from 0 to 100
+ * @returns {number}
+ */
+function xpForScore(percentage) {
+  return Math.round((percentage / 100) * MAX_QUIZ_XP);
+}
+
+module.exports = {
+  MAX_QUIZ_XP,
+  gradeAttempt,
+  xpForScore,
+};
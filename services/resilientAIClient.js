@@ -0,0 +1,244 @@
+/**
+ * Resilient AI Client
+ * Wraps a chat completion client so every call gets a timeout, retries
+ * with exponential backoff, an ordered list of fallback models and a
+ * circuit breaker per model.
+ *
+ * Callers pass `models` (best first) instead of `model`. The response, or
+ * the stream for streaming calls, carries `model` (the one that answered)
+ * and `attempts` (the failures before it).
+ */
+
+const CONFIG = require("../config");
+const logger = require("./logger");
+
+class AIUnavailableError extends Error {
+  /**
+   * @param {Array} attempts - { model, error, status } per failed try
+   */
+  constructor(attempts) {
+    super(
+      attempts.length
+        ? `All AI models failed: ${attempts.map((a) => `${a.model} (${a.error})`).join("; ")}`
+        : "All AI models are temporarily disabled",
+    );
+    this.name = "AIUnavailableError";
+    this.attempts = attempts;
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Consecutive-failure breaker per model. After `threshold` failures the
+ * model is skipped for `cooldownMs`; then a single trial call decides
+ * whether it closes again.
+ */
+class CircuitBreaker {
+  constructor({ threshold = 3, cooldownMs = 60000, now = Date.now } = {}) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.models = new Map(); // model -> { failures, openedAt, lastError }
+  }
+
+  #state(model) {
+    if (!this.models.has(model)) {
+      this.models.set(model, { failures: 0, openedAt: null, lastError: null });
+    }
+    return this.models.get(model);
+  }
+
+  canTry(model) {
+    const state = this.#state(model);
+    if (state.openedAt === null) return true;
+    if (this.now() - state.openedAt < this.cooldownMs) return false;
+    // Half-open: allow one trial and re-open straight away if it fails
+    state.failures = this.threshold - 1;
+    state.openedAt = null;
+    return true;
+  }
+
+  success(model) {
+    const state = this.#state(model);
+    state.failures = 0;
+    state.openedAt = null;
+  }
+
+  failure(model, error) {
+    const state = this.#state(model);
+    state.failures++;
+    state.lastError = error.message;
+    if (state.failures >= this.threshold && state.openedAt === null) {
+      state.openedAt = this.now();
+      logger.warn(`⚡ Circuit opened for model ${model}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Object} model -> { open, failures, lastError }
+   */
+  status() {
+    const status = {};
+    for (const [model, state] of this.models) {
+      status[model] = {
+        open:
+          state.openedAt !== null &&
+          this.now() - state.openedAt < this.cooldownMs,
+        failures: state.failures,
+        lastError: state.lastError,
+      };
+    }
+    return status;
+  }
+}
+
+// Rate limits, server errors, timeouts and network errors may pass;
+// anything else (bad request, unknown model, bad key) will not
+function isRetryable(error) {
+  if (error instanceof TimeoutError) return true;
+  const status = error.status;
+  if (status === undefined) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(ms));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {Object} client - Client with chat.completions.create
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per attempt; for streams, until the
+ *   first chunk arrives
+ * @param {number} [options.retries] - Extra tries per model on retryable errors
+ * @param {number} [options.backoffMs] - First retry delay, doubled each time
+ * @param {CircuitBreaker} [options.breaker]
+ * @returns {Object} Client with chat.completions.create and status()
+ */
+function createResilientClient(
+  client,
+  {
+    timeoutMs = CONFIG.AI_TIMEOUT_MS,
+    retries = CONFIG.AI_RETRIES,
+    backoffMs = CONFIG.AI_RETRY_BACKOFF_MS,
+    breaker = new CircuitBreaker({
+      threshold: CONFIG.AI_BREAKER_THRESHOLD,
+      cooldownMs: CONFIG.AI_BREAKER_COOLDOWN_MS,
+    }),
+  } = {},
+) {
+  async function attempt(params, signal) {
+    const controller = new AbortController();
+    // The caller's signal also stops a stream after its first chunk
+    signal?.addEventListener("abort", () => controller.abort(), { once: true });
+    const call = async () => {
+      const result = await client.chat.completions.create(params, {
+        signal: controller.signal,
+        maxRetries: 0,
+      });
+      if (!params.stream) return { response: result };
+
+      // Providers often report errors as the first stream event, so the
+      // model only counts as answering once a chunk arrives
+      const iterator = result[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      return { iterator, first };
+    };
+    return withTimeout(call(), timeoutMs, controller);
+  }
+
+  function wrapStream({ iterator, first }, model, attempts, signal) {
+    return {
+      model,
+      attempts,
+      async *[Symbol.asyncIterator]() {
+        try {
+          if (!first.done) yield first.value;
+          for (;;) {
+            const { value, done } = await iterator.next();
+            if (done) return;
+            yield value;
+          }
+        } catch (error) {
+          if (!signal?.aborted) breaker.failure(model, error);
+          throw error;
+        }
+      },
+    };
+  }
+
+  /**
+   * @param {Object} params - Completion params with `models` or `model`
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the call, and the
+   *   stream for streaming calls, without counting as a model failure
+   */
+  async function create({ models, model, ...params }, { signal } = {}) {
+    const candidates = [...new Set(models || [model])].filter(Boolean);
+    const attempts = [];
+
+    for (const candidate of candidates) {
+      if (!breaker.canTry(candidate)) continue;
+
+      for (let retry = 0; retry <= retries; retry++) {
+        if (retry > 0) await sleep(backoffMs * 2 ** (retry - 1));
+        signal?.throwIfAborted();
+        try {
+          const result = await attempt({ ...params, model: candidate }, signal);
+          breaker.success(candidate);
+          if (attempts.length) {
+            logger.warn(
+              `🔁 ${candidate} answered after ${attempts.length} failed attempt(s)`,
+            );
+          }
+          if (params.stream) {
+            return wrapStream(result, candidate, attempts, signal);
+          }
+          return Object.assign(result.response, {
+            model: candidate,
+            attempts,
+          });
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          breaker.failure(candidate, error);
+          attempts.push({
+            model: candidate,
+            error: error.message,
+            status: error.status,
+          });
+          logger.warn(`⚠️ AI call to ${candidate} failed: ${error.message}`);
+          if (!isRetryable(error) || !breaker.canTry(candidate)) break;
+        }
+      }
+    }
+
+    throw new AIUnavailableError(attempts);
+  }
+
+  return {
+    chat: { completions: { create } },
+    status: () => breaker.status(),
+  };
+}
+
+module.exports = {
+  createResilientClient,
+  CircuitBreaker,
+  AIUnavailableError,
+  TimeoutError,
+};
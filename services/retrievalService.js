@@ -0,0 +1,303 @@
+/**
+ * Retrieval Service
+ * Resolves which documents a chat may draw on and finds the most relevant
+ * chunks across all of them.
+ */
+
+const CONFIG = require("../config");
+const { VectorChunk, KnowledgeNode, Class } = require("../models");
+const { accessibleNodeFilter } = require("./nodeAccess");
+const { getVectorStore } = require("./vectorService");
+const { KeywordIndex } = require("./keywordIndex");
+const { rerank } = require("./aiService");
+const logger = require("./logger");
+
+const MAX_SCOPE_NODES = 100;
+const DEFAULT_LIMIT = 8;
+const MAX_PER_NODE = 3;
+const MIN_CANDIDATES = 20;
+const RRF_K = 60;
+
+const keywordIndex = new KeywordIndex();
+
+/**
+ * Resolve a chat scope into the indexed nodes the user can read.
+ * Exactly one of nodeId, nodeIds, tag or classId is used; with none of
+ * them the chat has no document context.
+ * @param {string} userId - User ID
+ * @param {Object} scope - { nodeId, nodeIds, tag, classId }
+ * @returns {Promise<Array|null>} Lean nodes, or null if the scope is not
+ *   readable (unknown class, or a requested node the user cannot see)
+ */
+async function resolveScope(userId, { nodeId, nodeIds, tag, classId } = {}) {
+  const filter = { status: "INDEXED" };
+
+  if (classId) {
+    const isMember = await Class.exists({
+      _id: classId,
+      "members.userId": userId,
+    });
+    if (!isMember) return null;
+    filter.classIds = classId;
+  } else {
+    const ids = nodeIds || (nodeId ? [nodeId] : null);
+    if (ids) {
+      filter._id = { $in: [...new Set(ids)] };
+    } else if (tag) {
+      filter.tags = tag;
+    } else {
+      return [];
+    }
+    Object.assign(filter, await accessibleNodeFilter(userId));
+  }
+
+  const nodes = await KnowledgeNode.find(filter)
+    .select("type meta.originalName persona tags note")
+    .limit(MAX_SCOPE_NODES)
+    .lean();
+
+  // Explicitly named documents must all be readable and ready
+  const requested = nodeIds || (nodeId ? [nodeId] : null);
+  if (requested && nodes.length !== new Set(requested).size) return null;
+
+  return nodes;
+}
+
+/**
+ * Add the user's own indexed notes on the given documents, so searching a
+ * document also searches what the student wrote about it. Notes are only
+ * ever added for their author, even on shared documents.
+ * @param {string} userId - User ID
+ * @param {Array} nodes - Nodes from resolveScope
+ * @returns {Promise<Array>} The nodes followed by the linked notes
+ */
+async function withLinkedNotes(userId, nodes) {
+  const ids = new Set(nodes.map((n) => n._id.toString()));
+  const documentIds = nodes.filter((n) => n.type !== "Note").map((n) => n._id);
+  if (documentIds.length === 0) return nodes;
+
+  const notes = await KnowledgeNode.find({
+    userId,
+    type: "Note",
+    status: "INDEXED",
+    "note.documentId": { $in: documentIds },
+  })
+    .select("type meta.originalName tags note")
+    .limit(MAX_SCOPE_NODES)
+    .lean();
+  return [...nodes, ...notes.filter((n) => !ids.has(n._id.toString()))];
+}
+
+/**
+ * Merge ranked search hits from several documents: best score first, with
+ * no single document taking more than `perNode` of the slots
+ * @param {Array} hits - Chunks with nodeId and score
+ * @param {Object} [options] - { limit, perNode }
+ * @returns {Array} Selected chunks
+ */
+function mergeResults(
+  hits,
+  { limit = DEFAULT_LIMIT, perNode = MAX_PER_NODE } = {},
+) {
+  const taken = new Map();
+  const merged = [];
+
+  for (const hit of [...hits].sort((a, b) => b.score - a.score)) {
+    const key = hit.nodeId.toString();
+    const count = taken.get(key) || 0;
+    if (count >= perNode) continue;
+
+    taken.set(key, count + 1);
+    merged.push(hit);
+    if (merged.length === limit) break;
+  }
+
+  return merged;
+}
+
+/**
+ * Section titles in the given documents that match a filter, so a chat can
+ * be limited to e.g. "Enzymes" or "Chapter 3"
+ * @param {Array} nodeIds - Documents in scope
+ * @param {string} section - Case-insensitive part of a section title
+ * @returns {Promise<Array<string>>} Exact matching titles
+ */
+async function resolveSections(nodeIds, section) {
+  const pattern = new RegExp(
+    section.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    "i",
+  );
+  const titles = await VectorChunk.distinct("metadata.sectionPath", {
+    nodeId: { $in: nodeIds },
+    "metadata.sectionPath": pattern,
+  });
+  // distinct returns every title of the matched paths, not only the hits
+  return titles.filter((title) => pattern.test(title));
+}
+
+/**
+ * Reciprocal rank fusion: each ranking adds 1 / (k + rank) for every chunk
+ * it contains, so chunks that rank well in several lists rise to the top
+ * @param {Object<string, Array>} rankings - Ranked hits ({ _id, score })
+ *   by retriever name, best first
+ * @param {number} [k=60] - Damping constant
+ * @returns {Array<{_id, fused: number, scores: Object}>} Best first; scores
+ *   holds each retriever's own score for the chunk
+ */
+function fuseRankings(rankings, k = RRF_K) {
+  const fused = new Map();
+
+  for (const [name, hits] of Object.entries(rankings)) {
+    hits.forEach((hit, rank) => {
+      const key = hit._id.toString();
+      if (!fused.has(key)) {
+        fused.set(key, { _id: hit._id, fused: 0, scores: {} });
+      }
+      const entry = fused.get(key);
+      entry.fused += 1 / (k + rank + 1);
+      entry.scores[name] = hit.score;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Find the chunks most relevant to a query across a set of nodes: vector
+ * and BM25 keyword hits fused by rank, then optionally reranked by a
+ * cross-encoder
+ * @param {Array<number>} queryEmbedding - Query vector
+ * @param {Array} nodes - Nodes from resolveScope
+ * @param {Object} options - { query, section, limit, perNode }
+ * @returns {Promise<Array>} Chunks with nodeId, content, location, score
+ *   and the per-stage scores
+ */
+async function searchChunks(queryEmbedding, nodes, options = {}) {
+  if (!nodes.length) return [];
+
+  const nodeIds = nodes.map((n) => n._id);
+  const limit = options.limit || DEFAULT_LIMIT;
+  // Over-fetch so fusion and the per-document cap have enough to work with
+  const candidates = Math.max(limit * MAX_PER_NODE, MIN_CANDIDATES);
+
+  let sections;
+  if (options.section) {
+    sections = await resolveSections(nodeIds, options.section);
+    if (sections.length === 0) return [];
+  }
+
+  const [vectorHits, keywordHits] = await Promise.all([
+    getVectorStore().search(queryEmbedding, {
+      nodeIds,
+      limit: candidates,
+      sections,
+    }),
+    options.query
+      ? keywordIndex.search(nodeIds, options.query, candidates, sections)
+      : [],
+  ]);
+
+  const fused = fuseRankings({ vector: vectorHits, keyword: keywordHits });
+
+  // Keyword hits only carry ids; load the chunks vector search did not return
+  const chunks = new Map(vectorHits.map((c) => [c._id.toString(), c]));
+  const missing = fused
+    .filter((f) => !chunks.has(f._id.toString()))
+    .map((f) => f._id);
+  if (missing.length) {
+    const loaded = await VectorChunk.find({ _id: { $in: missing } })
+      .select("nodeId content location metadata.sectionPath")
+      .lean();
+    loaded.forEach((c) => chunks.set(c._id.toString(), c));
+  }
+
+  let ranked = fused
+    .filter((f) => chunks.has(f._id.toString()))
+    .map(({ _id, fused: rrf, scores }) => ({
+      ...chunks.get(_id.toString()),
+      score: rrf,
+      scores: { ...scores, fused: rrf },
+    }));
+
+  if (CONFIG.RERANK_ENABLED && options.query) {
+    ranked = await rerankChunks(options.query, ranked);
+  }
+
+  return mergeResults(ranked, options);
+}
+
+// Reorder the top candidates by cross-encoder relevance; on failure the
+// fused order is kept
+async function rerankChunks(query, ranked) {
+  const head = ranked.slice(0, MIN_CANDIDATES);
+  try {
+    const relevance = await rerank(
+      query,
+      head.map((c) => c.content),
+    );
+    head.forEach((c, i) => {
+      c.scores.rerank = relevance[i];
+      c.score = relevance[i];
+    });
+    return head.sort((a, b) => b.score - a.score);
+  } catch (error) {
+    logger.error("Rerank failed, keeping fused order:", error);
+    return ranked;
+  }
+}
+
+/**
+ * Prompt context that labels every excerpt with its number, source
+ * document and page, plus matching citations for the client
+ * @param {Array} chunks - Chunks from searchChunks
+ * @param {Array} nodes - Nodes the chunks came from
+ * @returns {{context: string, citations: Array}}
+ */
+function buildContext(chunks, nodes) {
+  const byId = new Map(nodes.map((n) => [n._id.toString(), n]));
+
+  const citations = chunks.map((c, i) => {
+    const node = byId.get(c.nodeId.toString());
+    return {
+      number: i + 1, // cited in answers as [number]
+      chunkId: c._id,
+      nodeId: c.nodeId,
+      documentName: node?.meta?.originalName || "Document",
+      noteId: node?.note?.noteId,
+      pageNumber: c.location?.pageNumber,
+      pageEnd: c.location?.pageEnd || c.location?.pageNumber,
+      boxes: c.location?.boxes || [],
+      section: c.metadata?.sectionPath?.join(" > ") || null,
+      content: c.content.substring(0, 200),
+      score: c.score,
+      scores: c.scores,
+    };
+  });
+
+  const context = chunks
+    .map((c, i) => {
+      const { documentName, noteId, pageNumber, pageEnd, section } =
+        citations[i];
+      const source = noteId ? `Student's note "${documentName}"` : documentName;
+      const page = !pageNumber
+        ? ""
+        : pageEnd > pageNumber
+          ? `, pages ${pageNumber}-${pageEnd}`
+          : `, page ${pageNumber}`;
+      const heading = section ? ` — ${section}` : "";
+      return `[${i + 1}] ${source}${page}${heading}\n${c.content}`;
+    })
+    .join("\n\n");
+
+  return { context, citations };
+}
+
+module.exports = {
+  resolveScope,
+  withLinkedNotes,
+  resolveSections,
+  mergeResults,
+  fuseRankings,
+  searchChunks,
+  buildContext,
+};
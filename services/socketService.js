@@ -0,0 +1,50 @@
+/**
+ * Socket Service
+ * Socket.IO setup and per-user event delivery
+ */
+
+const { Server } = require("socket.io");
+const logger = require("./logger");
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Attach Socket.IO to an HTTP server
+ * @param {http.Server} server - HTTP server
+ * @returns {Server} Socket.IO server
+ */
+function initSocket(server) {
+  const io = new Server(server, { cors: { origin: "*" } });
+
+  io.on("connection", (socket) => {
+    logger.info(`Socket connected: ${socket.id}`);
+
+    // Every tab of a user joins the same room, so events reach all of them
+    socket.on("register", (userId) => {
+      logger.info(`Socket registered for user: ${userId}`);
+      socket.join(userRoom(userId));
+    });
+
+    socket.on("disconnect", () => {
+      logger.info(`Socket disconnected: ${socket.id}`);
+    });
+  });
+
+  return io;
+}
+
+/**
+ * Emit an event to every socket registered for a user
+ * @param {Server|null} io - Socket.IO server, or null when realtime is off
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToUser(io, userId, event, data) {
+  if (!io) return;
+  io.to(userRoom(userId.toString())).emit(event, data);
+}
+
+module.exports = { initSocket, emitToUser };
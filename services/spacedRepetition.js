@@ -0,0 +1,107 @@
+/**
+ * Spaced Repetition Service
+ * SM-2 scheduling for flashcard reviews
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// Client ratings mapped onto SM-2 response quality (0-5)
+const RATING_QUALITY = {
+  again: 1,
+  hard: 3,
+  good: 4,
+  known: 4,
+  easy: 5,
+};
+
+/**
+ * Convert a client rating to an SM-2 quality score
+ * @param {string|number} rating - Named rating or a quality from 0 to 5
+ * @returns {number|null} Quality score, or null if the rating is unknown
+ */
+function toQuality(rating) {
+  if (typeof rating === "number") {
+    return Number.isInteger(rating) && rating >= 0 && rating <= 5
+      ? rating
+      : null;
+  }
+  return RATING_QUALITY[rating] ?? null;
+}
+
+/**
+ * Compute the next review state of a card
+ * @param {Object} state - Current review state
+ * @param {number} [state.easeFactor] - Current ease factor
+ * @param {number} [state.interval] - Current interval in days
+ * @param {number} [state.repetitions] - Consecutive successful reviews
+ * @param {number} [state.lapses] - Number of times the card was forgotten
+ * @param {number} quality - Response quality from 0 to 5
+ * @param {Date} [now] - Review time
+ * @returns {Object} New review state including the next due date
+ */
+function scheduleReview(state, quality, now = new Date()) {
+  const easeFactor = state.easeFactor || DEFAULT_EASE_FACTOR;
+  let repetitions = state.repetitions || 0;
+  let interval = state.interval || 0;
+  let lapses = state.lapses || 0;
+
+  if (quality < 3) {
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+  }
+
+  const nextEase = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+  );
+
+  return {
+    easeFactor: Math.round(nextEase * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    lastReviewedAt: now,
+    dueDate: new Date(now.getTime() + interval * MS_PER_DAY),
+  };
+}
+
+/**
+ * End of the current day, used as the "due today" cut-off
+ * @param {Date} [now] - Reference time
+ * @returns {Date}
+ */
+function endOfDay(now = new Date()) {
+  const d = new Date(now);
+  d.setHours(23, 59, 59, 999);
+  return d;
+}
+
+/**
+ * Whether a card is due for review today. Only due reviews earn rewards.
+ * @param {Object} state - Current review state
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+function isDue(state, now = new Date()) {
+  return !state?.dueDate || state.dueDate <= endOfDay(now);
+}
+
+module.exports = {
+  DEFAULT_EASE_FACTOR,
+  toQuality,
+  scheduleReview,
+  endOfDay,
+  isDue,
+};
@@ -0,0 +1,273 @@
+/**
+ * Structured Output
+ * Turns free-form model replies into data validated by zod schemas.
+ *
+ * Replies are scanned for the first JSON value, so markdown fences and
+ * chatty preambles do not matter. A reply that cannot be parsed gets one
+ * repair request; list items that fail validation are dropped and the
+ * model is asked again for the missing ones.
+ */
+
+const { z } = require("zod");
+const logger = require("./logger");
+
+const MAX_ROUNDS = 3;
+
+class StructuredOutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StructuredOutputError";
+  }
+}
+
+// Text field; numbers are accepted as text, missing values are not
+const text = (max) =>
+  z.preprocess(
+    (value) => (typeof value === "number" ? String(value) : value),
+    z.string().trim().min(1).max(max),
+  );
+
+// Nice-to-have field that never invalidates the item
+const optionalText = (max) => text(max).optional().catch(undefined);
+
+const FlashcardOutput = z.object({
+  question: text(1000),
+  answer: text(2000),
+  topic: optionalText(100),
+});
+
+const QuizQuestionOutput = z.object({
+  question: text(1000),
+  options: z
+    .array(text(500))
+    .min(4)
+    .transform((options) => options.slice(0, 4)),
+  correctAnswer: z
+    .string()
+    .transform((answer) => answer.trim().charAt(0).toUpperCase())
+    .pipe(z.enum(["A", "B", "C", "D"])),
+  explanation: optionalText(2000),
+  topic: optionalText(100),
+});
+
+const StudyPlanDayOutput = z.object({
+  day: z.coerce.number().int().min(1),
+  tasks: z
+    .array(
+      z.object({
+        type: z.enum(["Read", "Review", "Quiz", "Practice"]).catch("Review"),
+        description: text(500),
+        estimatedMinutes: z.coerce.number().int().min(5).max(480).catch(30),
+      }),
+    )
+    .min(1)
+    .transform((tasks) => tasks.slice(0, 10)),
+});
+
+const PersonaOutput = z.object({
+  name: z.string().trim().min(1).max(60),
+  tone: z.string().trim().min(1).max(60),
+  personalityPrompt: z.string().trim().min(1).max(1000),
+  catchphrase: optionalText(200),
+});
+
+/**
+ * First JSON object, or array of objects, in a reply. Bracketed prose such
+ * as "[1]" only counts when nothing better is found.
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON value can be found
+ */
+function extractJson(text) {
+  const source = String(text || "");
+  let fallback;
+
+  for (let start = 0; start < source.length; start++) {
+    if (source[start] !== "[" && source[start] !== "{") continue;
+
+    const end = matchingBracket(source, start);
+    if (end === -1) continue;
+    let value;
+    try {
+      value = JSON.parse(source.slice(start, end + 1));
+    } catch {
+      continue;
+    }
+
+    const structured = Array.isArray(value)
+      ? value.every((item) => item !== null && typeof item === "object")
+      : true;
+    if (structured) return value;
+    if (fallback === undefined) fallback = value;
+    start = end;
+  }
+
+  if (fallback !== undefined) return fallback;
+  throw new SyntaxError("No JSON found in the reply");
+}
+
+// Index of the bracket closing the one at `start`, ignoring string contents
+function matchingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === "[" || ch === "{") {
+      stack.push(ch === "[" ? "]" : "}");
+    } else if (ch === "]" || ch === "}") {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Lists sometimes come back wrapped, e.g. { "flashcards": [...] }
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  const arrays = Object.values(value || {}).filter(Array.isArray);
+  if (arrays.length === 1) return arrays[0];
+  throw new SyntaxError("Expected a JSON array");
+}
+
+/**
+ * Ask once, and once more with the problem explained if the reply is unusable
+ * @returns {Promise<{value: *, model: string}>}
+ */
+async function completeParsed(ai, { messages, parse, shape, ...params }) {
+  const response = await ai.chat.completions.create({ ...params, messages });
+  const text = response.choices[0]?.message?.content || "";
+
+  try {
+    return { value: parse(extractJson(text)), model: response.model };
+  } catch (error) {
+    logger.warn(
+      `🧩 Unusable ${shape} from ${response.model}: ${error.message}`,
+    );
+
+    const repair = await ai.chat.completions.create({
+      ...params,
+      messages: [
+        ...messages,
+        { role: "assistant", content: text },
+        {
+          role: "user",
+          content: `That reply could not be used (${error.message.slice(0, 300)}). Reply again with ONLY the JSON ${shape}, no markdown and no commentary.`,
+        },
+      ],
+    });
+    const repaired = repair.choices[0]?.message?.content || "";
+    return { value: parse(extractJson(repaired)), model: repair.model };
+  }
+}
+
+/**
+ * Generate one object that matches a schema. Other options (models,
+ * temperature, max_tokens) are passed to the client.
+ * @param {Object} ai - Chat completion client
+ * @param {Object} options
+ * @param {z.ZodType} options.schema
+ * @param {Array} options.messages
+ * @returns {Promise<{data: Object, model: string}>}
+ * @throws {StructuredOutputError} When the repaired reply is still invalid
+ */
+async function generateObject(ai, { schema, messages, ...params }) {
+  try {
+    const { value, model } = await completeParsed(ai, {
+      ...params,
+      messages,
+      shape: "object",
+      parse: (json) => schema.parse(json),
+    });
+    return { data: value, model };
+  } catch (error) {
+    if (error instanceof SyntaxError || error instanceof z.ZodError) {
+      throw new StructuredOutputError(`Invalid AI output: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate `count` list items that match a schema. Invalid and repeated
+ * items are dropped and requested again, up to MAX_ROUNDS requests. Other
+ * options are passed to the client.
+ * @param {Object} ai - Chat completion client
+ * @param {Object} options
+ * @param {z.ZodType} options.itemSchema
+ * @param {number} options.count - Items wanted
+ * @param {Function} options.prompt - (missing, items) => user prompt asking
+ *   for `missing` more items, given those already accepted
+ * @param {Function} [options.key] - Item identity for dropping repeats
+ * @returns {Promise<{items: Array, model: string}>} At most `count` items
+ * @throws {StructuredOutputError} When no valid item was produced
+ */
+async function generateList(
+  ai,
+  {
+    itemSchema,
+    count,
+    prompt,
+    key = (item) => JSON.stringify(item).toLowerCase(),
+    ...params
+  },
+) {
+  const items = [];
+  const seen = new Set();
+  let model;
+  let lastError;
+
+  for (let round = 0; round < MAX_ROUNDS && items.length < count; round++) {
+    try {
+      const result = await completeParsed(ai, {
+        ...params,
+        messages: [
+          { role: "user", content: prompt(count - items.length, items) },
+        ],
+        shape: "array",
+        parse: asList,
+      });
+      model = result.model;
+
+      let dropped = 0;
+      for (const raw of result.value) {
+        const parsed = itemSchema.safeParse(raw);
+        const id = parsed.success && key(parsed.data);
+        if (!parsed.success || seen.has(id)) {
+          dropped++;
+          continue;
+        }
+        seen.add(id);
+        items.push(parsed.data);
+      }
+      if (dropped) logger.warn(`🧩 Dropped ${dropped} invalid item(s)`);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      lastError = error;
+    }
+  }
+
+  if (items.length === 0) {
+    throw new StructuredOutputError(
+      `No valid items in AI output${lastError ? `: ${lastError.message}` : ""}`,
+    );
+  }
+  return { items: items.slice(0, count), model };
+}
+
+module.exports = {
+  StructuredOutputError,
+  FlashcardOutput,
+  QuizQuestionOutput,
+  StudyPlanDayOutput,
+  PersonaOutput,
+  extractJson,
+  generateObject,
+  generateList,
+};
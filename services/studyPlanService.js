@@ -0,0 +1,104 @@
+/**
+ * Study Plan Service
+ * Schedule dates, progress and completion carry-over for study plans
+ */
+
+const { StudyPlanDayOutput } = require("./structuredOutput");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Completed and total tasks of a schedule
+ * @param {Array} schedule - Plan days with tasks
+ * @returns {Object} { completedTasks, totalTasks, percentage }
+ */
+function computeProgress(schedule) {
+  const totalTasks = schedule.reduce(
+    (sum, day) => sum + (day.tasks?.length || 0),
+    0,
+  );
+  const completedTasks = schedule.reduce(
+    (sum, day) => sum + (day.tasks || []).filter((t) => t.completed).length,
+    0,
+  );
+
+  return {
+    completedTasks,
+    totalTasks,
+    percentage:
+      totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+  };
+}
+
+/**
+ * Date days that have none, counting day 1 as the start date
+ * @param {Array} schedule - Plan days
+ * @param {Date} startDate
+ * @returns {Array} Days with dates
+ */
+function assignDates(schedule, startDate) {
+  const start = startOfDay(startDate);
+  return schedule.map((day) => ({
+    ...day,
+    date: day.date || new Date(start.getTime() + (day.day - 1) * MS_PER_DAY),
+  }));
+}
+
+/**
+ * Schema for generated plan days that rejects days past the exam
+ * @param {number} totalDays
+ * @returns {z.ZodType}
+ */
+function planDayOutput(totalDays) {
+  return StudyPlanDayOutput.refine((day) => day.day <= totalDays, {
+    message: `Day must be between 1 and ${totalDays}`,
+  });
+}
+
+const taskKey = (day, task) =>
+  `${day}:${task.type}:${task.description.trim().toLowerCase()}`;
+
+/**
+ * Carry completion over from the stored schedule to an edited one. A task
+ * keeps its state when the edit sends its _id, or the same type and
+ * description on the same day.
+ * @param {Array} previous - Stored plan days
+ * @param {Array} schedule - Edited plan days
+ * @returns {Array} Edited days with completed and completedAt restored
+ */
+function mergeCompletion(previous, schedule) {
+  const byId = new Map();
+  const byKey = new Map();
+  for (const day of previous) {
+    for (const task of day.tasks || []) {
+      if (task._id) byId.set(task._id.toString(), task);
+      byKey.set(taskKey(day.day, task), task);
+    }
+  }
+
+  return schedule.map((day) => ({
+    ...day,
+    tasks: day.tasks.map((task) => {
+      const old =
+        (task._id && byId.get(task._id.toString())) ||
+        byKey.get(taskKey(day.day, task));
+      if (!old?.completed) return task;
+      return { ...task, completed: true, completedAt: old.completedAt };
+    }),
+  }));
+}
+
+module.exports = {
+  MS_PER_DAY,
+  startOfDay,
+  computeProgress,
+  assignDates,
+  mergeCompletion,
+  planDayOutput,
+};
@@ -0,0 +1,72 @@
+/**
+ * Tutoring Modes
+ * Teaching strategies for chat. A conversation keeps the mode it was
+ * started with until the student picks another; new conversations start
+ * with the mode that suits the student's learning style.
+ */
+
+const TUTORING_MODES = {
+  socratic: {
+    name: "Socratic",
+    description: "Guiding questions instead of answers",
+    prompt:
+      "Tutoring mode: Socratic. Never state the final answer or solution outright, even when asked for it directly; if the student insists, give a stronger hint instead. Guide them with one or two focused questions at a time that build on what they have already said. When they reply, acknowledge what is right and question what is not, so they reach the conclusion themselves. Once they have, confirm it and sum it up in a sentence.",
+  },
+  "explain-check": {
+    name: "Explain, then check",
+    description: "A clear explanation followed by a quick question",
+    prompt:
+      "Tutoring mode: explain, then check. Explain the idea clearly in short steps. End every answer with one short question that checks the student understood the key point, and do not answer it yourself. When the student answers a check question, say whether they are right and correct any misunderstanding before moving on.",
+  },
+  "worked-examples": {
+    name: "Worked examples",
+    description: "Step-by-step examples, then the general method",
+    prompt:
+      "Tutoring mode: worked examples. Teach through concrete examples. Work one example through step by step, saying why each step is taken, then state the general method it illustrates. Lay steps out as numbered lists, and use simple tables or diagrams in text where they help. Finish with a similar practice problem for the student, without its solution.",
+  },
+  "exam-drill": {
+    name: "Exam drill",
+    description: "Exam-style questions, marked one at a time",
+    prompt:
+      "Tutoring mode: exam drill. Act as an examiner preparing the student for a test. Ask one exam-style question at a time and wait for the answer. Mark each answer: say what earned credit and what was missing, then give a brief model answer before the next question. Vary the question types (definitions, short answers, applications) and make them harder while the student does well. If the student asks something instead, answer briefly and return to the drill.",
+  },
+};
+
+const MODE_NAMES = Object.keys(TUTORING_MODES);
+
+const MODE_FOR_STYLE = {
+  Socratic: "socratic",
+  Textual: "explain-check",
+  Visual: "worked-examples",
+};
+
+/**
+ * Mode a new conversation starts with
+ * @param {Object} user
+ * @returns {string} Mode name
+ */
+function defaultModeFor(user) {
+  return MODE_FOR_STYLE[user?.dna?.learningStyle] || "explain-check";
+}
+
+/**
+ * System prompt for a mode; unknown modes get the default one
+ * @param {string} mode
+ * @returns {string}
+ */
+function tutoringPrompt(mode) {
+  return (TUTORING_MODES[mode] || TUTORING_MODES["explain-check"]).prompt;
+}
+
+/**
+ * @returns {Array<{id, name, description}>} Modes for the client to offer
+ */
+function listModes() {
+  return MODE_NAMES.map((id) => ({
+    id,
+    name: TUTORING_MODES[id].name,
+    description: TUTORING_MODES[id].description,
+  }));
+}
+
+module.exports = { MODE_NAMES, defaultModeFor, tutoringPrompt, listModes };
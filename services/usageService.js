@@ -0,0 +1,285 @@
+/**
+ * Usage Service
+ * Meters AI tokens per user, feature and model, and enforces the daily
+ * and monthly token quotas of each subscription plan.
+ *
+ * Quotas are checked before a request, so the request that crosses a
+ * limit still completes; the next one is refused until the window resets.
+ * Windows are UTC days and months.
+ */
+
+const CONFIG = require("../config");
+const { AIUsage } = require("../models");
+const { estimateTokens } = require("./conversationMemory");
+const logger = require("./logger");
+
+/**
+ * Plan whose quota applies; a lapsed subscription falls back to free
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {string} "free" | "pro" | "enterprise"
+ */
+function planOf(user, now = new Date()) {
+  const { plan = "free", expiresAt } = user.subscription || {};
+  if (plan !== "free" && expiresAt && new Date(expiresAt) <= now) {
+    return "free";
+  }
+  return CONFIG.AI_QUOTAS[plan] ? plan : "free";
+}
+
+/**
+ * @param {Date} [now]
+ * @returns {Object} { day, month, dayResetsAt, monthResetsAt }; day and
+ *   month are "YYYY-MM-DD" and "YYYY-MM"
+ */
+function quotaWindows(now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  return {
+    day,
+    month: day.slice(0, 7),
+    dayResetsAt: new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1),
+    ),
+    monthResetsAt: new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1),
+    ),
+  };
+}
+
+/**
+ * Remaining tokens per window. A limit of 0 means unlimited, reported as
+ * null limit and remaining.
+ * @param {Object} limits - { daily, monthly }
+ * @param {Object} used - { daily, monthly } tokens
+ * @param {Object} windows - From quotaWindows
+ * @returns {Object} { daily, monthly, exceeded: "daily"|"monthly"|null }
+ */
+function quotaStatus(limits, used, windows) {
+  const window = (limit, tokens, resetsAt) => ({
+    limit: limit || null,
+    used: tokens,
+    remaining: limit ? Math.max(limit - tokens, 0) : null,
+    resetsAt,
+  });
+  const daily = window(limits.daily, used.daily, windows.dayResetsAt);
+  const monthly = window(limits.monthly, used.monthly, windows.monthResetsAt);
+
+  let exceeded = null;
+  if (monthly.remaining === 0) exceeded = "monthly";
+  else if (daily.remaining === 0) exceeded = "daily";
+  return { daily, monthly, exceeded };
+}
+
+/**
+ * Tokens of one completion, estimated from the text when the provider
+ * reported none
+ * @param {Object} [usage] - { prompt_tokens, completion_tokens }
+ * @param {Array} messages - Prompt messages
+ * @param {string} content - Generated text
+ * @returns {Object} { promptTokens, completionTokens, estimated }
+ */
+function tokensOf(usage, messages, content) {
+  if (usage && Number.isFinite(usage.prompt_tokens)) {
+    return {
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens || 0,
+      estimated: false,
+    };
+  }
+  return {
+    promptTokens: (messages || []).reduce(
+      (n, m) => n + estimateTokens(m.content),
+      0,
+    ),
+    completionTokens: estimateTokens(content),
+    estimated: true,
+  };
+}
+
+/**
+ * Totals of usage records, overall and grouped by feature, model and day
+ * @param {Array} records - AIUsage documents
+ * @returns {Object} { totals, byFeature, byModel, byDay }
+ */
+function summarizeUsage(records) {
+  const empty = () => ({
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+  });
+  const add = (into, r) => {
+    into.requests += r.requests;
+    into.promptTokens += r.promptTokens;
+    into.completionTokens += r.completionTokens;
+    into.totalTokens += r.promptTokens + r.completionTokens;
+  };
+  const groupBy = (key) => {
+    const groups = new Map();
+    for (const r of records) {
+      if (!groups.has(r[key])) {
+        groups.set(r[key], { [key]: r[key], ...empty() });
+      }
+      add(groups.get(r[key]), r);
+    }
+    return [...groups.values()];
+  };
+
+  const totals = empty();
+  records.forEach((r) => add(totals, r));
+  return {
+    totals,
+    byFeature: groupBy("feature").sort((a, b) => b.totalTokens - a.totalTokens),
+    byModel: groupBy("model").sort((a, b) => b.totalTokens - a.totalTokens),
+    byDay: groupBy("day").sort((a, b) => a.day.localeCompare(b.day)),
+  };
+}
+
+/**
+ * Add one completion to the user's usage; failures are logged, never thrown
+ * @param {Object} who - { userId, feature }
+ * @param {string} model - Model that answered
+ * @param {Object} tokens - From tokensOf
+ */
+async function recordUsage({ userId, feature }, model, tokens) {
+  try {
+    await AIUsage.updateOne(
+      {
+        userId,
+        day: quotaWindows().day,
+        feature,
+        model: model || "unknown",
+      },
+      {
+        $inc: {
+          requests: 1,
+          promptTokens: tokens.promptTokens,
+          completionTokens: tokens.completionTokens,
+          estimatedRequests: tokens.estimated ? 1 : 0,
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    logger.error("❌ Failed to record AI usage:", error);
+  }
+}
+
+/**
+ * The user's quota status for the current day and month
+ * @param {Object} user
+ * @param {Date} [now]
+ * @returns {Promise<Object>} quotaStatus result plus plan
+ */
+async function getQuota(user, now = new Date()) {
+  const plan = planOf(user, now);
+  const windows = quotaWindows(now);
+
+  const [usage] = await AIUsage.aggregate([
+    { $match: { userId: user._id, day: { $regex: `^${windows.month}` } } },
+    {
+      $group: {
+        _id: null,
+        monthly: { $sum: { $add: ["$promptTokens", "$completionTokens"] } },
+        daily: {
+          $sum: {
+            $cond: [
+              { $eq: ["$day", windows.day] },
+              { $add: ["$promptTokens", "$completionTokens"] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return {
+    plan,
+    ...quotaStatus(
+      CONFIG.AI_QUOTAS[plan],
+      { daily: usage?.daily || 0, monthly: usage?.monthly || 0 },
+      windows,
+    ),
+  };
+}
+
+/**
+ * Usage breakdown for one month
+ * @param {ObjectId} userId
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Object>} summarizeUsage result
+ */
+async function getMonthlyUsage(userId, month) {
+  const records = await AIUsage.find({
+    userId,
+    day: { $regex: `^${month}` },
+  }).lean();
+  return summarizeUsage(records);
+}
+
+function meterStream(stream, messages, record) {
+  return {
+    model: stream.model,
+    attempts: stream.attempts,
+    async *[Symbol.asyncIterator]() {
+      let usage;
+      let content = "";
+      try {
+        for await (const chunk of stream) {
+          if (chunk.usage) usage = chunk.usage;
+          content += chunk.choices?.[0]?.delta?.content || "";
+          yield chunk;
+        }
+      } finally {
+        // Also runs when the reader stops early, so partial answers count
+        record(stream.model, tokensOf(usage, messages, content));
+      }
+    },
+  };
+}
+
+/**
+ * Client that records the tokens of every completion it makes
+ * @param {Object} ai - Chat completion client
+ * @param {Object} who - { userId, feature }
+ * @returns {Object} Client with chat.completions.create
+ */
+function meter(ai, who) {
+  const record = (model, tokens) => recordUsage(who, model, tokens);
+
+  async function create(params, options) {
+    if (params.stream) {
+      const stream = await ai.chat.completions.create(
+        { ...params, stream_options: { include_usage: true } },
+        options,
+      );
+      return meterStream(stream, params.messages, record);
+    }
+
+    const response = await ai.chat.completions.create(params, options);
+    record(
+      response.model,
+      tokensOf(
+        response.usage,
+        params.messages,
+        response.choices?.[0]?.message?.content,
+      ),
+    );
+    return response;
+  }
+
+  return { ...ai, chat: { completions: { create } } };
+}
+
+module.exports = {
+  planOf,
+  quotaWindows,
+  quotaStatus,
+  tokensOf,
+  summarizeUsage,
+  recordUsage,
+  getQuota,
+  getMonthlyUsage,
+  meter,
+};
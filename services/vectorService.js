@@ -0,0 +1,57 @@
+/**
+ * Vector Service
+ * Picks the vector search backend for VectorChunk embeddings.
+ * Every backend implements the same interface:
+ *   ensureIndex()                        prepare the index at startup
+ *   search(vector, { nodeIds, limit })   chunks with nodeId, content,
+ *                                        location and score, best first
+ *   describe()                           backend details for /health
+ */
+
+const CONFIG = require("../config");
+const { AtlasVectorStore } = require("./vectorStores/atlasStore");
+const { CosmosVectorStore } = require("./vectorStores/cosmosStore");
+const { MemoryVectorStore } = require("./vectorStores/memoryStore");
+
+const BACKENDS = {
+  atlas: AtlasVectorStore,
+  cosmos: CosmosVectorStore,
+  memory: MemoryVectorStore,
+};
+
+let vectorStore = null;
+
+/**
+ * Create a vector store
+ * @param {string} backend - "atlas", "cosmos" or "memory"
+ * @param {Object} [options] - Backend options
+ * @returns {Object} Vector store
+ */
+function createVectorStore(backend, options = {}) {
+  const Store = BACKENDS[backend];
+  if (!Store) {
+    throw new Error(
+      `Unknown VECTOR_STORE "${backend}"; use one of ${Object.keys(BACKENDS).join(", ")}`,
+    );
+  }
+  return new Store(options);
+}
+
+/**
+ * The configured vector store, created on first use
+ * @returns {Object} Vector store
+ */
+function getVectorStore() {
+  if (!vectorStore) {
+    vectorStore = createVectorStore(CONFIG.VECTOR_STORE, {
+      algorithm: CONFIG.VECTOR_SEARCH_ALGORITHM,
+    });
+  }
+  return vectorStore;
+}
+
+async function createVectorIndex() {
+  await getVectorStore().ensureIndex();
+}
+
+module.exports = { createVectorStore, getVectorStore, createVectorIndex };
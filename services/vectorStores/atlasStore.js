@@ -0,0 +1,66 @@
+/**
+ * Atlas Vector Store
+ * MongoDB Atlas Vector Search through the $vectorSearch stage. The index
+ * itself is created in the Atlas UI (see README).
+ */
+
+const mongoose = require("mongoose");
+const { VectorChunk } = require("../../models");
+const logger = require("../logger");
+
+class AtlasVectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.indexName="vector_index"]
+   */
+  constructor({ indexName = "vector_index" } = {}) {
+    this.name = "atlas";
+    this.indexName = indexName;
+  }
+
+  async ensureIndex() {
+    logger.info(
+      `✅ Using Atlas Vector Search; index "${this.indexName}" is managed in Atlas`,
+    );
+  }
+
+  describe() {
+    return { backend: this.name, index: this.indexName };
+  }
+
+  /**
+   * @param {Array<number>} queryVector
+   * @param {Object} options - { nodeIds, limit, sections }
+   * @returns {Promise<Array>} Chunks with nodeId, content, location and score
+   */
+  async search(queryVector, { nodeIds, limit, sections }) {
+    return VectorChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: this.indexName,
+          path: "embedding",
+          queryVector,
+          numCandidates: Math.max(100, limit * 10),
+          limit,
+          filter: {
+            nodeId: {
+              $in: nodeIds.map((id) => new mongoose.Types.ObjectId(id)),
+            },
+            ...(sections && { "metadata.sectionPath": { $in: sections } }),
+          },
+        },
+      },
+      {
+        $project: {
+          nodeId: 1,
+          content: 1,
+          location: 1,
+          "metadata.sectionPath": 1,
+          score: { $meta: "vectorSearchScore" },
+        },
+      },
+    ]);
+  }
+}
+
+module.exports = { AtlasVectorStore };
@@ -0,0 +1,88 @@
+/**
+ * Cosmos Vector Store
+ * Azure Cosmos DB for MongoDB (vCore) vector search through the
+ * cosmosSearch index and $search stage. Results are filtered to the
+ * requested documents inside the search, so a large document elsewhere in
+ * the collection cannot crowd them out of the top k.
+ */
+
+const mongoose = require("mongoose");
+const CONFIG = require("../../config");
+const { VectorChunk } = require("../../models");
+const logger = require("../logger");
+
+class CosmosVectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.indexName="vector_index"]
+   */
+  constructor({ indexName = "vector_index" } = {}) {
+    this.name = "cosmos";
+    this.indexName = indexName;
+  }
+
+  async ensureIndex() {
+    try {
+      const collection = mongoose.connection.db.collection("vectorchunks");
+      // Filtered vector search needs a plain index on the filter field
+      await collection.createIndex({ nodeId: 1 });
+      await collection.createIndex(
+        { embedding: "cosmosSearch" },
+        {
+          name: this.indexName,
+          cosmosSearchOptions: {
+            kind: "vector-ivf",
+            numLists: 100,
+            similarity: "COS",
+            dimensions: CONFIG.VECTOR_DIMENSIONS,
+          },
+        },
+      );
+      logger.info("✅ Vector index created");
+    } catch (error) {
+      logger.warn("Vector index may already exist:", error.message);
+    }
+  }
+
+  describe() {
+    return { backend: this.name, index: this.indexName };
+  }
+
+  /**
+   * @param {Array<number>} queryVector
+   * @param {Object} options - { nodeIds, limit, sections }
+   * @returns {Promise<Array>} Chunks with nodeId, content, location and score
+   */
+  async search(queryVector, { nodeIds, limit, sections }) {
+    const objectIds = nodeIds.map((id) => new mongoose.Types.ObjectId(id));
+    return VectorChunk.aggregate([
+      {
+        $search: {
+          cosmosSearch: {
+            vector: queryVector,
+            path: "embedding",
+            filter: { nodeId: { $in: objectIds } },
+            // Sections are matched after the search, so fetch extra for them
+            k: sections ? Math.max(100, limit * 10) : limit,
+          },
+          returnStoredSource: true,
+        },
+      },
+      {
+        $project: {
+          nodeId: 1,
+          content: 1,
+          location: 1,
+          "metadata.sectionPath": 1,
+          score: { $meta: "searchScore" },
+        },
+      },
+      ...(sections
+        ? [{ $match: { "metadata.sectionPath": { $in: sections } } }]
+        : []),
+      { $limit: limit },
+    ]);
+  }
+}
+
+module.exports = { CosmosVectorStore };
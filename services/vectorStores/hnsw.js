@@ -0,0 +1,221 @@
+/**
+ * HNSW
+ * Hierarchical navigable small world graph for approximate nearest
+ * neighbour search by cosine similarity (Malkov & Yashunin, 2016).
+ * Vectors are normalised on insert so similarity is a plain dot product.
+ */
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm) || 1;
+
+  const out = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Binary heap ordered by `score`; `max` decides which end is on top
+ */
+class Heap {
+  constructor(max) {
+    this.items = [];
+    this.before = max
+      ? (a, b) => a.score > b.score
+      : (a, b) => a.score < b.score;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let next = i;
+        if (left < items.length && this.before(items[left], items[next]))
+          next = left;
+        if (right < items.length && this.before(items[right], items[next]))
+          next = right;
+        if (next === i) break;
+        [items[i], items[next]] = [items[next], items[i]];
+        i = next;
+      }
+    }
+    return top;
+  }
+}
+
+class HnswIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.M=16] - Links per node above layer 0
+   * @param {number} [options.efConstruction=100] - Beam width while building
+   * @param {number} [options.efSearch=50] - Default beam width while searching
+   * @param {Function} [options.random=Math.random] - Source for level draws
+   */
+  constructor({
+    M = 16,
+    efConstruction = 100,
+    efSearch = 50,
+    random = Math.random,
+  } = {}) {
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMult = 1 / Math.log(M);
+    this.random = random;
+
+    this.vectors = [];
+    this.links = []; // links[id][layer] = neighbour ids
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.vectors.length;
+  }
+
+  /**
+   * Insert a vector
+   * @param {Array<number>} vector
+   * @returns {number} Its id, the insertion position
+   */
+  add(vector) {
+    const id = this.vectors.length;
+    const point = normalize(vector);
+    const level = Math.floor(-Math.log(this.random() || 1e-9) * this.levelMult);
+
+    this.vectors.push(point);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return id;
+    }
+
+    let entry = [this.#scored(point, this.entryPoint)];
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.#searchLayer(point, entry, 1, layer);
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this.#searchLayer(point, entry, this.efConstruction, layer);
+      const maxLinks = layer === 0 ? this.maxM0 : this.M;
+      const neighbours = found.slice(0, this.M);
+
+      this.links[id][layer] = neighbours.map((n) => n.id);
+      for (const n of neighbours) {
+        const theirs = this.links[n.id][layer];
+        theirs.push(id);
+        if (theirs.length > maxLinks) {
+          this.links[n.id][layer] = this.#closest(n.id, theirs, maxLinks);
+        }
+      }
+      entry = found;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+    return id;
+  }
+
+  /**
+   * Approximate k nearest neighbours
+   * @param {Array<number>} vector - Query vector
+   * @param {number} k - Number of results
+   * @param {number} [ef] - Beam width, at least k
+   * @returns {Array<{id: number, score: number}>} Best cosine score first
+   */
+  search(vector, k, ef = this.efSearch) {
+    if (this.entryPoint === -1) return [];
+
+    const query = normalize(vector);
+    let entry = [this.#scored(query, this.entryPoint)];
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.#searchLayer(query, entry, 1, layer);
+    }
+
+    return this.#searchLayer(query, entry, Math.max(ef, k), 0).slice(0, k);
+  }
+
+  #scored(query, id) {
+    return { id, score: dot(query, this.vectors[id]) };
+  }
+
+  #closest(id, candidates, count) {
+    return candidates
+      .map((other) => this.#scored(this.vectors[id], other))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map((n) => n.id);
+  }
+
+  // Greedy beam search within one layer; results sorted best first
+  #searchLayer(query, entry, ef, layer) {
+    const visited = new Set(entry.map((e) => e.id));
+    const candidates = new Heap(true);
+    const results = new Heap(false);
+
+    for (const e of entry) {
+      candidates.push(e);
+      results.push(e);
+      if (results.size > ef) results.pop();
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const next of this.links[current.id][layer] || []) {
+        if (visited.has(next)) continue;
+        visited.add(next);
+
+        const scored = this.#scored(query, next);
+        if (results.size < ef || scored.score > results.peek().score) {
+          candidates.push(scored);
+          results.push(scored);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = { HnswIndex, normalize, dot };
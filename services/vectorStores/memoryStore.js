@@ -0,0 +1,113 @@
+/**
+ * Memory Vector Store
+ * In-process search over VectorChunk.embedding for plain MongoDB
+ * deployments that have no vector index. Embeddings are kept in the
+ * shared chunk cache next to the keyword index's term statistics.
+ */
+
+const { VectorChunk } = require("../../models");
+const logger = require("../logger");
+const { getChunkCache } = require("../chunkCache");
+const { HnswIndex, normalize, dot } = require("./hnsw");
+
+class MemoryVectorStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.algorithm="exact"] - "exact" or "hnsw"
+   * @param {ChunkCache} [options.cache] - Defaults to the shared cache
+   */
+  constructor({ algorithm = "exact", cache = getChunkCache() } = {}) {
+    if (!["exact", "hnsw"].includes(algorithm)) {
+      throw new Error(`Unknown vector search algorithm: ${algorithm}`);
+    }
+    this.name = "memory";
+    this.algorithm = algorithm;
+    this.cache = cache;
+    // Per document: { ids, sections, vectors, index }
+    this.part = `${algorithm} vectors`;
+    cache.addPart(this.part, {
+      select: "embedding metadata.sectionPath",
+      build: (chunks) => this.#build(chunks),
+    });
+  }
+
+  async ensureIndex() {
+    logger.info(`✅ Using in-memory vector search (${this.algorithm})`);
+  }
+
+  describe() {
+    return {
+      backend: this.name,
+      algorithm: this.algorithm,
+      cachedDocuments: this.cache.size,
+      cachedChunks: this.cache.chunkCount,
+    };
+  }
+
+  /**
+   * @param {Array<number>} queryVector
+   * @param {Object} options - { nodeIds, limit, sections }
+   * @returns {Promise<Array>} Chunks with nodeId, content, location and score
+   */
+  async search(queryVector, { nodeIds, limit, sections }) {
+    const entries = await this.cache.load(nodeIds, this.part);
+    const query = normalize(queryVector);
+
+    const allowed = sections && new Set(sections);
+    const scored = entries.flatMap((entry) =>
+      this.#searchEntry(entry, query, limit, allowed),
+    );
+    const top = scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    if (top.length === 0) return [];
+
+    const chunks = await VectorChunk.find({
+      _id: { $in: top.map((t) => t.chunkId) },
+    })
+      .select("nodeId content location metadata.sectionPath")
+      .lean();
+    const byId = new Map(chunks.map((c) => [c._id.toString(), c]));
+
+    return top
+      .map((t) => {
+        const chunk = byId.get(t.chunkId.toString());
+        return chunk && { ...chunk, score: t.score };
+      })
+      .filter(Boolean);
+  }
+
+  #searchEntry(entry, query, limit, allowed) {
+    if (entry.index && !allowed) {
+      return entry.index
+        .search(query, limit)
+        .map(({ id, score }) => ({ chunkId: entry.ids[id], score }));
+    }
+
+    // A section filter usually leaves few chunks, so score those exactly
+    const vectors = entry.vectors || entry.index.vectors;
+    const results = [];
+    vectors.forEach((vector, i) => {
+      if (allowed && !entry.sections[i].some((s) => allowed.has(s))) return;
+      results.push({ chunkId: entry.ids[i], score: dot(query, vector) });
+    });
+    return results;
+  }
+
+  #build(chunks) {
+    const entry = {
+      ids: chunks.map((c) => c._id),
+      sections: chunks.map((c) => c.metadata?.sectionPath || []),
+      vectors: null,
+      index: null,
+    };
+
+    if (this.algorithm === "hnsw") {
+      entry.index = new HnswIndex();
+      chunks.forEach((c) => entry.index.add(c.embedding));
+    } else {
+      entry.vectors = chunks.map((c) => normalize(c.embedding));
+    }
+    return entry;
+  }
+}
+
+module.exports = { MemoryVectorStore };
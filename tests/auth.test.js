@@ -1,9 +1,10 @@
 const request = require("supertest");
-const { app, server, io } = require("../server");
+const { createApp } = require("../app");
 const mongoose = require("mongoose");
 const { MongoMemoryServer } = require("mongodb-memory-server");
 
 let mongoServer;
+const app = createApp();
 
 beforeAll(async () => {
   mongoServer = await MongoMemoryServer.create();
@@ -14,8 +15,6 @@ beforeAll(async () => {
 afterAll(async () => {
   await mongoose.disconnect();
   await mongoServer.stop();
-  server.close();
-  io.close();
 });
 
 describe("Auth Routes", () => {
@@ -72,4 +71,68 @@ describe("Auth Routes", () => {
     });
     expect(res.statusCode).toEqual(401);
   });
+
+  it("should reject an access token after logout", async () => {
+    const registered = await request(app).post("/api/v1/auth/register").send({
+      username: "logoutuser",
+      email: "logoutuser@example.com",
+      password: "password123",
+    });
+    const auth = `Bearer ${registered.body.data.tokens.accessToken}`;
+
+    const before = await request(app)
+      .get("/api/v1/auth/me")
+      .set("Authorization", auth);
+    expect(before.statusCode).toEqual(200);
+
+    await request(app).post("/api/v1/auth/logout").set("Authorization", auth);
+
+    const after = await request(app)
+      .get("/api/v1/auth/me")
+      .set("Authorization", auth);
+    expect(after.statusCode).toEqual(403);
+  });
+
+  it("should change the password and revoke earlier tokens", async () => {
+    const registered = await request(app).post("/api/v1/auth/register").send({
+      username: "changeuser",
+      email: "changeuser@example.com",
+      password: "password123",
+    });
+    const auth = `Bearer ${registered.body.data.tokens.accessToken}`;
+
+    const wrong = await request(app)
+      .post("/api/v1/auth/change-password")
+      .set("Authorization", auth)
+      .send({ currentPassword: "wrongpassword", newPassword: "newpassword1" });
+    expect(wrong.statusCode).toEqual(401);
+
+    const changed = await request(app)
+      .post("/api/v1/auth/change-password")
+      .set("Authorization", auth)
+      .send({ currentPassword: "password123", newPassword: "newpassword1" });
+    expect(changed.statusCode).toEqual(200);
+
+    const stale = await request(app)
+      .get("/api/v1/auth/me")
+      .set("Authorization", auth);
+    expect(stale.statusCode).toEqual(403);
+
+    const fresh = await request(app)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${changed.body.data.tokens.accessToken}`);
+    expect(fresh.statusCode).toEqual(200);
+
+    const oldLogin = await request(app).post("/api/v1/auth/login").send({
+      email: "changeuser@example.com",
+      password: "password123",
+    });
+    expect(oldLogin.statusCode).toEqual(401);
+
+    const newLogin = await request(app).post("/api/v1/auth/login").send({
+      email: "changeuser@example.com",
+      password: "newpassword1",
+    });
+    expect(newLogin.statusCode).toEqual(200);
+  });
 });
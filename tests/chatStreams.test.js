@@ -0,0 +1,100 @@
+const { EventEmitter } = require("events");
+const {
+  ChatStream,
+  openStream,
+  findStream,
+  parseLastEventId,
+} = require("../services/chatStreams");
+
+// Minimal SSE response: collects frames and can be closed by the "client"
+function client() {
+  const res = new EventEmitter();
+  res.frames = [];
+  res.ended = false;
+  res.write = (frame) => res.frames.push(frame);
+  res.end = () => {
+    res.ended = true;
+    res.emit("close");
+  };
+  return res;
+}
+
+const dataOf = (res) =>
+  res.frames.map((frame) => JSON.parse(frame.split("data: ")[1]));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Chat streams", () => {
+  it("should number events and replay the ones after Last-Event-ID", () => {
+    const stream = new ChatStream("user1");
+    const first = client();
+    stream.attach(first);
+
+    stream.send({ content: "a" });
+    stream.send({ content: "b" });
+    stream.send({ content: "c" });
+    expect(first.frames[1]).toBe(
+      `id: ${stream.id}:1\ndata: {"content":"b"}\n\n`,
+    );
+
+    const resumed = client();
+    stream.attach(resumed, parseLastEventId(`${stream.id}:0`, stream.id));
+    stream.send({ done: true });
+
+    expect(dataOf(resumed)).toEqual([
+      { content: "b" },
+      { content: "c" },
+      { done: true },
+    ]);
+  });
+
+  it("should end late clients after replaying a finished stream", () => {
+    const stream = new ChatStream("user1");
+    stream.send({ content: "a" });
+    stream.finish();
+    stream.send({ content: "ignored" });
+
+    const late = client();
+    stream.attach(late);
+    expect(dataOf(late)).toEqual([{ content: "a" }]);
+    expect(late.ended).toBe(true);
+  });
+
+  it("should cancel after the grace period unless a client returns", async () => {
+    const stream = new ChatStream("user1", { graceMs: 20 });
+    const first = client();
+    stream.attach(first);
+
+    first.emit("close");
+    await sleep(5);
+    stream.attach(client());
+    await sleep(30);
+    expect(stream.cancelled).toBe(false);
+
+    for (const res of stream.clients) res.emit("close");
+    await sleep(30);
+    expect(stream.cancelled).toBe(true);
+    expect(stream.signal.aborted).toBe(true);
+  });
+
+  it("should not cancel a stream that finished", () => {
+    const stream = new ChatStream("user1");
+    stream.finish();
+    stream.cancel();
+    expect(stream.cancelled).toBe(false);
+  });
+
+  it("should only find streams for their owner", () => {
+    const stream = openStream("user1", { retainMs: 0 });
+
+    expect(findStream(stream.id, "user1")).toBe(stream);
+    expect(findStream(stream.id, "user2")).toBeNull();
+    expect(findStream("missing", "user1")).toBeNull();
+  });
+
+  it("should replay everything for unknown event ids", () => {
+    expect(parseLastEventId(undefined, "s1")).toBe(-1);
+    expect(parseLastEventId("other:4", "s1")).toBe(-1);
+    expect(parseLastEventId("s1:4", "s1")).toBe(4);
+  });
+});
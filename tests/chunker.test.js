@@ -0,0 +1,69 @@
+const { chunkDocument, detectHeading } = require("../services/chunker");
+
+const textbook = [
+  "Chapter 3 Metabolism",
+  "3.1 Overview",
+  "Metabolism is the set of chemical reactions in a cell. It includes",
+  "building up and breaking down molecules.",
+  "",
+  "3.2 Enzymes",
+  "Enzymes are proteins that act as catalysts. They speed up reactions by",
+  "lowering the activation energy. Each enzyme has an active site.",
+  "KINETICS",
+  "The Michaelis-Menten model describes reaction rates.",
+  "Chapter 4 Genetics",
+  "DNA stores hereditary information.",
+].join("\n");
+
+describe("Chunker", () => {
+  it("should recognise common heading styles", () => {
+    expect(detectHeading("Chapter 3 Metabolism")).toMatchObject({ level: 1 });
+    expect(detectHeading("3.2 Enzymes")).toMatchObject({ level: 2 });
+    expect(detectHeading("KINETICS")).toMatchObject({ kind: "caps" });
+    expect(detectHeading("Enzymes are proteins that act as catalysts.")).toBe(
+      null,
+    );
+    expect(detectHeading("4   CARD32  N_ALIASES")).toBe(null);
+  });
+
+  it("should record the section path of every chunk", () => {
+    const paths = chunkDocument(textbook).map((c) => c.sectionPath.join(" > "));
+    expect(paths).toEqual([
+      "Chapter 3 Metabolism > 3.1 Overview",
+      "Chapter 3 Metabolism > 3.2 Enzymes",
+      "Chapter 3 Metabolism > 3.2 Enzymes > KINETICS",
+      "Chapter 4 Genetics",
+    ]);
+  });
+
+  it("should keep chunks to whole sentences within the size limit", () => {
+    const chunks = chunkDocument(textbook, { size: 80, overlap: 0 });
+    for (const chunk of chunks) {
+      expect(chunk.content.length).toBeLessThanOrEqual(80);
+      expect(chunk.content).toMatch(/^[A-Z].*[.!?]$/);
+    }
+    expect(chunks.map((c) => c.index)).toEqual(chunks.map((_, i) => i));
+  });
+
+  it("should point each chunk at its range in the source text", () => {
+    for (const chunk of chunkDocument(textbook, { size: 80 })) {
+      const source = textbook.slice(chunk.startPos, chunk.endPos);
+      expect(source.replace(/\s+/g, " ")).toBe(chunk.content);
+    }
+  });
+
+  it("should ignore headings with the sentence strategy", () => {
+    const chunks = chunkDocument(textbook, { strategy: "sentence" });
+    expect(chunks.every((c) => c.sectionPath.length === 0)).toBe(true);
+    expect(chunks[0].content).toMatch(/^Chapter 3 Metabolism/);
+  });
+
+  it("should still offer fixed-size windows", () => {
+    const chunks = chunkDocument("a".repeat(1000), { strategy: "fixed" });
+    expect(chunks.map((c) => c.startPos)).toEqual([0, 400, 800]);
+  });
+
+  it("should reject unknown strategies", () => {
+    expect(() => chunkDocument(textbook, { strategy: "magic" })).toThrow();
+  });
+});
@@ -0,0 +1,67 @@
+const { CitationTracker, stripCitations } = require("../services/citations");
+
+describe("Inline citations", () => {
+  const citations = [{ number: 1 }, { number: 2 }, { number: 3 }];
+
+  // Feed the pieces and collect what would be streamed
+  const stream = (pieces) => {
+    const tracker = new CitationTracker(citations);
+    let text = "";
+    const cited = [];
+    for (const result of [
+      ...pieces.map((p) => tracker.push(p)),
+      tracker.flush(),
+    ]) {
+      text += result.text;
+      cited.push(...result.cited);
+    }
+    return { text, cited, tracker };
+  };
+
+  it("should report each excerpt the first time it is cited", () => {
+    const { text, cited } = stream([
+      "Osmosis moves water [2]. ",
+      "Diffusion moves solutes [1, 2]. Both are passive [2].",
+    ]);
+
+    expect(text).toBe(
+      "Osmosis moves water [2]. Diffusion moves solutes [1, 2]. Both are passive [2].",
+    );
+    expect(cited).toEqual([2, 1]);
+  });
+
+  it("should drop markers that point at no excerpt", () => {
+    const { text, cited } = stream(["Cells divide [7]. Cells grow [0, 3]."]);
+
+    expect(text).toBe("Cells divide. Cells grow [3].");
+    expect(cited).toEqual([3]);
+  });
+
+  it("should hold back markers split across pieces", () => {
+    const tracker = new CitationTracker(citations);
+
+    expect(tracker.push("ATP is energy [")).toEqual({
+      text: "ATP is energy",
+      cited: [],
+    });
+    expect(tracker.push("1")).toEqual({ text: "", cited: [] });
+    expect(tracker.push("]. Next")).toEqual({ text: " [1]. Next", cited: [1] });
+  });
+
+  it("should pass ordinary brackets through", () => {
+    const { text, cited } = stream(["An array [a, b] and a range [", "x]"]);
+
+    expect(text).toBe("An array [a, b] and a range [x]");
+    expect(cited).toEqual([]);
+  });
+
+  it("should release an unfinished marker when the answer ends", () => {
+    expect(stream(["See [1"]).text).toBe("See [1");
+  });
+
+  it("should strip markers from earlier answers", () => {
+    expect(stripCitations("Water moves [1]. Salt stays [2, 3].")).toBe(
+      "Water moves. Salt stays.",
+    );
+  });
+});
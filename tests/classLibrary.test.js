@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const { Class, KnowledgeNode, VectorChunk } = require("../models");
+const { getLibrary } = require("../controllers/classLibraryController");
+const { getFileById } = require("../controllers/workspaceController");
+
+const id = () => new mongoose.Types.ObjectId();
+
+function response() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Copy only the selected (dotted) paths, as a mongoose projection does
+function project(doc, fields) {
+  const copy = { _id: doc._id };
+  for (const path of fields.split(" ")) {
+    const keys = path.split(".");
+    const value = keys.reduce((v, key) => v?.[key], doc);
+    if (value === undefined) continue;
+    const last = keys.pop();
+    keys.reduce((obj, key) => (obj[key] ??= {}), copy)[last] = value;
+  }
+  return copy;
+}
+
+// Awaitable stand-in for a mongoose query that honours select()
+function query(result) {
+  const q = {
+    sort: () => q,
+    populate: () => q,
+    lean: () => q,
+    select(fields) {
+      result = Array.isArray(result)
+        ? result.map((doc) => project(doc, fields))
+        : result && project(result, fields);
+      return q;
+    },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return q;
+}
+
+describe("Class library", () => {
+  const teacher = { _id: id() };
+  const student = { _id: id() };
+  const classId = id();
+  const node = {
+    _id: id(),
+    userId: teacher._id,
+    type: "PDF",
+    meta: {
+      originalName: "Acids.pdf",
+      filePath: "uploads/1234-acids.pdf",
+      pageCount: 12,
+      size: 2048,
+      statusMessage: "Ready",
+    },
+    status: "INDEXED",
+    processingError: "Page 3 could not be read",
+    classIds: [classId],
+    tags: ["chemistry"],
+    summary: "Acids and bases",
+    createdAt: new Date("2026-04-01T00:00:00Z"),
+  };
+
+  const expectPublicOnly = (file) => {
+    expect(file).toMatchObject({
+      userId: teacher._id,
+      meta: { originalName: "Acids.pdf", pageCount: 12, size: 2048 },
+      summary: "Acids and bases",
+      tags: ["chemistry"],
+    });
+    expect(file.meta.filePath).toBeUndefined();
+    expect(file.meta.statusMessage).toBeUndefined();
+    expect(file.processingError).toBeUndefined();
+    expect(file.classIds).toBeUndefined();
+  };
+
+  beforeEach(() => {
+    jest.spyOn(KnowledgeNode, "find").mockImplementation(() => query([node]));
+    jest.spyOn(KnowledgeNode, "findById").mockImplementation(() => query(node));
+    jest
+      .spyOn(KnowledgeNode, "findOne")
+      .mockImplementation(() =>
+        query({ ...node, toObject: () => ({ ...node }) }),
+      );
+    jest
+      .spyOn(Class, "find")
+      .mockImplementation(() => ({ distinct: async () => [classId] }));
+    jest.spyOn(VectorChunk, "countDocuments").mockResolvedValue(3);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("should only list the public fields of shared files", async () => {
+    const res = response();
+    await getLibrary({ user: student, classObj: { _id: classId } }, res);
+
+    expect(KnowledgeNode.find).toHaveBeenCalledWith({ classIds: classId });
+    expect(res.body.data.nodes).toHaveLength(1);
+    expectPublicOnly(res.body.data.nodes[0]);
+  });
+
+  it("should only show members the public fields of a shared file", async () => {
+    const res = response();
+    await getFileById(
+      { user: student, params: { id: node._id.toString() } },
+      res,
+    );
+
+    expectPublicOnly(res.body.data);
+    expect(res.body.data.chunkCount).toBe(3);
+  });
+
+  it("should show the owner the whole file", async () => {
+    const res = response();
+    await getFileById(
+      { user: teacher, params: { id: node._id.toString() } },
+      res,
+    );
+
+    expect(res.body.data.meta.filePath).toBe("uploads/1234-acids.pdf");
+    expect(res.body.data.processingError).toBe("Page 3 could not be read");
+    expect(KnowledgeNode.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,180 @@
+const mongoose = require("mongoose");
+const { Class, ClassPost, Comment } = require("../models");
+const { requireClassMember } = require("../middleware/classAccess");
+const classRoutes = require("../routes/api/v1/classes");
+const posts = require("../controllers/classPostController");
+
+const id = () => new mongoose.Types.ObjectId();
+
+function response() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  lean: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+describe("Class stream access", () => {
+  const teacher = { _id: id(), username: "grace" };
+  const student = { _id: id(), username: "ada" };
+  const outsider = { _id: id(), username: "eve" };
+  const classObj = {
+    _id: id(),
+    name: "Chemistry",
+    streamPermission: "all",
+    members: [
+      { userId: teacher._id, role: "teacher" },
+      { userId: student._id, role: "student" },
+    ],
+  };
+  let post;
+
+  // Run a request through the membership check, then the handler
+  async function call(handler, user, params = {}, body = {}) {
+    const req = {
+      user,
+      params: { id: classObj._id.toString(), ...params },
+      body,
+      query: {},
+      app: { locals: {} },
+    };
+    const res = response();
+    let passed = false;
+    await requireClassMember(req, res, () => (passed = true));
+    if (passed) await handler(req, res);
+    return res;
+  }
+
+  beforeEach(() => {
+    post = {
+      _id: id(),
+      classId: classObj._id,
+      authorId: student._id,
+      likes: [],
+    };
+
+    jest
+      .spyOn(Class, "findOne")
+      .mockImplementation((filter) =>
+        query(
+          filter._id === classObj._id.toString() &&
+            classObj.members.some((m) =>
+              m.userId.equals(filter["members.userId"]),
+            )
+            ? classObj
+            : null,
+        ),
+      );
+    jest
+      .spyOn(ClassPost, "findOne")
+      .mockImplementation((filter) =>
+        query(filter._id === post._id.toString() ? post : null),
+      );
+    jest.spyOn(ClassPost, "find").mockImplementation(() => {
+      throw new Error("posts should not be read");
+    });
+    jest.spyOn(ClassPost, "create").mockImplementation(() => {
+      throw new Error("posts should not be created");
+    });
+    jest.spyOn(ClassPost, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Comment, "deleteMany").mockResolvedValue({ deletedCount: 0 });
+    jest
+      .spyOn(ClassPost, "findByIdAndUpdate")
+      .mockImplementation((_id, update) => {
+        if (update.$addToSet) {
+          const userId = update.$addToSet.likes;
+          if (!post.likes.some((like) => like.equals(userId))) {
+            post.likes.push(userId);
+          }
+        } else {
+          post.likes = post.likes.filter(
+            (like) => !like.equals(update.$pull.likes),
+          );
+        }
+        return query(post);
+      });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("should check membership on every stream route", () => {
+    const streamRoutes = classRoutes.stack.filter((layer) =>
+      layer.route.path.startsWith("/:id/posts"),
+    );
+
+    expect(streamRoutes.length).toBeGreaterThan(0);
+    streamRoutes.forEach((layer) =>
+      expect(layer.route.stack.map((s) => s.handle)).toContain(
+        requireClassMember,
+      ),
+    );
+  });
+
+  it("should not let a non-member read or post", async () => {
+    const read = await call(posts.getPosts, outsider);
+    const written = await call(
+      posts.createPost,
+      outsider,
+      {},
+      { content: "Hi" },
+    );
+    const liked = await call(posts.likePost, outsider, {
+      postId: post._id.toString(),
+    });
+
+    expect([read.statusCode, written.statusCode, liked.statusCode]).toEqual([
+      404, 404, 404,
+    ]);
+    expect(ClassPost.find).not.toHaveBeenCalled();
+    expect(ClassPost.create).not.toHaveBeenCalled();
+    expect(post.likes).toEqual([]);
+  });
+
+  it("should only let the author or a teacher delete a post", async () => {
+    const params = { postId: post._id.toString() };
+    const other = { _id: id(), username: "alan" };
+    classObj.members.push({ userId: other._id, role: "student" });
+
+    const denied = await call(posts.deletePost, other, params);
+    expect(denied.statusCode).toBe(403);
+    expect(ClassPost.deleteOne).not.toHaveBeenCalled();
+
+    expect((await call(posts.deletePost, student, params)).statusCode).toBe(
+      200,
+    );
+    expect((await call(posts.deletePost, teacher, params)).statusCode).toBe(
+      200,
+    );
+    expect(ClassPost.deleteOne).toHaveBeenCalledTimes(2);
+    expect(Comment.deleteMany).toHaveBeenCalledWith({ postId: post._id });
+
+    classObj.members.pop();
+  });
+
+  it("should count a like once and let it be taken back", async () => {
+    const params = { postId: post._id.toString() };
+
+    await call(posts.likePost, teacher, params);
+    const twice = await call(posts.likePost, teacher, params);
+    expect(twice.body.data).toEqual({ likeCount: 1, likedByMe: true });
+
+    const byStudent = await call(posts.likePost, student, params);
+    expect(byStudent.body.data.likeCount).toBe(2);
+
+    const unliked = await call(posts.unlikePost, teacher, params);
+    expect(unliked.body.data).toEqual({ likeCount: 1, likedByMe: false });
+    expect(post.likes).toEqual([student._id]);
+  });
+});
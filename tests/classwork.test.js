@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const {
+  fanOutOps,
+  syncOps,
+  buildGradebook,
+} = require("../services/classworkService");
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("Gradebook", () => {
+  const now = new Date("2026-05-01T12:00:00Z");
+  const essay = {
+    _id: id(),
+    title: "Essay",
+    points: 50,
+    dueDate: new Date("2026-04-20T00:00:00Z"),
+  };
+  const lab = {
+    _id: id(),
+    title: "Lab",
+    points: 20,
+    dueDate: new Date("2026-04-25T00:00:00Z"),
+  };
+  const project = {
+    _id: id(),
+    title: "Project",
+    points: 100,
+    dueDate: new Date("2026-06-01T00:00:00Z"),
+  };
+  const ada = { _id: id(), username: "ada" };
+  const alan = { _id: id(), username: "alan" };
+
+  const submissions = [
+    {
+      _id: id(),
+      assignmentId: essay._id,
+      studentId: ada._id,
+      status: "graded",
+      late: false,
+      grade: { score: 40 },
+    },
+    {
+      _id: id(),
+      assignmentId: lab._id,
+      studentId: ada._id,
+      status: "submitted",
+      late: true,
+    },
+  ];
+
+  const [adaRow, alanRow] = buildGradebook(
+    [essay, lab, project],
+    [ada, alan],
+    submissions,
+    now,
+  );
+
+  it("should only total graded work", () => {
+    expect(adaRow.earned).toBe(40);
+    expect(adaRow.possible).toBe(50);
+    expect(adaRow.percentage).toBe(80);
+    expect(adaRow.grades.map((g) => g.status)).toEqual([
+      "graded",
+      "submitted",
+      "pending",
+    ]);
+    expect(adaRow.grades[1].late).toBe(true);
+  });
+
+  it("should count overdue missing work as zero", () => {
+    expect(alanRow.grades.map((g) => g.status)).toEqual([
+      "missing",
+      "missing",
+      "pending",
+    ]);
+    expect(alanRow.earned).toBe(0);
+    expect(alanRow.possible).toBe(70);
+    expect(alanRow.percentage).toBe(0);
+  });
+
+  it("should report no percentage before anything counts", () => {
+    const [row] = buildGradebook([project], [ada], [], now);
+    expect(row.percentage).toBeNull();
+    expect(row.grades[0].score).toBeNull();
+  });
+});
+
+describe("Assignment tasks", () => {
+  const classId = id();
+  const student = id();
+  const assignments = [
+    { _id: id(), classId, title: "Essay", dueDate: new Date("2026-05-01") },
+    { _id: id(), classId, title: "Lab" },
+  ];
+
+  it("should give a joining student one task per assignment", () => {
+    const ops = syncOps(classId, student, "student", assignments);
+
+    expect(ops.map((op) => op.updateOne.filter)).toEqual([
+      { userId: student, assignmentId: assignments[0]._id },
+      { userId: student, assignmentId: assignments[1]._id },
+    ]);
+    expect(ops.every((op) => op.updateOne.upsert)).toBe(true);
+    expect(ops[0].updateOne.update.$setOnInsert).toMatchObject({
+      classId,
+      title: "Essay",
+      priority: "high",
+    });
+  });
+
+  it("should not duplicate or reset tasks when a student rejoins", () => {
+    const [op] = syncOps(classId, student, "student", assignments);
+
+    // Only $setOnInsert: an existing task, open or done, is left as it is
+    expect(Object.keys(op.updateOne.update)).toEqual(["$setOnInsert"]);
+  });
+
+  it("should drop open assignment tasks when a member leaves", () => {
+    expect(syncOps(classId, student, null, assignments)).toEqual([
+      {
+        deleteMany: {
+          filter: {
+            classId,
+            userId: student,
+            assignmentId: { $exists: true },
+            completed: false,
+          },
+        },
+      },
+    ]);
+  });
+
+  it("should follow role changes both ways", () => {
+    const promoted = syncOps(classId, student, "teacher", assignments);
+    expect(promoted).toEqual(syncOps(classId, student, null, assignments));
+
+    const demoted = syncOps(classId, student, "student", assignments);
+    expect(demoted).toHaveLength(assignments.length);
+  });
+
+  it("should fan a new assignment out to every student", () => {
+    const students = [id(), id(), id()];
+    const ops = fanOutOps([assignments[0]], students);
+
+    expect(ops.map((op) => op.updateOne.filter.userId)).toEqual(students);
+    expect(fanOutOps([], students)).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const CONFIG = require("../config");
+const {
+  estimateTokens,
+  fitPrompt,
+  findBranch,
+} = require("../services/conversationMemory");
+const { contextWindowFor } = require("../services/llmService");
+
+// A message costing `tokens` tokens including the per-message overhead
+const turn = (role, tokens, tag) => ({
+  role,
+  content: tag.padEnd((tokens - 4) * 4, "."),
+});
+
+describe("Prompt budget", () => {
+  const system = [{ role: "system", content: "You are a tutor." }]; // 8 tokens
+  const history = [
+    turn("user", 20, "first"),
+    turn("assistant", 20, "second"),
+    turn("user", 20, "third"),
+    turn("assistant", 20, "fourth"),
+  ];
+
+  it("should estimate about four characters per token", () => {
+    expect(estimateTokens("")).toBe(0);
+    expect(estimateTokens("abcd")).toBe(1);
+    expect(estimateTokens("abcde")).toBe(2);
+  });
+
+  it("should keep the newest history that fits", () => {
+    // 8 system + 6 question leaves 46 tokens: two 20-token messages
+    const { messages, omitted } = fitPrompt(
+      { system, history, query: "Why?" },
+      60,
+    );
+
+    expect(omitted).toBe(2);
+    expect(messages.map((m) => m.content.slice(0, 6))).toEqual([
+      "You ar",
+      "third.",
+      "fourth",
+      "Why?",
+    ]);
+  });
+
+  it("should always keep the summary and the question", () => {
+    const { messages, omitted } = fitPrompt(
+      { system, summary: "We covered osmosis.", history, query: "And now?" },
+      10,
+    );
+
+    expect(omitted).toBe(4);
+    expect(messages).toEqual([
+      ...system,
+      {
+        role: "system",
+        content: "Summary of the earlier conversation:\nWe covered osmosis.",
+      },
+      { role: "user", content: "And now?" },
+    ]);
+  });
+
+  it("should keep everything when the budget allows", () => {
+    const { messages, omitted } = fitPrompt(
+      { system, history, query: "Why?" },
+      1000,
+    );
+    expect(omitted).toBe(0);
+    expect(messages).toHaveLength(6);
+  });
+
+  it("should use per-model context windows", () => {
+    const saved = CONFIG.AI_CONTEXT_WINDOWS;
+    CONFIG.AI_CONTEXT_WINDOWS = { "big-model": 128000 };
+
+    expect(contextWindowFor("big-model")).toBe(128000);
+    expect(contextWindowFor("other")).toBe(CONFIG.AI_CONTEXT_TOKENS);
+
+    CONFIG.AI_CONTEXT_WINDOWS = saved;
+  });
+});
+
+describe("Branches", () => {
+  const main = { _id: new mongoose.Types.ObjectId(), length: 4 };
+  const edit = { _id: new mongoose.Types.ObjectId(), length: 2 };
+  const conversation = { branches: [main, edit], activeBranchId: edit._id };
+
+  it("should default to the active branch", () => {
+    expect(findBranch(conversation)).toBe(edit);
+  });
+
+  it("should find a branch by id string", () => {
+    expect(findBranch(conversation, main._id.toString())).toBe(main);
+    expect(
+      findBranch(conversation, new mongoose.Types.ObjectId()),
+    ).toBeUndefined();
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  calculateLevel,
+  calculateRank,
+  xpForLevel,
+  localDay,
+  nextStreak,
+} = require("../services/gamificationService");
+const {
+  BADGES,
+  METRICS,
+  EVENT_METRICS,
+  badgesToCheck,
+} = require("../services/badgeCatalogue");
+
+describe("Gamification", () => {
+  it("should derive levels and ranks from XP", () => {
+    expect(calculateLevel(0)).toBe(1);
+    expect(calculateLevel(99)).toBe(1);
+    expect(calculateLevel(100)).toBe(2);
+    expect(calculateLevel(1600)).toBe(5);
+    expect(calculateRank(4)).toBe("Novice");
+    expect(calculateRank(5)).toBe("Scholar");
+    expect(calculateRank(50)).toBe("Nobel");
+  });
+
+  it("should invert calculateLevel with xpForLevel", () => {
+    expect(xpForLevel(1)).toBe(0);
+    for (let level = 2; level <= 20; level++) {
+      expect(calculateLevel(xpForLevel(level))).toBe(level);
+      expect(calculateLevel(xpForLevel(level) - 1)).toBe(level - 1);
+    }
+  });
+
+  it("should count calendar days in the user's timezone", () => {
+    const instant = new Date("2026-03-10T23:30:00Z");
+    expect(localDay(instant, "UTC")).toBe("2026-03-10");
+    expect(localDay(instant, "Asia/Tokyo")).toBe("2026-03-11");
+    expect(localDay(instant, "Not/AZone")).toBe("2026-03-10");
+  });
+
+  it("should extend, keep or reset a streak", () => {
+    const last = new Date("2026-03-10T20:00:00Z");
+    const dna = { streakDays: 3, lastActiveDate: last };
+
+    expect(nextStreak(dna, new Date("2026-03-10T22:00:00Z"), "UTC")).toBe(3);
+    expect(nextStreak(dna, new Date("2026-03-11T08:00:00Z"), "UTC")).toBe(4);
+    expect(nextStreak(dna, new Date("2026-03-13T08:00:00Z"), "UTC")).toBe(1);
+    expect(nextStreak({ streakDays: 0 }, last, "UTC")).toBe(1);
+  });
+
+  it("should apply the timezone when deciding if a day was missed", () => {
+    // 20:00 and 08:00 UTC two days apart are consecutive days in Auckland
+    const dna = {
+      streakDays: 5,
+      lastActiveDate: new Date("2026-03-10T20:00:00Z"),
+    };
+    const now = new Date("2026-03-12T08:00:00Z");
+
+    expect(nextStreak(dna, now, "UTC")).toBe(1);
+    expect(nextStreak(dna, now, "Pacific/Auckland")).toBe(6);
+  });
+
+  it("should only reference known metrics in the badge catalogue", () => {
+    const keys = BADGES.map((b) => b.key);
+    expect(new Set(keys).size).toBe(keys.length);
+    BADGES.forEach((badge) => {
+      expect(METRICS[badge.metric]).toBeInstanceOf(Function);
+      expect(badge.threshold).toBeGreaterThan(0);
+    });
+  });
+
+  it("should only check unearned badges an event can affect", () => {
+    const keys = (earned, events) =>
+      badgesToCheck(new Set(earned), events).map((b) => b.key);
+
+    expect(keys([], ["xp", "flashcardReview"])).toEqual([
+      "streak-7",
+      "streak-30",
+      "flashcards-100",
+      "level-10",
+    ]);
+    expect(keys(["first-upload"], ["upload"])).toEqual(["librarian"]);
+    expect(keys([], undefined)).toHaveLength(BADGES.length);
+    Object.values(EVENT_METRICS)
+      .flat()
+      .forEach((metric) => expect(METRICS[metric]).toBeInstanceOf(Function));
+  });
+});
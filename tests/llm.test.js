@@ -0,0 +1,300 @@
+const CONFIG = require("../config");
+const {
+  createAIClient,
+  registerProvider,
+  modelFor,
+  modelChainFor,
+  allowedModels,
+  isAllowedModel,
+  chatModelFor,
+} = require("../services/llmService");
+const {
+  createResilientClient,
+  CircuitBreaker,
+  AIUnavailableError,
+} = require("../services/resilientAIClient");
+
+describe("LLM providers", () => {
+  it("should answer deterministically with the fake provider", async () => {
+    const ai = createAIClient({ provider: "fake" });
+    const params = {
+      model: "test-model",
+      messages: [{ role: "user", content: "What is osmosis?" }],
+    };
+
+    const first = await ai.chat.completions.create(params);
+    const second = await ai.chat.completions.create(params);
+
+    expect(first.choices[0].message.content).toBe(
+      "[test-model] You asked: What is osmosis?",
+    );
+    expect(second.choices[0].message.content).toBe(
+      first.choices[0].message.content,
+    );
+    expect(first.usage.total_tokens).toBeGreaterThan(0);
+    expect(ai.calls).toHaveLength(2);
+  });
+
+  it("should stream the fake answer in pieces", async () => {
+    const ai = createAIClient({
+      provider: "fake",
+      respond: () => "Water moves across membranes",
+    });
+    const stream = await ai.chat.completions.create({
+      model: "m",
+      messages: [],
+      stream: true,
+    });
+
+    let text = "";
+    for await (const chunk of stream) {
+      text += chunk.choices[0].delta.content || "";
+    }
+    expect(text).toBe("Water moves across membranes");
+  });
+
+  it("should end the fake stream with usage when asked to", async () => {
+    const ai = createAIClient({ provider: "fake", respond: () => "12345678" });
+    const stream = await ai.chat.completions.create({
+      model: "m",
+      messages: [{ role: "user", content: "1234" }],
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      choices: [],
+      usage: { prompt_tokens: 1, completion_tokens: 2, total_tokens: 3 },
+    });
+  });
+
+  it("should point OpenAI-compatible clients at the configured server", () => {
+    const ai = createAIClient({
+      provider: "openai",
+      baseURL: "http://localhost:11434/v1",
+    });
+    expect(ai.baseURL).toBe("http://localhost:11434/v1");
+    expect(() =>
+      createAIClient({ provider: "openai", baseURL: undefined }),
+    ).toThrow(/AI_BASE_URL/);
+  });
+
+  it("should accept registered providers and reject unknown ones", () => {
+    const client = { chat: { completions: { create: jest.fn() } } };
+    registerProvider("custom", () => client);
+    expect(createAIClient({ provider: "custom" })).toBe(client);
+    expect(() => createAIClient({ provider: "nope" })).toThrow(/AI_PROVIDER/);
+  });
+});
+
+describe("Model selection", () => {
+  const saved = { ...CONFIG.AI_MODELS };
+  const savedAllowed = CONFIG.AI_ALLOWED_MODELS;
+
+  beforeEach(() => {
+    CONFIG.AI_MODELS = { default: "base-model", quiz: "quiz-model" };
+    CONFIG.AI_ALLOWED_MODELS = ["big-model"];
+  });
+
+  afterAll(() => {
+    CONFIG.AI_MODELS = saved;
+    CONFIG.AI_ALLOWED_MODELS = savedAllowed;
+  });
+
+  it("should pick a model per task with a default", () => {
+    expect(modelFor("quiz")).toBe("quiz-model");
+    expect(modelFor("summary")).toBe("base-model");
+  });
+
+  it("should allow configured and task models only", () => {
+    expect(allowedModels().sort()).toEqual([
+      "base-model",
+      "big-model",
+      "quiz-model",
+    ]);
+    expect(isAllowedModel("big-model")).toBe(true);
+    expect(isAllowedModel("openai/gpt-4-turbo")).toBe(false);
+  });
+
+  it("should ignore a saved model that is no longer allowed", () => {
+    const user = { settings: { aiModel: "retired-model" } };
+    expect(chatModelFor(undefined, user)).toBe("base-model");
+    expect(chatModelFor("big-model", user)).toBe("big-model");
+    expect(
+      chatModelFor(undefined, { settings: { aiModel: "quiz-model" } }),
+    ).toBe("quiz-model");
+  });
+});
+
+describe("Resilient AI client", () => {
+  const failing = (status) =>
+    Object.assign(new Error(`status ${status}`), { status });
+
+  // Fake provider that fails for the given models
+  const flaky = (failures) =>
+    createAIClient({
+      provider: "fake",
+      respond: ({ model }) => {
+        const failure = failures[model];
+        if (failure) throw typeof failure === "function" ? failure() : failure;
+        return `answer from ${model}`;
+      },
+    });
+
+  const options = { timeoutMs: 200, retries: 1, backoffMs: 0 };
+
+  it("should fall back to the next model and report the failures", async () => {
+    const raw = flaky({ primary: failing(404) });
+    const ai = createResilientClient(raw, options);
+
+    const response = await ai.chat.completions.create({
+      models: ["primary", "backup"],
+      messages: [{ role: "user", content: "hi" }],
+    });
+
+    expect(response.model).toBe("backup");
+    expect(response.choices[0].message.content).toBe("answer from backup");
+    expect(response.attempts).toEqual([
+      { model: "primary", error: "status 404", status: 404 },
+    ]);
+    // A 404 is not worth retrying
+    expect(raw.calls.map((c) => c.model)).toEqual(["primary", "backup"]);
+  });
+
+  it("should retry rate limits and time out slow models", async () => {
+    let calls = 0;
+    const raw = createAIClient({
+      provider: "fake",
+      respond: ({ model }) => {
+        if (model === "slow") return new Promise(() => {});
+        calls++;
+        if (calls === 1) throw failing(429);
+        return "ok";
+      },
+    });
+    const ai = createResilientClient(raw, options);
+
+    const response = await ai.chat.completions.create({
+      models: ["slow", "busy"],
+      messages: [],
+    });
+
+    expect(response.model).toBe("busy");
+    expect(response.attempts.map((a) => a.model)).toEqual([
+      "slow",
+      "slow",
+      "busy",
+    ]);
+    expect(response.attempts[0].error).toMatch(/Timed out/);
+  });
+
+  it("should stream from the model that answers", async () => {
+    const ai = createResilientClient(flaky({ primary: failing(503) }), options);
+
+    const stream = await ai.chat.completions.create({
+      models: ["primary", "backup"],
+      messages: [],
+      stream: true,
+    });
+
+    let text = "";
+    for await (const chunk of stream) {
+      text += chunk.choices[0].delta.content || "";
+    }
+    expect(stream.model).toBe("backup");
+    expect(stream.attempts).toHaveLength(2);
+    expect(text).toBe("answer from backup");
+  });
+
+  it("should throw with every attempt when all models fail", async () => {
+    const ai = createResilientClient(
+      flaky({ a: failing(400), b: failing(401) }),
+      options,
+    );
+
+    await expect(
+      ai.chat.completions.create({ models: ["a", "b"], messages: [] }),
+    ).rejects.toMatchObject({
+      name: "AIUnavailableError",
+      attempts: [
+        { model: "a", status: 400 },
+        { model: "b", status: 401 },
+      ],
+    });
+  });
+
+  it("should skip a model while its circuit is open", async () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({
+      threshold: 2,
+      cooldownMs: 1000,
+      now: () => now,
+    });
+    const raw = flaky({ primary: failing(500) });
+    const ai = createResilientClient(raw, { ...options, breaker });
+    const ask = () =>
+      ai.chat.completions.create({
+        models: ["primary", "backup"],
+        messages: [],
+      });
+
+    await ask();
+    expect(ai.status().primary).toMatchObject({ open: true, failures: 2 });
+
+    raw.calls.length = 0;
+    const skipped = await ask();
+    expect(skipped.attempts).toEqual([]);
+    expect(raw.calls.map((c) => c.model)).toEqual(["backup"]);
+
+    // After the cooldown one trial call is let through
+    now = 1000;
+    raw.calls.length = 0;
+    await ask();
+    expect(raw.calls.map((c) => c.model)).toEqual(["primary", "backup"]);
+    expect(ai.status().primary.open).toBe(true);
+  });
+
+  it("should report disabled models when every circuit is open", async () => {
+    const breaker = new CircuitBreaker({ threshold: 1 });
+    breaker.failure("only", new Error("down"));
+    const ai = createResilientClient(flaky({}), { ...options, breaker });
+
+    await expect(
+      ai.chat.completions.create({ models: ["only"], messages: [] }),
+    ).rejects.toBeInstanceOf(AIUnavailableError);
+  });
+
+  it("should stop without falling back once the caller cancels", async () => {
+    const controller = new AbortController();
+    const raw = createAIClient({
+      provider: "fake",
+      respond: () => {
+        controller.abort();
+        throw failing(503);
+      },
+    });
+    const ai = createResilientClient(raw, options);
+
+    await expect(
+      ai.chat.completions.create(
+        { models: ["primary", "backup"], messages: [] },
+        { signal: controller.signal },
+      ),
+    ).rejects.toMatchObject({ status: 503 });
+    expect(raw.calls.map((c) => c.model)).toEqual(["primary"]);
+    // A cancelled call says nothing about the model's health
+    expect(ai.status().primary.failures).toBe(0);
+  });
+
+  it("should build fallback chains per task", () => {
+    const saved = CONFIG.AI_FALLBACK_MODELS;
+    CONFIG.AI_FALLBACK_MODELS = { default: ["free-a", "free-b"], quiz: ["q"] };
+
+    expect(modelChainFor("quiz", "main")).toEqual(["main", "q"]);
+    expect(modelChainFor("chat", "free-b")).toEqual(["free-b", "free-a"]);
+
+    CONFIG.AI_FALLBACK_MODELS = saved;
+  });
+});
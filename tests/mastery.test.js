@@ -0,0 +1,96 @@
+const {
+  topicCandidates,
+  resolveTopic,
+  quizEvidence,
+  flashcardEvidence,
+  chatEvidence,
+  chatTopics,
+  applyEvidence,
+  pickStrengthsAndWeaknesses,
+  levelOf,
+} = require("../services/masteryService");
+
+describe("Topic mastery", () => {
+  it("should take topics from tags, then section headings", () => {
+    const node = { tags: ["Chemistry", "Acids"] };
+    const topics = topicCandidates(node, [
+      ["Chapter 2", "Acids"],
+      ["Chapter 2", "Buffers"],
+      undefined,
+      ["Chapter 3", "buffers"],
+    ]);
+
+    expect(topics).toEqual(["Chemistry", "Acids", "Buffers"]);
+  });
+
+  it("should file proposed topics under the document's topics", () => {
+    const candidates = ["Acids", "Buffer solutions"];
+
+    expect(resolveTopic("acids", candidates)).toBe("Acids");
+    expect(resolveTopic("Buffer", candidates)).toBe("Buffer solutions");
+    expect(resolveTopic("Titration", candidates)).toBe("Titration");
+    expect(resolveTopic("", candidates, "Chemistry")).toBe("Chemistry");
+    expect(resolveTopic(undefined, candidates)).toBe("General");
+  });
+
+  it("should move mastery toward the evidence, quizzes most", () => {
+    const right = applyEvidence(undefined, quizEvidence("Acids", true));
+    const wrong = applyEvidence(undefined, quizEvidence("Acids", false));
+    expect(right).toBeCloseTo(0.65);
+    expect(wrong).toBeCloseTo(0.35);
+
+    const card = applyEvidence(undefined, flashcardEvidence("Acids", 5));
+    expect(card).toBeGreaterThan(0.5);
+    expect(card).toBeLessThan(right);
+
+    const asked = applyEvidence(undefined, chatEvidence("Acids"));
+    expect(asked).toBeLessThan(0.5);
+    expect(asked).toBeGreaterThan(wrong);
+  });
+
+  it("should approach but never pass the bounds", () => {
+    let mastery;
+    for (let i = 0; i < 50; i++) {
+      mastery = applyEvidence(mastery, quizEvidence("Acids", true));
+    }
+    expect(mastery).toBeGreaterThan(0.99);
+    expect(mastery).toBeLessThanOrEqual(1);
+  });
+
+  it("should take chat topics from the cited sections", () => {
+    const citations = [
+      { section: "Chapter 2 > Acids", cited: true },
+      { section: "Chapter 2 > Buffers", cited: false },
+      { section: "Chapter 4 > acids", cited: true },
+    ];
+    expect(chatTopics(citations)).toEqual(["Acids"]);
+
+    const uncited = citations.map((c) => ({ ...c, cited: false }));
+    expect(chatTopics(uncited)).toHaveLength(2);
+    expect(chatTopics([{ section: null }], ["Chemistry"])).toEqual([
+      "Chemistry",
+    ]);
+  });
+
+  it("should only rank topics with enough evidence", () => {
+    const rows = [
+      { topic: "Acids", mastery: 0.2, evidence: 3 },
+      { topic: "Bases", mastery: 0.4, evidence: 2 },
+      { topic: "Buffers", mastery: 0.9, evidence: 4 },
+      { topic: "Salts", mastery: 0.1, evidence: 1 },
+      { topic: "pH", mastery: 0.6, evidence: 5 },
+    ];
+
+    expect(pickStrengthsAndWeaknesses(rows)).toEqual({
+      weaknesses: ["Acids", "Bases"],
+      strengths: ["Buffers"],
+    });
+    expect(rows.map(levelOf)).toEqual([
+      "weak",
+      "weak",
+      "strong",
+      "new",
+      "developing",
+    ]);
+  });
+});
@@ -0,0 +1,266 @@
+const mongoose = require("mongoose");
+const { createNoteIndexer, noteText } = require("../services/noteIndexing");
+
+const id = () => new mongoose.Types.ObjectId();
+
+// In-memory stand-ins for the few model calls the indexer makes
+const get = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+const set = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+  parent[last] = value;
+};
+const same = (a, b) => String(a) === String(b);
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([path, value]) =>
+    value?.$in
+      ? value.$in.some((v) => same(get(doc, path), v))
+      : same(get(doc, path), value),
+  );
+const query = (result) => ({
+  lean: () => query(result),
+  select: () => query(result),
+  distinct: (field) => query(result.map((doc) => doc[field])),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+function collection() {
+  const docs = [];
+  const update = (doc, changes) => {
+    for (const [path, value] of Object.entries(changes.$set || changes)) {
+      set(doc, path, value);
+    }
+    return doc;
+  };
+  return {
+    docs,
+    findById: (_id) => query(docs.find((d) => same(d._id, _id)) || null),
+    findOne: (filter) => query(docs.find((d) => matches(d, filter)) || null),
+    find: (filter) => query(docs.filter((d) => matches(d, filter))),
+    async findOneAndUpdate(filter, changes) {
+      let doc = docs.find((d) => matches(d, filter));
+      if (!doc) {
+        doc = update({ _id: id() }, filter);
+        docs.push(doc);
+      }
+      return update(doc, changes);
+    },
+    async findByIdAndUpdate(_id, changes) {
+      const doc = docs.find((d) => same(d._id, _id));
+      return doc && update(doc, changes);
+    },
+    async findOneAndDelete(filter) {
+      const index = docs.findIndex((d) => matches(d, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    },
+    async insertMany(items) {
+      docs.push(...items.map((item) => ({ _id: id(), ...item })));
+    },
+    async deleteMany(filter) {
+      const kept = docs.filter((d) => !matches(d, filter));
+      docs.splice(0, docs.length, ...kept);
+    },
+  };
+}
+
+describe("Note indexing", () => {
+  let models;
+  let embedded;
+  let indexer;
+
+  const embed = async (texts) => {
+    embedded.push(...texts);
+    return texts.map((text) => [text.length]);
+  };
+  const writeNote = (fields) => {
+    const note = { _id: id(), userId: id(), tags: [], ...fields };
+    models.Note.docs.push(note);
+    return note;
+  };
+  const nodeOf = (note) =>
+    models.KnowledgeNode.docs.find((n) => same(n.note.noteId, note._id));
+  const chunksOf = (node) =>
+    models.VectorChunk.docs.filter((c) => same(c.nodeId, node._id));
+
+  beforeEach(() => {
+    models = {
+      Note: collection(),
+      KnowledgeNode: collection(),
+      VectorChunk: collection(),
+    };
+    embedded = [];
+    indexer = createNoteIndexer({ models, embed });
+  });
+
+  it("should chunk the title with the content", () => {
+    expect(noteText({ title: "Enzymes", content: "Lower activation" })).toBe(
+      "Enzymes\n\nLower activation",
+    );
+    expect(noteText({ title: "Empty" })).toBe("Empty");
+  });
+
+  it("should index a note as a Note node linked to its document", async () => {
+    const documentId = id();
+    const note = writeNote({
+      title: "Enzymes",
+      content: "Enzymes lower the activation energy.",
+      nodeId: documentId,
+      tags: ["biology"],
+    });
+
+    await indexer.scheduleNoteIndexing(note._id);
+
+    const node = nodeOf(note);
+    expect(node).toMatchObject({
+      userId: note.userId,
+      type: "Note",
+      status: "INDEXED",
+      meta: { originalName: "Enzymes", statusMessage: "Ready" },
+      note: { documentId },
+      tags: ["biology"],
+    });
+    expect(chunksOf(node).length).toBeGreaterThan(0);
+    expect(embedded.join(" ")).toContain("activation energy");
+  });
+
+  it("should stay searchable while a changed note is re-indexed", async () => {
+    const note = writeNote({ title: "Enzymes", content: "First version" });
+    await indexer.scheduleNoteIndexing(note._id);
+    const node = nodeOf(note);
+    const [oldChunk] = chunksOf(node);
+
+    note.content = "Second version";
+    let during;
+    indexer = createNoteIndexer({
+      models,
+      embed: async (texts) => {
+        during = { ...node, meta: { ...node.meta }, chunks: chunksOf(node) };
+        return embed(texts);
+      },
+    });
+    await indexer.scheduleNoteIndexing(note._id);
+
+    expect(during.status).toBe("INDEXED");
+    expect(during.meta.statusMessage).toBe("Re-indexing note...");
+    expect(during.chunks).toEqual([oldChunk]);
+    expect(node.status).toBe("INDEXED");
+    expect(
+      chunksOf(node)
+        .map((c) => c.content)
+        .join(),
+    ).toContain("Second version");
+    expect(chunksOf(node)).not.toContainEqual(oldChunk);
+  });
+
+  it("should keep the old chunks when re-indexing fails", async () => {
+    const note = writeNote({ title: "Enzymes", content: "First version" });
+    await indexer.scheduleNoteIndexing(note._id);
+    const node = nodeOf(note);
+    const chunks = chunksOf(node);
+
+    const failing = createNoteIndexer({
+      models,
+      embed: async () => {
+        throw new Error("model offline");
+      },
+    });
+    await expect(failing.scheduleNoteIndexing(note._id)).rejects.toThrow(
+      "model offline",
+    );
+
+    expect(node.status).toBe("INDEXED");
+    expect(node.processingError).toBe("model offline");
+    expect(chunksOf(node)).toEqual(chunks);
+  });
+
+  it("should mark a note that never indexed as failed", async () => {
+    const note = writeNote({ title: "Enzymes", content: "Text" });
+    const failing = createNoteIndexer({
+      models,
+      embed: async () => {
+        throw new Error("model offline");
+      },
+    });
+
+    await expect(failing.scheduleNoteIndexing(note._id)).rejects.toThrow();
+    expect(nodeOf(note).status).toBe("FAILED");
+  });
+
+  it("should remove the node and chunks of a deleted note", async () => {
+    const note = writeNote({ title: "Enzymes", content: "Text" });
+    const other = writeNote({ title: "Acids", content: "Text" });
+    await indexer.scheduleNoteIndexing(note._id);
+    await indexer.scheduleNoteIndexing(other._id);
+
+    await indexer.removeNoteIndex(note._id);
+
+    expect(nodeOf(note)).toBeUndefined();
+    expect(models.KnowledgeNode.docs).toHaveLength(1);
+    expect(chunksOf(nodeOf(other)).length).toBe(models.VectorChunk.docs.length);
+  });
+
+  it("should drop the index when the note is gone by the time it runs", async () => {
+    const note = writeNote({ title: "Enzymes", content: "Text" });
+    await indexer.scheduleNoteIndexing(note._id);
+    models.Note.docs.length = 0;
+
+    await indexer.scheduleNoteIndexing(note._id);
+
+    expect(models.KnowledgeNode.docs).toEqual([]);
+    expect(models.VectorChunk.docs).toEqual([]);
+  });
+
+  it("should run indexing for one note in the order it was queued", async () => {
+    const note = writeNote({ title: "Enzymes", content: "First version" });
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    const order = [];
+    indexer = createNoteIndexer({
+      models,
+      embed: async (texts) => {
+        order.push(texts.join());
+        if (order.length === 1) await gate;
+        return embed(texts);
+      },
+    });
+
+    const first = indexer.scheduleNoteIndexing(note._id);
+    const second = indexer.scheduleNoteIndexing(note._id);
+    const removed = indexer.removeNoteIndex(note._id);
+    await new Promise((resolve) => setImmediate(resolve));
+    note.content = "Second version";
+
+    expect(order).toHaveLength(1);
+    release();
+    await Promise.all([first, second, removed]);
+
+    expect(order).toEqual(["Enzymes First version", "Enzymes Second version"]);
+    expect(models.KnowledgeNode.docs).toEqual([]);
+    expect(models.VectorChunk.docs).toEqual([]);
+  });
+
+  it("should not hold up other notes", async () => {
+    const slow = writeNote({ title: "Slow", content: "Text" });
+    const fast = writeNote({ title: "Fast", content: "Text" });
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    indexer = createNoteIndexer({
+      models,
+      embed: async (texts) => {
+        if (texts.join().startsWith("Slow")) await gate;
+        return embed(texts);
+      },
+    });
+
+    const pending = indexer.scheduleNoteIndexing(slow._id);
+    await indexer.scheduleNoteIndexing(fast._id);
+
+    expect(nodeOf(fast).status).toBe("INDEXED");
+    expect(nodeOf(slow).status).toBe("PROCESSING");
+    release();
+    await pending;
+    expect(nodeOf(slow).status).toBe("INDEXED");
+  });
+});
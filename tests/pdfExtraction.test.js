@@ -0,0 +1,66 @@
+const {
+  layoutPage,
+  joinPages,
+  locateSpan,
+} = require("../services/pdfExtraction");
+
+// A 100 x 200 point page; pdf.js puts the origin at the bottom-left
+const view = [0, 0, 100, 200];
+const item = (str, x, y, width) => ({
+  str,
+  width,
+  height: 10,
+  transform: [10, 0, 0, 10, x, y],
+});
+
+describe("PDF extraction", () => {
+  const first = layoutPage(
+    {
+      items: [
+        item("Photosynthesis ", 10, 180, 40),
+        item("in plants", 50, 180, 30),
+        item("Light reactions", 10, 160, 50),
+      ],
+    },
+    view,
+  );
+  const second = layoutPage(
+    { items: [item("The Calvin cycle", 20, 100, 60)] },
+    view,
+  );
+  const { text, pages } = joinPages([
+    { pageNumber: 1, ...first },
+    { pageNumber: 2, ...second },
+  ]);
+
+  it("should keep lines and page boundaries", () => {
+    expect(first.text).toBe("Photosynthesis in plants\nLight reactions");
+    expect(text).toBe(`${first.text}\n\nThe Calvin cycle`);
+    expect(pages[1].offset).toBe(first.text.length + 2);
+  });
+
+  it("should box text runs from the top-left as page fractions", () => {
+    expect(first.runs[0].bbox).toEqual([0.1, 0.05, 0.5, 0.1]);
+  });
+
+  it("should locate a span on its page", () => {
+    const start = text.indexOf("Light");
+    const location = locateSpan(pages, start, start + 5);
+    expect(location).toMatchObject({
+      pageNumber: 1,
+      pageEnd: 1,
+      bbox: [0.1, 0.15, 0.6, 0.2],
+    });
+  });
+
+  it("should report every page a span crosses", () => {
+    const start = text.indexOf("reactions");
+    const end = text.indexOf("Calvin") + 6;
+    const location = locateSpan(pages, start, end);
+
+    expect(location.pageNumber).toBe(1);
+    expect(location.pageEnd).toBe(2);
+    expect(location.boxes.map((b) => b.pageNumber)).toEqual([1, 2]);
+    expect(location.boxes[1].bbox).toEqual([0.2, 0.45, 0.8, 0.5]);
+  });
+});
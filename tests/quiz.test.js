@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const {
+  MAX_QUIZ_XP,
+  gradeAttempt,
+  xpForScore,
+} = require("../services/quizService");
+
+describe("Quiz grading", () => {
+  const question = (correctAnswer, topic) => ({
+    _id: new mongoose.Types.ObjectId(),
+    question: "?",
+    options: ["a", "b", "c", "d"],
+    correctAnswer,
+    topic,
+  });
+  const questions = [
+    question("A", "Acids"),
+    question("C", "Acids"),
+    question("B", "Bases"),
+    question("D"),
+  ];
+  const answer = (q, value) => ({
+    questionId: q._id.toString(),
+    answer: value,
+  });
+
+  it("should grade answers by question id", () => {
+    const result = gradeAttempt(questions, [
+      answer(questions[0], "A"),
+      answer(questions[1], "B"),
+      answer(questions[2], "B"),
+      answer(questions[3], "D"),
+    ]);
+
+    expect(result.answers.map((a) => a.correct)).toEqual([
+      true,
+      false,
+      true,
+      true,
+    ]);
+    expect(result.correctCount).toBe(3);
+    expect(result.totalQuestions).toBe(4);
+    expect(result.percentage).toBe(75);
+  });
+
+  it("should accept option text and lower case", () => {
+    const result = gradeAttempt(
+      [questions[0]],
+      [answer(questions[0], " a) the first option")],
+    );
+    expect(result.answers[0]).toMatchObject({ selected: "A", correct: true });
+  });
+
+  it("should count unanswered questions as wrong", () => {
+    const result = gradeAttempt(questions, [answer(questions[0], "A")]);
+
+    expect(result.answers[1]).toMatchObject({ selected: null, correct: false });
+    expect(result.percentage).toBe(25);
+  });
+
+  it("should ignore answers to questions of other quizzes", () => {
+    const stranger = question("A");
+    const result = gradeAttempt(questions, [answer(stranger, "A")]);
+    expect(result.correctCount).toBe(0);
+  });
+
+  it("should break the score down by topic", () => {
+    const result = gradeAttempt(questions, [
+      answer(questions[0], "A"),
+      answer(questions[2], "C"),
+    ]);
+
+    expect(result.topicBreakdown).toEqual([
+      { topic: "Acids", correct: 1, total: 2, percentage: 50 },
+      { topic: "Bases", correct: 0, total: 1, percentage: 0 },
+      { topic: "General", correct: 0, total: 1, percentage: 0 },
+    ]);
+  });
+
+  it("should score an empty quiz as 0%", () => {
+    expect(gradeAttempt([], []).percentage).toBe(0);
+  });
+
+  it("should scale XP with the score", () => {
+    expect(xpForScore(100)).toBe(MAX_QUIZ_XP);
+    expect(xpForScore(50)).toBe(15);
+    expect(xpForScore(0)).toBe(0);
+  });
+});
@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+const {
+  mergeResults,
+  fuseRankings,
+  buildContext,
+} = require("../services/retrievalService");
+const { buildTermStats, scoreBm25 } = require("../services/keywordIndex");
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("Multi-document retrieval", () => {
+  const biology = { _id: id(), meta: { originalName: "biology.pdf" } };
+  const chemistry = { _id: id(), meta: { originalName: "chemistry.pdf" } };
+
+  const hit = (node, score, pageNumber = 1) => ({
+    _id: id(),
+    nodeId: node._id,
+    content: `${node.meta.originalName} excerpt ${score}`,
+    location: { pageNumber },
+    score,
+  });
+
+  it("should rank hits from all documents by score", () => {
+    const hits = [hit(biology, 0.5), hit(chemistry, 0.9), hit(biology, 0.7)];
+    const merged = mergeResults(hits, { limit: 2 });
+    expect(merged.map((h) => h.score)).toEqual([0.9, 0.7]);
+  });
+
+  it("should stop one document from taking every slot", () => {
+    const hits = [
+      hit(biology, 0.99),
+      hit(biology, 0.98),
+      hit(biology, 0.97),
+      hit(chemistry, 0.4),
+    ];
+    const merged = mergeResults(hits, { limit: 3, perNode: 2 });
+    expect(merged.map((h) => h.score)).toEqual([0.99, 0.98, 0.4]);
+  });
+
+  it("should name the source document and page in context and citations", () => {
+    const chunks = [hit(chemistry, 0.9, 4), hit(biology, 0.8, 12)];
+    const { context, citations } = buildContext(chunks, [biology, chemistry]);
+
+    expect(citations[0]).toMatchObject({
+      nodeId: chemistry._id,
+      documentName: "chemistry.pdf",
+      pageNumber: 4,
+    });
+    expect(citations[1].documentName).toBe("biology.pdf");
+    expect(citations.map((c) => c.number)).toEqual([1, 2]);
+    expect(context).toContain("[1] chemistry.pdf, page 4");
+    expect(context).toContain("[2] biology.pdf, page 12");
+  });
+
+  it("should label excerpts from the student's notes", () => {
+    const noteId = id();
+    const note = {
+      _id: id(),
+      type: "Note",
+      meta: { originalName: "Enzyme summary" },
+      note: { noteId, documentId: biology._id },
+    };
+    const chunks = [
+      { _id: id(), nodeId: note._id, content: "Enzymes lower activation" },
+    ];
+
+    const { context, citations } = buildContext(chunks, [biology, note]);
+
+    expect(citations[0]).toMatchObject({
+      documentName: "Enzyme summary",
+      noteId,
+    });
+    expect(context).toContain(`[1] Student's note "Enzyme summary"\n`);
+  });
+});
+
+describe("Hybrid retrieval", () => {
+  const chunk = (content) => ({ _id: id(), content });
+
+  it("should find exact terms that embeddings tend to miss", () => {
+    const chunks = [
+      chunk("The cell membrane controls what enters and leaves the cell."),
+      chunk("Article 12 of the GDPR covers transparent information."),
+      chunk("Mitochondria produce ATP through cellular respiration."),
+    ];
+    const stats = buildTermStats(chunks);
+
+    expect(scoreBm25([stats], "What does Article 12 say?", 5)[0]._id).toBe(
+      chunks[1]._id,
+    );
+    expect(scoreBm25([stats], "ATP", 5).map((h) => h._id)).toEqual([
+      chunks[2]._id,
+    ]);
+  });
+
+  it("should score several documents as one corpus", () => {
+    const first = buildTermStats([chunk("enzymes speed up reactions")]);
+    const second = buildTermStats([
+      chunk("enzyme kinetics and reaction rates"),
+      chunk("the history of biology"),
+    ]);
+    const hits = scoreBm25([first, second], "enzyme reactions", 5);
+    expect(hits).toHaveLength(2);
+  });
+
+  it("should only score chunks in the requested sections", () => {
+    const enzymes = {
+      ...chunk("Enzyme activity depends on temperature."),
+      metadata: { sectionPath: ["Chapter 3", "3.2 Enzymes"] },
+    };
+    const genetics = {
+      ...chunk("Temperature affects DNA replication."),
+      metadata: { sectionPath: ["Chapter 4"] },
+    };
+    const stats = buildTermStats([enzymes, genetics]);
+
+    expect(scoreBm25([stats], "temperature", 5)).toHaveLength(2);
+    expect(
+      scoreBm25([stats], "temperature", 5, ["3.2 Enzymes"]).map((h) => h._id),
+    ).toEqual([enzymes._id]);
+  });
+
+  it("should fuse rankings by reciprocal rank", () => {
+    const [a, b, c] = [id(), id(), id()];
+    const fused = fuseRankings({
+      vector: [
+        { _id: a, score: 0.9 },
+        { _id: b, score: 0.8 },
+      ],
+      keyword: [
+        { _id: b, score: 7.1 },
+        { _id: c, score: 3.2 },
+      ],
+    });
+
+    expect(fused.map((f) => f._id)).toEqual([b, a, c]);
+    expect(fused[0].scores).toEqual({ vector: 0.8, keyword: 7.1 });
+    expect(fused[0].fused).toBeCloseTo(1 / 62 + 1 / 61);
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  toQuality,
+  scheduleReview,
+  endOfDay,
+  isDue,
+} = require("../services/spacedRepetition");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Spaced repetition (SM-2)", () => {
+  const now = new Date("2026-01-10T10:00:00Z");
+
+  it("should map client ratings to SM-2 quality", () => {
+    expect(toQuality("again")).toBe(1);
+    expect(toQuality("known")).toBe(4);
+    expect(toQuality(5)).toBe(5);
+    expect(toQuality(7)).toBeNull();
+    expect(toQuality("meh")).toBeNull();
+  });
+
+  it("should follow the 1, 6, interval * ease progression", () => {
+    let state = scheduleReview({}, 4, now);
+    expect(state.interval).toBe(1);
+    expect(state.repetitions).toBe(1);
+
+    state = scheduleReview(state, 4, now);
+    expect(state.interval).toBe(6);
+
+    state = scheduleReview(state, 4, now);
+    expect(state.interval).toBe(Math.round(6 * state.easeFactor));
+    expect(state.dueDate.getTime()).toBe(now.getTime() + state.interval * DAY);
+  });
+
+  it("should reset repetitions and count a lapse on a failed review", () => {
+    const state = scheduleReview(
+      { easeFactor: 2.5, interval: 15, repetitions: 3 },
+      1,
+      now,
+    );
+    expect(state.repetitions).toBe(0);
+    expect(state.interval).toBe(1);
+    expect(state.lapses).toBe(1);
+    expect(state.easeFactor).toBeLessThan(2.5);
+  });
+
+  it("should never drop the ease factor below 1.3", () => {
+    let state = { easeFactor: 1.35 };
+    for (let i = 0; i < 5; i++) state = scheduleReview(state, 0, now);
+    expect(state.easeFactor).toBe(1.3);
+  });
+
+  it("should raise the ease factor on easy reviews", () => {
+    expect(scheduleReview({}, 5, now).easeFactor).toBe(2.6);
+  });
+
+  it("should use the end of the day as the due cut-off", () => {
+    const cutoff = endOfDay(now);
+    expect(cutoff.getHours()).toBe(23);
+    expect(cutoff.getMinutes()).toBe(59);
+  });
+
+  it("should only count cards due by the end of today as due", () => {
+    expect(isDue({}, now)).toBe(true);
+    expect(isDue({ dueDate: new Date(now.getTime() - DAY) }, now)).toBe(true);
+    expect(isDue({ dueDate: endOfDay(now) }, now)).toBe(true);
+
+    const reviewed = scheduleReview({}, 4, now);
+    expect(isDue(reviewed, now)).toBe(false);
+    expect(isDue(reviewed, reviewed.dueDate)).toBe(true);
+  });
+});
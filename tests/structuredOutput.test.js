@@ -0,0 +1,170 @@
+const { createFakeProvider } = require("../services/llmProviders/fakeProvider");
+const {
+  StructuredOutputError,
+  FlashcardOutput,
+  QuizQuestionOutput,
+  PersonaOutput,
+  extractJson,
+  generateObject,
+  generateList,
+} = require("../services/structuredOutput");
+
+// Fake client replying with each of `replies` in turn
+const scripted = (replies) => {
+  let next = 0;
+  return createFakeProvider({ respond: () => replies[next++] ?? "" });
+};
+
+const card = (n) => ({ question: `Q${n}?`, answer: `A${n}` });
+
+describe("extractJson", () => {
+  it("should find JSON inside fences and chatty text", () => {
+    expect(
+      extractJson(
+        'Sure! Here you go [1]:\n```json\n[{"a": "x]"}]\n```\nEnjoy.',
+      ),
+    ).toEqual([{ a: "x]" }]);
+    expect(extractJson('Result: {"name": "Ada"} done')).toEqual({
+      name: "Ada",
+    });
+  });
+
+  it("should throw when there is no JSON", () => {
+    expect(() => extractJson("I cannot help with that.")).toThrow(SyntaxError);
+    expect(() => extractJson('[{"a": ')).toThrow(SyntaxError);
+  });
+});
+
+describe("Output schemas", () => {
+  it("should normalise quiz answers and reject broken questions", () => {
+    const parsed = QuizQuestionOutput.parse({
+      question: "Capital of France?",
+      options: ["Paris", "Rome", "Oslo", "Bern", "Extra"],
+      correctAnswer: " a) Paris",
+    });
+    expect(parsed.correctAnswer).toBe("A");
+    expect(parsed.options).toHaveLength(4);
+
+    expect(
+      QuizQuestionOutput.safeParse({
+        question: "?",
+        options: ["a", "b"],
+        correctAnswer: "A",
+      }).success,
+    ).toBe(false);
+    expect(
+      QuizQuestionOutput.safeParse({
+        question: "?",
+        options: ["a", "b", "c", "d"],
+        correctAnswer: "E",
+      }).success,
+    ).toBe(false);
+  });
+});
+
+describe("generateList", () => {
+  const prompt = (missing) => `Give ${missing} cards`;
+
+  it("should repair an unparsable reply", async () => {
+    const ai = scripted([
+      "Here are your flashcards: question one is...",
+      JSON.stringify([card(1), card(2)]),
+    ]);
+
+    const { items } = await generateList(ai, {
+      itemSchema: FlashcardOutput,
+      count: 2,
+      prompt,
+      model: "m",
+    });
+
+    expect(items).toEqual([card(1), card(2)]);
+    expect(ai.calls).toHaveLength(2);
+    expect(ai.calls[1].messages.at(-1).content).toMatch(/ONLY the JSON array/);
+  });
+
+  it("should drop invalid and repeated items and top up", async () => {
+    const ai = scripted([
+      JSON.stringify({ flashcards: [card(1), { question: "no answer" }] }),
+      JSON.stringify([card(1), card(2), card(3)]),
+    ]);
+
+    const { items } = await generateList(ai, {
+      itemSchema: FlashcardOutput,
+      count: 3,
+      prompt,
+      model: "m",
+    });
+
+    expect(items).toEqual([card(1), card(2), card(3)]);
+    expect(ai.calls[0].messages[0].content).toBe("Give 3 cards");
+    expect(ai.calls[1].messages[0].content).toBe("Give 2 cards");
+  });
+
+  it("should return what it has after the last round", async () => {
+    const ai = scripted([
+      JSON.stringify([card(1)]),
+      JSON.stringify([card(1)]),
+      JSON.stringify([]),
+    ]);
+
+    const { items } = await generateList(ai, {
+      itemSchema: FlashcardOutput,
+      count: 5,
+      prompt,
+      model: "m",
+    });
+
+    expect(items).toEqual([card(1)]);
+    expect(ai.calls).toHaveLength(3);
+  });
+
+  it("should fail when nothing valid comes back", async () => {
+    const ai = scripted(["nope"]);
+
+    await expect(
+      generateList(ai, {
+        itemSchema: FlashcardOutput,
+        count: 2,
+        prompt,
+        model: "m",
+      }),
+    ).rejects.toBeInstanceOf(StructuredOutputError);
+  });
+});
+
+describe("generateObject", () => {
+  const persona = {
+    name: "Professor Quill",
+    tone: "enthusiastic",
+    personalityPrompt: "Explains with analogies",
+  };
+
+  it("should ask again when the object does not match the schema", async () => {
+    const ai = scripted([
+      JSON.stringify({ name: "Quill" }),
+      `\`\`\`json\n${JSON.stringify(persona)}\n\`\`\``,
+    ]);
+
+    const { data } = await generateObject(ai, {
+      schema: PersonaOutput,
+      messages: [{ role: "user", content: "persona please" }],
+      model: "m",
+    });
+
+    expect(data).toEqual(persona);
+  });
+
+  it("should give up after one repair", async () => {
+    const ai = scripted(["{}", "{}"]);
+
+    await expect(
+      generateObject(ai, {
+        schema: PersonaOutput,
+        messages: [{ role: "user", content: "persona please" }],
+        model: "m",
+      }),
+    ).rejects.toBeInstanceOf(StructuredOutputError);
+    expect(ai.calls).toHaveLength(2);
+  });
+});
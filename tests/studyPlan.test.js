@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const { createFakeProvider } = require("../services/llmProviders/fakeProvider");
+const { generateList } = require("../services/structuredOutput");
+const {
+  computeProgress,
+  assignDates,
+  mergeCompletion,
+  planDayOutput,
+} = require("../services/studyPlanService");
+
+const task = (description, fields = {}) => ({
+  type: "Read",
+  description,
+  estimatedMinutes: 30,
+  ...fields,
+});
+
+describe("Study plan schedule", () => {
+  it("should date days from the start date", () => {
+    const fixed = new Date("2026-06-30T00:00:00");
+    const [first, second, third] = assignDates(
+      [{ day: 1 }, { day: 3 }, { day: 2, date: fixed }],
+      new Date("2026-06-01T15:30:00"),
+    );
+
+    expect(first.date).toEqual(new Date("2026-06-01T00:00:00"));
+    expect(second.date).toEqual(new Date("2026-06-03T00:00:00"));
+    expect(third.date).toBe(fixed);
+  });
+
+  it("should count completed tasks", () => {
+    const progress = computeProgress([
+      { day: 1, tasks: [task("a", { completed: true }), task("b")] },
+      { day: 2, tasks: [task("c", { completed: true })] },
+      { day: 3 },
+    ]);
+    expect(progress).toEqual({
+      completedTasks: 2,
+      totalTasks: 3,
+      percentage: 67,
+    });
+    expect(computeProgress([]).percentage).toBe(0);
+  });
+});
+
+describe("Editing a study plan", () => {
+  const doneAt = new Date("2026-06-02T10:00:00");
+  const chapterOne = task("Read chapter 1", {
+    _id: new mongoose.Types.ObjectId(),
+    completed: true,
+    completedAt: doneAt,
+  });
+  const previous = [
+    { day: 1, tasks: [chapterOne, task("Review notes")] },
+    { day: 2, tasks: [task("Quiz", { type: "Quiz", completed: true })] },
+  ];
+
+  it("should keep tasks done when the edit sends their id", () => {
+    const [day] = mergeCompletion(previous, [
+      {
+        day: 1,
+        tasks: [
+          task("Read chapter 1 again", { _id: chapterOne._id.toString() }),
+        ],
+      },
+    ]);
+    expect(day.tasks[0]).toMatchObject({
+      description: "Read chapter 1 again",
+      completed: true,
+      completedAt: doneAt,
+    });
+  });
+
+  it("should keep tasks done when they are unchanged on the same day", () => {
+    const merged = mergeCompletion(previous, [
+      { day: 1, tasks: [task("Read chapter 2"), task(" read Chapter 1 ")] },
+      { day: 2, tasks: [task("Quiz", { type: "Quiz" })] },
+    ]);
+
+    expect(merged[0].tasks.map((t) => !!t.completed)).toEqual([false, true]);
+    expect(merged[1].tasks[0].completed).toBe(true);
+    expect(computeProgress(merged).completedTasks).toBe(2);
+  });
+
+  it("should not carry completion to another day or another task", () => {
+    const merged = mergeCompletion(previous, [
+      { day: 2, tasks: [task("Read chapter 1")] },
+      { day: 1, tasks: [task("Quiz", { type: "Quiz" })] },
+    ]);
+    expect(computeProgress(merged).completedTasks).toBe(0);
+  });
+});
+
+describe("Generated study plans", () => {
+  const day = (n) => ({
+    day: n,
+    tasks: [{ type: "Read", description: `Day ${n}`, estimatedMinutes: 45 }],
+  });
+
+  it("should accept loosely typed days and reject days past the exam", () => {
+    const schema = planDayOutput(3);
+
+    expect(
+      schema.parse({
+        day: "2",
+        tasks: [{ type: "Skim", description: "Intro", estimatedMinutes: 1 }],
+      }),
+    ).toEqual({
+      day: 2,
+      tasks: [{ type: "Review", description: "Intro", estimatedMinutes: 30 }],
+    });
+    expect(schema.safeParse(day(4)).success).toBe(false);
+    expect(schema.safeParse({ day: 1, tasks: [] }).success).toBe(false);
+  });
+
+  it("should ask again for the days that are missing", async () => {
+    const replies = [
+      `Here is the plan:\n${JSON.stringify([day(1), day(1), day(5)])}`,
+      JSON.stringify([day(3), day(2)]),
+    ];
+    const ai = createFakeProvider({ respond: () => replies.shift() ?? "" });
+
+    const { items } = await generateList(ai, {
+      itemSchema: planDayOutput(3),
+      count: 3,
+      prompt: (missing) => `Plan ${missing} days`,
+      key: (d) => d.day,
+      model: "m",
+    });
+
+    expect(items.map((d) => d.day)).toEqual([1, 3, 2]);
+    expect(ai.calls[1].messages[0].content).toBe("Plan 2 days");
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  MODE_NAMES,
+  defaultModeFor,
+  tutoringPrompt,
+  listModes,
+} = require("../services/tutoringModes");
+const { Conversation } = require("../models");
+
+describe("Tutoring modes", () => {
+  const student = (learningStyle) => ({ dna: { learningStyle } });
+
+  it("should start from the student's learning style", () => {
+    expect(defaultModeFor(student("Socratic"))).toBe("socratic");
+    expect(defaultModeFor(student("Textual"))).toBe("explain-check");
+    expect(defaultModeFor(student("Visual"))).toBe("worked-examples");
+    expect(defaultModeFor({})).toBe("explain-check");
+  });
+
+  it("should keep the Socratic tutor from giving answers away", () => {
+    const prompt = tutoringPrompt("socratic");
+    expect(prompt).toMatch(/Never state the final answer/);
+    expect(prompt).toMatch(/questions/);
+  });
+
+  it("should end explanations with a check question", () => {
+    expect(tutoringPrompt("explain-check")).toMatch(
+      /End every answer with one short question/,
+    );
+  });
+
+  it("should teach worked examples step by step", () => {
+    const prompt = tutoringPrompt("worked-examples");
+    expect(prompt).toMatch(/step by step/);
+    expect(prompt).toMatch(/practice problem/);
+  });
+
+  it("should drill one exam question at a time and mark answers", () => {
+    const prompt = tutoringPrompt("exam-drill");
+    expect(prompt).toMatch(/one exam-style question at a time/);
+    expect(prompt).toMatch(/Mark each answer/);
+  });
+
+  it("should give every mode its own prompt and fall back for unknown ones", () => {
+    const prompts = MODE_NAMES.map(tutoringPrompt);
+    expect(new Set(prompts).size).toBe(MODE_NAMES.length);
+    expect(tutoringPrompt("nonsense")).toBe(tutoringPrompt("explain-check"));
+  });
+
+  it("should store only known modes on conversations", () => {
+    expect(Conversation.schema.path("tutoringMode").enumValues).toEqual(
+      MODE_NAMES,
+    );
+  });
+
+  it("should list the modes for the client", () => {
+    expect(listModes().map((m) => m.id)).toEqual(MODE_NAMES);
+    expect(listModes()[0]).toEqual({
+      id: "socratic",
+      name: "Socratic",
+      description: expect.any(String),
+    });
+  });
+});
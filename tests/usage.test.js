@@ -0,0 +1,114 @@
+const CONFIG = require("../config");
+const {
+  planOf,
+  quotaWindows,
+  quotaStatus,
+  tokensOf,
+  summarizeUsage,
+} = require("../services/usageService");
+
+describe("AI usage", () => {
+  const now = new Date("2024-03-31T22:15:00Z");
+
+  it("should fall back to the free plan when a subscription lapses", () => {
+    const pro = (expiresAt) => ({ subscription: { plan: "pro", expiresAt } });
+
+    expect(planOf(pro(new Date("2024-04-30")), now)).toBe("pro");
+    expect(planOf(pro(undefined), now)).toBe("pro");
+    expect(planOf(pro(new Date("2024-03-01")), now)).toBe("free");
+    expect(planOf({}, now)).toBe("free");
+  });
+
+  it("should use UTC days and months as quota windows", () => {
+    expect(quotaWindows(now)).toEqual({
+      day: "2024-03-31",
+      month: "2024-03",
+      dayResetsAt: new Date("2024-04-01T00:00:00Z"),
+      monthResetsAt: new Date("2024-04-01T00:00:00Z"),
+    });
+  });
+
+  it("should report remaining tokens and which limit is reached", () => {
+    const windows = quotaWindows(now);
+
+    const fine = quotaStatus(
+      { daily: 100, monthly: 1000 },
+      { daily: 40, monthly: 400 },
+      windows,
+    );
+    expect(fine.exceeded).toBeNull();
+    expect(fine.daily).toMatchObject({ limit: 100, used: 40, remaining: 60 });
+
+    const overDaily = quotaStatus(
+      { daily: 100, monthly: 1000 },
+      { daily: 120, monthly: 400 },
+      windows,
+    );
+    expect(overDaily.exceeded).toBe("daily");
+    expect(overDaily.daily.remaining).toBe(0);
+
+    const overBoth = quotaStatus(
+      { daily: 100, monthly: 1000 },
+      { daily: 100, monthly: 1000 },
+      windows,
+    );
+    expect(overBoth.exceeded).toBe("monthly");
+  });
+
+  it("should treat a zero limit as unlimited", () => {
+    const status = quotaStatus(
+      { daily: 0, monthly: 0 },
+      { daily: 1e9, monthly: 1e9 },
+      quotaWindows(now),
+    );
+
+    expect(status.exceeded).toBeNull();
+    expect(status.monthly).toMatchObject({ limit: null, remaining: null });
+    expect(CONFIG.AI_QUOTAS.enterprise).toEqual({ daily: 0, monthly: 0 });
+  });
+
+  it("should prefer reported token counts and estimate otherwise", () => {
+    const messages = [{ role: "user", content: "x".repeat(40) }];
+
+    expect(
+      tokensOf({ prompt_tokens: 12, completion_tokens: 5 }, messages, "hi"),
+    ).toEqual({ promptTokens: 12, completionTokens: 5, estimated: false });
+    expect(tokensOf(undefined, messages, "y".repeat(8))).toEqual({
+      promptTokens: 10,
+      completionTokens: 2,
+      estimated: true,
+    });
+  });
+
+  it("should total usage by feature, model and day", () => {
+    const record = (day, feature, model, promptTokens, completionTokens) => ({
+      day,
+      feature,
+      model,
+      requests: 1,
+      promptTokens,
+      completionTokens,
+    });
+    const usage = summarizeUsage([
+      record("2024-03-02", "chat", "a", 100, 50),
+      record("2024-03-01", "quiz", "a", 300, 200),
+      record("2024-03-02", "chat", "b", 10, 5),
+    ]);
+
+    expect(usage.totals).toEqual({
+      requests: 3,
+      promptTokens: 410,
+      completionTokens: 255,
+      totalTokens: 665,
+    });
+    expect(usage.byFeature.map((f) => [f.feature, f.totalTokens])).toEqual([
+      ["quiz", 500],
+      ["chat", 165],
+    ]);
+    expect(usage.byModel.map((m) => m.model)).toEqual(["a", "b"]);
+    expect(usage.byDay.map((d) => [d.day, d.requests])).toEqual([
+      ["2024-03-01", 1],
+      ["2024-03-02", 2],
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+const mongoose = require("mongoose");
+const { HnswIndex, normalize, dot } = require("../services/vectorStores/hnsw");
+const { createVectorStore } = require("../services/vectorService");
+const { ChunkCache } = require("../services/chunkCache");
+
+// Small deterministic PRNG so the graph is the same on every run
+function seeded(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+describe("HNSW index", () => {
+  const random = seeded(42);
+  const vectors = Array.from({ length: 500 }, () =>
+    Array.from({ length: 16 }, () => random() - 0.5),
+  );
+  const index = new HnswIndex({ random: seeded(7) });
+  vectors.forEach((v) => index.add(v));
+
+  const exactTop = (query, k) =>
+    vectors
+      .map((v, id) => ({ id, score: dot(normalize(query), normalize(v)) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+
+  it("should find a stored vector as its own nearest neighbour", () => {
+    const [best] = index.search(vectors[123], 1);
+    expect(best.id).toBe(123);
+    expect(best.score).toBeCloseTo(1, 5);
+  });
+
+  it("should agree closely with exact cosine search", () => {
+    let found = 0;
+    for (let q = 0; q < 20; q++) {
+      const query = Array.from({ length: 16 }, () => random() - 0.5);
+      const approx = new Set(index.search(query, 10).map((r) => r.id));
+      found += exactTop(query, 10).filter((r) => approx.has(r.id)).length;
+    }
+    expect(found / 200).toBeGreaterThan(0.9);
+  });
+
+  it("should return results best first", () => {
+    const scores = index.search(vectors[0], 10).map((r) => r.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+});
+
+describe("Vector store selection", () => {
+  it("should create the configured backend", () => {
+    expect(
+      createVectorStore("memory", { algorithm: "hnsw" }).describe(),
+    ).toMatchObject({ backend: "memory", algorithm: "hnsw" });
+    expect(createVectorStore("atlas").describe().backend).toBe("atlas");
+  });
+
+  it("should reject unknown backends", () => {
+    expect(() => createVectorStore("pinecone")).toThrow(/VECTOR_STORE/);
+  });
+});
+
+describe("Chunk cache", () => {
+  const [a, b, c] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+  const version = (_id, count, latest = _id) => ({ _id, count, latest });
+
+  function cacheOver(versions, maxChunks) {
+    const calls = { versions: 0, loads: [] };
+    const cache = new ChunkCache({
+      maxChunks,
+      versions: async (nodeIds) => {
+        calls.versions += 1;
+        return versions.filter((v) => nodeIds.includes(v._id));
+      },
+      loadChunks: async (nodeId, select) => {
+        calls.loads.push({ nodeId, select });
+        return [{ _id: nodeId }];
+      },
+    });
+    cache.addPart("stats", {
+      select: "content",
+      build: (chunks, nodeId) => `stats of ${nodeId}`,
+    });
+    return { cache, calls, built: () => calls.loads.map((l) => l.nodeId) };
+  }
+
+  it("should build each document once while its chunks are unchanged", async () => {
+    const { cache, built } = cacheOver([version(a, 5), version(b, 3)]);
+
+    expect(await cache.load([a, b], "stats")).toEqual([
+      `stats of ${a}`,
+      `stats of ${b}`,
+    ]);
+    await cache.load([a], "stats");
+
+    expect(built()).toEqual([a, b]);
+    expect(cache.chunkCount).toBe(8);
+  });
+
+  it("should rebuild a document whose chunks were replaced", async () => {
+    const versions = [version(a, 5)];
+    const { cache, built } = cacheOver(versions);
+    await cache.load([a], "stats");
+
+    versions[0] = version(a, 5, new mongoose.Types.ObjectId());
+    await cache.load([a], "stats");
+    versions[0] = version(a, 6, versions[0].latest);
+    await cache.load([a], "stats");
+
+    expect(built()).toEqual([a, a, a]);
+    expect(cache.chunkCount).toBe(6);
+  });
+
+  it("should evict the least recently used documents past the budget", async () => {
+    const { cache } = cacheOver(
+      [version(a, 4), version(b, 4), version(c, 4)],
+      8,
+    );
+    await cache.load([a], "stats");
+    await cache.load([b], "stats");
+    await cache.load([a], "stats");
+    await cache.load([c], "stats");
+
+    expect([...cache.entries.keys()]).toEqual([a.toString(), c.toString()]);
+    expect(cache.chunkCount).toBe(8);
+  });
+
+  it("should keep every document of the current search", async () => {
+    const { cache } = cacheOver([version(a, 4), version(b, 4)], 2);
+    expect(await cache.load([a, b], "stats")).toHaveLength(2);
+    expect(cache.size).toBe(2);
+  });
+
+  it("should serve every part from one lookup, load and budget", async () => {
+    const { cache, calls } = cacheOver([version(a, 5)], 5);
+    cache.addPart("vectors", {
+      select: "embedding content",
+      build: (chunks) => chunks.length,
+    });
+
+    const [stats, vectors] = await Promise.all([
+      cache.load([a], "stats"),
+      cache.load([a], "vectors"),
+    ]);
+
+    expect(stats).toEqual([`stats of ${a}`]);
+    expect(vectors).toEqual([1]);
+    expect(calls.versions).toBe(1);
+    expect(calls.loads).toEqual([{ nodeId: a, select: "content embedding" }]);
+    expect(cache.chunkCount).toBe(5);
+  });
+
+  it("should build a part added after a document was cached", async () => {
+    const { cache, calls } = cacheOver([version(a, 5)]);
+    await cache.load([a], "stats");
+    cache.addPart("vectors", { select: "embedding", build: () => "v" });
+
+    expect(await cache.load([a], "vectors")).toEqual(["v"]);
+    expect(await cache.load([a], "stats")).toEqual([`stats of ${a}`]);
+    expect(calls.loads.map((l) => l.select)).toEqual(["content", "embedding"]);
+  });
+
+  it("should retry a part whose build failed", async () => {
+    const { cache } = cacheOver([version(a, 5)]);
+    let fail = true;
+    cache.addPart("flaky", {
+      select: "content",
+      build: () => {
+        if (fail) throw new Error("load failed");
+        return "ok";
+      },
+    });
+
+    await expect(cache.load([a], "flaky")).rejects.toThrow("load failed");
+    fail = false;
+    expect(await cache.load([a], "flaky")).toEqual(["ok"]);
+    await expect(cache.load([a], "other")).rejects.toThrow(/Unknown/);
+  });
+});
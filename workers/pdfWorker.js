@@ -0,0 +1,231 @@
+const fs = require("fs").promises;
+const { KnowledgeNode, VectorChunk } = require("../models");
+const { generateEmbeddingsBatch } = require("../services/aiService");
+const { extractPages, locateSpan } = require("../services/pdfExtraction");
+const { chunkDocument } = require("../services/chunker");
+const { modelChainFor } = require("../services/llmService");
+const { meter } = require("../services/usageService");
+const {
+  PersonaOutput,
+  generateObject,
+} = require("../services/structuredOutput");
+const { awardXP, evaluateBadges } = require("../services/gamificationService");
+const logger = require("../services/logger");
+
+const EMBEDDING_BATCH_SIZE = 10;
+
+async function reportProgress(job, nodeId, progress, statusMessage) {
+  await job.updateProgress(progress);
+  await KnowledgeNode.findByIdAndUpdate(nodeId, {
+    $set: { "meta.progress": progress, "meta.statusMessage": statusMessage },
+  });
+}
+
+// Keep the node usable without persona or summary, but say why it has none
+async function recordGenerationFailure(nodeId, kind, error) {
+  await KnowledgeNode.findByIdAndUpdate(nodeId, {
+    [`aiGeneration.${kind}`]: {
+      model: null,
+      error: error.attempts?.length
+        ? error.attempts.map((a) => `${a.model}: ${a.error}`).join("; ")
+        : error.message,
+    },
+  });
+}
+
+async function generatePersona(ai, nodeId, text) {
+  const personaPrompt = `Analyze this text excerpt and create a fictional AI tutor persona.
+
+ Text: ${text.substring(0, 2000)}
+
+ Return ONLY valid JSON with:
+ {
+   "name": "Creative tutor name",
+   "tone": "formal/casual/enthusiastic",
+   "personalityPrompt": "Short behavior description",
+   "catchphrase": "Memorable phrase"
+ }`;
+
+  const { data: persona, model } = await generateObject(ai, {
+    models: modelChainFor("persona"),
+    schema: PersonaOutput,
+    messages: [{ role: "user", content: personaPrompt }],
+    temperature: 0.8,
+    max_tokens: 300,
+  });
+
+  await KnowledgeNode.findByIdAndUpdate(nodeId, {
+    "aiGeneration.persona": { model, error: null },
+    persona: {
+      generatedName: persona.name,
+      tone: persona.tone,
+      personalityPrompt: persona.personalityPrompt,
+      avatarUrl: `https://ui-avatars.com/api/?name=${encodeURIComponent(persona.name)}&background=00ed64&color=001e2b`,
+    },
+  });
+
+  logger.info(`🎭 Generated persona: ${persona.name}`);
+}
+
+async function generateSummary(ai, nodeId, text) {
+  const summaryResponse = await ai.chat.completions.create({
+    models: modelChainFor("summary"),
+    messages: [
+      {
+        role: "user",
+        content: `Summarize this document in 3-5 key points:\n\n${text.substring(0, 3000)}`,
+      },
+    ],
+    temperature: 0.3,
+    max_tokens: 300,
+  });
+
+  const summary = summaryResponse.choices[0].message.content;
+  const keyPoints = summary
+    .split("\n")
+    .filter((line) => line.trim().length > 0)
+    .slice(0, 5);
+
+  await KnowledgeNode.findByIdAndUpdate(nodeId, {
+    summary,
+    keyPoints,
+    "aiGeneration.summary": { model: summaryResponse.model, error: null },
+  });
+}
+
+/**
+ * Build the BullMQ processor for "pdf-processing" jobs
+ * @param {Object} deps
+ * @param {Object} deps.ai - Resilient chat completion client for persona and
+ *   summary
+ * @returns {Function} Job processor
+ */
+function createPdfProcessor({ ai }) {
+  return async (job) => {
+    const { nodeId, filePath, reprocess = false } = job.data;
+
+    try {
+      logger.info(`📄 Processing PDF: ${nodeId}`);
+
+      const node = await KnowledgeNode.findByIdAndUpdate(nodeId, {
+        status: "PROCESSING",
+        "meta.progress": 0,
+        "meta.statusMessage": "Processing started...",
+      });
+
+      const dataBuffer = await fs.readFile(filePath);
+      const { numpages, text, pages } = await extractPages(dataBuffer);
+
+      await KnowledgeNode.findByIdAndUpdate(nodeId, {
+        "meta.pageCount": numpages,
+        "meta.wordCount": text.split(/\s+/).length,
+        "meta.language": "en",
+      });
+
+      await reportProgress(job, nodeId, 10, "Processing started...");
+
+      // Start from a clean slate so retries and re-chunking never duplicate
+      await VectorChunk.deleteMany({ nodeId });
+      const chunks = chunkDocument(text, { strategy: node.chunking?.strategy });
+      logger.info(
+        `📦 Created ${chunks.length} chunks (${node.chunking?.strategy || "default"})`,
+      );
+
+      await reportProgress(job, nodeId, 25, "Creating chunks...");
+
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+        const embeddings = await generateEmbeddingsBatch(
+          batch.map((c) => c.content),
+        );
+
+        await VectorChunk.insertMany(
+          batch.map((chunk, idx) => ({
+            nodeId,
+            content: chunk.content,
+            embedding: embeddings[idx],
+            location: {
+              chunkIndex: chunk.index,
+              ...locateSpan(pages, chunk.startPos, chunk.endPos),
+            },
+            metadata: {
+              wordCount: chunk.content.split(/\s+/).length,
+              sectionPath: chunk.sectionPath,
+            },
+          })),
+        );
+
+        await reportProgress(
+          job,
+          nodeId,
+          25 + Math.floor((i / chunks.length) * 40),
+          `Processing chunks... (${Math.floor(i / EMBEDDING_BATCH_SIZE)}/${Math.ceil(chunks.length / EMBEDDING_BATCH_SIZE)})`,
+        );
+      }
+
+      logger.info(`✅ Saved ${chunks.length} vector chunks`);
+
+      await reportProgress(job, nodeId, 70, "Generating AI persona...");
+
+      try {
+        await generatePersona(
+          meter(ai, { userId: node.userId, feature: "persona" }),
+          nodeId,
+          text,
+        );
+      } catch (error) {
+        logger.error("Persona generation failed:", error);
+        await recordGenerationFailure(nodeId, "persona", error);
+      }
+
+      await reportProgress(job, nodeId, 85, "Generating summary...");
+
+      try {
+        await generateSummary(
+          meter(ai, { userId: node.userId, feature: "summary" }),
+          nodeId,
+          text,
+        );
+      } catch (error) {
+        logger.error("Summary generation failed:", error);
+        await recordGenerationFailure(nodeId, "summary", error);
+      }
+
+      await KnowledgeNode.findByIdAndUpdate(nodeId, {
+        status: "INDEXED",
+        "meta.statusMessage": "Ready",
+        updatedAt: Date.now(),
+      });
+
+      await job.updateProgress(100);
+
+      logger.info(`✅ Successfully processed PDF: ${nodeId}`);
+
+      // Upload badges count indexed documents. awardXP checks them itself;
+      // a reprocess earns no XP but may be the first time an upload indexes
+      if (!reprocess) {
+        await awardXP(
+          node.userId,
+          50,
+          "Uploaded and processed document",
+          "upload",
+        );
+      } else {
+        await evaluateBadges(node.userId, ["upload"]).catch((error) =>
+          logger.error("Badge evaluation failed:", error),
+        );
+      }
+    } catch (error) {
+      logger.error(`❌ PDF processing failed for ${nodeId}:`, error);
+
+      await KnowledgeNode.findByIdAndUpdate(nodeId, {
+        status: "FAILED",
+        processingError: error.message,
+      });
+
+      throw error;
+    }
+  };
+}
+
+module.exports = { createPdfProcessor };